@@ -0,0 +1,103 @@
+import hashlib
+import os
+import secrets
+from datetime import datetime, timedelta
+from fastapi import HTTPException
+from sqlalchemy.orm import Session
+from database import AccountToken, User
+from mailer import send_email
+
+# Where emailed links point; the app reads the token from the query string
+FRONTEND_URL = os.getenv("FRONTEND_URL", "http://localhost:3000").rstrip("/")
+
+VERIFY_EMAIL = "verify_email"
+RESET_PASSWORD = "reset_password"
+TOKEN_LIFETIMES = {
+    VERIFY_EMAIL: timedelta(
+        hours=int(os.getenv("VERIFY_TOKEN_EXPIRE_HOURS", "48"))),
+    RESET_PASSWORD: timedelta(
+        minutes=int(os.getenv("RESET_TOKEN_EXPIRE_MINUTES", "60"))),
+}
+# Query parameter of the emailed link, per purpose
+LINK_PARAMS = {VERIFY_EMAIL: "verify", RESET_PASSWORD: "reset"}
+
+TOKEN_ERRORS = {
+    "invalid": (404, "This link is not valid"),
+    "expired": (410, "This link has expired"),
+    "used": (410, "This link has already been used"),
+}
+
+
+def hash_token(token: str):
+    return hashlib.sha256(token.encode()).hexdigest()
+
+
+def issue_token(db: Session, user: User, purpose: str):
+    """A new token for the user; earlier unused ones for the same purpose
+    stop working, so only the latest email's link does."""
+    now = datetime.utcnow()
+    db.query(AccountToken).filter(
+        AccountToken.user_id == user.id,
+        AccountToken.purpose == purpose,
+        AccountToken.used_at.is_(None),
+    ).update({AccountToken.used_at: now})
+
+    token = secrets.token_urlsafe(32)
+    db.add(AccountToken(user_id=user.id, purpose=purpose,
+                        token_hash=hash_token(token),
+                        expires_at=now + TOKEN_LIFETIMES[purpose]))
+    db.commit()
+    return token
+
+
+def token_state(db: Session, token: str, purpose: str):
+    """The stored token and whether it is valid, expired, used or invalid."""
+    record = db.query(AccountToken).filter(
+        AccountToken.token_hash == hash_token(token),
+        AccountToken.purpose == purpose,
+    ).first()
+    if record is None:
+        return None, "invalid"
+    if record.used_at is not None:
+        return record, "used"
+    if record.expires_at < datetime.utcnow():
+        return record, "expired"
+    return record, "valid"
+
+
+def consume_token(db: Session, token: str, purpose: str):
+    """Marks a valid token used and returns its user; the caller commits."""
+    record, state = token_state(db, token, purpose)
+    if state != "valid":
+        status_code, detail = TOKEN_ERRORS[state]
+        raise HTTPException(status_code=status_code, detail=detail)
+    record.used_at = datetime.utcnow()
+    return record.user
+
+
+def account_link(purpose: str, token: str):
+    return f"{FRONTEND_URL}/?{LINK_PARAMS[purpose]}={token}"
+
+
+def send_verification_email(db: Session, user: User):
+    link = account_link(VERIFY_EMAIL, issue_token(db, user, VERIFY_EMAIL))
+    hours = int(TOKEN_LIFETIMES[VERIFY_EMAIL].total_seconds() // 3600)
+    send_email(user.email, "Verify your email address", (
+        f"Hello {user.full_name},\n\n"
+        f"Confirm your email address to finish creating your account:\n\n"
+        f"{link}\n\n"
+        f"The link works once and expires in {hours} hours.\n"
+    ))
+
+
+def send_password_reset_email(db: Session, user: User):
+    link = account_link(RESET_PASSWORD, issue_token(db, user, RESET_PASSWORD))
+    minutes = int(TOKEN_LIFETIMES[RESET_PASSWORD].total_seconds() // 60)
+    send_email(user.email, "Reset your password", (
+        f"Hello {user.full_name},\n\n"
+        f"Someone asked to reset the password for your account. Choose a "
+        f"new one here:\n\n"
+        f"{link}\n\n"
+        f"The link works once and expires in {minutes} minutes. If you did "
+        f"not ask for this, ignore this email.\n"
+    ))
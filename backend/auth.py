@@ -0,0 +1,258 @@
+import logging
+import os
+import secrets
+from datetime import datetime, timedelta
+from typing import Optional
+from fastapi import APIRouter, Depends, HTTPException, status
+from fastapi.security import OAuth2PasswordBearer, OAuth2PasswordRequestForm
+from jose import JWTError, jwt
+from passlib.context import CryptContext
+from pydantic import BaseModel, Field
+from sqlalchemy.orm import Session
+from database import User, get_db
+from account_tokens import (VERIFY_EMAIL, RESET_PASSWORD, token_state,
+                            consume_token, send_verification_email,
+                            send_password_reset_email)
+
+# Without SECRET_KEY each process signs with its own random key: tokens stop
+# working on restart and across workers, but cannot be forged
+SECRET_KEY = os.getenv("SECRET_KEY") or secrets.token_urlsafe(32)
+ALGORITHM = "HS256"
+# Long enough to cover a full screening session
+ACCESS_TOKEN_EXPIRE_MINUTES = int(os.getenv("ACCESS_TOKEN_EXPIRE_MINUTES", "480"))
+# New accounts must follow the emailed link before their first login
+REQUIRE_EMAIL_VERIFICATION = (
+    os.getenv("REQUIRE_EMAIL_VERIFICATION", "true").lower() == "true")
+
+pwd_context = CryptContext(schemes=["bcrypt"], deprecated="auto")
+oauth2_scheme = OAuth2PasswordBearer(tokenUrl="login")
+
+router = APIRouter()
+logger = logging.getLogger(__name__)
+
+if not os.getenv("SECRET_KEY"):
+    logger.warning("SECRET_KEY is not set; using a random key for this "
+                   "process. Set it so sessions survive restarts.")
+
+
+class UserCreate(BaseModel):
+    username: str = Field(..., min_length=3)
+    email: str = Field(..., pattern=r"^[^@\s]+@[^@\s]+\.[^@\s]+$")
+    password: str = Field(..., min_length=8)
+    full_name: str = Field(..., min_length=1)
+
+
+class EmailRequest(BaseModel):
+    email: str = Field(..., pattern=r"^[^@\s]+@[^@\s]+\.[^@\s]+$")
+
+
+class PasswordReset(BaseModel):
+    password: str = Field(..., min_length=8)
+
+
+class LanguageChoice(BaseModel):
+    # A frontend locale code; None leaves the language to the device
+    language: Optional[str] = Field(None, pattern=r"^[a-z]{2,3}(-[A-Z]{2})?$")
+
+
+class ThemeModeChoice(BaseModel):
+    # One of the frontend's THEME_MODES; None leaves the theme to the device
+    theme_mode: Optional[str] = Field(
+        None, pattern=r"^(system|light|dark|highContrast)$")
+
+
+def serialize_user(user: User):
+    return {
+        "id": user.id,
+        "username": user.username,
+        "email": user.email,
+        "full_name": user.full_name,
+        "grading_scheme": user.grading_scheme,
+        "language": user.language,
+        "theme_mode": user.theme_mode,
+        "email_verified": user.email_verified_at is not None,
+    }
+
+
+def hash_password(password: str):
+    return pwd_context.hash(password)
+
+
+def verify_password(password: str, hashed_password: str):
+    return pwd_context.verify(password, hashed_password)
+
+
+def create_access_token(user: User):
+    expire = datetime.utcnow() + timedelta(minutes=ACCESS_TOKEN_EXPIRE_MINUTES)
+    return jwt.encode({"sub": user.username, "ver": user.token_version,
+                       "exp": expire},
+                      SECRET_KEY, algorithm=ALGORITHM)
+
+
+def get_current_user(token: str = Depends(oauth2_scheme),
+                     db: Session = Depends(get_db)):
+    credentials_exception = HTTPException(
+        status_code=status.HTTP_401_UNAUTHORIZED,
+        detail="Could not validate credentials",
+        headers={"WWW-Authenticate": "Bearer"},
+    )
+    try:
+        payload = jwt.decode(token, SECRET_KEY, algorithms=[ALGORITHM])
+        username = payload.get("sub")
+        # Tokens from before token versions count as version 0
+        version = payload.get("ver", 0)
+    except JWTError:
+        raise credentials_exception
+    if username is None:
+        raise credentials_exception
+
+    user = db.query(User).filter(User.username == username).first()
+    if user is None or version != user.token_version:
+        raise credentials_exception
+    return user
+
+
+def send_account_email(send, db: Session, user: User):
+    """Runs send(db, user), logging a mailer failure (SMTP down, timeout)
+    instead of raising it: a 500 only for existing accounts would reveal
+    which emails have one. True when the email went out."""
+    try:
+        send(db, user)
+        return True
+    except Exception:
+        db.rollback()
+        logger.exception("Could not send an account email to %s", user.email)
+        return False
+
+
+@router.post("/register", status_code=status.HTTP_201_CREATED)
+def register(user_in: UserCreate, db: Session = Depends(get_db)):
+    existing = db.query(User).filter(
+        (User.username == user_in.username) | (User.email == user_in.email)
+    ).first()
+    if existing:
+        raise HTTPException(status_code=400,
+                            detail="An account with this email already exists")
+
+    user = User(
+        username=user_in.username,
+        email=user_in.email,
+        full_name=user_in.full_name,
+        hashed_password=hash_password(user_in.password),
+    )
+    db.add(user)
+    db.commit()
+    db.refresh(user)
+
+    # The account exists either way; when the mail fails the client offers
+    # /verify-email/resend instead of a retry that would hit "already exists"
+    email_sent = (REQUIRE_EMAIL_VERIFICATION
+                  and send_account_email(send_verification_email, db, user))
+    return {**serialize_user(user),
+            "verification_required": REQUIRE_EMAIL_VERIFICATION,
+            "verification_email_sent": email_sent}
+
+
+@router.post("/login")
+def login(form_data: OAuth2PasswordRequestForm = Depends(),
+          db: Session = Depends(get_db)):
+    # The login form sends the email address as the OAuth2 username
+    user = db.query(User).filter(
+        (User.username == form_data.username) |
+        (User.email == form_data.username)
+    ).first()
+    if not user or not verify_password(form_data.password,
+                                       user.hashed_password):
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail="Incorrect email or password",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
+    if REQUIRE_EMAIL_VERIFICATION and user.email_verified_at is None:
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="Verify your email address before signing in",
+        )
+
+    return {
+        "access_token": create_access_token(user),
+        "token_type": "bearer",
+        "user": serialize_user(user),
+    }
+
+
+@router.get("/me")
+def read_current_user(current_user: User = Depends(get_current_user)):
+    return serialize_user(current_user)
+
+
+@router.put("/me/language")
+def choose_language(choice: LanguageChoice, db: Session = Depends(get_db),
+                    current_user: User = Depends(get_current_user)):
+    current_user.language = choice.language
+    db.commit()
+    db.refresh(current_user)
+    return serialize_user(current_user)
+
+
+@router.put("/me/theme-mode")
+def choose_theme_mode(choice: ThemeModeChoice, db: Session = Depends(get_db),
+                      current_user: User = Depends(get_current_user)):
+    current_user.theme_mode = choice.theme_mode
+    db.commit()
+    db.refresh(current_user)
+    return serialize_user(current_user)
+
+
+def find_user_by_email(db: Session, email: str):
+    return db.query(User).filter(User.email == email).first()
+
+
+@router.post("/verify-email/resend", status_code=status.HTTP_202_ACCEPTED)
+def resend_verification(request: EmailRequest, db: Session = Depends(get_db)):
+    # Same reply whether or not the account exists, so emails cannot be probed
+    user = find_user_by_email(db, request.email)
+    if user and user.email_verified_at is None:
+        send_account_email(send_verification_email, db, user)
+    return {"detail": "If the account needs verifying, a new link was sent"}
+
+
+@router.get("/verify-email/{token}")
+def check_verification_link(token: str, db: Session = Depends(get_db)):
+    """valid, expired, used or invalid, so the app can explain a bad link."""
+    return {"state": token_state(db, token, VERIFY_EMAIL)[1]}
+
+
+@router.post("/verify-email/{token}")
+def verify_email(token: str, db: Session = Depends(get_db)):
+    user = consume_token(db, token, VERIFY_EMAIL)
+    user.email_verified_at = user.email_verified_at or datetime.utcnow()
+    db.commit()
+    return serialize_user(user)
+
+
+@router.post("/password-reset", status_code=status.HTTP_202_ACCEPTED)
+def request_password_reset(request: EmailRequest,
+                           db: Session = Depends(get_db)):
+    user = find_user_by_email(db, request.email)
+    if user:
+        send_account_email(send_password_reset_email, db, user)
+    return {"detail": "If an account uses this email, a reset link was sent"}
+
+
+@router.get("/password-reset/{token}")
+def check_password_reset_link(token: str, db: Session = Depends(get_db)):
+    return {"state": token_state(db, token, RESET_PASSWORD)[1]}
+
+
+@router.post("/password-reset/{token}")
+def reset_password(token: str, reset: PasswordReset,
+                   db: Session = Depends(get_db)):
+    user = consume_token(db, token, RESET_PASSWORD)
+    user.hashed_password = hash_password(reset.password)
+    # Signs out every session, including one opened with the old password
+    user.token_version += 1
+    # The emailed link proves the address, as verification would
+    user.email_verified_at = user.email_verified_at or datetime.utcnow()
+    db.commit()
+    return serialize_user(user)
@@ -0,0 +1,36 @@
+import os
+import sys
+import tempfile
+
+# Configure the app before its modules read the environment
+_data_dir = tempfile.mkdtemp()
+os.environ["DATABASE_URL"] = f"sqlite:///{os.path.join(_data_dir, 'test.db')}"
+os.environ["MAILER"] = "memory"
+os.environ["REQUIRE_EMAIL_VERIFICATION"] = "true"
+# The backend imports its modules by bare name, as when served from here
+sys.path.insert(0, os.path.dirname(__file__))
+
+import pytest  # noqa: E402
+from fastapi import FastAPI  # noqa: E402
+from fastapi.testclient import TestClient  # noqa: E402
+import mailer  # noqa: E402
+from auth import router as auth_router  # noqa: E402
+from database import Base, engine, init_db  # noqa: E402
+
+
+@pytest.fixture
+def client():
+    """The account endpoints over a fresh database."""
+    Base.metadata.drop_all(bind=engine)
+    init_db()
+    app = FastAPI()
+    app.include_router(auth_router)
+    with TestClient(app) as test_client:
+        yield test_client
+
+
+@pytest.fixture
+def outbox():
+    """Emails sent during the test, oldest first."""
+    mailer.mailer.outbox.clear()
+    return mailer.mailer.outbox
@@ -0,0 +1,171 @@
+import os
+from datetime import datetime
+from sqlalchemy import (create_engine, inspect, text, Column, Integer, String,
+                        DateTime, Date, Float, JSON, ForeignKey, Text)
+from sqlalchemy.orm import declarative_base, sessionmaker, relationship
+
+DATABASE_URL = os.getenv("DATABASE_URL", "sqlite:///./app.db")
+
+engine = create_engine(
+    DATABASE_URL,
+    # SQLite connections are shared across FastAPI's worker threads
+    connect_args={"check_same_thread": False}
+    if DATABASE_URL.startswith("sqlite") else {},
+)
+SessionLocal = sessionmaker(autocommit=False, autoflush=False, bind=engine)
+Base = declarative_base()
+
+
+class User(Base):
+    __tablename__ = "users"
+
+    id = Column(Integer, primary_key=True, index=True)
+    username = Column(String, unique=True, index=True, nullable=False)
+    email = Column(String, unique=True, index=True, nullable=False)
+    full_name = Column(String, nullable=False)
+    hashed_password = Column(String, nullable=False)
+    # Overrides the deployment's GRADING_SCHEME when set
+    grading_scheme = Column(String, nullable=True)
+    # Interface language (e.g. "hi"), restored on any device at login
+    language = Column(String, nullable=True)
+    # Light/dark/high-contrast theme, restored on any device at login
+    theme_mode = Column(String, nullable=True)
+    # Set once the user follows the link in the verification email
+    email_verified_at = Column(DateTime, nullable=True)
+    # Carried in each access token; a password reset bumps it, so tokens
+    # issued before the reset stop working
+    token_version = Column(Integer, nullable=False, default=0,
+                           server_default="0")
+    created_at = Column(DateTime, default=datetime.utcnow, nullable=False)
+
+
+class Screening(Base):
+    __tablename__ = "screenings"
+
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, ForeignKey("users.id"), nullable=False)
+    patient_id = Column(String, index=True, nullable=True)
+    eye = Column(String, nullable=True)  # "OD" (right) or "OS" (left)
+    capture_date = Column(Date, nullable=True)
+    image_path = Column(String, nullable=False)
+    original_filename = Column(String, nullable=True)
+    predicted_class = Column(Integer, index=True, nullable=False)
+    confidence = Column(Float, nullable=False)
+    probabilities = Column(JSON, nullable=False)
+    class_names = Column(JSON, nullable=False)
+    model_version = Column(String, nullable=True)
+    # Per-model votes when graded by the ensemble
+    ensemble = Column(JSON, nullable=True)
+    # Per-class spread and score from test-time augmentation, when requested
+    uncertainty = Column(JSON, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow, nullable=False)
+
+    user = relationship("User")
+    # Append-only audit trail; the latest review holds the final grade
+    reviews = relationship("GraderReview", back_populates="screening",
+                           order_by="GraderReview.created_at")
+
+
+class GraderReview(Base):
+    __tablename__ = "grader_reviews"
+
+    id = Column(Integer, primary_key=True, index=True)
+    screening_id = Column(Integer, ForeignKey("screenings.id"), index=True,
+                          nullable=False)
+    grader_id = Column(Integer, ForeignKey("users.id"), nullable=False)
+    final_grade = Column(Integer, nullable=False)
+    findings = Column(Text, nullable=True)
+    lesions = Column(JSON, nullable=False, default=list)
+    # Maculopathy grade (e.g. NHS M0/M1) for schemes that record one
+    maculopathy = Column(String, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow, nullable=False)
+
+    screening = relationship("Screening", back_populates="reviews")
+    grader = relationship("User")
+
+
+class AccountToken(Base):
+    """Single-use emailed link for verifying an email or resetting a
+    password. Only a hash of the token is stored."""
+    __tablename__ = "account_tokens"
+
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, ForeignKey("users.id"), index=True,
+                     nullable=False)
+    # verify_email or reset_password
+    purpose = Column(String, nullable=False)
+    token_hash = Column(String, unique=True, index=True, nullable=False)
+    expires_at = Column(DateTime, nullable=False)
+    used_at = Column(DateTime, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow, nullable=False)
+
+    user = relationship("User")
+
+
+class Job(Base):
+    """A /jobs submission, graded in the background by the job worker."""
+    __tablename__ = "jobs"
+
+    id = Column(String, primary_key=True)
+    user_id = Column(Integer, ForeignKey("users.id"), index=True,
+                     nullable=False)
+    # queued, running, done or failed
+    status = Column(String, index=True, nullable=False, default="queued")
+    filename = Column(String, nullable=True)
+    # The uploaded image until the job finishes
+    upload_path = Column(String, nullable=True)
+    # Form fields of the submission (patient, eye, model, explain, ...)
+    options = Column(JSON, nullable=False, default=dict)
+    # Same shape /predict returns, once done
+    result = Column(JSON, nullable=True)
+    error = Column(Text, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow, nullable=False)
+    started_at = Column(DateTime, nullable=True)
+    finished_at = Column(DateTime, nullable=True)
+
+    user = relationship("User")
+
+
+def add_missing_columns():
+    """create_all never alters an existing table, so columns added to a model
+    since the database was created are added here. Returns them as
+    "table.column"."""
+    inspector = inspect(engine)
+    added = []
+    with engine.begin() as conn:
+        for table in Base.metadata.sorted_tables:
+            if not inspector.has_table(table.name):
+                continue
+            existing = {column["name"]
+                        for column in inspector.get_columns(table.name)}
+            for column in table.columns:
+                if column.name in existing:
+                    continue
+                ddl = (f"ALTER TABLE {table.name} ADD COLUMN {column.name} "
+                       f"{column.type.compile(dialect=engine.dialect)}")
+                # Existing rows need a value for a NOT NULL column
+                if column.server_default is not None:
+                    ddl += f" DEFAULT {column.server_default.arg}"
+                    if not column.nullable:
+                        ddl += " NOT NULL"
+                conn.execute(text(ddl))
+                added.append(f"{table.name}.{column.name}")
+    return added
+
+
+def init_db():
+    added = add_missing_columns()
+    Base.metadata.create_all(bind=engine)
+    if "users.email_verified_at" in added:
+        # Accounts from before email verification keep signing in
+        with engine.begin() as conn:
+            conn.execute(text("UPDATE users SET email_verified_at = "
+                              "created_at WHERE email_verified_at IS NULL"))
+
+
+def get_db():
+    db = SessionLocal()
+    try:
+        yield db
+    finally:
+        db.close()
@@ -0,0 +1,50 @@
+import torch
+import torch.nn.functional as F
+from model_copies import private_copy
+
+
+def grad_cam(model, input_batch, target_class=None):
+    """Grad-CAM relevance map over the last EfficientNet feature map
+    (7x7 for a 224x224 input), normalised to 0-1.
+
+    The GAT nodes are built from the globally pooled feature vector, so their
+    attention carries no spatial position; the convolutional features do.
+    Runs on a private copy of the model, one map at a time, so the hook never
+    fires for other requests.
+    """
+    explainer, lock = private_copy(model, "grad-cam")
+    with lock:
+        return _grad_cam(explainer, input_batch, target_class)
+
+
+def _grad_cam(model, input_batch, target_class):
+    activations = {}
+
+    def save_features(module, inputs, output):
+        output.retain_grad()
+        activations["features"] = output
+
+    handle = model.efficientnet.features.register_forward_hook(save_features)
+    try:
+        with torch.enable_grad():
+            output = model(input_batch)
+            if target_class is None:
+                target_class = output[0].argmax().item()
+            model.zero_grad()
+            output[0, target_class].backward()
+    finally:
+        handle.remove()
+
+    features = activations["features"]
+    # Channel weights are the spatially averaged gradients
+    weights = features.grad.mean(dim=(2, 3), keepdim=True)
+    cam = F.relu((weights * features).sum(dim=1))[0]
+    cam = cam - cam.min()
+    if cam.max() > 0:
+        cam = cam / cam.max()
+
+    return {
+        "method": "grad-cam",
+        "target_class": target_class,
+        "grid": cam.detach().cpu().numpy().round(4).tolist(),
+    }
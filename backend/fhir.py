@@ -0,0 +1,231 @@
+import base64
+import mimetypes
+import os
+import uuid
+from database import Screening
+
+# Base URL for this deployment's code systems (DR grades have no standard code set)
+FHIR_SYSTEM_BASE = os.getenv("FHIR_SYSTEM_BASE",
+                             "https://dr-classifier.local/fhir")
+GRADE_SYSTEM = f"{FHIR_SYSTEM_BASE}/CodeSystem/dr-grade"
+OBSERVATION_SYSTEM = f"{FHIR_SYSTEM_BASE}/CodeSystem/dr-observation"
+PATIENT_ID_SYSTEM = f"{FHIR_SYSTEM_BASE}/NamingSystem/patient-id"
+SNOMED = "http://snomed.info/sct"
+UCUM = "http://unitsofmeasure.org"
+
+# SNOMED CT body structures for the imaged eye
+EYE_BODY_SITES = {
+    "OD": {"system": SNOMED, "code": "18944008",
+           "display": "Right eye structure"},
+    "OS": {"system": SNOMED, "code": "8966001",
+           "display": "Left eye structure"},
+}
+
+
+def _reference(resource):
+    return {"reference": resource["fullUrl"]}
+
+
+def _entry(resource):
+    return {"fullUrl": f"urn:uuid:{uuid.uuid4()}", "resource": resource}
+
+
+def _subject(screening: Screening):
+    if not screening.patient_id:
+        return {"display": "Unidentified patient"}
+    return {"identifier": {"system": PATIENT_ID_SYSTEM,
+                           "value": screening.patient_id}}
+
+
+def _timestamp(value):
+    return value.isoformat() + "Z"
+
+
+def _grade_concept(screening: Screening, grade: int):
+    return {
+        "coding": [{
+            "system": GRADE_SYSTEM,
+            "code": str(grade),
+            "display": screening.class_names[grade],
+        }],
+        "text": f"Grade {grade}: {screening.class_names[grade]}",
+    }
+
+
+def _grade_code(text: str):
+    return {
+        "coding": [{
+            "system": OBSERVATION_SYSTEM,
+            "code": "dr-grade",
+            "display": "Diabetic retinopathy severity grade",
+        }],
+        "text": text,
+    }
+
+
+def _imaging_category():
+    return [{"coding": [{
+        "system": "http://terminology.hl7.org/CodeSystem/"
+                  "observation-category",
+        "code": "imaging",
+        "display": "Imaging",
+    }]}]
+
+
+def _review_entries(screening: Screening, review, subject, effective,
+                    body_site, derived_from):
+    """The grader as a Practitioner and their final grade as an
+    Observation."""
+    practitioner_entry = _entry({
+        "resourceType": "Practitioner",
+        "identifier": [{"system": f"{FHIR_SYSTEM_BASE}/user",
+                        "value": str(review.grader_id)}],
+        "name": [{"text": review.grader.full_name}],
+    })
+    observation = {
+        "resourceType": "Observation",
+        "status": "final",
+        "category": _imaging_category(),
+        "code": _grade_code(
+            "Diabetic retinopathy severity grade (grader)"),
+        "subject": subject,
+        "effectiveDateTime": effective,
+        "issued": _timestamp(review.created_at),
+        "performer": [_reference(practitioner_entry)],
+        "valueCodeableConcept": _grade_concept(screening,
+                                               review.final_grade),
+        "method": {"text": "Grader review of the AI result"
+                   if review.final_grade == screening.predicted_class
+                   else "Grader override of the AI result"},
+        "component": [
+            {"code": {"text": "Lesion present"}, "valueString": lesion}
+            for lesion in review.lesions or []
+        ],
+        "derivedFrom": derived_from,
+    }
+    if review.maculopathy:
+        observation["component"].append({"code": {"text": "Maculopathy"},
+                                         "valueString": review.maculopathy})
+    if not observation["component"]:
+        del observation["component"]
+    if review.findings:
+        observation["note"] = [{"text": review.findings}]
+    if body_site:
+        observation["bodySite"] = {"coding": [body_site]}
+    return practitioner_entry, _entry(observation)
+
+
+def screening_to_fhir(screening: Screening, include_image=True):
+    """Build a FHIR R4 Bundle with a DiagnosticReport, its Observations and
+    the fundus image as Media. Once a grader has reviewed the screening the
+    report is final and concludes with their grade; the AI grade stays as a
+    preliminary Observation of its own."""
+    grade_concept = _grade_concept(screening, screening.predicted_class)
+    subject = _subject(screening)
+    effective = screening.capture_date.isoformat() \
+        if screening.capture_date else _timestamp(screening.created_at)
+    body_site = EYE_BODY_SITES.get(screening.eye)
+
+    media = {
+        "resourceType": "Media",
+        "status": "completed",
+        "type": {"coding": [{
+            "system": "http://terminology.hl7.org/CodeSystem/media-type",
+            "code": "image",
+            "display": "Image",
+        }]},
+        "subject": subject,
+        "createdDateTime": effective,
+        "content": {
+            "contentType": mimetypes.guess_type(screening.image_path)[0]
+            or "image/jpeg",
+            "title": screening.original_filename,
+        },
+    }
+    if body_site:
+        media["bodySite"] = {"coding": [body_site]}
+    if include_image and os.path.exists(screening.image_path):
+        with open(screening.image_path, "rb") as f:
+            media["content"]["data"] = base64.b64encode(f.read()).decode()
+    media_entry = _entry(media)
+
+    observation = {
+        "resourceType": "Observation",
+        "status": "preliminary",
+        "category": _imaging_category(),
+        "code": _grade_code("Diabetic retinopathy severity grade (AI)"),
+        "subject": subject,
+        "effectiveDateTime": effective,
+        "issued": _timestamp(screening.created_at),
+        "valueCodeableConcept": grade_concept,
+        "method": {"text": "Automated fundus image classification"},
+        "device": {"display": f"DR classifier {screening.model_version}"
+                   if screening.model_version else "DR classifier"},
+        "component": [
+            {
+                "code": {
+                    "coding": [{
+                        "system": OBSERVATION_SYSTEM,
+                        "code": f"probability-grade-{idx}",
+                        "display": f"Probability of {name}",
+                    }],
+                },
+                "valueQuantity": {
+                    "value": round(probability * 100, 2),
+                    "unit": "%",
+                    "system": UCUM,
+                    "code": "%",
+                },
+            }
+            for idx, (name, probability) in enumerate(
+                zip(screening.class_names, screening.probabilities))
+        ],
+        "derivedFrom": [_reference(media_entry)],
+    }
+    if body_site:
+        observation["bodySite"] = {"coding": [body_site]}
+    observation_entry = _entry(observation)
+
+    report = {
+        "resourceType": "DiagnosticReport",
+        "identifier": [{"system": f"{FHIR_SYSTEM_BASE}/screening",
+                        "value": str(screening.id)}],
+        "status": "preliminary",
+        "code": {"text": "Diabetic retinopathy screening"},
+        "subject": subject,
+        "effectiveDateTime": effective,
+        "issued": _timestamp(screening.created_at),
+        "result": [_reference(observation_entry)],
+        "media": [{"comment": screening.eye or "Fundus image",
+                   "link": _reference(media_entry)}],
+        "conclusion": grade_concept["text"],
+        "conclusionCode": [grade_concept],
+    }
+    review_entries = []
+
+    # The latest review holds the final grade
+    review = screening.reviews[-1] if screening.reviews else None
+    if review:
+        practitioner_entry, final_entry = _review_entries(
+            screening, review, subject, effective, body_site,
+            [_reference(observation_entry), _reference(media_entry)])
+        final_concept = final_entry["resource"]["valueCodeableConcept"]
+        report.update({
+            "status": "final",
+            "issued": _timestamp(review.created_at),
+            "resultsInterpreter": [_reference(practitioner_entry)],
+            "result": [_reference(final_entry),
+                       _reference(observation_entry)],
+            "conclusion": final_concept["text"],
+            "conclusionCode": [final_concept],
+        })
+        review_entries = [final_entry, practitioner_entry]
+    report_entry = _entry(report)
+
+    return {
+        "resourceType": "Bundle",
+        "type": "collection",
+        "timestamp": _timestamp(screening.created_at),
+        "entry": [report_entry, *review_entries, observation_entry,
+                  media_entry],
+    }
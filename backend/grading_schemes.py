@@ -0,0 +1,390 @@
+import os
+from typing import Optional
+from fastapi import APIRouter, Depends, HTTPException
+from pydantic import BaseModel
+from sqlalchemy.orm import Session
+from database import User, get_db
+from auth import get_current_user, serialize_user
+
+# Each model output carries an ordinal ICDR-style grade (0 = no DR, see
+# model_metadata.py). A grading scheme is data: its own grades (label,
+# description, color, guidance, recall) and `class_map`, the scheme grade code
+# for each ordinal grade. A model may report fewer grades than a scheme maps
+# (e.g. a two-class referable model); the registry refuses one whose grades a
+# scheme does not cover.
+# `referral` is "none", "routine" or "urgent"; `recall_months` applies when
+# no referral is needed.
+SCHEMES = {
+    "icdr": {
+        "id": "icdr",
+        "name": "International Clinical DR Severity Scale (ICDR)",
+        "grades": [
+            {
+                "code": "0",
+                "label": "Grade 0",
+                "description": "No DR detected",
+                "severity": 0,
+                "color": "#4CAF50",
+                "referral": "none",
+                "recall_months": 12,
+                "recommendation":
+                    "No referral needed. Re-screen in 12 months.",
+                "summary":
+                    "No visible signs of diabetic retinopathy detected. "
+                    "Regular annual screening is recommended to monitor "
+                    "for any changes.",
+                "significance":
+                    "Low risk. Continue with regular monitoring. Maintain "
+                    "good blood sugar control and follow healthy lifestyle "
+                    "practices.",
+            },
+            {
+                "code": "1",
+                "label": "Grade 1",
+                "description": "Mild Non-proliferative DR",
+                "severity": 1,
+                "color": "#8BC34A",
+                "referral": "none",
+                "recall_months": 9,
+                "recommendation":
+                    "No referral needed. Re-screen in 9-12 months.",
+                "summary":
+                    "Mild non-proliferative diabetic retinopathy (NPDR) "
+                    "shows minimal vascular changes. At this early stage, "
+                    "there are small areas of balloon-like swelling in the "
+                    "retina's blood vessels called microaneurysms.",
+                "significance":
+                    "Low risk for vision loss. Control blood sugar, blood "
+                    "pressure, and cholesterol. Follow-up examination in "
+                    "9-12 months is recommended.",
+            },
+            {
+                "code": "2",
+                "label": "Grade 2",
+                "description": "Moderate Non-proliferative DR",
+                "severity": 2,
+                "color": "#FFC107",
+                "referral": "routine",
+                "recall_months": None,
+                "recommendation":
+                    "Routine referral to an ophthalmologist. Review within "
+                    "3-6 months.",
+                "summary":
+                    "Moderate non-proliferative diabetic retinopathy shows "
+                    "progression with increased microaneurysms, dot and blot "
+                    "hemorrhages, and hard exudates. Some blood vessels that "
+                    "nourish the retina are blocked.",
+                "significance":
+                    "Moderate risk. More careful control of diabetes is "
+                    "needed. Patients should be monitored more frequently, "
+                    "typically every 6-8 months.",
+            },
+            {
+                "code": "3",
+                "label": "Grade 3",
+                "description": "Severe Non-proliferative DR",
+                "severity": 3,
+                "color": "#FF9800",
+                "referral": "urgent",
+                "recall_months": None,
+                "recommendation":
+                    "Urgent referral to a retina specialist. Review within "
+                    "4 weeks.",
+                "summary":
+                    "Severe non-proliferative diabetic retinopathy is "
+                    "characterized by many blocked blood vessels, depriving "
+                    "several areas of the retina of blood supply. These "
+                    "areas secrete growth factors that signal the retina to "
+                    "grow new blood vessels.",
+                "significance":
+                    "High risk for progression to PDR. Close monitoring "
+                    "every 3-4 months is essential. Consultation with a "
+                    "retina specialist is recommended.",
+            },
+            {
+                "code": "4",
+                "label": "Grade 4",
+                "description": "Proliferative DR",
+                "severity": 4,
+                "color": "#F44336",
+                "referral": "urgent",
+                "recall_months": None,
+                "recommendation":
+                    "Immediate referral to a retina specialist for "
+                    "treatment assessment.",
+                "summary":
+                    "Proliferative diabetic retinopathy (PDR) is advanced "
+                    "and very serious. New abnormal blood vessels grow in "
+                    "the retina and into the vitreous humor. These vessels "
+                    "can leak, causing severe vision loss and even "
+                    "blindness.",
+                "significance":
+                    "Very high risk for severe vision loss. Immediate "
+                    "consultation with a retina specialist is required. "
+                    "Treatments may include laser photocoagulation, "
+                    "anti-VEGF injections, or vitrectomy.",
+            },
+        ],
+        "class_map": ["0", "1", "2", "3", "4"],
+    },
+    # ETDRS levels are finer than the model's classes, so moderate NPDR and
+    # PDR are reported as level ranges
+    "etdrs": {
+        "id": "etdrs",
+        "name": "ETDRS Final Retinopathy Severity Scale",
+        "grades": [
+            {
+                "code": "10",
+                "label": "Level 10",
+                "description": "DR absent",
+                "severity": 0,
+                "color": "#4CAF50",
+                "referral": "none",
+                "recall_months": 12,
+                "recommendation": "No referral needed. Re-screen in 12 "
+                                  "months.",
+                "summary": "No diabetic retinopathy lesions are present.",
+                "significance": "Low risk. Continue annual screening.",
+            },
+            {
+                "code": "20",
+                "label": "Level 20",
+                "description": "Microaneurysms only",
+                "severity": 1,
+                "color": "#8BC34A",
+                "referral": "none",
+                "recall_months": 12,
+                "recommendation": "No referral needed. Re-screen in 12 "
+                                  "months.",
+                "summary": "Microaneurysms are the only retinal lesions.",
+                "significance":
+                    "Low risk of progression within a year. Optimise "
+                    "glycaemic and blood pressure control.",
+            },
+            {
+                "code": "35-47",
+                "label": "Levels 35-47",
+                "description": "Mild to moderately severe NPDR",
+                "severity": 2,
+                "color": "#FFC107",
+                "referral": "routine",
+                "recall_months": None,
+                "recommendation":
+                    "Routine referral to an ophthalmologist. Review within "
+                    "6 months.",
+                "summary":
+                    "Hemorrhages, hard exudates, cotton wool spots or venous "
+                    "beading beyond microaneurysms alone, short of the "
+                    "severe NPDR criteria.",
+                "significance":
+                    "Risk of progression to PDR rises across these levels; "
+                    "closer follow-up is needed.",
+            },
+            {
+                "code": "53",
+                "label": "Level 53",
+                "description": "Severe or very severe NPDR",
+                "severity": 3,
+                "color": "#FF9800",
+                "referral": "urgent",
+                "recall_months": None,
+                "recommendation":
+                    "Urgent referral to a retina specialist. Review within "
+                    "4 weeks.",
+                "summary":
+                    "Meets the 4-2-1 rule: extensive hemorrhages in four "
+                    "quadrants, venous beading in two, or IRMA in one.",
+                "significance":
+                    "About half of eyes progress to PDR within a year. "
+                    "Consider early treatment.",
+            },
+            {
+                "code": "61-85",
+                "label": "Levels 61-85",
+                "description": "Proliferative DR",
+                "severity": 4,
+                "color": "#F44336",
+                "referral": "urgent",
+                "recall_months": None,
+                "recommendation":
+                    "Immediate referral to a retina specialist for "
+                    "treatment assessment.",
+                "summary":
+                    "New vessels on the disc or elsewhere, from mild PDR "
+                    "(61) to advanced PDR with vitreous hemorrhage or "
+                    "retinal detachment (85).",
+                "significance":
+                    "High risk of severe vision loss. Panretinal "
+                    "photocoagulation or anti-VEGF treatment is indicated.",
+            },
+        ],
+        "class_map": ["10", "20", "35-47", "53", "61-85"],
+    },
+    # English NHS Diabetic Eye Screening Programme. Maculopathy (M0/M1) is
+    # not predicted by the model and is recorded by the grader.
+    "nhs": {
+        "id": "nhs",
+        "name": "NHS Diabetic Eye Screening (R0-R3, M0-M1)",
+        "grades": [
+            {
+                "code": "R0",
+                "label": "R0",
+                "description": "No retinopathy",
+                "severity": 0,
+                "color": "#4CAF50",
+                "referral": "none",
+                "recall_months": 12,
+                "recommendation": "Routine digital screening in 12 months.",
+                "summary": "No diabetic retinopathy is visible.",
+                "significance": "Remain in the annual screening programme.",
+            },
+            {
+                "code": "R1",
+                "label": "R1",
+                "description": "Background retinopathy",
+                "severity": 1,
+                "color": "#8BC34A",
+                "referral": "none",
+                "recall_months": 12,
+                "recommendation": "Routine digital screening in 12 months.",
+                "summary":
+                    "Microaneurysms, retinal hemorrhages, venous loops or "
+                    "exudates without pre-proliferative features.",
+                "significance":
+                    "Inform the diabetes care team; optimise glycaemic and "
+                    "blood pressure control.",
+            },
+            {
+                "code": "R2",
+                "label": "R2",
+                "description": "Pre-proliferative retinopathy",
+                "severity": 3,
+                "color": "#FF9800",
+                "referral": "routine",
+                "recall_months": None,
+                "recommendation":
+                    "Routine referral to hospital eye services, seen within "
+                    "13 weeks.",
+                "summary":
+                    "Venous beading or reduplication, IRMA, or multiple "
+                    "deep, round or blot hemorrhages.",
+                "significance":
+                    "Needs ophthalmology surveillance for progression to "
+                    "proliferative disease.",
+            },
+            {
+                "code": "R3",
+                "label": "R3",
+                "description": "Proliferative retinopathy",
+                "severity": 4,
+                "color": "#F44336",
+                "referral": "urgent",
+                "recall_months": None,
+                "recommendation":
+                    "Urgent referral to hospital eye services, seen within "
+                    "2 weeks.",
+                "summary":
+                    "New vessels on the disc or elsewhere, pre-retinal or "
+                    "vitreous hemorrhage, or pre-retinal fibrosis.",
+                "significance":
+                    "High risk of severe vision loss without treatment.",
+            },
+        ],
+        # ICDR moderate NPDR without severe features is R1 in the NHS scheme
+        "class_map": ["R0", "R1", "R1", "R2", "R3"],
+        "maculopathy": [
+            {"code": "M0", "description": "No maculopathy"},
+            {"code": "M1",
+             "description": "Maculopathy (exudate or hemorrhage within one "
+                            "disc diameter of the fovea); routine referral"},
+        ],
+    },
+}
+
+DEFAULT_SCHEME = os.getenv("GRADING_SCHEME", "icdr")
+if DEFAULT_SCHEME not in SCHEMES:
+    raise RuntimeError(f"Unknown GRADING_SCHEME: {DEFAULT_SCHEME}")
+
+router = APIRouter(prefix="/grading-schemes")
+
+
+def scheme_for_user(user: User):
+    """A user's own choice when set, otherwise the deployment default."""
+    return SCHEMES.get(user.grading_scheme) or SCHEMES[DEFAULT_SCHEME]
+
+
+def schemes_missing_grades(grades):
+    """Ids of the schemes whose class_map has no entry for one of the given
+    ordinal grades."""
+    return [scheme["id"] for scheme in SCHEMES.values()
+            if any(grade >= len(scheme["class_map"]) for grade in grades)]
+
+
+def grade_for_class(scheme: dict, class_index: int):
+    # Output classes are listed by ordinal grade from 0, so a class index is
+    # its grade (model_metadata.py enforces this)
+    code = scheme["class_map"][class_index]
+    return next(grade for grade in scheme["grades"]
+                if grade["code"] == code)
+
+
+def classes_for_grade(scheme: dict, code: str):
+    """Model output classes reported as the given scheme grade."""
+    classes = [idx for idx, mapped in enumerate(scheme["class_map"])
+               if mapped == code]
+    if not classes:
+        raise HTTPException(status_code=422,
+                            detail=f"Grade {code} is not part of the "
+                                   f"{scheme['name']} scheme")
+    return classes
+
+
+def apply_scheme(result: dict, scheme: dict):
+    """Adds the scheme grade for the predicted class to a model result."""
+    grade = grade_for_class(scheme, result["class"])
+    return {**result, "grading": {
+        "scheme": scheme["id"],
+        "grade": grade["code"],
+        "label": grade["label"],
+        "description": grade["description"],
+        "referral": grade["referral"],
+        "recall_months": grade["recall_months"],
+    }}
+
+
+def validate_maculopathy(scheme: dict, maculopathy: Optional[str]):
+    if maculopathy is None:
+        return None
+    codes = [grade["code"] for grade in scheme.get("maculopathy", [])]
+    if maculopathy not in codes:
+        raise HTTPException(status_code=422,
+                            detail="Maculopathy grade is not part of the "
+                                   f"{scheme['name']} scheme")
+    return maculopathy
+
+
+class SchemeChoice(BaseModel):
+    # None returns the user to the deployment default
+    scheme: Optional[str] = None
+
+
+@router.get("")
+def list_grading_schemes(current_user: User = Depends(get_current_user)):
+    return {
+        "default": DEFAULT_SCHEME,
+        "active": scheme_for_user(current_user)["id"],
+        "schemes": list(SCHEMES.values()),
+    }
+
+
+@router.put("/active")
+def choose_grading_scheme(choice: SchemeChoice,
+                          db: Session = Depends(get_db),
+                          current_user: User = Depends(get_current_user)):
+    if choice.scheme is not None and choice.scheme not in SCHEMES:
+        raise HTTPException(status_code=422,
+                            detail=f"Unknown grading scheme: {choice.scheme}")
+    current_user.grading_scheme = choice.scheme
+    db.commit()
+    db.refresh(current_user)
+    return serialize_user(current_user)
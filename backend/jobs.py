@@ -0,0 +1,249 @@
+import asyncio
+import json
+import logging
+import os
+import queue
+import threading
+import time
+import uuid
+from datetime import datetime, timedelta
+from typing import Callable
+from fastapi import APIRouter, Depends, HTTPException
+from fastapi.responses import StreamingResponse
+from sqlalchemy.orm import Session
+from database import Job, SessionLocal, User, get_db
+from auth import get_current_user
+from screenings import UPLOAD_DIR, serialize_timestamp
+
+JOBS_DIR = os.path.join(UPLOAD_DIR, "jobs")
+FINISHED = ("done", "failed")
+# How often the event stream checks a job for changes, in seconds
+EVENT_POLL_INTERVAL = float(os.getenv("JOB_EVENT_POLL_INTERVAL", "0.5"))
+# Comment line sent while nothing changes so proxies keep the stream open
+KEEPALIVE_INTERVAL = 15
+# A job running longer than this, in seconds, is taken to have lost its
+# worker (a crash, deploy or reload) and is queued again; keep it above the
+# longest a job can take
+STALE_JOB_AFTER = int(os.getenv("JOB_STALE_AFTER", "900"))
+# How often the worker looks for such jobs, in seconds
+STALE_SWEEP_INTERVAL = 60
+
+logger = logging.getLogger(__name__)
+
+router = APIRouter(prefix="/jobs")
+
+_pending = queue.Queue()
+
+
+def serialize_job(job: Job):
+    return {
+        "id": job.id,
+        "status": job.status,
+        "filename": job.filename,
+        "patient_id": job.options.get("patient_id"),
+        "eye": job.options.get("eye"),
+        "capture_date": job.options.get("capture_date"),
+        "error": job.error,
+        "result": job.result,
+        "created_at": serialize_timestamp(job.created_at),
+        "started_at": serialize_timestamp(job.started_at)
+        if job.started_at else None,
+        "finished_at": serialize_timestamp(job.finished_at)
+        if job.finished_at else None,
+    }
+
+
+def create_job(db: Session, user: User, contents: bytes, filename: str,
+               options: dict):
+    """Stores the upload and queues it for the worker."""
+    os.makedirs(JOBS_DIR, exist_ok=True)
+    job_id = uuid.uuid4().hex
+    upload_path = os.path.join(JOBS_DIR, job_id)
+    with open(upload_path, "wb") as f:
+        f.write(contents)
+
+    job = Job(id=job_id, user_id=user.id, filename=filename,
+              upload_path=upload_path, options=options)
+    db.add(job)
+    db.commit()
+    db.refresh(job)
+    _pending.put(job.id)
+    return job
+
+
+def _claim_job(db: Session, job_id: str):
+    """Moves a queued job to running. The conditional UPDATE lets one worker
+    win when several processes hold the same job id."""
+    claimed = (db.query(Job)
+               .filter(Job.id == job_id, Job.status == "queued")
+               .update({Job.status: "running",
+                        Job.started_at: datetime.utcnow()},
+                       synchronize_session=False))
+    db.commit()
+    return claimed == 1
+
+
+def _run_job(handler: Callable, job_id: str):
+    db = SessionLocal()
+    try:
+        if not _claim_job(db, job_id):
+            return
+        job = db.get(Job, job_id)
+
+        try:
+            with open(job.upload_path, "rb") as f:
+                contents = f.read()
+            result, status, error = handler(db, job, contents), "done", None
+        except HTTPException as e:
+            db.rollback()
+            result, status, error = None, "failed", str(e.detail)
+        except Exception as e:
+            db.rollback()
+            result, status, error = None, "failed", str(e) or type(e).__name__
+        job.result, job.status, job.error = result, status, error
+        job.finished_at = datetime.utcnow()
+        db.commit()
+
+        # The screening keeps its own copy of the image
+        if os.path.exists(job.upload_path):
+            os.remove(job.upload_path)
+    except Exception:
+        db.rollback()
+        raise
+    finally:
+        db.close()
+
+
+def _fail_job(job_id: str, error: str):
+    """Marks a job failed from a fresh session after the worker itself
+    raised, so it does not stay queued or running."""
+    db = SessionLocal()
+    try:
+        (db.query(Job)
+         .filter(Job.id == job_id, Job.status.notin_(FINISHED))
+         .update({Job.status: "failed", Job.error: error,
+                  Job.finished_at: datetime.utcnow()},
+                 synchronize_session=False))
+        db.commit()
+    finally:
+        db.close()
+
+
+def _requeue_stale_jobs():
+    db = SessionLocal()
+    try:
+        stale = datetime.utcnow() - timedelta(seconds=STALE_JOB_AFTER)
+        job_ids = [job_id for (job_id,) in db.query(Job.id).filter(
+            Job.status == "running", Job.started_at < stale)]
+        for job_id in job_ids:
+            # Conditional, so only one process queues each job again
+            requeued = (db.query(Job)
+                        .filter(Job.id == job_id, Job.status == "running",
+                                Job.started_at < stale)
+                        .update({Job.status: "queued"},
+                                synchronize_session=False))
+            db.commit()
+            if requeued:
+                _pending.put(job_id)
+    finally:
+        db.close()
+
+
+def _work(handler: Callable):
+    next_sweep = 0.0
+    while True:
+        # Between jobs nothing runs in this process, so a stale job is one
+        # whose worker went away
+        if time.monotonic() >= next_sweep:
+            try:
+                _requeue_stale_jobs()
+            except Exception:
+                logger.exception("Could not queue stale jobs again")
+            next_sweep = time.monotonic() + STALE_SWEEP_INTERVAL
+        try:
+            job_id = _pending.get(timeout=STALE_SWEEP_INTERVAL)
+        except queue.Empty:
+            continue
+
+        # One bad job (or a locked database) must not stop the worker
+        try:
+            _run_job(handler, job_id)
+        except Exception as e:
+            logger.exception("Job %s failed in the worker", job_id)
+            try:
+                _fail_job(job_id, str(e) or type(e).__name__)
+            except Exception:
+                logger.exception("Could not mark job %s failed", job_id)
+
+
+def start_worker(handler: Callable):
+    """Starts the in-process worker thread that runs handler(db, job,
+    contents) for each job in turn and stores what it returns as the job's
+    result. Queued jobs are picked up again after a restart; running jobs
+    older than STALE_JOB_AFTER are queued again by the worker, which checks
+    every STALE_SWEEP_INTERVAL. With several server processes each job is
+    still claimed by only one of them."""
+    db = SessionLocal()
+    try:
+        unfinished = (db.query(Job.id).filter(Job.status == "queued")
+                      .order_by(Job.created_at).all())
+        for (job_id,) in unfinished:
+            _pending.put(job_id)
+    finally:
+        db.close()
+    threading.Thread(target=_work, args=(handler,), daemon=True,
+                     name="job-worker").start()
+
+
+def get_job_or_404(db: Session, job_id: str, user: User):
+    job = db.query(Job).filter(Job.id == job_id,
+                               Job.user_id == user.id).first()
+    if job is None:
+        raise HTTPException(status_code=404, detail="Job not found")
+    return job
+
+
+@router.get("")
+def list_jobs(limit: int = 20, db: Session = Depends(get_db),
+              current_user: User = Depends(get_current_user)):
+    """The user's most recent jobs, newest first."""
+    jobs = (db.query(Job).filter(Job.user_id == current_user.id)
+            .order_by(Job.created_at.desc()).limit(min(limit, 100)).all())
+    return [serialize_job(job) for job in jobs]
+
+
+@router.get("/{job_id}")
+def read_job(job_id: str, db: Session = Depends(get_db),
+             current_user: User = Depends(get_current_user)):
+    return serialize_job(get_job_or_404(db, job_id, current_user))
+
+
+@router.get("/{job_id}/events")
+async def job_events(job_id: str, db: Session = Depends(get_db),
+                     current_user: User = Depends(get_current_user)):
+    """Server-sent events carrying the job each time its status changes;
+    the stream ends once the job is done or failed."""
+    get_job_or_404(db, job_id, current_user)
+
+    async def stream():
+        last, idle = None, 0.0
+        while True:
+            # The worker commits from its own thread, so read a fresh session
+            session = SessionLocal()
+            try:
+                job = serialize_job(session.get(Job, job_id))
+            finally:
+                session.close()
+            if job["status"] != last:
+                last, idle = job["status"], 0.0
+                yield f"event: status\ndata: {json.dumps(job)}\n\n"
+            elif idle >= KEEPALIVE_INTERVAL:
+                idle = 0.0
+                yield ": keepalive\n\n"
+            if job["status"] in FINISHED:
+                return
+            await asyncio.sleep(EVENT_POLL_INTERVAL)
+            idle += EVENT_POLL_INTERVAL
+
+    return StreamingResponse(stream(), media_type="text/event-stream",
+                             headers={"Cache-Control": "no-cache"})
@@ -0,0 +1,75 @@
+import os
+import smtplib
+import uuid
+from email.message import EmailMessage
+
+# Which mailer sends account emails: "console" (default, prints them), "file"
+# (writes .eml files to MAIL_DIR), "memory" (keeps them in a list, for
+# tests) or "smtp". Point SMTP_HOST at a local sink
+# such as MailHog to see the emails without delivering them.
+MAILER = os.getenv("MAILER", "console")
+MAIL_FROM = os.getenv("MAIL_FROM", "no-reply@localhost")
+MAIL_DIR = os.getenv("MAIL_DIR", "mail")
+
+
+def build_message(to: str, subject: str, body: str):
+    message = EmailMessage()
+    message["From"] = MAIL_FROM
+    message["To"] = to
+    message["Subject"] = subject
+    message.set_content(body)
+    return message
+
+
+class ConsoleMailer:
+    def send(self, message: EmailMessage):
+        print(f"--- email ---\n{message}", flush=True)
+
+
+class FileMailer:
+    def __init__(self, directory: str = MAIL_DIR):
+        self.directory = directory
+
+    def send(self, message: EmailMessage):
+        os.makedirs(self.directory, exist_ok=True)
+        path = os.path.join(self.directory, f"{uuid.uuid4().hex}.eml")
+        with open(path, "wb") as f:
+            f.write(bytes(message))
+
+
+class MemoryMailer:
+    def __init__(self):
+        self.outbox = []
+
+    def send(self, message: EmailMessage):
+        self.outbox.append(message)
+
+
+class SMTPMailer:
+    def __init__(self):
+        self.host = os.getenv("SMTP_HOST", "localhost")
+        self.port = int(os.getenv("SMTP_PORT", "25"))
+        self.username = os.getenv("SMTP_USERNAME")
+        self.password = os.getenv("SMTP_PASSWORD")
+        self.starttls = os.getenv("SMTP_STARTTLS", "false").lower() == "true"
+
+    def send(self, message: EmailMessage):
+        with smtplib.SMTP(self.host, self.port, timeout=10) as smtp:
+            if self.starttls:
+                smtp.starttls()
+            if self.username:
+                smtp.login(self.username, self.password)
+            smtp.send_message(message)
+
+
+# Mailers MAILER can name; add another class with a send(message) method here
+MAILERS = {"console": ConsoleMailer, "file": FileMailer,
+           "memory": MemoryMailer, "smtp": SMTPMailer}
+
+if MAILER not in MAILERS:
+    raise RuntimeError(f"Unknown MAILER: {MAILER}")
+mailer = MAILERS[MAILER]()
+
+
+def send_email(to: str, subject: str, body: str):
+    mailer.send(build_message(to, subject, body))
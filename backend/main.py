@@ -1,73 +1,234 @@
-from fastapi import FastAPI, File, UploadFile, HTTPException
+from fastapi import FastAPI, File, UploadFile, HTTPException, Depends, Form
 from fastapi.middleware.cors import CORSMiddleware
 from fastapi.staticfiles import StaticFiles
 from PIL import Image
 import io
 import torch
 import torch.nn.functional as F
-from torchvision import transforms
 import numpy as np
 import os
-from model import EfficientNetGAT  # Import your model class
+from model_registry import (router as models_router, ENSEMBLE, device,
+                            class_names, resolve_models)
+from explain import grad_cam
+from uncertainty import sample_probabilities, summarize_samples
+from typing import Optional
+from sqlalchemy.orm import Session
+from database import User, init_db, get_db
+from auth import router as auth_router, get_current_user
+from screenings import (router as screenings_router, save_screening,
+                        parse_screening_metadata, serialize_timestamp)
+from grading_schemes import (router as grading_schemes_router,
+                             scheme_for_user, apply_scheme)
+from jobs import (router as jobs_router, create_job, serialize_job,
+                  start_worker)
 
 app = FastAPI()
+init_db()
+app.include_router(auth_router)
+app.include_router(screenings_router)
+app.include_router(grading_schemes_router)
+app.include_router(models_router)
+app.include_router(jobs_router)
 
-# Allow CORS for React development
+# Allow CORS for React development (comma-separated CORS_ORIGINS when deployed)
 app.add_middleware(
     CORSMiddleware,
-    allow_origins=["http://localhost:3000"],
+    allow_origins=os.getenv("CORS_ORIGINS", "http://localhost:3000").split(","),
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
 )
 
-# Load your trained model
-device = torch.device("cuda" if torch.cuda.is_available() else "cpu")
-model = EfficientNetGAT(num_classes=5).to(device)
-model.load_state_dict(torch.load(
-    "best_model.pth", map_location=device))
-model.eval()
+def run_model(entry: dict, image: Image.Image, uncertainty: bool = False):
+    """The preprocessed input and the softmax output of each pass: one plain
+    pass, or the augmented dropout-enabled passes when estimating
+    uncertainty."""
+    input_batch = entry["preprocess"](image).unsqueeze(0).to(device)
+    if uncertainty:
+        return input_batch, sample_probabilities(entry["model"], input_batch)
+    with torch.no_grad():
+        output = entry["model"](input_batch)
+    return input_batch, F.softmax(output, dim=1)
 
-# Image preprocessing
-preprocess = transforms.Compose([
-    transforms.Resize((224, 224)),
-    transforms.ToTensor(),
-    transforms.Normalize(mean=[0.485, 0.456, 0.406],
-                         std=[0.229, 0.224, 0.225]),
-])
 
-CLASS_NAMES = ["No DR", "Mild", "Moderate", "Severe", "Proliferative"]
+def ensemble_votes(entries, runs, predicted_class: int):
+    """Each member's own prediction, and whether any disagrees with the
+    averaged result."""
+    names = class_names(entries[0])
+    votes = []
+    for entry, (_, samples) in zip(entries, runs):
+        probabilities = samples.mean(dim=0)
+        confidence, vote = torch.max(probabilities, 0)
+        votes.append({
+            "model_id": entry["id"],
+            "name": entry["metadata"]["name"],
+            "version": entry["metadata"]["version"],
+            "class": vote.item(),
+            "class_name": names[vote.item()],
+            "confidence": confidence.item(),
+            "probabilities": probabilities.cpu().numpy().tolist(),
+        })
+    agreeing = sum(vote["class"] == predicted_class for vote in votes)
+    return {
+        "members": votes,
+        "agreement": agreeing / len(votes),
+        "disagreement": agreeing < len(votes),
+    }
 
 
-@app.post("/predict")
-async def predict(file: UploadFile = File(...)):
+def classify_image(contents: bytes, explain: bool = False,
+                   model_id: Optional[str] = None, uncertainty: bool = False):
+    entries = resolve_models(model_id)
     try:
         # Read and validate image
-        contents = await file.read()
         image = Image.open(io.BytesIO(contents)).convert("RGB")
 
-        # Preprocess and predict
-        input_tensor = preprocess(image)
-        input_batch = input_tensor.unsqueeze(0).to(device)
-
-        with torch.no_grad():
-            output = model(input_batch)
-
-        # Get probabilities and class
-        probabilities = F.softmax(output[0], dim=0)
+        # Preprocess and predict; an ensemble averages its members' outputs
+        runs = [run_model(entry, image, uncertainty) for entry in entries]
+        probabilities = torch.stack(
+            [samples.mean(dim=0) for _, samples in runs]
+        ).mean(dim=0)
         confidence, predicted_class = torch.max(probabilities, 0)
 
-        return {
+        names = class_names(entries[0])
+        versions = [entry["metadata"]["version"] for entry in entries]
+        result = {
             "class": predicted_class.item(),
-            "class_name": CLASS_NAMES[predicted_class.item()],
+            "class_name": names[predicted_class.item()],
             "confidence": confidence.item(),
             "probabilities": probabilities.cpu().numpy().tolist(),
-            "class_names": CLASS_NAMES
+            "class_names": names,
+            "model_id": ENSEMBLE if model_id == ENSEMBLE else entries[0]["id"],
+            "model_version": versions[0] if model_id != ENSEMBLE
+            else f"ensemble({', '.join(versions)})",
         }
+        if model_id == ENSEMBLE:
+            result["ensemble"] = ensemble_votes(entries, runs,
+                                                predicted_class.item())
+        if uncertainty:
+            # The spread covers every member's passes
+            result["uncertainty"] = summarize_samples(
+                torch.cat([samples for _, samples in runs]))
+        if explain:
+            # For an ensemble the relevance map is the first member's
+            result["relevance_map"] = grad_cam(entries[0]["model"], runs[0][0],
+                                               predicted_class.item())
+        return result
     except Exception as e:
         raise HTTPException(status_code=400, detail=str(e))
 
 
+def predict_and_save(db: Session, user: User, contents: bytes, filename: str,
+                     options: dict):
+    patient_id, eye, capture_date = parse_screening_metadata(
+        options.get("patient_id"), options.get("eye"),
+        options.get("capture_date"))
+    result = classify_image(contents, options.get("explain", False),
+                            options.get("model_id"),
+                            options.get("uncertainty", False))
+    graded = apply_scheme(result, scheme_for_user(user))
+
+    # Keep every prediction so it can be reviewed from the screening history
+    screening = save_screening(db, user, contents, filename, result,
+                               patient_id, eye, capture_date)
+    return {**graded,
+            "screening_id": screening.id,
+            "created_at": serialize_timestamp(screening.created_at)}
+
+
+start_worker(lambda db, job, contents: predict_and_save(
+    db, job.user, contents, job.filename, job.options))
+
+
+@app.post("/predict")
+async def predict(file: UploadFile = File(...),
+                  patient_id: Optional[str] = Form(None),
+                  eye: Optional[str] = Form(None),
+                  capture_date: Optional[str] = Form(None),
+                  explain: bool = Form(False),
+                  model_id: Optional[str] = Form(None),
+                  uncertainty: bool = Form(False),
+                  db: Session = Depends(get_db),
+                  current_user: User = Depends(get_current_user)):
+    contents = await file.read()
+    return predict_and_save(db, current_user, contents, file.filename, {
+        "patient_id": patient_id, "eye": eye, "capture_date": capture_date,
+        "explain": explain, "model_id": model_id, "uncertainty": uncertainty,
+    })
+
+
+@app.post("/jobs", status_code=202)
+async def submit_job(file: UploadFile = File(...),
+                     patient_id: Optional[str] = Form(None),
+                     eye: Optional[str] = Form(None),
+                     capture_date: Optional[str] = Form(None),
+                     explain: bool = Form(False),
+                     model_id: Optional[str] = Form(None),
+                     uncertainty: bool = Form(False),
+                     db: Session = Depends(get_db),
+                     current_user: User = Depends(get_current_user)):
+    """Same fields as /predict, graded in the background. Follow the
+    returned job with GET /jobs/{id}/events."""
+    # Reject bad metadata or an unknown model now rather than in the worker
+    parse_screening_metadata(patient_id, eye, capture_date)
+    resolve_models(model_id)
+    contents = await file.read()
+    job = create_job(db, current_user, contents, file.filename, {
+        "patient_id": patient_id, "eye": eye, "capture_date": capture_date,
+        "explain": explain, "model_id": model_id, "uncertainty": uncertainty,
+    })
+    return serialize_job(job)
+
+
+@app.post("/exams")
+async def examine_both_eyes(od: Optional[UploadFile] = File(None),
+                            os_file: Optional[UploadFile] = File(None,
+                                                                 alias="os"),
+                            patient_id: Optional[str] = Form(None),
+                            capture_date: Optional[str] = Form(None),
+                            model_id: Optional[str] = Form(None),
+                            db: Session = Depends(get_db),
+                            current_user: User = Depends(get_current_user)):
+    patient_id, _, capture_date = parse_screening_metadata(
+        patient_id, None, capture_date)
+    resolve_models(model_id)  # rejects an unknown model before reading files
+    images = {"OD": od, "OS": os_file}
+    if not any(images.values()):
+        raise HTTPException(status_code=422,
+                            detail="Upload an image for at least one eye")
+
+    # Classify and grade both eyes before saving so a bad image does not
+    # leave half an exam
+    scheme = scheme_for_user(current_user)
+    classified = {}
+    for eye, upload in images.items():
+        if upload is None:
+            continue
+        contents = await upload.read()
+        try:
+            result = classify_image(contents, model_id=model_id)
+        except HTTPException as e:
+            raise HTTPException(status_code=400,
+                                detail=f"{eye}: {e.detail}")
+        classified[eye] = (upload, contents, result,
+                           apply_scheme(result, scheme))
+
+    eyes = {"OD": None, "OS": None}
+    for eye, (upload, contents, result, graded) in classified.items():
+        screening = save_screening(db, current_user, contents,
+                                   upload.filename, result, patient_id, eye,
+                                   capture_date)
+        eyes[eye] = {**graded,
+                     "screening_id": screening.id,
+                     "created_at": serialize_timestamp(screening.created_at)}
+
+    return {
+        "patient_id": patient_id,
+        "capture_date": capture_date.isoformat() if capture_date else None,
+        "eyes": eyes,
+    }
+
+
 @app.get("/")
 def read_root():
     return {"message": "Retinal DR Classification API"}
@@ -0,0 +1,21 @@
+import copy
+import threading
+
+# Request threads and the job worker run the served models at the same time,
+# so anything that changes a module's mode or attaches hooks to it works on a
+# private copy instead, made on first use and kept. Copies by (purpose, model).
+_copies = {}
+_copies_lock = threading.Lock()
+
+
+def private_copy(model, purpose: str, prepare=None):
+    """The model's copy for `purpose` (after `prepare(copy)` on creation) and
+    a lock for callers that must not share it while running."""
+    key = (purpose, id(model))
+    with _copies_lock:
+        if key not in _copies:
+            duplicate = copy.deepcopy(model)
+            if prepare:
+                prepare(duplicate)
+            _copies[key] = (duplicate, threading.Lock())
+        return _copies[key]
@@ -0,0 +1,50 @@
+import hashlib
+import json
+import os
+
+# Outputs of the bundled checkpoint, from no DR (grade 0) upward
+DEFAULT_CLASSES = [
+    {"name": "No DR", "grade": 0,
+     "description": "No diabetic retinopathy"},
+    {"name": "Mild", "grade": 1,
+     "description": "Mild non-proliferative DR (microaneurysms only)"},
+    {"name": "Moderate", "grade": 2,
+     "description": "Moderate non-proliferative DR"},
+    {"name": "Severe", "grade": 3,
+     "description": "Severe non-proliferative DR"},
+    {"name": "Proliferative", "grade": 4,
+     "description": "Proliferative DR"},
+]
+
+
+def file_checksum(path: str):
+    digest = hashlib.sha256()
+    with open(path, "rb") as f:
+        for chunk in iter(lambda: f.read(1 << 20), b""):
+            digest.update(chunk)
+    return f"sha256:{digest.hexdigest()}"
+
+
+def load_model_metadata(weights_path: str, defaults: dict):
+    """Describes a checkpoint: `defaults`, overridden by a `<weights>.json`
+    file next to the weights when there is one."""
+    metadata = dict(defaults)
+    sidecar = os.path.splitext(weights_path)[0] + ".json"
+    if os.path.exists(sidecar):
+        with open(sidecar) as f:
+            metadata.update(json.load(f))
+
+    classes = [{"index": idx, **cls}
+               for idx, cls in enumerate(metadata["classes"])]
+    # Grading schemes map outputs by ordinal grade, so outputs must be listed
+    # from grade 0 upward
+    if [cls["grade"] for cls in classes] != list(range(len(classes))):
+        raise RuntimeError(f"{sidecar}: classes must be ordered by grade, "
+                           "starting at 0")
+
+    return {
+        **metadata,
+        "classes": classes,
+        "weights": os.path.basename(weights_path),
+        "checksum": file_checksum(weights_path),
+    }
@@ -0,0 +1,125 @@
+import glob
+import os
+from typing import Optional
+import torch
+from fastapi import APIRouter, Depends, HTTPException
+from torchvision import transforms
+from database import User
+from auth import get_current_user
+from model import EfficientNetGAT
+from model_metadata import DEFAULT_CLASSES, load_model_metadata
+from grading_schemes import schemes_missing_grades
+
+# Every *.pth in MODELS_DIR is loaded, each described by an optional
+# <name>.json next to it (see model_metadata.py). Without the directory the
+# single MODEL_PATH checkpoint is served, as before.
+MODELS_DIR = os.getenv("MODELS_DIR", "models")
+MODEL_PATH = os.getenv("MODEL_PATH", "best_model.pth")
+# Pseudo model id that averages every model sharing the default's classes
+ENSEMBLE = "ensemble"
+
+# Architectures a checkpoint's metadata can name
+ARCHITECTURES = {"EfficientNetGAT": EfficientNetGAT}
+
+DEFAULT_METADATA = {
+    "name": "EfficientNetV2-S + GATv2",
+    "architecture": "EfficientNetGAT",
+    "version": "efficientnet-gat-1.0",
+    "input_size": 224,
+    "classes": DEFAULT_CLASSES,
+    "training_notes": "",
+}
+
+device = torch.device("cuda" if torch.cuda.is_available() else "cpu")
+
+router = APIRouter()
+
+
+def load_checkpoint(weights_path: str):
+    model_id = os.path.splitext(os.path.basename(weights_path))[0]
+    metadata = {"id": model_id,
+                **load_model_metadata(weights_path, DEFAULT_METADATA)}
+    architecture = ARCHITECTURES.get(metadata["architecture"])
+    if architecture is None:
+        raise RuntimeError(f"{weights_path}: unknown architecture "
+                           f"{metadata['architecture']}")
+    # Any number of classes works as long as every scheme maps their grades
+    grades = [cls["grade"] for cls in metadata["classes"]]
+    missing = schemes_missing_grades(grades)
+    if missing:
+        raise RuntimeError(f"{weights_path}: grades {grades} are not all "
+                           f"mapped by the {', '.join(missing)} grading "
+                           f"scheme(s)")
+
+    model = architecture(num_classes=len(metadata["classes"])).to(device)
+    model.load_state_dict(torch.load(weights_path, map_location=device))
+    model.eval()
+
+    size = metadata["input_size"]
+    preprocess = transforms.Compose([
+        transforms.Resize((size, size)),
+        transforms.ToTensor(),
+        transforms.Normalize(mean=[0.485, 0.456, 0.406],
+                             std=[0.229, 0.224, 0.225]),
+    ])
+    return {"id": model_id, "metadata": metadata, "model": model,
+            "preprocess": preprocess}
+
+
+def checkpoint_paths():
+    if os.path.isdir(MODELS_DIR):
+        paths = sorted(glob.glob(os.path.join(MODELS_DIR, "*.pth")))
+        if paths:
+            return paths
+    return [MODEL_PATH]
+
+
+MODELS = {entry["id"]: entry
+          for entry in map(load_checkpoint, checkpoint_paths())}
+DEFAULT_MODEL = os.getenv("DEFAULT_MODEL") or next(iter(MODELS))
+if DEFAULT_MODEL not in MODELS:
+    raise RuntimeError(f"Unknown DEFAULT_MODEL: {DEFAULT_MODEL}")
+# MODEL_VERSION still overrides the version for existing deployments
+if os.getenv("MODEL_VERSION"):
+    MODELS[DEFAULT_MODEL]["metadata"]["version"] = os.getenv("MODEL_VERSION")
+
+
+def class_names(entry: dict):
+    return [cls["name"] for cls in entry["metadata"]["classes"]]
+
+
+def ensemble_members():
+    """Models whose outputs can be averaged with the default model's."""
+    default_classes = class_names(MODELS[DEFAULT_MODEL])
+    return [entry for entry in MODELS.values()
+            if class_names(entry) == default_classes]
+
+
+def resolve_models(model_id: Optional[str]):
+    """The models to run for a request's model_id (None is the default)."""
+    if model_id == ENSEMBLE:
+        return ensemble_members()
+    entry = MODELS.get(model_id or DEFAULT_MODEL)
+    if entry is None:
+        raise HTTPException(status_code=422,
+                            detail=f"Unknown model: {model_id}")
+    return [entry]
+
+
+@router.get("/model")
+def default_model_info(current_user: User = Depends(get_current_user)):
+    """Name, version, weights checksum, input size, classes and training
+    notes of the default model."""
+    return MODELS[DEFAULT_MODEL]["metadata"]
+
+
+@router.get("/models")
+def list_models(current_user: User = Depends(get_current_user)):
+    members = ensemble_members()
+    return {
+        "default": DEFAULT_MODEL,
+        # Ensembling needs at least two models with matching classes
+        "ensemble": [entry["id"] for entry in members]
+        if len(members) > 1 else [],
+        "models": [entry["metadata"] for entry in MODELS.values()],
+    }
@@ -0,0 +1,334 @@
+import csv
+import io
+import os
+import uuid
+from datetime import date, timezone
+from typing import List, Optional
+from fastapi import APIRouter, Depends, HTTPException
+from fastapi.responses import FileResponse, Response
+from pydantic import BaseModel, Field
+from sqlalchemy.orm import Session
+from database import GraderReview, Screening, User, get_db
+from auth import get_current_user
+from fhir import screening_to_fhir
+from grading_schemes import (scheme_for_user, grade_for_class,
+                             classes_for_grade, validate_maculopathy)
+
+UPLOAD_DIR = os.getenv("UPLOAD_DIR", "uploads")
+EYES = ("OD", "OS")
+LESION_TYPES = ("microaneurysms", "hemorrhages", "exudates",
+                "neovascularization")
+
+router = APIRouter(prefix="/screenings")
+
+
+def parse_screening_metadata(patient_id: Optional[str], eye: Optional[str],
+                             capture_date: Optional[str]):
+    patient_id = patient_id.strip() if patient_id else None
+    eye = eye.upper() if eye else None
+    if eye and eye not in EYES:
+        raise HTTPException(status_code=422,
+                            detail="Eye must be OD (right) or OS (left)")
+    try:
+        parsed_date = date.fromisoformat(capture_date) if capture_date else None
+    except ValueError:
+        raise HTTPException(status_code=422,
+                            detail="Capture date must be in YYYY-MM-DD format")
+    return patient_id or None, eye, parsed_date
+
+
+def save_screening(db: Session, user: User, contents: bytes, filename: str,
+                   result: dict, patient_id=None, eye=None, capture_date=None):
+    os.makedirs(UPLOAD_DIR, exist_ok=True)
+    extension = os.path.splitext(filename or "")[1].lower() or ".jpg"
+    image_path = os.path.join(UPLOAD_DIR, f"{uuid.uuid4().hex}{extension}")
+    with open(image_path, "wb") as f:
+        f.write(contents)
+
+    screening = Screening(
+        user_id=user.id,
+        patient_id=patient_id,
+        eye=eye,
+        capture_date=capture_date,
+        image_path=image_path,
+        original_filename=filename,
+        predicted_class=result["class"],
+        confidence=result["confidence"],
+        probabilities=result["probabilities"],
+        class_names=result["class_names"],
+        model_version=result.get("model_version"),
+        ensemble=result.get("ensemble"),
+        uncertainty=result.get("uncertainty"),
+    )
+    db.add(screening)
+    db.commit()
+    db.refresh(screening)
+    return screening
+
+
+def serialize_timestamp(value):
+    # Stored as naive UTC; mark it so browsers convert to local time
+    return value.replace(tzinfo=timezone.utc).isoformat()
+
+
+class ReviewCreate(BaseModel):
+    final_grade: int = Field(..., ge=0)
+    findings: Optional[str] = Field(default=None, max_length=4000)
+    lesions: List[str] = []
+    maculopathy: Optional[str] = None
+
+
+def serialize_review(review: GraderReview):
+    screening = review.screening
+    return {
+        "id": review.id,
+        "ai_grade": screening.predicted_class,
+        "final_grade": review.final_grade,
+        "final_grade_name": screening.class_names[review.final_grade],
+        "agrees_with_ai": review.final_grade == screening.predicted_class,
+        "findings": review.findings,
+        "lesions": review.lesions,
+        "maculopathy": review.maculopathy,
+        "grader": review.grader.full_name,
+        "grader_username": review.grader.username,
+        "created_at": serialize_timestamp(review.created_at),
+    }
+
+
+def latest_review(screening: Screening):
+    return serialize_review(screening.reviews[-1]) \
+        if screening.reviews else None
+
+
+def serialize_screening(screening: Screening):
+    return {
+        "id": screening.id,
+        "patient_id": screening.patient_id,
+        "eye": screening.eye,
+        "capture_date": screening.capture_date.isoformat()
+        if screening.capture_date else None,
+        "created_at": serialize_timestamp(screening.created_at),
+        "original_filename": screening.original_filename,
+        "graded_by": screening.user.full_name,
+        "image_url": f"/screenings/{screening.id}/image",
+        # Same shape /predict returns, so the result card can render it
+        "result": {
+            "class": screening.predicted_class,
+            "class_name": screening.class_names[screening.predicted_class],
+            "confidence": screening.confidence,
+            "probabilities": screening.probabilities,
+            "class_names": screening.class_names,
+            "model_version": screening.model_version,
+            "ensemble": screening.ensemble,
+            "uncertainty": screening.uncertainty,
+            "screening_id": screening.id,
+            "created_at": serialize_timestamp(screening.created_at),
+            "review": latest_review(screening),
+        },
+    }
+
+
+def get_screening_or_404(db: Session, screening_id: int):
+    screening = db.query(Screening).filter(
+        Screening.id == screening_id).first()
+    if screening is None:
+        raise HTTPException(status_code=404, detail="Screening not found")
+    return screening
+
+
+def filter_screenings(query, search=None, grade=None, eye=None,
+                      classes=None):
+    if search:
+        query = query.filter(Screening.patient_id.ilike(f"%{search}%"))
+    if grade is not None:
+        query = query.filter(Screening.predicted_class == grade)
+    # `classes` selects a scheme grade that may span several model classes
+    if classes is not None:
+        query = query.filter(Screening.predicted_class.in_(classes))
+    if eye:
+        query = query.filter(Screening.eye == eye.upper())
+    return query
+
+
+def screening_csv_row(screening: Screening, scheme: dict):
+    review = screening.reviews[-1] if screening.reviews else None
+    row = {
+        "screening_id": screening.id,
+        "patient_id": screening.patient_id or "",
+        "eye": screening.eye or "",
+        "capture_date": screening.capture_date.isoformat()
+        if screening.capture_date else "",
+        "screened_at": serialize_timestamp(screening.created_at),
+        "filename": screening.original_filename or "",
+        "grade": screening.predicted_class,
+        "grade_name": screening.class_names[screening.predicted_class],
+        "confidence": round(screening.confidence, 4),
+        "model_version": screening.model_version or "",
+        "grading_scheme": scheme["id"],
+        "scheme_grade": grade_for_class(
+            scheme, screening.predicted_class)["code"],
+        "final_grade": review.final_grade if review else "",
+        "final_scheme_grade": grade_for_class(
+            scheme, review.final_grade)["code"] if review else "",
+        "maculopathy": (review.maculopathy or "") if review else "",
+        "reviewed_by": review.grader.full_name if review else "",
+    }
+    for idx, probability in enumerate(screening.probabilities):
+        row[f"probability_grade_{idx}"] = round(probability, 4)
+    return row
+
+
+# Leading characters that make spreadsheet apps read a cell as a formula
+FORMULA_PREFIXES = ("=", "+", "-", "@", "\t", "\r")
+
+
+def csv_safe(value):
+    """Text cells starting like a formula are prefixed with an apostrophe so
+    free text (patient ids, filenames, names) is never evaluated."""
+    if isinstance(value, str) and value.startswith(FORMULA_PREFIXES):
+        return f"'{value}"
+    return value
+
+
+def csv_fieldnames(rows):
+    """Every column of every row in first-seen order; models with other
+    class counts add their own probability columns."""
+    fieldnames = {}
+    for row in rows:
+        fieldnames.update(dict.fromkeys(row))
+    return list(fieldnames)
+
+
+@router.get("")
+def list_screenings(search: Optional[str] = None,
+                    grade: Optional[int] = None,
+                    scheme_grade: Optional[str] = None,
+                    eye: Optional[str] = None,
+                    limit: int = 50,
+                    offset: int = 0,
+                    db: Session = Depends(get_db),
+                    current_user: User = Depends(get_current_user)):
+    classes = classes_for_grade(scheme_for_user(current_user), scheme_grade) \
+        if scheme_grade else None
+    query = filter_screenings(db.query(Screening), search, grade, eye,
+                              classes)
+    total = query.count()
+    screenings = query.order_by(Screening.created_at.desc()) \
+        .offset(offset).limit(min(limit, 200)).all()
+    return {
+        "total": total,
+        "items": [serialize_screening(s) for s in screenings],
+    }
+
+
+# Declared before /{screening_id} so "export.csv" is not parsed as an id
+@router.get("/export.csv")
+def export_screenings_csv(search: Optional[str] = None,
+                          grade: Optional[int] = None,
+                          scheme_grade: Optional[str] = None,
+                          eye: Optional[str] = None,
+                          db: Session = Depends(get_db),
+                          current_user: User = Depends(get_current_user)):
+    scheme = scheme_for_user(current_user)
+    classes = classes_for_grade(scheme, scheme_grade) if scheme_grade else None
+    query = filter_screenings(db.query(Screening), search, grade, eye,
+                              classes)
+    rows = [screening_csv_row(s, scheme)
+            for s in query.order_by(Screening.created_at.desc()).all()]
+
+    output = io.StringIO()
+    if rows:
+        writer = csv.DictWriter(output, fieldnames=csv_fieldnames(rows))
+        writer.writeheader()
+        writer.writerows({key: csv_safe(value) for key, value in row.items()}
+                         for row in rows)
+    return Response(
+        content=output.getvalue(),
+        media_type="text/csv",
+        headers={"Content-Disposition":
+                 'attachment; filename="screenings.csv"'},
+    )
+
+
+@router.get("/timeline")
+def screening_timeline(patient_id: str, eye: Optional[str] = None,
+                       db: Session = Depends(get_db),
+                       current_user: User = Depends(get_current_user)):
+    """All screenings of one patient (optionally one eye), oldest visit
+    first, for progression review."""
+    query = db.query(Screening).filter(
+        Screening.patient_id == patient_id.strip())
+    if eye:
+        query = query.filter(Screening.eye == eye.upper())
+    screenings = sorted(
+        query.all(),
+        # Capture date when recorded, otherwise the day it was screened
+        key=lambda s: (s.capture_date or s.created_at.date(), s.created_at))
+    return {
+        "patient_id": patient_id.strip(),
+        "eye": eye.upper() if eye else None,
+        "items": [serialize_screening(s) for s in screenings],
+    }
+
+
+@router.get("/{screening_id}")
+def read_screening(screening_id: int, db: Session = Depends(get_db),
+                   current_user: User = Depends(get_current_user)):
+    return serialize_screening(get_screening_or_404(db, screening_id))
+
+
+@router.get("/{screening_id}/image")
+def read_screening_image(screening_id: int, db: Session = Depends(get_db),
+                         current_user: User = Depends(get_current_user)):
+    screening = get_screening_or_404(db, screening_id)
+    if not os.path.exists(screening.image_path):
+        raise HTTPException(status_code=404, detail="Image file is missing")
+    return FileResponse(screening.image_path)
+
+
+@router.get("/{screening_id}/fhir")
+def export_screening_fhir(screening_id: int, include_image: bool = True,
+                          db: Session = Depends(get_db),
+                          current_user: User = Depends(get_current_user)):
+    screening = get_screening_or_404(db, screening_id)
+    return screening_to_fhir(screening, include_image=include_image)
+
+
+@router.get("/{screening_id}/feedback")
+def list_screening_feedback(screening_id: int, db: Session = Depends(get_db),
+                            current_user: User = Depends(get_current_user)):
+    screening = get_screening_or_404(db, screening_id)
+    return [serialize_review(review) for review in screening.reviews]
+
+
+@router.post("/{screening_id}/feedback", status_code=201)
+def create_screening_feedback(screening_id: int, review: ReviewCreate,
+                              db: Session = Depends(get_db),
+                              current_user: User = Depends(get_current_user)):
+    """Record a grader's confirmation or override of the AI grade. Reviews
+    are never edited, so earlier ones remain as the audit trail."""
+    screening = get_screening_or_404(db, screening_id)
+    if review.final_grade >= len(screening.class_names):
+        raise HTTPException(status_code=422,
+                            detail="Final grade is not one of the model's "
+                                   "grades")
+    unknown = set(review.lesions) - set(LESION_TYPES)
+    if unknown:
+        raise HTTPException(status_code=422,
+                            detail="Unknown lesion type: "
+                                   + ", ".join(sorted(unknown)))
+
+    record = GraderReview(
+        screening_id=screening.id,
+        grader_id=current_user.id,
+        final_grade=review.final_grade,
+        findings=review.findings.strip() if review.findings else None,
+        lesions=[lesion for lesion in LESION_TYPES
+                 if lesion in review.lesions],
+        maculopathy=validate_maculopathy(scheme_for_user(current_user),
+                                         review.maculopathy),
+    )
+    db.add(record)
+    db.commit()
+    db.refresh(record)
+    return serialize_review(record)
@@ -0,0 +1,137 @@
+import re
+from datetime import datetime, timedelta
+import mailer
+from database import AccountToken, SessionLocal
+
+EMAIL = "grader@example.com"
+PASSWORD = "correct-horse"
+
+
+def register(client):
+    return client.post("/register", json={
+        "username": EMAIL, "email": EMAIL, "password": PASSWORD,
+        "full_name": "Test Grader",
+    })
+
+
+def login(client, password=PASSWORD):
+    return client.post("/login", data={"username": EMAIL,
+                                       "password": password})
+
+
+def link_token(message, param):
+    """The token of the emailed ?verify= or ?reset= link."""
+    return re.search(rf"[?&]{param}=([\w-]+)",
+                     message.get_content()).group(1)
+
+
+def verify(client, outbox):
+    token = link_token(outbox[-1], "verify")
+    assert client.post(f"/verify-email/{token}").status_code == 200
+
+
+def test_login_waits_for_the_verification_link(client, outbox):
+    assert register(client).json()["verification_email_sent"] is True
+    assert login(client).status_code == 403
+
+    token = link_token(outbox[-1], "verify")
+    assert client.get(f"/verify-email/{token}").json() == {"state": "valid"}
+    response = client.post(f"/verify-email/{token}")
+    assert response.json()["email_verified"] is True
+    assert login(client).status_code == 200
+
+
+def test_links_work_once(client, outbox):
+    register(client)
+    token = link_token(outbox[-1], "verify")
+    client.post(f"/verify-email/{token}")
+
+    assert client.post(f"/verify-email/{token}").status_code == 410
+    assert client.get(f"/verify-email/{token}").json() == {"state": "used"}
+
+
+def test_a_new_link_supersedes_earlier_ones(client, outbox):
+    register(client)
+    first = link_token(outbox[-1], "verify")
+    client.post("/verify-email/resend", json={"email": EMAIL})
+    second = link_token(outbox[-1], "verify")
+
+    assert client.get(f"/verify-email/{first}").json() == {"state": "used"}
+    assert client.post(f"/verify-email/{first}").status_code == 410
+    assert client.post(f"/verify-email/{second}").status_code == 200
+
+
+def test_expired_links_are_refused(client, outbox):
+    register(client)
+    token = link_token(outbox[-1], "verify")
+    db = SessionLocal()
+    try:
+        db.query(AccountToken).update({
+            AccountToken.expires_at: datetime.utcnow() - timedelta(minutes=1)
+        })
+        db.commit()
+    finally:
+        db.close()
+
+    assert client.get(f"/verify-email/{token}").json() == {"state": "expired"}
+    assert client.post(f"/verify-email/{token}").status_code == 410
+
+
+def test_unknown_links_are_invalid(client, outbox):
+    assert client.get("/verify-email/nope").json() == {"state": "invalid"}
+    assert client.post("/password-reset/nope",
+                       json={"password": "new-password"}).status_code == 404
+
+
+def test_password_reset_signs_out_earlier_sessions(client, outbox):
+    register(client)
+    verify(client, outbox)
+    session = login(client).json()["access_token"]
+
+    client.post("/password-reset", json={"email": EMAIL})
+    token = link_token(outbox[-1], "reset")
+    assert client.post(f"/password-reset/{token}",
+                       json={"password": "new-password"}).status_code == 200
+
+    me = client.get("/me", headers={"Authorization": f"Bearer {session}"})
+    assert me.status_code == 401
+    assert login(client).status_code == 401
+    assert login(client, "new-password").status_code == 200
+    assert client.post(f"/password-reset/{token}",
+                       json={"password": "other-password"}).status_code == 410
+
+
+def test_password_reset_does_not_reveal_accounts(client, outbox):
+    response = client.post("/password-reset",
+                           json={"email": "nobody@example.com"})
+    assert response.status_code == 202
+    assert outbox == []
+
+
+def test_registration_survives_a_failed_email(client, outbox, monkeypatch):
+    def fail(message):
+        raise OSError("SMTP server unavailable")
+
+    monkeypatch.setattr(mailer.mailer, "send", fail)
+    response = register(client)
+    assert response.status_code == 201
+    assert response.json()["verification_email_sent"] is False
+
+    monkeypatch.undo()
+    client.post("/verify-email/resend", json={"email": EMAIL})
+    verify(client, outbox)
+    assert login(client).status_code == 200
+
+
+def test_mail_failures_do_not_reveal_accounts(client, outbox, monkeypatch):
+    register(client)
+
+    def fail(message):
+        raise OSError("SMTP server unavailable")
+
+    monkeypatch.setattr(mailer.mailer, "send", fail)
+    for email in (EMAIL, "nobody@example.com"):
+        assert client.post("/password-reset",
+                           json={"email": email}).status_code == 202
+        assert client.post("/verify-email/resend",
+                           json={"email": email}).status_code == 202
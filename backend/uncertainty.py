@@ -0,0 +1,66 @@
+import math
+import os
+import torch
+import torch.nn as nn
+import torch.nn.functional as F
+from model_copies import private_copy
+
+# Dropout-enabled forward passes per augmented view (6 views, so 12 passes
+# by default)
+MC_DROPOUT_PASSES = int(os.getenv("MC_DROPOUT_PASSES", "2"))
+
+
+def augmented_views(input_batch):
+    """The image as given, flipped both ways and rotated by 90/180/270
+    degrees. Fundus photos have no canonical orientation, so each view
+    should grade the same."""
+    return [
+        input_batch,
+        torch.flip(input_batch, dims=[3]),
+        torch.flip(input_batch, dims=[2]),
+        torch.rot90(input_batch, 1, dims=[2, 3]),
+        torch.rot90(input_batch, 2, dims=[2, 3]),
+        torch.rot90(input_batch, 3, dims=[2, 3]),
+    ]
+
+
+def dropout_layers(model):
+    # nn.Dropout and layers with a dropout rate of their own (GATv2Conv's
+    # attention dropout)
+    return [module for module in model.modules()
+            if isinstance(module, nn.Dropout)
+            or (isinstance(getattr(module, "dropout", None), float)
+                and module.dropout > 0)]
+
+
+def enable_sampling(model):
+    """Switches dropout on in a private copy of a served model.
+
+    Active: every dropout layer, GATv2 attention dropout, and the functional
+    dropout the model's own forward() applies while `training` is set. Batch
+    norm and EfficientNet's stochastic depth stay in eval mode."""
+    for layer in dropout_layers(model):
+        layer.train()
+    # Only the top module's flag, so its children keep eval mode
+    model.training = True
+
+
+def sample_probabilities(model, input_batch):
+    """Softmax outputs of every augmented, dropout-enabled pass as a
+    [passes, classes] tensor."""
+    views = torch.cat(augmented_views(input_batch) * MC_DROPOUT_PASSES)
+    with torch.no_grad():
+        sampler, _ = private_copy(model, "mc-dropout", enable_sampling)
+        return F.softmax(sampler(views), dim=1)
+
+
+def summarize_samples(samples):
+    """Per-class spread and a 0-1 uncertainty score: the entropy of the mean
+    prediction over the passes, relative to a uniform guess (1.0)."""
+    mean = samples.mean(dim=0)
+    entropy = -(mean * torch.log(mean.clamp_min(1e-12))).sum().item()
+    return {
+        "score": entropy / math.log(samples.shape[1]),
+        "std": samples.std(dim=0, unbiased=False).cpu().numpy().tolist(),
+        "passes": samples.shape[0],
+    }
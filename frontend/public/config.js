@@ -0,0 +1,12 @@
+// Runtime configuration, replaced at deploy time without rebuilding the app.
+// Leave apiBaseUrl empty to use REACT_APP_API_URL or http://localhost:8000.
+// preprocessSize is the longest side (px) of the cropped image sent for grading.
+// referralPolicy overrides any of referableGrade, referableProbability,
+// minConfidence and minMargin (see src/referralPolicy.js).
+// predictionTimeoutSeconds bounds each grading request, upload included.
+window.__APP_CONFIG__ = {
+  apiBaseUrl: "",
+  preprocessSize: 512,
+  predictionTimeoutSeconds: 120,
+  referralPolicy: {},
+};
@@ -1,216 +1,352 @@
-import React, { useState, useCallback } from "react";
-import axios from "axios";
-import { useDropzone } from "react-dropzone";
+import React, { useState, useCallback, useEffect, useRef } from "react";
 import {
   Box,
   Button,
   Typography,
   Paper,
-  LinearProgress,
   Grid,
-  Card,
-  CardContent,
   Alert,
   Container,
-  Chip,
-  Divider,
-  Tooltip,
   Link,
+  Tabs,
+  Tab,
+  FormControlLabel,
+  Checkbox,
 } from "@mui/material";
 import {
   Image as ImageIcon,
-  CheckCircle,
   Error,
-  Upload,
-  InfoOutlined,
   WarningAmber,
   ArticleOutlined,
   MedicalServices,
+  Collections,
+  History as HistoryIcon,
+  Visibility,
+  Logout,
+  CloudQueue,
+  Timeline,
 } from "@mui/icons-material";
-import { Doughnut } from "react-chartjs-2";
 import {
-  Chart as ChartJS,
-  ArcElement,
-  Tooltip as ChartTooltip,
-  Legend,
-} from "chart.js";
-
-ChartJS.register(ArcElement, ChartTooltip, Legend);
-
-// Custom styled components
-const DropzonePaper = ({ children, ...props }) => (
-  <Paper
-    {...props}
-    sx={{
-      p: 4,
-      border: "2px dashed",
-      borderColor: "primary.main",
-      borderRadius: 3,
-      textAlign: "center",
-      cursor: "pointer",
-      height: 350,
-      display: "flex",
-      flexDirection: "column",
-      justifyContent: "center",
-      alignItems: "center",
-      bgcolor: "background.paper",
-      boxShadow: 2,
-      transition: "all 0.3s ease-in-out",
-      "&:hover": {
-        borderColor: "primary.dark",
-        backgroundColor: "action.hover",
-      },
-    }}
-  >
-    {children}
-  </Paper>
-);
-
-const ResultCard = ({ children }) => (
-  <Card
-    sx={{
-      height: "100%",
-      boxShadow: 5,
-      borderRadius: 3,
-      bgcolor: "background.paper",
-      overflow: "hidden",
-    }}
-  >
-    <CardContent sx={{ p: 4 }}>{children}</CardContent>
-  </Card>
-);
-
-// Helper function to determine DR severity grade description
-const getDRGradeDescription = (grade) => {
-  const descriptions = {
-    0: "No DR detected",
-    1: "Mild Non-proliferative DR",
-    2: "Moderate Non-proliferative DR",
-    3: "Severe Non-proliferative DR",
-    4: "Proliferative DR",
-  };
-  return descriptions[grade] || "";
-};
-
-// Helper function to get color based on DR severity
-const getSeverityColor = (grade) => {
-  const colors = {
-    0: "#4CAF50", // Green for No DR
-    1: "#8BC34A", // Light green for Mild
-    2: "#FFC107", // Yellow for Moderate
-    3: "#FF9800", // Orange for Severe
-    4: "#F44336", // Red for Proliferative
-  };
-  return colors[grade] || "#4CAF50";
-};
+  determineDRGrade,
+  formatConfidence,
+  gradeLabel,
+  schemeGradeColor,
+  GradeIcon,
+} from "./grading";
+import {
+  loadGradingSchemes,
+  modelSchemeGrades,
+  useGradingScheme,
+} from "./gradingScheme";
+import { GradingSchemeSelect } from "./GradingSchemeSelect";
+import {
+  appendModelChoice,
+  getSelectedModel,
+  loadModels,
+  useModelInfo,
+} from "./modelInfo";
+import { ModelInfoButton } from "./ModelInfoDialog";
+import { ModelSelect } from "./ModelSelect";
+import { ResultPanel } from "./ResultPanel";
+import { getDisclaimer } from "./clinicalContent";
+import { HeatmapOverlay } from "./HeatmapOverlay";
+import { QualityBadge } from "./QualityBadge";
+import { assessImageQuality } from "./imageQuality";
+import { preprocessFundus, prepareUpload } from "./fundusPreprocess";
+import { ModelInputPreview } from "./ModelInputPreview";
+import { FundusViewer } from "./FundusViewer";
+import { OfflineQueuePanel, ConnectionStatus } from "./OfflineQueuePanel";
+import { useOfflineQueue } from "./useOfflineQueue";
+import { enqueueUpload, isNetworkError } from "./offlineQueue";
+import { BatchUpload } from "./BatchUpload";
+import { History } from "./History";
+import { Progression } from "./Progression";
+import { ExamView } from "./ExamView";
+import { UploadProgress } from "./UploadProgress";
+import {
+  isCancelled,
+  PREDICTION_TIMEOUT_MS,
+  postPrediction,
+  usePredictionRequest,
+} from "./predictionRequest";
+import { addJob, clearJobs, loadJobs, waitForJob } from "./jobs";
+import { JobTracker } from "./JobTracker";
+import { validateImageFile, readFileAsDataURL } from "./imageFiles";
+import {
+  PatientFields,
+  EMPTY_PATIENT,
+  appendPatientFields,
+} from "./PatientFields";
+import { AuthScreen } from "./LoginForm";
+import { getStoredUser, clearSession, getAccountLink } from "./auth";
+import api, { setUnauthorizedHandler } from "./api";
+import { useLocale } from "./i18n";
+import { LanguageSelect } from "./LanguageSelect";
+import { Dropzone } from "./Dropzone";
+import { LiveRegion, announce } from "./LiveRegion";
+import { PaletteToggle } from "./PaletteToggle";
+import { ThemeModeSelect } from "./ThemeModeSelect";
+import { usePalette } from "./severityPalette";
 
 function App() {
+  // Re-renders the whole tree in the new language when it changes
+  const { t } = useLocale();
+  usePalette();
+  useGradingScheme();
+  useModelInfo();
+  // Emailed verification and reset links open on the sign-in screen
+  const [user, setUser] = useState(() =>
+    getAccountLink() ? null : getStoredUser()
+  );
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [mode, setMode] = useState("single"); // "single", "exam", "batch", "history" or "progression"
+  const [progressionTarget, setProgressionTarget] = useState(null);
   const [file, setFile] = useState(null);
   const [preview, setPreview] = useState(null);
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-
-  const onDrop = useCallback((acceptedFiles) => {
+  const [patient, setPatient] = useState(EMPTY_PATIENT);
+  const [explain, setExplain] = useState(true);
+  const [uncertainty, setUncertainty] = useState(false);
+  const [quality, setQuality] = useState(null);
+  const [assessingQuality, setAssessingQuality] = useState(false);
+  const [qualityOverride, setQualityOverride] = useState(false);
+  const [processed, setProcessed] = useState(null);
+  const latestFile = useRef(null);
+  const [queuedNotice, setQueuedNotice] = useState(null);
+  const offlineQueue = useOfflineQueue(user?.username);
+  const prediction = usePredictionRequest();
+
+  const onDrop = useCallback((acceptedFiles, fileRejections) => {
     setError(null);
     setResult(null);
-    const selectedFile = acceptedFiles[0];
-
-    if (selectedFile.size > 5 * 1024 * 1024) {
-      setError("File too large (max 5MB)");
-      return;
-    }
+    const selectedFile = acceptedFiles[0] || fileRejections[0]?.file;
+    if (!selectedFile) return;
 
-    if (!["image/jpeg", "image/png"].includes(selectedFile.type)) {
-      setError("Only JPEG/PNG images are supported");
+    const validationError = validateImageFile(selectedFile);
+    if (validationError) {
+      setError(validationError);
       return;
     }
 
+    // Async results for an image that has since been replaced are ignored
+    latestFile.current = selectedFile;
+    const isLatest = () => latestFile.current === selectedFile;
     setFile(selectedFile);
-    const reader = new FileReader();
-    reader.onload = () => setPreview(reader.result);
-    reader.readAsDataURL(selectedFile);
-  }, []);
-
-  const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    onDrop,
-    accept: {
-      "image/jpeg": [".jpeg", ".jpg"],
-      "image/png": [".png"],
-    },
-    maxFiles: 1,
-    maxSize: 5 * 1024 * 1024,
-  });
+    setQuality(null);
+    setQualityOverride(false);
+    setAssessingQuality(true);
+    setProcessed(null);
+    readFileAsDataURL(selectedFile)
+      .then((dataUrl) => {
+        setPreview(dataUrl);
+        assessImageQuality(dataUrl)
+          .then((assessment) => isLatest() && setQuality(assessment))
+          .catch(() => {})
+          .finally(() => isLatest() && setAssessingQuality(false));
+      })
+      .catch(() => {
+        // e.g. the file was moved or its permissions changed after picking it
+        if (!isLatest()) return;
+        latestFile.current = null;
+        setFile(null);
+        setAssessingQuality(false);
+        setError(t("upload.readFailed"));
+      });
+    preprocessFundus(selectedFile)
+      .then((output) => isLatest() && setProcessed(output))
+      .catch(() => {});
+  }, [t]);
+
+  // Ungradable images need an explicit override before they can be submitted
+  const qualityBlocked =
+    assessingQuality || (quality && !quality.gradable && !qualityOverride);
 
   const predictImage = async () => {
-    if (!file) return;
+    if (!file || qualityBlocked) return;
 
     setLoading(true);
     setError(null);
+    setQueuedNotice(null);
+    const upload = processed?.file || (await prepareUpload(file));
     const formData = new FormData();
-    formData.append("file", file);
+    formData.append("file", upload);
+    appendPatientFields(formData, patient);
+    formData.append("explain", explain);
+    formData.append("uncertainty", uncertainty);
+    appendModelChoice(formData);
 
     try {
-      const response = await axios.post(
-        "http://localhost:8000/predict",
-        formData
+      // Graded by the background worker; the job tracker keeps it if the
+      // page is reloaded or the wait is cancelled
+      const job = await prediction.run(async (options) => {
+        const response = await postPrediction("/jobs", formData, options);
+        addJob(response.data);
+        return waitForJob(response.data.id, {
+          signal: options.signal,
+          timeout: PREDICTION_TIMEOUT_MS,
+        });
+      });
+      setResult(job.result);
+      announce(
+        t("result.announcement", {
+          grade: gradeLabel(determineDRGrade(job.result)),
+          confidence: formatConfidence(job.result.confidence),
+        })
       );
-      setResult(response.data);
     } catch (err) {
-      setError(
-        err.response?.data?.detail ||
-          "Failed to classify image. Please upload a valid retinal scan."
-      );
+      if (isCancelled(err)) return;
+      if (isNetworkError(err) && offlineQueue.supported) {
+        await enqueueUpload({
+          owner: user.username,
+          file: upload,
+          patient,
+          explain,
+          uncertainty,
+          modelId: getSelectedModel(),
+        });
+        setQueuedNotice(t("upload.queued", { filename: file.name }));
+        return;
+      }
+      setError(err.detail || t("upload.failed"));
     } finally {
       setLoading(false);
     }
   };
 
-  // Determine DR grade from highest probability
-  const determineDRGrade = (result) => {
-    if (!result) return null;
+  const resetSession = useCallback(() => {
+    setUser(null);
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+    setPatient(EMPTY_PATIENT);
+    setQuality(null);
+    setQualityOverride(false);
+    setProcessed(null);
+    setQueuedNotice(null);
+    setProgressionTarget(null);
+    clearJobs();
+  }, []);
 
-    // Find index of highest probability
-    const maxIndex = result.probabilities.indexOf(
-      Math.max(...result.probabilities)
-    );
-    // Extract the grade number from class name (assuming format like "Grade 0", "Grade 1", etc.)
-    const gradeNumber = result.class_names[maxIndex].includes("Grade")
-      ? result.class_names[maxIndex].split(" ")[1]
-      : maxIndex.toString();
-
-    return {
-      grade: gradeNumber,
-      description: getDRGradeDescription(gradeNumber),
-      color: getSeverityColor(gradeNumber),
-    };
+  // Shows a queued upload's synced result as if it had just been analysed
+  const viewQueuedResult = async (upload) => {
+    const queuedFile = new File([upload.blob], upload.filename, {
+      type: upload.blob.type,
+    });
+    latestFile.current = queuedFile;
+    setFile(queuedFile);
+    setPreview(await readFileAsDataURL(queuedFile));
+    setProcessed(null);
+    setQuality(null);
+    setPatient(upload.patient);
+    setResult(upload.result);
+    setError(null);
+    setQueuedNotice(null);
+    setMode("single");
   };
 
-  const drGrade = result ? determineDRGrade(result) : null;
-
-  const probabilityChartData = result
-    ? {
-        labels: result.class_names,
-        datasets: [
-          {
-            data: result.probabilities,
-            backgroundColor: result.class_names.map((name, idx) => {
-              // Extract grade number if possible
-              const gradeMatch = name.match(/Grade (\d)/);
-              const grade = gradeMatch ? gradeMatch[1] : idx.toString();
-              return getSeverityColor(grade);
-            }),
-            borderWidth: 1,
-          },
-        ],
-      }
-    : null;
+  // Shows a finished job's result with its stored image
+  const viewJobResult = async (job) => {
+    try {
+      const response = await api.get(
+        `/screenings/${job.result.screening_id}/image`,
+        { responseType: "blob" }
+      );
+      await viewQueuedResult({
+        blob: response.data,
+        filename: job.filename || "image",
+        patient: {
+          patientId: job.patient_id || "",
+          eye: job.eye || "",
+          captureDate: job.capture_date || "",
+        },
+        result: job.result,
+      });
+    } catch (err) {
+      setError(err.detail || t("jobs.viewFailed"));
+    }
+  };
+
+  const handleLogout = () => {
+    clearSession();
+    setSessionExpired(false);
+    resetSession();
+  };
+
+  const handleLogin = (loggedInUser) => {
+    setSessionExpired(false);
+    setUser(loggedInUser);
+  };
+
+  // Grading schemes, the user's choice and the models' metadata; the cached
+  // copies render until then
+  useEffect(() => {
+    if (!user) return;
+    loadGradingSchemes().catch(() => {});
+    loadModels().catch(() => {});
+    loadJobs().catch(() => {});
+  }, [user]);
+
+  // The API client clears the stored token on a 401; send the user back to login
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      setSessionExpired(true);
+      resetSession();
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [resetSession]);
+
+  if (!user) {
+    return (
+      <AuthScreen
+        onLogin={handleLogin}
+        notice={sessionExpired ? t("app.sessionExpired") : null}
+      />
+    );
+  }
 
   return (
-    <Box sx={{ bgcolor: "#f1f4f9", minHeight: "100vh", py: 6 }}>
+    <Box sx={{ bgcolor: "background.default", minHeight: "100vh", py: 6 }}>
+      <LiveRegion />
       <Container maxWidth="lg">
+        <Box
+          sx={{
+            display: "flex",
+            justifyContent: "flex-end",
+            alignItems: "center",
+            gap: 2,
+            mb: 2,
+          }}
+        >
+          <ConnectionStatus
+            online={offlineQueue.online}
+            pendingCount={offlineQueue.pendingCount}
+          />
+          <LanguageSelect username={user.username} />
+          <ThemeModeSelect username={user.username} />
+          <GradingSchemeSelect />
+          <ModelInfoButton />
+          <PaletteToggle username={user.username} />
+          <Typography variant="body2" color="text.secondary">
+            {t("app.signedInAs")}{" "}
+            <strong>{user.full_name || user.email}</strong>
+          </Typography>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<Logout />}
+            onClick={handleLogout}
+            sx={{ borderRadius: 2 }}
+          >
+            {t("app.logout")}
+          </Button>
+        </Box>
+
         <Typography
           variant="h4"
+          component="h1"
           gutterBottom
           sx={{
             mb: 1,
@@ -219,441 +355,300 @@ function App() {
             textAlign: "center",
           }}
         >
-          Diabetic Retinopathy Classifier
+          {t("app.title")}
         </Typography>
 
         <Typography
           variant="subtitle1"
+          component="p"
           sx={{ mb: 4, textAlign: "center", color: "text.secondary" }}
         >
-          Upload a retinal fundus image to detect DR severity grade (0-4)
+          {t("app.subtitle")}
         </Typography>
 
-        <Grid container spacing={4} alignItems="stretch">
-          <Grid item xs={12} md={6}>
-            <DropzonePaper {...getRootProps()} isDragActive={isDragActive}>
-              <input {...getInputProps()} />
-              {preview ? (
-                <Box sx={{ textAlign: "center" }}>
-                  <img
-                    src={preview}
-                    alt="Preview"
-                    style={{
-                      maxWidth: "100%",
-                      maxHeight: 250,
-                      borderRadius: 8,
-                      boxShadow: "0 0 10px rgba(0,0,0,0.1)",
-                    }}
+        <Tabs
+          value={mode}
+          onChange={(e, value) => setMode(value)}
+          centered
+          sx={{ mb: 4 }}
+        >
+          <Tab
+            value="single"
+            icon={<ImageIcon />}
+            iconPosition="start"
+            label={t("app.tab.single")}
+          />
+          <Tab
+            value="exam"
+            icon={<Visibility />}
+            iconPosition="start"
+            label={t("app.tab.exam")}
+          />
+          <Tab
+            value="batch"
+            icon={<Collections />}
+            iconPosition="start"
+            label={t("app.tab.batch")}
+          />
+          <Tab
+            value="history"
+            icon={<HistoryIcon />}
+            iconPosition="start"
+            label={t("app.tab.history")}
+          />
+          <Tab
+            value="progression"
+            icon={<Timeline />}
+            iconPosition="start"
+            label={t("app.tab.progression")}
+          />
+        </Tabs>
+
+        {["single", "exam", "batch"].includes(mode) && (
+          <Box sx={{ display: "flex", justifyContent: "center", mb: 3 }}>
+            <ModelSelect username={user.username} />
+          </Box>
+        )}
+
+        {mode === "exam" && <ExamView />}
+        {mode === "batch" && <BatchUpload />}
+        {mode === "history" && (
+          <History
+            onCompare={(patientId, eye) => {
+              setProgressionTarget({ patientId, eye });
+              setMode("progression");
+            }}
+          />
+        )}
+        {mode === "progression" && (
+          <Progression
+            key={`${progressionTarget?.patientId}-${progressionTarget?.eye}`}
+            initialPatientId={progressionTarget?.patientId}
+            initialEye={progressionTarget?.eye}
+          />
+        )}
+        {mode === "single" && (
+          <Grid container spacing={4} alignItems="stretch">
+            <Grid item xs={12} md={6}>
+              <Dropzone
+                onDrop={onDrop}
+                title={t("upload.title")}
+                dragTitle={t("upload.drop")}
+                hint={t("upload.browse")}
+                caption={t("upload.supported")}
+                minHeight={350}
+                iconSize={60}
+                preview={
+                  preview && (
+                    <>
+                      <FundusViewer
+                        src={preview}
+                        alt={t("upload.preview")}
+                        height={250}
+                      />
+                      <Typography sx={{ mt: 2, fontWeight: 500 }}>
+                        {file.name}
+                      </Typography>
+                    </>
+                  )
+                }
+              />
+
+              {file && (
+                <Box sx={{ mt: 2 }}>
+                  <QualityBadge
+                    quality={quality}
+                    assessing={assessingQuality}
+                    override={qualityOverride}
+                    onOverrideChange={setQualityOverride}
                   />
-                  <Typography sx={{ mt: 2, fontWeight: 500 }}>
-                    {file.name}
-                  </Typography>
-                  <Typography
-                    variant="body2"
-                    sx={{ mt: 1, color: "text.secondary" }}
-                  >
-                    Click to upload a different image
-                  </Typography>
                 </Box>
-              ) : (
-                <Box>
-                  <Upload
-                    sx={{
-                      fontSize: 60,
-                      color: isDragActive ? "primary.dark" : "primary.main",
-                      mb: 2,
-                    }}
-                  />
-                  <Typography variant="h6">
-                    {isDragActive
-                      ? "Drop the image here"
-                      : "Upload Retinal Image"}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Drag & drop or click to browse
-                  </Typography>
-                  <Typography
-                    variant="caption"
-                    sx={{ mt: 2, display: "block", color: "text.disabled" }}
-                  >
-                    Supported: JPEG, PNG (Max 5MB)
-                  </Typography>
+              )}
+
+              {processed && (
+                <Box sx={{ mt: 2 }}>
+                  <ModelInputPreview processed={processed} />
                 </Box>
               )}
-            </DropzonePaper>
-
-            {file && !loading && (
-              <Button
-                variant="contained"
-                fullWidth
-                size="large"
-                onClick={predictImage}
-                sx={{
-                  mt: 3,
-                  py: 1.5,
-                  borderRadius: 2,
-                  fontWeight: "bold",
-                  boxShadow: 3,
-                }}
-              >
-                Analyze Image
-              </Button>
-            )}
-
-            {loading && (
+
               <Box sx={{ mt: 3 }}>
-                <LinearProgress sx={{ height: 8, borderRadius: 5 }} />
-                <Typography
-                  variant="body2"
-                  align="center"
-                  sx={{ mt: 1, color: "text.secondary" }}
-                >
-                  Analyzing retinal image...
-                </Typography>
+                <PatientFields value={patient} onChange={setPatient} />
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={explain}
+                      onChange={(e) => setExplain(e.target.checked)}
+                    />
+                  }
+                  label={t("upload.explain")}
+                  sx={{ mt: 1 }}
+                />
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={uncertainty}
+                      onChange={(e) => setUncertainty(e.target.checked)}
+                    />
+                  }
+                  label={t("upload.uncertainty")}
+                />
               </Box>
-            )}
-
-            {error && (
-              <Alert
-                severity="error"
-                sx={{ mt: 3, borderRadius: 2 }}
-                icon={<Error fontSize="large" />}
-              >
-                <Typography variant="body1" fontWeight={500}>
-                  {error}
-                </Typography>
-              </Alert>
-            )}
-          </Grid>
 
-          <Grid item xs={12} md={6}>
-            {result ? (
-              <ResultCard>
-                <Box
+              {file && !loading && (
+                <Button
+                  variant="contained"
+                  fullWidth
+                  size="large"
+                  onClick={predictImage}
+                  disabled={qualityBlocked}
                   sx={{
-                    display: "flex",
-                    flexDirection: "column",
-                    alignItems: "center",
-                    mb: 3,
+                    mt: 3,
+                    py: 1.5,
+                    borderRadius: 2,
+                    fontWeight: "bold",
+                    boxShadow: 3,
                   }}
                 >
-                  <Typography variant="h5" sx={{ mb: 1, textAlign: "center" }}>
-                    Analysis Result
-                  </Typography>
+                  {t("upload.analyze")}
+                </Button>
+              )}
 
-                  <Chip
-                    icon={<CheckCircle />}
-                    label={`Grade ${drGrade.grade}: ${drGrade.description}`}
-                    sx={{
-                      fontSize: "1.1rem",
-                      py: 3,
-                      px: 2,
-                      mt: 2,
-                      backgroundColor: drGrade.color,
-                      color: "white",
-                      fontWeight: "bold",
-                    }}
-                  />
+              {loading && (
+                <UploadProgress
+                  progress={prediction.progress}
+                  analyzingLabel={t("upload.analyzing")}
+                  onCancel={prediction.cancel}
+                />
+              )}
 
-                  <Typography
-                    variant="subtitle1"
-                    sx={{ mt: 2, color: "text.secondary", textAlign: "center" }}
-                  >
-                    Confidence: {(result.confidence * 100).toFixed(2)}%
+              {error && (
+                <Alert
+                  severity="error"
+                  sx={{ mt: 3, borderRadius: 2 }}
+                  icon={<Error fontSize="large" />}
+                >
+                  <Typography variant="body1" fontWeight={500}>
+                    {error}
                   </Typography>
-                </Box>
-
-                <Divider sx={{ my: 3 }} />
+                </Alert>
+              )}
 
-                <Box sx={{ mb: 4 }}>
-                  <Typography variant="h6" fontWeight="medium" gutterBottom>
-                    Probability Distribution
+              {queuedNotice && (
+                <Alert
+                  severity="info"
+                  sx={{ mt: 3, borderRadius: 2 }}
+                  icon={<CloudQueue fontSize="large" />}
+                >
+                  <Typography variant="body1" fontWeight={500}>
+                    {queuedNotice}
                   </Typography>
-                  <Box sx={{ height: 240 }}>
-                    <Doughnut
-                      data={probabilityChartData}
-                      options={{
-                        maintainAspectRatio: false,
-                        plugins: {
-                          legend: {
-                            position: "right",
-                            labels: {
-                              padding: 20,
-                              usePointStyle: true,
-                              pointStyle: "circle",
-                              font: {
-                                size: 11,
-                              },
-                            },
-                          },
-                        },
-                        cutout: "65%",
-                      }}
-                    />
-                  </Box>
-                </Box>
+                </Alert>
+              )}
 
-                <Typography
-                  variant="h6"
-                  fontWeight="medium"
-                  gutterBottom
-                  sx={{ display: "flex", alignItems: "center" }}
+              {result?.relevance_map && (
+                <Paper sx={{ mt: 3, p: 3, borderRadius: 3, boxShadow: 2 }}>
+                  {/* The map covers the cropped, padded image the model saw */}
+                  <HeatmapOverlay
+                    imageSrc={processed?.dataUrl || preview}
+                    relevanceMap={result.relevance_map}
+                  />
+                </Paper>
+              )}
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              {result ? (
+                <ResultPanel
+                  result={result}
+                  imageSrc={preview}
+                  patient={patient}
+                />
+              ) : (
+                <Paper
+                  sx={{
+                    p: 4,
+                    height: "100%",
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "center",
+                    flexDirection: "column",
+                    borderRadius: 3,
+                    boxShadow: 2,
+                  }}
                 >
-                  DR Grades Probability
-                  <Tooltip title="Higher percentage indicates greater likelihood of that DR grade">
-                    <InfoOutlined
-                      sx={{ ml: 1, fontSize: 18, color: "text.secondary" }}
-                    />
-                  </Tooltip>
-                </Typography>
-
-                {result.probabilities.map((prob, idx) => {
-                  // Extract grade number if possible
-                  const gradeMatch =
-                    result.class_names[idx].match(/Grade (\d)/);
-                  const grade = gradeMatch ? gradeMatch[1] : idx.toString();
-                  const color = getSeverityColor(grade);
-
-                  return (
-                    <Box key={idx} sx={{ mb: 2 }}>
-                      <Box
-                        sx={{
-                          display: "flex",
-                          justifyContent: "space-between",
-                          mb: 0.5,
-                          alignItems: "center",
-                        }}
-                      >
-                        <Box sx={{ display: "flex", alignItems: "center" }}>
-                          <Box
-                            sx={{
-                              width: 12,
-                              height: 12,
-                              borderRadius: "50%",
-                              backgroundColor: color,
-                              mr: 1,
-                            }}
-                          />
-                          <Typography
-                            fontWeight={
-                              prob === Math.max(...result.probabilities)
-                                ? "bold"
-                                : "normal"
-                            }
-                          >
-                            {result.class_names[idx]}{" "}
-                            {prob === Math.max(...result.probabilities) && "★"}
-                          </Typography>
-                        </Box>
-                        <Typography
-                          fontWeight={
-                            prob === Math.max(...result.probabilities)
-                              ? "bold"
-                              : "medium"
-                          }
-                        >
-                          {(prob * 100).toFixed(2)}%
-                        </Typography>
-                      </Box>
-                      <LinearProgress
-                        variant="determinate"
-                        value={prob * 100}
-                        sx={{
-                          height: 10,
-                          borderRadius: 5,
-                          backgroundColor: "grey.200",
-                          "& .MuiLinearProgress-bar": {
-                            borderRadius: 5,
-                            backgroundColor: color,
-                          },
-                        }}
-                      />
-                    </Box>
-                  );
-                })}
-
-                <Divider sx={{ my: 3 }} />
-
-                <Alert severity="info" sx={{ mt: 2, borderRadius: 2 }}>
-                  <Typography variant="body2">
-                    <strong>DR Grade Scale:</strong> 0 (No DR) to 4
-                    (Proliferative DR). Higher grades indicate more severe
-                    diabetic retinopathy.
+                  <ImageIcon
+                    sx={{ fontSize: 60, color: "action.disabled", mb: 2 }}
+                  />
+                  <Typography
+                    variant="h6"
+                    component="h2"
+                    color="text.secondary"
+                  >
+                    {t("placeholder.title")}
+                  </Typography>
+                  <Typography
+                    variant="body2"
+                    color="text.secondary"
+                    sx={{ mt: 1 }}
+                  >
+                    {t("placeholder.body")}
                   </Typography>
-                </Alert>
 
-                {drGrade && (
                   <Box
                     sx={{
-                      mt: 3,
-                      p: 3,
-                      backgroundColor: "#f8f9fa",
+                      mt: 4,
+                      p: 2,
+                      bgcolor: "background.default",
                       borderRadius: 2,
-                      border: "1px solid #e0e0e0",
+                      width: "100%",
                     }}
                   >
-                    <Typography
-                      variant="h6"
-                      gutterBottom
-                      sx={{ color: drGrade.color, fontWeight: "bold" }}
-                    >
-                      Grade {drGrade.grade}: {drGrade.description}
-                    </Typography>
-
-                    <Typography variant="body2" paragraph>
-                      {drGrade.grade === "0" &&
-                        "No visible signs of diabetic retinopathy detected. Regular annual screening is recommended to monitor for any changes."}
-                      {drGrade.grade === "1" &&
-                        "Mild non-proliferative diabetic retinopathy (NPDR) shows minimal vascular changes. At this early stage, there are small areas of balloon-like swelling in the retina's blood vessels called microaneurysms."}
-                      {drGrade.grade === "2" &&
-                        "Moderate non-proliferative diabetic retinopathy shows progression with increased microaneurysms, dot and blot hemorrhages, and hard exudates. Some blood vessels that nourish the retina are blocked."}
-                      {drGrade.grade === "3" &&
-                        "Severe non-proliferative diabetic retinopathy is characterized by many blocked blood vessels, depriving several areas of the retina of blood supply. These areas secrete growth factors that signal the retina to grow new blood vessels."}
-                      {drGrade.grade === "4" &&
-                        "Proliferative diabetic retinopathy (PDR) is advanced and very serious. New abnormal blood vessels grow in the retina and into the vitreous humor. These vessels can leak, causing severe vision loss and even blindness."}
-                    </Typography>
-
                     <Typography
                       variant="subtitle2"
+                      component="p"
+                      color="text.secondary"
                       gutterBottom
-                      sx={{ mt: 2, fontWeight: "bold" }}
                     >
-                      Clinical Significance:
+                      {t("placeholder.grades")}
                     </Typography>
-                    <Typography variant="body2" paragraph>
-                      {drGrade.grade === "0" &&
-                        "Low risk. Continue with regular monitoring. Maintain good blood sugar control and follow healthy lifestyle practices."}
-                      {drGrade.grade === "1" &&
-                        "Low risk for vision loss. Control blood sugar, blood pressure, and cholesterol. Follow-up examination in 9-12 months is recommended."}
-                      {drGrade.grade === "2" &&
-                        "Moderate risk. More careful control of diabetes is needed. Patients should be monitored more frequently, typically every 6-8 months."}
-                      {drGrade.grade === "3" &&
-                        "High risk for progression to PDR. Close monitoring every 3-4 months is essential. Consultation with a retina specialist is recommended."}
-                      {drGrade.grade === "4" &&
-                        "Very high risk for severe vision loss. Immediate consultation with a retina specialist is required. Treatments may include laser photocoagulation, anti-VEGF injections, or vitrectomy."}
-                    </Typography>
-
-                    <Typography
-                      variant="subtitle2"
-                      gutterBottom
-                      sx={{ fontWeight: "bold" }}
-                    >
-                      References:
-                    </Typography>
-                    <Typography variant="body2">
-                      • American Academy of Ophthalmology. (2022). Diabetic
-                      Retinopathy Preferred Practice Pattern.
-                    </Typography>
-                    <Typography variant="body2">
-                      • Wilkinson, C. P., et al. (2003). Proposed international
-                      clinical diabetic retinopathy and diabetic macular edema
-                      disease severity scales. Ophthalmology, 110(9), 1677-1682.
-                    </Typography>
-                    <Typography variant="body2">
-                      • Wong, T. Y., et al. (2016). Diabetic retinopathy: global
-                      prevalence, major risk factors, screening practices and
-                      public health challenges. Nature Reviews Endocrinology,
-                      12(11), 639-649.
-                    </Typography>
-
                     <Box
-                      sx={{ display: "flex", justifyContent: "center", mt: 2 }}
+                      sx={{ display: "flex", flexDirection: "column", gap: 1 }}
                     >
-                      <Button
-                        variant="outlined"
-                        size="small"
-                        startIcon={<InfoOutlined />}
-                        target="_blank"
-                        href="https://www.nei.nih.gov/learn-about-eye-health/eye-conditions-and-diseases/diabetic-retinopathy"
-                        sx={{
-                          borderColor: drGrade.color,
-                          color: drGrade.color,
-                          "&:hover": {
-                            borderColor: drGrade.color,
-                            backgroundColor: `${drGrade.color}10`,
-                          },
-                        }}
-                      >
-                        Learn More About Diabetic Retinopathy
-                      </Button>
-                    </Box>
-                  </Box>
-                )}
-              </ResultCard>
-            ) : (
-              <Paper
-                sx={{
-                  p: 4,
-                  height: "100%",
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "center",
-                  flexDirection: "column",
-                  borderRadius: 3,
-                  boxShadow: 2,
-                  backgroundColor: "#ffffffcc",
-                }}
-              >
-                <ImageIcon
-                  sx={{ fontSize: 60, color: "action.disabled", mb: 2 }}
-                />
-                <Typography variant="h6" color="text.disabled">
-                  Analysis Results
-                </Typography>
-                <Typography
-                  variant="body2"
-                  color="text.disabled"
-                  sx={{ mt: 1 }}
-                >
-                  Upload a retinal fundus image to see the DR classification
-                  results
-                </Typography>
-
-                <Box
-                  sx={{
-                    mt: 4,
-                    p: 2,
-                    bgcolor: "background.default",
-                    borderRadius: 2,
-                    width: "100%",
-                  }}
-                >
-                  <Typography
-                    variant="subtitle2"
-                    color="text.secondary"
-                    gutterBottom
-                  >
-                    Diabetic Retinopathy Grades:
-                  </Typography>
-                  <Box
-                    sx={{ display: "flex", flexDirection: "column", gap: 1 }}
-                  >
-                    {[0, 1, 2, 3, 4].map((grade) => (
-                      <Box
-                        key={grade}
-                        sx={{ display: "flex", alignItems: "center" }}
-                      >
+                      {modelSchemeGrades().map((grade) => (
                         <Box
-                          sx={{
-                            width: 12,
-                            height: 12,
-                            borderRadius: "50%",
-                            backgroundColor: getSeverityColor(grade.toString()),
-                            mr: 1,
-                          }}
-                        />
-                        <Typography variant="body2" color="text.secondary">
-                          <strong>Grade {grade}:</strong>{" "}
-                          {getDRGradeDescription(grade.toString())}
-                        </Typography>
-                      </Box>
-                    ))}
+                          key={grade.code}
+                          sx={{ display: "flex", alignItems: "center" }}
+                        >
+                          <GradeIcon
+                            severity={grade.severity}
+                            sx={{
+                              fontSize: 18,
+                              color: schemeGradeColor(grade),
+                              mr: 1,
+                            }}
+                          />
+                          <Typography variant="body2" color="text.secondary">
+                            <strong>{grade.label}:</strong> {grade.description}
+                          </Typography>
+                        </Box>
+                      ))}
+                    </Box>
                   </Box>
-                </Box>
-              </Paper>
-            )}
+                </Paper>
+              )}
+            </Grid>
           </Grid>
-        </Grid>
+        )}
+
+        {mode === "single" && <JobTracker onView={viewJobResult} />}
+
+        {mode === "single" && (
+          <OfflineQueuePanel
+            owner={user.username}
+            queue={offlineQueue}
+            onView={viewQueuedResult}
+          />
+        )}
 
         <Box
           sx={{
@@ -664,14 +659,16 @@ function App() {
             borderColor: "divider",
           }}
         >
-          <Typography variant="body2" color="text.secondary">
-            This tool is designed specifically for retinal fundus images.
-            Results may be inaccurate for other image types.
-          </Typography>
-          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-            For diagnostic purposes only. Please consult with a healthcare
-            professional for medical advice.
-          </Typography>
+          {getDisclaimer().map((line, idx) => (
+            <Typography
+              key={line}
+              variant="body2"
+              color="text.secondary"
+              sx={{ mt: idx > 0 ? 1 : 0 }}
+            >
+              {line}
+            </Typography>
+          ))}
         </Box>
       </Container>
     </Box>
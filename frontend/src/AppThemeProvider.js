@@ -0,0 +1,45 @@
+import React, { useMemo } from "react";
+import { CacheProvider } from "@emotion/react";
+import createCache from "@emotion/cache";
+import { prefixer } from "stylis";
+import rtlPlugin from "stylis-plugin-rtl";
+import { ThemeProvider } from "@mui/material/styles";
+import { CssBaseline, useMediaQuery } from "@mui/material";
+import { hiIN, esES } from "@mui/material/locale";
+import { useLocale } from "./i18n";
+import { useThemeMode, resolveVariant, createAppTheme } from "./theme";
+
+// MUI's built-in component text (pagination, etc.); Telugu has no MUI bundle
+const MUI_LOCALES = { hi: hiIN, es: esES };
+
+// Right-to-left locales need their CSS flipped, so they get a separate emotion cache
+const caches = {
+  ltr: createCache({ key: "mui" }),
+  rtl: createCache({ key: "muirtl", stylisPlugins: [prefixer, rtlPlugin] }),
+};
+
+// Single MUI theme for the app: color variant, text direction and component locale
+export const AppThemeProvider = ({ children }) => {
+  const { locale, dir } = useLocale();
+  const mode = useThemeMode();
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const prefersContrast = useMediaQuery("(prefers-contrast: more)");
+  const variant = resolveVariant(mode, { prefersDark, prefersContrast });
+  const theme = useMemo(
+    () =>
+      createAppTheme(variant, {
+        direction: dir,
+        locale: MUI_LOCALES[locale] || {},
+      }),
+    [variant, locale, dir]
+  );
+
+  return (
+    <CacheProvider value={caches[dir]}>
+      <ThemeProvider theme={theme}>
+        <CssBaseline enableColorScheme />
+        {children}
+      </ThemeProvider>
+    </CacheProvider>
+  );
+};
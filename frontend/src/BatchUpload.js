@@ -0,0 +1,441 @@
+import React, { useState, useCallback, useEffect, useRef } from "react";
+import {
+  Box,
+  Button,
+  Typography,
+  Paper,
+  LinearProgress,
+  Chip,
+  Alert,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableSortLabel,
+} from "@mui/material";
+import {
+  PlayArrow,
+  Stop,
+  Replay,
+  Delete,
+  DeleteSweep,
+  FileDownload,
+  HowToVote,
+} from "@mui/icons-material";
+import { determineDRGrade, formatConfidence, GradeChip } from "./grading";
+import { ModelVersion } from "./ModelInfoDialog";
+import { appendModelChoice } from "./modelInfo";
+import { validateImageFile } from "./imageFiles";
+import { resultToCSVRow, downloadCSV } from "./exports";
+import { isCancelled, postPrediction } from "./predictionRequest";
+import { prepareUpload } from "./fundusPreprocess";
+import { t } from "./i18n";
+import { Dropzone } from "./Dropzone";
+import { announce } from "./LiveRegion";
+
+const STATUS_COLORS = {
+  pending: "default",
+  uploading: "info",
+  analyzing: "info",
+  graded: "success",
+  failed: "error",
+};
+
+// Order used when sorting the table by status
+const STATUS_ORDER = ["uploading", "analyzing", "pending", "failed", "graded"];
+
+const isInFlight = (item) => ["uploading", "analyzing"].includes(item.status);
+
+let nextItemId = 0;
+
+const createQueueItem = (file) => {
+  const error = validateImageFile(file);
+  return {
+    id: nextItemId++,
+    file,
+    status: error ? "failed" : "pending",
+    result: null,
+    drGrade: null,
+    // Share of the upload sent, while uploading
+    progress: null,
+    error,
+    // Invalid files can never succeed, so they are not retryable
+    retryable: !error,
+  };
+};
+
+const sortValue = (item, orderBy) => {
+  switch (orderBy) {
+    case "grade":
+      return item.drGrade ? Number(item.drGrade.grade) : -1;
+    case "confidence":
+      return item.result ? item.result.confidence : -1;
+    case "status":
+      return STATUS_ORDER.indexOf(item.status);
+    default:
+      return item.file.name.toLowerCase();
+  }
+};
+
+export const BatchUpload = () => {
+  const [queue, setQueue] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [orderBy, setOrderBy] = useState("name");
+  const [order, setOrder] = useState("asc");
+  // Aborts the image being graded; also on leaving the page
+  const controller = useRef(null);
+
+  useEffect(() => () => controller.current?.abort(), []);
+
+  const updateItem = useCallback((id, changes) => {
+    setQueue((items) =>
+      items.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+  }, []);
+
+  const gradeItem = useCallback(
+    async (item) => {
+      updateItem(item.id, { status: "uploading", progress: null, error: null });
+      controller.current = new AbortController();
+      const formData = new FormData();
+      formData.append("file", await prepareUpload(item.file));
+      appendModelChoice(formData);
+
+      try {
+        const response = await postPrediction("/predict", formData, {
+          signal: controller.current.signal,
+          onProgress: ({ phase, loaded, total }) =>
+            updateItem(item.id, {
+              status: phase,
+              progress: total ? loaded / total : null,
+            }),
+        });
+        updateItem(item.id, {
+          status: "graded",
+          result: response.data,
+          drGrade: determineDRGrade(response.data),
+        });
+      } catch (err) {
+        // A cancelled image goes back to the queue untouched
+        updateItem(
+          item.id,
+          isCancelled(err)
+            ? { status: "pending", progress: null }
+            : { status: "failed", error: err.detail || t("upload.failed") }
+        );
+      } finally {
+        controller.current = null;
+      }
+    },
+    [updateItem]
+  );
+
+  // Grade queued images one at a time so the backend is not flooded
+  useEffect(() => {
+    if (!running) return;
+    if (queue.some(isInFlight)) return;
+
+    const next = queue.find((item) => item.status === "pending");
+    if (next) {
+      gradeItem(next);
+    } else {
+      setRunning(false);
+      announce(
+        t("batch.announcement", {
+          graded: queue.filter((item) => item.status === "graded").length,
+          failed: queue.filter((item) => item.status === "failed").length,
+        })
+      );
+    }
+  }, [queue, running, gradeItem]);
+
+  const onDrop = useCallback((acceptedFiles, fileRejections) => {
+    const files = [
+      ...acceptedFiles,
+      ...fileRejections.map((rejection) => rejection.file),
+    ];
+    setQueue((items) => [...items, ...files.map(createQueueItem)]);
+  }, []);
+
+  const retryItem = (id) => {
+    updateItem(id, { status: "pending", error: null });
+    setRunning(true);
+  };
+
+  const retryFailed = () => {
+    setQueue((items) =>
+      items.map((item) =>
+        item.status === "failed" && item.retryable
+          ? { ...item, status: "pending", error: null }
+          : item
+      )
+    );
+    setRunning(true);
+  };
+
+  const removeItem = (id) => {
+    setQueue((items) => items.filter((item) => item.id !== id));
+  };
+
+  const clearQueue = () => {
+    setRunning(false);
+    setQueue((items) => items.filter(isInFlight));
+  };
+
+  const stopGrading = () => {
+    setRunning(false);
+    controller.current?.abort();
+  };
+
+  const handleSort = (column) => {
+    setOrder(orderBy === column && order === "asc" ? "desc" : "asc");
+    setOrderBy(column);
+  };
+
+  const sortedQueue = [...queue].sort((a, b) => {
+    const valueA = sortValue(a, orderBy);
+    const valueB = sortValue(b, orderBy);
+    if (valueA === valueB) return a.id - b.id;
+    const comparison = valueA < valueB ? -1 : 1;
+    return order === "asc" ? comparison : -comparison;
+  });
+
+  const exportCSV = () => {
+    const rows = sortedQueue
+      .filter((item) => item.status === "graded")
+      .map((item) => resultToCSVRow(item.result, { filename: item.file.name }));
+    downloadCSV(rows, `batch-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const countByStatus = (status) =>
+    queue.filter((item) => item.status === status).length;
+  const pendingCount = countByStatus("pending");
+  const gradedCount = countByStatus("graded");
+  const failedCount = countByStatus("failed");
+  const retryableCount = queue.filter(
+    (item) => item.status === "failed" && item.retryable
+  ).length;
+  const completedCount = gradedCount + failedCount;
+
+  const columns = ["name", "status", "grade", "confidence"];
+
+  return (
+    <Box>
+      <Dropzone
+        onDrop={onDrop}
+        multiple
+        title={t("batch.title")}
+        dragTitle={t("upload.dropMany")}
+        hint={t("batch.browse")}
+        caption={t("batch.supported")}
+      />
+
+      {queue.length > 0 && (
+        <Box sx={{ mt: 3 }}>
+          <Box
+            sx={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: 2,
+              alignItems: "center",
+              mb: 2,
+            }}
+          >
+            <Button
+              variant="contained"
+              startIcon={<PlayArrow />}
+              onClick={() => setRunning(true)}
+              disabled={running || pendingCount === 0}
+              sx={{ borderRadius: 2, fontWeight: "bold" }}
+            >
+              {t("batch.gradeAll", { count: pendingCount })}
+            </Button>
+            {running && (
+              <Button
+                variant="outlined"
+                color="inherit"
+                startIcon={<Stop />}
+                onClick={stopGrading}
+                sx={{ borderRadius: 2 }}
+              >
+                {t("batch.stop")}
+              </Button>
+            )}
+            <Button
+              variant="outlined"
+              startIcon={<Replay />}
+              onClick={retryFailed}
+              disabled={retryableCount === 0}
+              sx={{ borderRadius: 2 }}
+            >
+              {t("batch.retryFailed", { count: retryableCount })}
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={<FileDownload />}
+              onClick={exportCSV}
+              disabled={gradedCount === 0}
+              sx={{ borderRadius: 2 }}
+            >
+              {t("common.exportCsv")}
+            </Button>
+            <Button
+              variant="outlined"
+              color="inherit"
+              startIcon={<DeleteSweep />}
+              onClick={clearQueue}
+              sx={{ borderRadius: 2 }}
+            >
+              {t("batch.clear")}
+            </Button>
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              sx={{ ml: "auto" }}
+            >
+              {t("batch.counts", {
+                graded: gradedCount,
+                failed: failedCount,
+                total: queue.length,
+              })}
+            </Typography>
+          </Box>
+
+          <LinearProgress
+            variant="determinate"
+            value={(completedCount / queue.length) * 100}
+            sx={{ height: 8, borderRadius: 5, mb: 2 }}
+          />
+
+          {!running && pendingCount === 0 && failedCount > 0 && (
+            <Alert severity="warning" sx={{ mb: 2, borderRadius: 2 }}>
+              {t("batch.failedWarning", { count: failedCount })}
+            </Alert>
+          )}
+
+          <TableContainer component={Paper} sx={{ borderRadius: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  {columns.map((column) => (
+                    <TableCell
+                      key={column}
+                      sortDirection={orderBy === column ? order : false}
+                    >
+                      <TableSortLabel
+                        active={orderBy === column}
+                        direction={orderBy === column ? order : "asc"}
+                        onClick={() => handleSort(column)}
+                      >
+                        {t(`batch.column.${column}`)}
+                      </TableSortLabel>
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">
+                    {t("batch.column.actions")}
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sortedQueue.map((item) => (
+                  <TableRow key={item.id} hover>
+                    <TableCell sx={{ maxWidth: 240, wordBreak: "break-all" }}>
+                      {item.file.name}
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={t(`batch.status.${item.status}`)}
+                        color={STATUS_COLORS[item.status]}
+                      />
+                      {item.status === "uploading" && (
+                        <LinearProgress
+                          variant={
+                            item.progress === null
+                              ? "indeterminate"
+                              : "determinate"
+                          }
+                          value={(item.progress ?? 0) * 100}
+                          aria-label={t("batch.status.uploading")}
+                          sx={{ mt: 0.5, maxWidth: 120, borderRadius: 5 }}
+                        />
+                      )}
+                      {item.error && (
+                        <Typography
+                          variant="caption"
+                          color="error"
+                          sx={{ display: "block", mt: 0.5 }}
+                        >
+                          {item.error}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {item.drGrade ? (
+                        <Box sx={{ display: "flex", alignItems: "center" }}>
+                          <GradeChip drGrade={item.drGrade} size="small" />
+                          {item.result.ensemble?.disagreement && (
+                            <Tooltip title={t("ensemble.flag")}>
+                              <HowToVote
+                                color="warning"
+                                fontSize="small"
+                                aria-label={t("ensemble.flag")}
+                                sx={{ ml: 1 }}
+                              />
+                            </Tooltip>
+                          )}
+                        </Box>
+                      ) : (
+                        "—"
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {item.result ? (
+                        <>
+                          {formatConfidence(item.result.confidence)}
+                          <ModelVersion
+                            version={item.result.model_version}
+                            sx={{ display: "block" }}
+                          />
+                        </>
+                      ) : (
+                        "—"
+                      )}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      {item.status === "failed" && item.retryable && (
+                        <Tooltip title={t("common.retry")}>
+                          <IconButton
+                            size="small"
+                            onClick={() => retryItem(item.id)}
+                          >
+                            <Replay fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      <Tooltip title={t("common.remove")}>
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => removeItem(item.id)}
+                            disabled={isInFlight(item)}
+                          >
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+};
@@ -0,0 +1,102 @@
+import React from "react";
+import { useDropzone } from "react-dropzone";
+import { Box, Button, Paper, Typography } from "@mui/material";
+import { Upload, FolderOpen } from "@mui/icons-material";
+import { MAX_FILE_SIZE, ACCEPTED_IMAGE_TYPES } from "./imageFiles";
+import { t } from "./i18n";
+
+// Image drop target. Keyboard users reach the file dialog through the browse
+// button rather than a focusable drop area, which would otherwise wrap the
+// preview's own controls.
+export const Dropzone = ({
+  onDrop,
+  multiple = false,
+  title,
+  dragTitle,
+  hint,
+  caption,
+  preview,
+  minHeight,
+  iconSize = 48,
+}) => {
+  const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
+    onDrop,
+    accept: ACCEPTED_IMAGE_TYPES,
+    maxSize: MAX_FILE_SIZE,
+    ...(multiple ? { multiple: true } : { maxFiles: 1 }),
+    noKeyboard: true,
+  });
+
+  const browse = (event) => {
+    event.stopPropagation();
+    open();
+  };
+
+  return (
+    <Paper
+      {...getRootProps()}
+      sx={{
+        p: 4,
+        border: "2px dashed",
+        borderColor: isDragActive ? "primary.dark" : "primary.main",
+        borderRadius: 3,
+        textAlign: "center",
+        cursor: "pointer",
+        minHeight,
+        display: "flex",
+        flexDirection: "column",
+        justifyContent: "center",
+        alignItems: "center",
+        bgcolor: isDragActive ? "action.hover" : "background.paper",
+        boxShadow: 2,
+        transition: "all 0.3s ease-in-out",
+        "&:hover": {
+          borderColor: "primary.dark",
+          backgroundColor: "action.hover",
+        },
+      }}
+    >
+      <input {...getInputProps({ "aria-label": title })} />
+      {preview ? (
+        <Box sx={{ textAlign: "center", width: "100%" }}>
+          {preview}
+          <Button size="small" onClick={browse} sx={{ mt: 1 }}>
+            {t("upload.replace")}
+          </Button>
+        </Box>
+      ) : (
+        <Box>
+          <Upload
+            sx={{
+              fontSize: iconSize,
+              color: isDragActive ? "primary.dark" : "primary.main",
+              mb: 1,
+            }}
+          />
+          <Typography variant="h6" component="h2">
+            {isDragActive ? dragTitle : title}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {hint}
+          </Typography>
+          {caption && (
+            <Typography
+              variant="caption"
+              sx={{ mt: 1, display: "block", color: "text.secondary" }}
+            >
+              {caption}
+            </Typography>
+          )}
+          <Button
+            variant="outlined"
+            startIcon={<FolderOpen />}
+            onClick={browse}
+            sx={{ mt: 2, borderRadius: 2 }}
+          >
+            {t("upload.browseFiles")}
+          </Button>
+        </Box>
+      )}
+    </Paper>
+  );
+};
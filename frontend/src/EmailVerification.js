@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  CircularProgress,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { MarkEmailRead } from "@mui/icons-material";
+import api from "./api";
+import { clearAccountLink } from "./auth";
+import { LinkStateAlert } from "./LinkStateAlert";
+import { t } from "./i18n";
+
+// Sends a fresh verification link; asks for the email when it is not known
+export const ResendVerification = ({ email: knownEmail = "" }) => {
+  const [email, setEmail] = useState(knownEmail);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const resend = async () => {
+    setError("");
+    setLoading(true);
+    try {
+      await api.post("/verify-email/resend", { email });
+      setSent(true);
+    } catch (err) {
+      setError(err.detail || t("auth.resendFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (sent) {
+    return (
+      <Alert severity="success" sx={{ mt: 2, width: "100%" }}>
+        {t("auth.verificationResent")}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2, width: "100%" }}>
+      {!knownEmail && (
+        <TextField
+          fullWidth
+          size="small"
+          type="email"
+          label={t("auth.email")}
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          sx={{ mb: 1 }}
+        />
+      )}
+      <Button
+        fullWidth
+        variant="outlined"
+        onClick={resend}
+        disabled={loading || !email}
+      >
+        {t("auth.resendVerification")}
+      </Button>
+      {error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+// Landing page of the emailed verification link
+export const VerifyEmail = ({ token, switchToLogin }) => {
+  // "checking", "verified", "failed" or the link's state
+  const [state, setState] = useState("checking");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const verify = async () => {
+      try {
+        const check = await api.get(`/verify-email/${token}`);
+        if (check.data.state !== "valid") {
+          if (!cancelled) setState(check.data.state);
+          return;
+        }
+        if (cancelled) return;
+        await api.post(`/verify-email/${token}`);
+        if (!cancelled) setState("verified");
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.detail || t("auth.verifyFailed"));
+        setState("failed");
+      }
+    };
+    verify();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const backToLogin = () => {
+    clearAccountLink();
+    switchToLogin();
+  };
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{ p: 4, maxWidth: 400, width: "100%", borderRadius: 3 }}
+    >
+      <Box
+        sx={{ display: "flex", flexDirection: "column", alignItems: "center" }}
+      >
+        <Avatar sx={{ m: 1, bgcolor: "primary.main" }}>
+          <MarkEmailRead />
+        </Avatar>
+        <Typography component="h1" variant="h5" fontWeight="bold">
+          {t("auth.verifyTitle")}
+        </Typography>
+
+        {state === "checking" && (
+          <Box sx={{ mt: 3, display: "flex", alignItems: "center", gap: 2 }}>
+            <CircularProgress size={24} />
+            <Typography color="text.secondary">
+              {t("auth.verifying")}
+            </Typography>
+          </Box>
+        )}
+        {state === "verified" && (
+          <Alert severity="success" sx={{ mt: 2, width: "100%" }}>
+            {t("auth.verified")}
+          </Alert>
+        )}
+        {state === "failed" && (
+          <Alert severity="error" sx={{ mt: 2, width: "100%" }}>
+            {error}
+          </Alert>
+        )}
+        {["invalid", "expired", "used"].includes(state) && (
+          <LinkStateAlert state={state} />
+        )}
+        {state === "expired" && <ResendVerification />}
+
+        {state !== "checking" && (
+          <Button
+            fullWidth
+            variant="contained"
+            onClick={backToLogin}
+            sx={{ mt: 3, py: 1.5, borderRadius: 2 }}
+          >
+            {t("auth.backToLogin")}
+          </Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
@@ -0,0 +1,97 @@
+import React from "react";
+import {
+  Alert,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { HowToVote } from "@mui/icons-material";
+import {
+  determineDRGrade,
+  drGradeForClass,
+  formatConfidence,
+  GradeChip,
+} from "./grading";
+import { t, formatPercent } from "./i18n";
+
+// Each ensemble member's vote next to the averaged result
+export const EnsembleVotes = ({ result }) => {
+  const { ensemble } = result;
+  if (!ensemble) return null;
+
+  return (
+    <Box>
+      <Typography
+        variant="h6"
+        component="h3"
+        fontWeight="medium"
+        gutterBottom
+        sx={{ display: "flex", alignItems: "center", gap: 1 }}
+      >
+        <HowToVote color="primary" />
+        {t("ensemble.title")}
+      </Typography>
+      <Alert
+        severity={ensemble.disagreement ? "warning" : "success"}
+        sx={{ borderRadius: 2, mb: 1 }}
+      >
+        {ensemble.disagreement
+          ? t("ensemble.disagreement", {
+              agreement: formatPercent(ensemble.agreement, 0),
+            })
+          : t("ensemble.agreement")}
+      </Alert>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>{t("ensemble.model")}</TableCell>
+            <TableCell>{t("ensemble.vote")}</TableCell>
+            <TableCell align="right">
+              {t("result.column.probability")}
+            </TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {ensemble.members.map((member) => (
+            <TableRow key={member.model_id}>
+              <TableCell component="th" scope="row">
+                {member.name}
+                <Typography
+                  variant="caption"
+                  color="text.secondary"
+                  sx={{ display: "block" }}
+                >
+                  {member.version}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <GradeChip
+                  drGrade={drGradeForClass(result.class_names, member.class)}
+                  size="small"
+                />
+              </TableCell>
+              <TableCell align="right">
+                {formatConfidence(member.confidence)}
+              </TableCell>
+            </TableRow>
+          ))}
+          <TableRow selected>
+            <TableCell component="th" scope="row" sx={{ fontWeight: "bold" }}>
+              {t("ensemble.combined")}
+            </TableCell>
+            <TableCell>
+              <GradeChip drGrade={determineDRGrade(result)} size="small" />
+            </TableCell>
+            <TableCell align="right" sx={{ fontWeight: "bold" }}>
+              {formatConfidence(result.confidence)}
+            </TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
@@ -0,0 +1,264 @@
+import React, { useState, useCallback } from "react";
+import { Box, Button, Typography, Paper, Alert } from "@mui/material";
+import { Error, AssignmentInd } from "@mui/icons-material";
+import { summarizeExam, gradeLabel, GradeChip } from "./grading";
+import { ResultPanel } from "./ResultPanel";
+import { FundusViewer } from "./FundusViewer";
+import { evaluateReferral, combineReferralDecisions } from "./referralPolicy";
+import { ReferralDecision } from "./ReferralDecision";
+import {
+  PatientFields,
+  EMPTY_PATIENT,
+  appendPatientFields,
+  EYES,
+  eyeLabel,
+} from "./PatientFields";
+import { validateImageFile, readFileAsDataURL } from "./imageFiles";
+import { UploadProgress } from "./UploadProgress";
+import { isCancelled, usePredictionRequest } from "./predictionRequest";
+import { appendModelChoice } from "./modelInfo";
+import { prepareUpload } from "./fundusPreprocess";
+import { t } from "./i18n";
+import { Dropzone } from "./Dropzone";
+import { announce } from "./LiveRegion";
+
+const EyeDropzone = ({ eye, image, onSelect }) => {
+  const [error, setError] = useState(null);
+
+  const onDrop = useCallback(
+    (acceptedFiles, fileRejections) => {
+      setError(null);
+      const selectedFile = acceptedFiles[0] || fileRejections[0]?.file;
+      if (!selectedFile) return;
+
+      const validationError = validateImageFile(selectedFile);
+      if (validationError) {
+        setError(validationError);
+        return;
+      }
+      readFileAsDataURL(selectedFile).then((preview) =>
+        onSelect(eye, { file: selectedFile, preview })
+      );
+    },
+    [eye, onSelect]
+  );
+
+  return (
+    <Box sx={{ flex: 1, minWidth: 260 }}>
+      <Typography
+        variant="h6"
+        component="h2"
+        sx={{ mb: 1, fontWeight: "bold" }}
+      >
+        {eyeLabel(eye)}
+      </Typography>
+      <Dropzone
+        onDrop={onDrop}
+        title={t("exam.upload", { eye })}
+        dragTitle={t("upload.drop")}
+        hint={t("upload.browse")}
+        minHeight={280}
+        preview={
+          image && (
+            <>
+              <FundusViewer
+                src={image.preview}
+                alt={t("exam.previewAlt", { eye })}
+                height={200}
+              />
+              <Typography variant="body2" sx={{ mt: 1, fontWeight: 500 }}>
+                {image.file.name}
+              </Typography>
+            </>
+          )
+        }
+      />
+      {error && (
+        <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export const ExamView = () => {
+  const [patient, setPatient] = useState(EMPTY_PATIENT);
+  const [images, setImages] = useState({ OD: null, OS: null });
+  const [exam, setExam] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const prediction = usePredictionRequest();
+
+  const handleSelect = useCallback((eye, image) => {
+    setImages((current) => ({ ...current, [eye]: image }));
+    setExam(null);
+  }, []);
+
+  const analyzeExam = async () => {
+    setLoading(true);
+    setError(null);
+    const formData = new FormData();
+    for (const eye of EYES) {
+      if (images[eye]) {
+        formData.append(
+          eye.toLowerCase(),
+          await prepareUpload(images[eye].file)
+        );
+      }
+    }
+    appendPatientFields(formData, patient);
+    appendModelChoice(formData);
+
+    try {
+      const response = await prediction.send("/exams", formData);
+      setExam(response.data);
+      const examSummary = summarizeExam(response.data.eyes);
+      announce(
+        t("exam.announcement", {
+          grade: gradeLabel(examSummary.drGrade),
+          eye: eyeLabel(examSummary.worseEye),
+        })
+      );
+    } catch (err) {
+      if (!isCancelled(err)) setError(err.detail || t("exam.failed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = exam ? summarizeExam(exam.eyes) : null;
+  const patientReferral = exam
+    ? combineReferralDecisions(
+        EYES.map(
+          (eye) =>
+            exam.eyes[eye] && { ...evaluateReferral(exam.eyes[eye]), eye }
+        )
+      )
+    : null;
+  const imageCount = EYES.filter((eye) => images[eye]).length;
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, mb: 3 }}>
+        <PatientFields value={patient} onChange={setPatient} hideEye />
+      </Paper>
+
+      <Box sx={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+        {EYES.map((eye) => (
+          <EyeDropzone
+            key={eye}
+            eye={eye}
+            image={images[eye]}
+            onSelect={handleSelect}
+          />
+        ))}
+      </Box>
+
+      {imageCount === 1 && !loading && (
+        <Alert severity="info" sx={{ mt: 3, borderRadius: 2 }}>
+          {t("exam.oneEye")}
+        </Alert>
+      )}
+
+      {imageCount > 0 && !loading && (
+        <Button
+          variant="contained"
+          fullWidth
+          size="large"
+          onClick={analyzeExam}
+          sx={{
+            mt: 3,
+            py: 1.5,
+            borderRadius: 2,
+            fontWeight: "bold",
+            boxShadow: 3,
+          }}
+        >
+          {t("exam.analyze")}
+        </Button>
+      )}
+
+      {loading && (
+        <UploadProgress
+          progress={prediction.progress}
+          analyzingLabel={t("exam.analyzing")}
+          onCancel={prediction.cancel}
+        />
+      )}
+
+      {error && (
+        <Alert
+          severity="error"
+          sx={{ mt: 3, borderRadius: 2 }}
+          icon={<Error fontSize="large" />}
+        >
+          <Typography variant="body1" fontWeight={500}>
+            {error}
+          </Typography>
+        </Alert>
+      )}
+
+      {summary && (
+        <Paper
+          sx={{
+            mt: 4,
+            p: 4,
+            borderRadius: 3,
+            boxShadow: 5,
+            textAlign: "center",
+          }}
+        >
+          <Typography
+            variant="h5"
+            component="h2"
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              gap: 1,
+            }}
+          >
+            <AssignmentInd color="primary" />
+            {t("exam.summary")}
+            {exam.patient_id && ` · ${exam.patient_id}`}
+          </Typography>
+          <GradeChip drGrade={summary.drGrade} />
+          <Typography sx={{ mt: 2, color: "text.secondary" }}>
+            {t("exam.worseEye", { eye: eyeLabel(summary.worseEye) })}
+          </Typography>
+          {patientReferral && (
+            <ReferralDecision
+              decision={patientReferral}
+              title={t("exam.referral", {
+                eye: eyeLabel(patientReferral.eye),
+              })}
+              sx={{ mt: 3 }}
+            />
+          )}
+        </Paper>
+      )}
+
+      {exam && (
+        <Box sx={{ mt: 4, display: "flex", gap: 4, flexWrap: "wrap" }}>
+          {EYES.filter((eye) => exam.eyes[eye]).map((eye) => (
+            <Box key={eye} sx={{ flex: 1, minWidth: 320 }}>
+              <Typography
+                variant="h6"
+                component="h2"
+                sx={{ mb: 1, fontWeight: "bold" }}
+              >
+                {eyeLabel(eye)}
+              </Typography>
+              <ResultPanel
+                result={exam.eyes[eye]}
+                imageSrc={images[eye]?.preview}
+                patient={{ ...patient, eye }}
+              />
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
@@ -0,0 +1,454 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  Box,
+  IconButton,
+  Tooltip,
+  Typography,
+  Collapse,
+  ToggleButton,
+  ToggleButtonGroup,
+  Slider,
+  Button,
+} from "@mui/material";
+import {
+  ZoomIn,
+  ZoomOut,
+  CenterFocusStrong,
+  Search,
+  Tune,
+  Fullscreen,
+  FullscreenExit,
+} from "@mui/icons-material";
+import {
+  DEFAULT_FILTERS,
+  applyFilters,
+  hasActiveFilters,
+} from "./fundusFilters";
+import { t, formatPercent } from "./i18n";
+
+const MAX_ZOOM = 10;
+const ZOOM_STEP = 1.5;
+// Filters run on a copy no larger than this, so huge captures stay responsive
+const MAX_WORKING_SIZE = 2048;
+const LOUPE_RADIUS = 70;
+const LOUPE_ZOOM = 3;
+
+// Zoom is relative to "fit", and cx/cy is the image point (0-1) at the centre
+// of the viewport, so the same view can be shared between different images
+export const DEFAULT_VIEW = { zoom: 1, cx: 0.5, cy: 0.5 };
+
+const getLayout = (image, size, view) => {
+  const fit = Math.min(size.width / image.width, size.height / image.height);
+  const scale = fit * view.zoom;
+  return {
+    fit,
+    scale,
+    x: size.width / 2 - view.cx * image.width * scale,
+    y: size.height / 2 - view.cy * image.height * scale,
+  };
+};
+
+const clampUnit = (value) => Math.min(Math.max(value, 0), 1);
+
+// New view at the given zoom, keeping the image point under (px, py) fixed
+const zoomView = (view, image, size, zoom, px, py) => {
+  const nextZoom = Math.min(Math.max(zoom, 1), MAX_ZOOM);
+  const { scale, fit, x, y } = getLayout(image, size, view);
+  const nextScale = fit * nextZoom;
+  const nextX = px - ((px - x) / scale) * nextScale;
+  const nextY = py - ((py - y) / scale) * nextScale;
+  return {
+    zoom: nextZoom,
+    cx: clampUnit((size.width / 2 - nextX) / (image.width * nextScale)),
+    cy: clampUnit((size.height / 2 - nextY) / (image.height * nextScale)),
+  };
+};
+
+export const FundusViewer = ({
+  src,
+  alt,
+  height = 300,
+  view: controlledView,
+  onViewChange,
+}) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [internalView, setInternalView] = useState(DEFAULT_VIEW);
+  const [image, setImage] = useState(null);
+  const [rendered, setRendered] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [loupe, setLoupe] = useState(false);
+  const [pointer, setPointer] = useState(null);
+  const [size, setSize] = useState({ width: 0, height });
+  const [fullscreen, setFullscreen] = useState(false);
+
+  const view = controlledView || internalView;
+  const setView = (next) => {
+    if (!controlledView) setInternalView(next);
+    if (onViewChange) onViewChange(next);
+  };
+
+  // Event listeners registered once read the latest values from here
+  const latest = useRef();
+  latest.current = { view, rendered, size, setView };
+
+  useEffect(() => {
+    setImage(null);
+    if (!src) return undefined;
+    let cancelled = false;
+    const img = new Image();
+    img.onload = () => !cancelled && setImage(img);
+    img.src = src;
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  // Debounced so dragging a slider does not re-filter on every tick
+  useEffect(() => {
+    if (!image) {
+      setRendered(null);
+      return undefined;
+    }
+    const timeout = setTimeout(() => {
+      const scale = Math.min(
+        1,
+        MAX_WORKING_SIZE / Math.max(image.naturalWidth, image.naturalHeight)
+      );
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      const context = canvas.getContext("2d");
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      if (hasActiveFilters(filters)) {
+        const imageData = context.getImageData(
+          0,
+          0,
+          canvas.width,
+          canvas.height
+        );
+        context.putImageData(applyFilters(imageData, filters), 0, 0);
+      }
+      setRendered(canvas);
+    }, 150);
+    return () => clearTimeout(timeout);
+  }, [image, filters]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (typeof ResizeObserver === "undefined" || !canvas) return undefined;
+    const observer = new ResizeObserver(([entry]) =>
+      setSize({
+        width: entry.contentRect.width,
+        height: entry.contentRect.height,
+      })
+    );
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const onChange = () =>
+      setFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener("fullscreenchange", onChange);
+    return () => document.removeEventListener("fullscreenchange", onChange);
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !size.width) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(size.width * dpr);
+    canvas.height = Math.round(size.height * dpr);
+    const context = canvas.getContext("2d");
+    context.setTransform(dpr, 0, 0, dpr, 0, 0);
+    context.fillStyle = "#000";
+    context.fillRect(0, 0, size.width, size.height);
+    if (!rendered) return;
+
+    const { scale, x, y } = getLayout(rendered, size, view);
+    context.drawImage(
+      rendered,
+      x,
+      y,
+      rendered.width * scale,
+      rendered.height * scale
+    );
+
+    if (loupe && pointer) {
+      const loupeScale = scale * LOUPE_ZOOM;
+      const imageX = (pointer.x - x) / scale;
+      const imageY = (pointer.y - y) / scale;
+      context.save();
+      context.beginPath();
+      context.arc(pointer.x, pointer.y, LOUPE_RADIUS, 0, 2 * Math.PI);
+      context.clip();
+      context.fillRect(
+        pointer.x - LOUPE_RADIUS,
+        pointer.y - LOUPE_RADIUS,
+        LOUPE_RADIUS * 2,
+        LOUPE_RADIUS * 2
+      );
+      context.drawImage(
+        rendered,
+        pointer.x - imageX * loupeScale,
+        pointer.y - imageY * loupeScale,
+        rendered.width * loupeScale,
+        rendered.height * loupeScale
+      );
+      context.restore();
+      context.strokeStyle = "#fff";
+      context.lineWidth = 2;
+      context.beginPath();
+      context.arc(pointer.x, pointer.y, LOUPE_RADIUS, 0, 2 * Math.PI);
+      context.stroke();
+    }
+  }, [rendered, view, size, loupe, pointer]);
+
+  // React registers wheel listeners as passive, which cannot stop page scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const onWheel = (event) => {
+      event.preventDefault();
+      const {
+        view: current,
+        rendered: img,
+        size: box,
+        setView: set,
+      } = latest.current;
+      if (!img) return;
+      const rect = canvas.getBoundingClientRect();
+      set(
+        zoomView(
+          current,
+          img,
+          box,
+          current.zoom * Math.exp(-event.deltaY * 0.0015),
+          event.clientX - rect.left,
+          event.clientY - rect.top
+        )
+      );
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, []);
+
+  const zoomFromCentre = (factor) =>
+    rendered &&
+    setView(
+      zoomView(
+        view,
+        rendered,
+        size,
+        view.zoom * factor,
+        size.width / 2,
+        size.height / 2
+      )
+    );
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY, view };
+  };
+
+  const handlePointerMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    if (loupe) {
+      setPointer({ x: event.clientX - rect.left, y: event.clientY - rect.top });
+    }
+    const drag = dragRef.current;
+    if (!drag || !rendered) return;
+    const { scale } = getLayout(rendered, size, drag.view);
+    setView({
+      ...drag.view,
+      cx: clampUnit(
+        drag.view.cx - (event.clientX - drag.x) / (rendered.width * scale)
+      ),
+      cy: clampUnit(
+        drag.view.cy - (event.clientY - drag.y) / (rendered.height * scale)
+      ),
+    });
+  };
+
+  const toggleFullscreen = () => {
+    if (fullscreen) {
+      document.exitFullscreen?.();
+    } else {
+      containerRef.current.requestFullscreen?.();
+    }
+  };
+
+  const activeToggles = ["redFree", "clahe", "invert"].filter(
+    (key) => filters[key]
+  );
+
+  return (
+    // Clicks and keys stay inside, so the viewer can sit inside a dropzone
+    <Box
+      ref={containerRef}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+      sx={{
+        width: "100%",
+        textAlign: "left",
+        ...(fullscreen && {
+          height: "100vh",
+          display: "flex",
+          flexDirection: "column",
+          bgcolor: "background.paper",
+          p: 2,
+        }),
+      }}
+    >
+      <Box
+        component="canvas"
+        ref={canvasRef}
+        role="img"
+        aria-label={alt || t("viewer.alt")}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => (dragRef.current = null)}
+        onPointerLeave={() => setPointer(null)}
+        onDoubleClick={() => setView(DEFAULT_VIEW)}
+        sx={{
+          display: "block",
+          width: "100%",
+          height: fullscreen ? "auto" : height,
+          flex: fullscreen ? 1 : "none",
+          minHeight: 0,
+          borderRadius: 2,
+          bgcolor: "#000",
+          touchAction: "none",
+          cursor: loupe ? "crosshair" : "grab",
+          "&:active": { cursor: loupe ? "crosshair" : "grabbing" },
+        }}
+      />
+
+      <Box sx={{ display: "flex", alignItems: "center", mt: 0.5 }}>
+        <Tooltip title={t("viewer.zoomOut")}>
+          <IconButton
+            size="small"
+            onClick={() => zoomFromCentre(1 / ZOOM_STEP)}
+          >
+            <ZoomOut fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title={t("viewer.zoomIn")}>
+          <IconButton size="small" onClick={() => zoomFromCentre(ZOOM_STEP)}>
+            <ZoomIn fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title={t("viewer.reset")}>
+          <IconButton size="small" onClick={() => setView(DEFAULT_VIEW)}>
+            <CenterFocusStrong fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          sx={{ mx: 1, minWidth: 40 }}
+        >
+          {formatPercent(view.zoom, 0)}
+        </Typography>
+        <Box sx={{ flex: 1 }} />
+        <Tooltip title={t("viewer.loupe")}>
+          <IconButton
+            size="small"
+            color={loupe ? "primary" : "default"}
+            aria-pressed={loupe}
+            onClick={() => setLoupe((on) => !on)}
+          >
+            <Search fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title={t("viewer.filters")}>
+          <IconButton
+            size="small"
+            color={hasActiveFilters(filters) ? "primary" : "default"}
+            aria-expanded={showFilters}
+            onClick={() => setShowFilters((on) => !on)}
+          >
+            <Tune fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip
+          title={t(fullscreen ? "viewer.exitFullscreen" : "viewer.fullscreen")}
+        >
+          <IconButton size="small" onClick={toggleFullscreen}>
+            {fullscreen ? (
+              <FullscreenExit fontSize="small" />
+            ) : (
+              <Fullscreen fontSize="small" />
+            )}
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Collapse in={showFilters}>
+        <Box sx={{ pt: 1 }}>
+          <ToggleButtonGroup
+            size="small"
+            value={activeToggles}
+            onChange={(e, values) =>
+              setFilters((current) => ({
+                ...current,
+                redFree: values.includes("redFree"),
+                clahe: values.includes("clahe"),
+                invert: values.includes("invert"),
+              }))
+            }
+            aria-label={t("viewer.filters")}
+          >
+            <ToggleButton value="redFree">{t("viewer.redFree")}</ToggleButton>
+            <ToggleButton value="clahe">{t("viewer.clahe")}</ToggleButton>
+            <ToggleButton value="invert">{t("viewer.invert")}</ToggleButton>
+          </ToggleButtonGroup>
+          <Box sx={{ display: "flex", gap: 3, mt: 1 }}>
+            <Box sx={{ flex: 1 }}>
+              <Typography variant="caption" color="text.secondary">
+                {t("viewer.brightness")}
+              </Typography>
+              <Slider
+                size="small"
+                value={filters.brightness}
+                min={-100}
+                max={100}
+                step={5}
+                onChange={(e, value) =>
+                  setFilters((current) => ({ ...current, brightness: value }))
+                }
+                aria-label={t("viewer.brightness")}
+              />
+            </Box>
+            <Box sx={{ flex: 1 }}>
+              <Typography variant="caption" color="text.secondary">
+                {t("viewer.gamma")}
+              </Typography>
+              <Slider
+                size="small"
+                value={filters.gamma}
+                min={0.5}
+                max={2.5}
+                step={0.1}
+                onChange={(e, value) =>
+                  setFilters((current) => ({ ...current, gamma: value }))
+                }
+                aria-label={t("viewer.gamma")}
+              />
+            </Box>
+          </Box>
+          <Button
+            size="small"
+            onClick={() => setFilters(DEFAULT_FILTERS)}
+            disabled={!hasActiveFilters(filters)}
+          >
+            {t("viewer.resetFilters")}
+          </Button>
+        </Box>
+      </Collapse>
+    </Box>
+  );
+};
@@ -0,0 +1,290 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Button,
+  Typography,
+  TextField,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Chip,
+  Alert,
+  Collapse,
+  List,
+  ListItem,
+  ListItemText,
+} from "@mui/material";
+import { RateReview, Edit, History as HistoryIcon } from "@mui/icons-material";
+import api from "./api";
+import { t, formatDateTime } from "./i18n";
+import { drGradeForClass, gradeLabel } from "./grading";
+import {
+  getActiveScheme,
+  maculopathyGrades,
+  schemeGrades,
+} from "./gradingScheme";
+
+// Matches LESION_TYPES in the backend
+export const LESIONS = [
+  "microaneurysms",
+  "hemorrhages",
+  "exudates",
+  "neovascularization",
+];
+
+export const lesionLabel = (lesion) =>
+  LESIONS.includes(lesion) ? t(`lesion.${lesion}`) : lesion;
+
+// One choice per scheme grade, valued by model class; a grade spanning several
+// classes keeps the AI's class so confirming it is not an override
+const finalGradeOptions = (aiClass) => {
+  const { class_map: classMap } = getActiveScheme();
+  return schemeGrades()
+    .map((grade) => ({
+      ...grade,
+      classIndex:
+        classMap[aiClass] === grade.code
+          ? aiClass
+          : classMap.indexOf(grade.code),
+    }))
+    .filter(({ classIndex }) => classIndex !== -1);
+};
+
+const reviewSummary = (review) =>
+  t(review.agrees_with_ai ? "review.confirmed" : "review.overridden", {
+    grader: review.grader,
+    date: formatDateTime(review.created_at),
+  });
+
+// Grader confirmation/override of a saved screening, with findings and lesions
+export const GraderReview = ({ result, review, onReviewed }) => {
+  const [editing, setEditing] = useState(!review);
+  const [finalGrade, setFinalGrade] = useState(
+    review ? review.final_grade : result.class
+  );
+  const [findings, setFindings] = useState(review?.findings || "");
+  const [lesions, setLesions] = useState(review?.lesions || []);
+  const [maculopathy, setMaculopathy] = useState(review?.maculopathy || "");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const toggleLesion = (lesion) =>
+    setLesions((current) =>
+      current.includes(lesion)
+        ? current.filter((item) => item !== lesion)
+        : [...current, lesion]
+    );
+
+  const saveReview = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.post(
+        `/screenings/${result.screening_id}/feedback`,
+        {
+          final_grade: finalGrade,
+          findings,
+          lesions,
+          maculopathy: maculopathy || null,
+        }
+      );
+      setEditing(false);
+      setHistory(null);
+      onReviewed(response.data);
+    } catch (err) {
+      setError(err.detail || t("review.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleHistory = async () => {
+    setShowHistory((on) => !on);
+    if (history) return;
+    try {
+      const response = await api.get(
+        `/screenings/${result.screening_id}/feedback`
+      );
+      setHistory(response.data);
+    } catch {
+      setHistory([]);
+    }
+  };
+
+  const overriding = finalGrade !== result.class;
+  const gradeOf = (index) => drGradeForClass(result.class_names, index);
+
+  return (
+    <Box>
+      <Typography
+        variant="h6"
+        component="h3"
+        fontWeight="medium"
+        gutterBottom
+        sx={{ display: "flex", alignItems: "center", gap: 1 }}
+      >
+        <RateReview color="primary" />
+        {t("review.title")}
+      </Typography>
+
+      {review && !editing && (
+        <Box>
+          <Typography variant="body2" color="text.secondary">
+            {reviewSummary(review)}
+          </Typography>
+          {review.maculopathy && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              {t("review.maculopathy")}: {review.maculopathy}
+            </Typography>
+          )}
+          {review.lesions.length > 0 && (
+            <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", mt: 1 }}>
+              {review.lesions.map((lesion) => (
+                <Chip key={lesion} size="small" label={lesionLabel(lesion)} />
+              ))}
+            </Box>
+          )}
+          {review.findings && (
+            <Typography variant="body2" sx={{ mt: 1, whiteSpace: "pre-wrap" }}>
+              {review.findings}
+            </Typography>
+          )}
+          <Box sx={{ display: "flex", gap: 1, mt: 1 }}>
+            <Button
+              size="small"
+              startIcon={<Edit />}
+              onClick={() => setEditing(true)}
+            >
+              {t("review.revise")}
+            </Button>
+            <Button
+              size="small"
+              startIcon={<HistoryIcon />}
+              onClick={toggleHistory}
+            >
+              {t("review.auditTrail")}
+            </Button>
+          </Box>
+          <Collapse in={showHistory}>
+            <List dense>
+              {(history || []).map((entry) => (
+                <ListItem key={entry.id} divider>
+                  <ListItemText
+                    primary={gradeLabel(gradeOf(entry.final_grade))}
+                    secondary={reviewSummary(entry)}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Collapse>
+        </Box>
+      )}
+
+      {editing && (
+        <Box>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label={t("review.finalGrade")}
+            value={finalGrade}
+            onChange={(e) => setFinalGrade(Number(e.target.value))}
+            sx={{ mt: 1 }}
+          >
+            {finalGradeOptions(result.class).map((grade) => (
+              <MenuItem key={grade.code} value={grade.classIndex}>
+                {t("grade.label", {
+                  grade: grade.label,
+                  description: grade.description,
+                })}
+                {grade.classIndex === result.class && t("review.aiGrade")}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          {maculopathyGrades().length > 0 && (
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label={t("review.maculopathy")}
+              value={maculopathy}
+              onChange={(e) => setMaculopathy(e.target.value)}
+              sx={{ mt: 2 }}
+            >
+              <MenuItem value="">{t("review.maculopathyNotRecorded")}</MenuItem>
+              {maculopathyGrades().map(({ code, description }) => (
+                <MenuItem key={code} value={code}>
+                  {code}: {description}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
+          <Typography variant="subtitle2" component="h4" sx={{ mt: 2 }}>
+            {t("review.lesions")}
+          </Typography>
+          <FormGroup row>
+            {LESIONS.map((lesion) => (
+              <FormControlLabel
+                key={lesion}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={lesions.includes(lesion)}
+                    onChange={() => toggleLesion(lesion)}
+                  />
+                }
+                label={lesionLabel(lesion)}
+              />
+            ))}
+          </FormGroup>
+
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            label={t("review.findings")}
+            value={findings}
+            onChange={(e) => setFindings(e.target.value)}
+            sx={{ mt: 1 }}
+          />
+
+          {error && (
+            <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <Box sx={{ display: "flex", gap: 1, mt: 2 }}>
+            <Button
+              variant="contained"
+              size="small"
+              color={overriding ? "warning" : "primary"}
+              onClick={saveReview}
+              disabled={saving}
+              sx={{ borderRadius: 2 }}
+            >
+              {saving
+                ? t("review.saving")
+                : overriding
+                ? t("review.overrideTo", {
+                    grade: gradeOf(finalGrade).label,
+                  })
+                : t("review.confirm")}
+            </Button>
+            {review && (
+              <Button size="small" onClick={() => setEditing(false)}>
+                {t("common.cancel")}
+              </Button>
+            )}
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { TextField, MenuItem, InputAdornment } from "@mui/material";
+import { Rule } from "@mui/icons-material";
+import {
+  chooseGradingScheme,
+  getGradingSchemes,
+  useGradingScheme,
+} from "./gradingScheme";
+import { t } from "./i18n";
+
+// Grading scheme picker; the choice is saved to the user's account
+export const GradingSchemeSelect = ({ sx }) => {
+  const scheme = useGradingScheme();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = async (e) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await chooseGradingScheme(e.target.value);
+    } catch (err) {
+      setError(err.detail || t("scheme.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <TextField
+      select
+      size="small"
+      value={scheme.id}
+      onChange={handleChange}
+      disabled={saving}
+      error={!!error}
+      helperText={error}
+      inputProps={{ "aria-label": t("scheme.label") }}
+      InputProps={{
+        startAdornment: (
+          <InputAdornment position="start">
+            <Rule fontSize="small" color="action" />
+          </InputAdornment>
+        ),
+      }}
+      sx={{ minWidth: 150, maxWidth: 220, ...sx }}
+    >
+      {getGradingSchemes().map(({ id, name }) => (
+        <MenuItem key={id} value={id}>
+          {name}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
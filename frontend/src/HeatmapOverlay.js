@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  Box,
+  Typography,
+  Switch,
+  Slider,
+  FormControlLabel,
+  Tooltip,
+} from "@mui/material";
+import { InfoOutlined } from "@mui/icons-material";
+import { t } from "./i18n";
+
+// Resolution the relevance map is painted at; CSS stretches it over the image
+const CANVAS_SIZE = 224;
+
+// Blue → cyan → yellow → red colour ramp for 0-1 relevance values
+export const relevanceColor = (value) => {
+  const v = Math.min(Math.max(value, 0), 1);
+  const r = Math.round(
+    255 * Math.min(Math.max(1.5 - Math.abs(4 * v - 3), 0), 1)
+  );
+  const g = Math.round(
+    255 * Math.min(Math.max(1.5 - Math.abs(4 * v - 2), 0), 1)
+  );
+  const b = Math.round(
+    255 * Math.min(Math.max(1.5 - Math.abs(4 * v - 1), 0), 1)
+  );
+  return [r, g, b];
+};
+
+// Paints the coarse grid one pixel per cell, then lets canvas scaling smooth it
+export const drawRelevanceMap = (canvas, grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const cells = document.createElement("canvas");
+  cells.width = cols;
+  cells.height = rows;
+  const cellContext = cells.getContext("2d");
+  const imageData = cellContext.createImageData(cols, rows);
+  grid.flat().forEach((value, idx) => {
+    const [r, g, b] = relevanceColor(value);
+    // Low-relevance regions fade out so the fundus stays visible
+    imageData.data.set(
+      [r, g, b, Math.round(255 * Math.min(value * 1.5, 1))],
+      idx * 4
+    );
+  });
+  cellContext.putImageData(imageData, 0, 0);
+
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.imageSmoothingEnabled = true;
+  context.drawImage(cells, 0, 0, canvas.width, canvas.height);
+};
+
+export const HeatmapOverlay = ({ imageSrc, relevanceMap }) => {
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(true);
+  const [opacity, setOpacity] = useState(0.5);
+
+  useEffect(() => {
+    if (canvasRef.current && relevanceMap) {
+      drawRelevanceMap(canvasRef.current, relevanceMap.grid);
+    }
+  }, [relevanceMap]);
+
+  return (
+    <Box>
+      <Typography
+        variant="h6"
+        component="h3"
+        fontWeight="medium"
+        gutterBottom
+        sx={{ display: "flex", alignItems: "center" }}
+      >
+        {t("heatmap.title")}
+        <Tooltip title={t("heatmap.hint")}>
+          <InfoOutlined sx={{ ml: 1, fontSize: 18, color: "text.secondary" }} />
+        </Tooltip>
+      </Typography>
+
+      <Box
+        sx={{
+          position: "relative",
+          display: "inline-block",
+          maxWidth: "100%",
+          lineHeight: 0,
+        }}
+      >
+        <img
+          src={imageSrc}
+          alt={t("heatmap.alt")}
+          style={{ maxWidth: "100%", maxHeight: 320, borderRadius: 8 }}
+        />
+        <canvas
+          ref={canvasRef}
+          width={CANVAS_SIZE}
+          height={CANVAS_SIZE}
+          style={{
+            position: "absolute",
+            inset: 0,
+            width: "100%",
+            height: "100%",
+            borderRadius: 8,
+            opacity: visible ? opacity : 0,
+            transition: "opacity 0.2s ease-in-out",
+            pointerEvents: "none",
+          }}
+        />
+      </Box>
+
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mt: 1 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={visible}
+              onChange={(e) => setVisible(e.target.checked)}
+            />
+          }
+          label={t("heatmap.toggle")}
+        />
+        <Typography variant="body2" color="text.secondary">
+          {t("heatmap.opacity")}
+        </Typography>
+        <Slider
+          size="small"
+          value={opacity}
+          min={0.1}
+          max={1}
+          step={0.05}
+          disabled={!visible}
+          onChange={(e, value) => setOpacity(value)}
+          aria-label={t("heatmap.opacityLabel")}
+          sx={{ flex: 1, maxWidth: 200 }}
+        />
+      </Box>
+
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+        <Typography variant="caption" color="text.secondary">
+          {t("heatmap.low")}
+        </Typography>
+        <Box
+          sx={{
+            flex: 1,
+            maxWidth: 200,
+            height: 8,
+            borderRadius: 4,
+            background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1]
+              .map((v) => `rgb(${relevanceColor(v).join(",")})`)
+              .join(", ")})`,
+          }}
+        />
+        <Typography variant="caption" color="text.secondary">
+          {t("heatmap.high")}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Button,
+  Typography,
+  Paper,
+  TextField,
+  MenuItem,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  IconButton,
+  InputAdornment,
+} from "@mui/material";
+import { Close, Search, FileDownload, Timeline } from "@mui/icons-material";
+import { determineDRGrade, formatConfidence, GradeChip } from "./grading";
+import { schemeGrades } from "./gradingScheme";
+import { ResultPanel } from "./ResultPanel";
+import { ModelVersion } from "./ModelInfoDialog";
+import { FundusViewer } from "./FundusViewer";
+import { EYES, eyeLabel } from "./PatientFields";
+import { useApiImage } from "./useApiImage";
+import { downloadScreeningsCSV } from "./exports";
+import api from "./api";
+import { t, formatDate, formatDateTime } from "./i18n";
+
+const ScreeningDialog = ({ screening, onClose, onCompare }) => {
+  const { src: imageSrc, failed: imageFailed } = useApiImage(
+    screening?.image_url
+  );
+
+  return (
+    <Dialog open={!!screening} onClose={onClose} maxWidth="lg" fullWidth>
+      {screening && (
+        <>
+          <DialogTitle component="div" sx={{ pr: 6 }}>
+            <Typography variant="h6">
+              {screening.patient_id || t("history.unidentified")}
+              {screening.eye && ` · ${eyeLabel(screening.eye)}`}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {t("history.gradedBy", {
+                captured: formatDate(screening.capture_date),
+                graded: formatDateTime(screening.created_at),
+                grader: screening.graded_by,
+              })}
+            </Typography>
+            {onCompare && screening.patient_id && screening.eye && (
+              <Button
+                size="small"
+                startIcon={<Timeline />}
+                onClick={() => onCompare(screening.patient_id, screening.eye)}
+                sx={{ mt: 1, borderRadius: 2 }}
+              >
+                {t("history.compare")}
+              </Button>
+            )}
+            <IconButton
+              aria-label={t("common.close")}
+              onClick={onClose}
+              sx={{ position: "absolute", right: 8, top: 8 }}
+            >
+              <Close />
+            </IconButton>
+          </DialogTitle>
+          <DialogContent dividers>
+            <Box
+              sx={{
+                display: "flex",
+                gap: 4,
+                flexDirection: { xs: "column", md: "row" },
+              }}
+            >
+              <Box sx={{ flex: 1, textAlign: "center" }}>
+                {imageSrc ? (
+                  <FundusViewer
+                    src={imageSrc}
+                    alt={screening.original_filename}
+                    height={400}
+                  />
+                ) : imageFailed ? (
+                  <Alert severity="warning" sx={{ mt: 4 }}>
+                    {t("common.imageUnavailable")}
+                  </Alert>
+                ) : (
+                  <LinearProgress sx={{ mt: 4 }} />
+                )}
+                <Typography sx={{ mt: 2, fontWeight: 500 }}>
+                  {screening.original_filename}
+                </Typography>
+              </Box>
+              <Box sx={{ flex: 1 }}>
+                <ResultPanel
+                  result={screening.result}
+                  imageSrc={imageSrc}
+                  patient={{
+                    patientId: screening.patient_id,
+                    eye: screening.eye,
+                    captureDate: screening.capture_date,
+                  }}
+                />
+              </Box>
+            </Box>
+          </DialogContent>
+        </>
+      )}
+    </Dialog>
+  );
+};
+
+export const History = ({ onCompare }) => {
+  const [search, setSearch] = useState("");
+  const [grade, setGrade] = useState(""); // code in the active grading scheme
+  const [eye, setEye] = useState("");
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [data, setData] = useState({ total: 0, items: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Debounce so typing a patient ID does not fire a request per keystroke
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await api.get("/screenings", {
+          params: {
+            search: search || undefined,
+            scheme_grade: grade || undefined,
+            eye: eye || undefined,
+            limit: rowsPerPage,
+            offset: page * rowsPerPage,
+          },
+        });
+        if (!cancelled) setData(response.data);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.detail || t("history.loadFailed"));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [search, grade, eye, page, rowsPerPage]);
+
+  const filterParams = {
+    search: search || undefined,
+    scheme_grade: grade || undefined,
+    eye: eye || undefined,
+  };
+
+  const exportCSV = async () => {
+    setError(null);
+    try {
+      await downloadScreeningsCSV(filterParams);
+    } catch (err) {
+      setError(err.detail || t("history.exportFailed"));
+    }
+  };
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(0);
+  };
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, mb: 3 }}>
+        <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
+          <TextField
+            label={t("history.search")}
+            size="small"
+            value={search}
+            onChange={updateFilter(setSearch)}
+            sx={{ flex: 2, minWidth: 200 }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search color="action" />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <TextField
+            select
+            label={t("history.grade")}
+            size="small"
+            value={grade}
+            onChange={updateFilter(setGrade)}
+            sx={{ flex: 1, minWidth: 200 }}
+          >
+            <MenuItem value="">{t("history.allGrades")}</MenuItem>
+            {schemeGrades().map(({ code, label, description }) => (
+              <MenuItem key={code} value={code}>
+                {t("grade.label", { grade: label, description })}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label={t("patient.eye")}
+            size="small"
+            value={eye}
+            onChange={updateFilter(setEye)}
+            sx={{ flex: 1, minWidth: 140 }}
+          >
+            <MenuItem value="">{t("history.bothEyes")}</MenuItem>
+            {EYES.map((value) => (
+              <MenuItem key={value} value={value}>
+                {eyeLabel(value)}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="outlined"
+            startIcon={<FileDownload />}
+            onClick={exportCSV}
+            disabled={data.total === 0}
+            sx={{ borderRadius: 2 }}
+          >
+            {t("common.exportCsv")}
+          </Button>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} sx={{ borderRadius: 3 }}>
+        {loading && <LinearProgress />}
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{t("history.column.graded")}</TableCell>
+              <TableCell>{t("history.column.patient")}</TableCell>
+              <TableCell>{t("history.column.eye")}</TableCell>
+              <TableCell>{t("history.column.captured")}</TableCell>
+              <TableCell>{t("history.column.grade")}</TableCell>
+              <TableCell>{t("history.column.confidence")}</TableCell>
+              <TableCell>{t("history.column.gradedBy")}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {data.items.map((screening) => (
+              <TableRow
+                key={screening.id}
+                hover
+                onClick={() => setSelected(screening)}
+                sx={{ cursor: "pointer" }}
+              >
+                <TableCell>{formatDateTime(screening.created_at)}</TableCell>
+                <TableCell>{screening.patient_id || "—"}</TableCell>
+                <TableCell>{screening.eye || "—"}</TableCell>
+                <TableCell>{formatDate(screening.capture_date)}</TableCell>
+                <TableCell>
+                  <GradeChip
+                    drGrade={determineDRGrade(screening.result)}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell>
+                  {formatConfidence(screening.result.confidence)}
+                  <ModelVersion
+                    version={screening.result.model_version}
+                    sx={{ display: "block" }}
+                  />
+                </TableCell>
+                <TableCell>{screening.graded_by}</TableCell>
+              </TableRow>
+            ))}
+            {!loading && data.items.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center" sx={{ py: 4 }}>
+                  <Typography color="text.secondary">
+                    {t("history.empty")}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={data.total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
+      </TableContainer>
+
+      <ScreeningDialog
+        screening={selected}
+        onClose={() => setSelected(null)}
+        onCompare={onCompare}
+      />
+    </Box>
+  );
+};
@@ -0,0 +1,94 @@
+import React from "react";
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+} from "@mui/material";
+import {
+  HourglassEmpty,
+  Autorenew,
+  TaskAlt,
+  ErrorOutline,
+  Visibility,
+} from "@mui/icons-material";
+import { determineDRGrade, GradeChip } from "./grading";
+import { useJobs } from "./jobs";
+import { t, formatDateTime } from "./i18n";
+
+const STATUS_CHIPS = {
+  queued: { color: "default", icon: <HourglassEmpty /> },
+  running: { color: "info", icon: <Autorenew /> },
+  done: { color: "success", icon: <TaskAlt /> },
+  failed: { color: "error", icon: <ErrorOutline /> },
+};
+
+// The signed-in user's recent background grading jobs, updated live
+export const JobTracker = ({ onView }) => {
+  const jobs = useJobs();
+  if (jobs.length === 0) return null;
+
+  return (
+    <Paper sx={{ mt: 4, p: 3, borderRadius: 3, boxShadow: 2 }}>
+      <Typography variant="h6" component="h2" fontWeight="medium">
+        {t("jobs.title")}
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        {t("jobs.hint")}
+      </Typography>
+
+      <List dense aria-live="polite">
+        {jobs.map((job) => {
+          const chip = STATUS_CHIPS[job.status];
+          return (
+            <ListItem
+              key={job.id}
+              divider
+              secondaryAction={
+                job.status === "done" && (
+                  <Tooltip title={t("jobs.view")}>
+                    <IconButton size="small" onClick={() => onView(job)}>
+                      <Visibility fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )
+              }
+            >
+              <ListItemText
+                primary={job.filename}
+                secondary={
+                  job.error ||
+                  t("jobs.submitted", {
+                    patient: job.patient_id || t("jobs.noPatient"),
+                    date: formatDateTime(job.created_at),
+                  })
+                }
+                sx={{ pr: 12 }}
+              />
+              <Box sx={{ display: "flex", gap: 1, mr: 4 }}>
+                {job.status === "done" && (
+                  <GradeChip
+                    drGrade={determineDRGrade(job.result)}
+                    size="small"
+                  />
+                )}
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  color={chip.color}
+                  icon={chip.icon}
+                  label={t(`jobs.status.${job.status}`)}
+                />
+              </Box>
+            </ListItem>
+          );
+        })}
+      </List>
+    </Paper>
+  );
+};
@@ -0,0 +1,43 @@
+import React from "react";
+import { TextField, MenuItem, InputAdornment } from "@mui/material";
+import { Translate } from "@mui/icons-material";
+import api from "./api";
+import { LOCALES, setLocale, useLocale } from "./i18n";
+
+// Language picker; a signed-in user's choice is saved to their account so it
+// follows them to other devices
+export const LanguageSelect = ({ username, sx }) => {
+  const { locale, t } = useLocale();
+
+  const handleChange = (e) => {
+    setLocale(e.target.value, username);
+    // This device keeps the choice even if saving it fails
+    if (username) {
+      api.put("/me/language", { language: e.target.value }).catch(() => {});
+    }
+  };
+
+  return (
+    <TextField
+      select
+      size="small"
+      value={locale}
+      onChange={handleChange}
+      inputProps={{ "aria-label": t("app.language") }}
+      InputProps={{
+        startAdornment: (
+          <InputAdornment position="start">
+            <Translate fontSize="small" color="action" />
+          </InputAdornment>
+        ),
+      }}
+      sx={{ minWidth: 150, ...sx }}
+    >
+      {Object.entries(LOCALES).map(([value, { label }]) => (
+        <MenuItem key={value} value={value} lang={value}>
+          {label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
@@ -0,0 +1,12 @@
+import React from "react";
+import { Alert } from "@mui/material";
+import { t } from "./i18n";
+
+const SEVERITIES = { invalid: "error", expired: "warning", used: "info" };
+
+// Why an emailed verification or reset link cannot be used
+export const LinkStateAlert = ({ state }) => (
+  <Alert severity={SEVERITIES[state]} sx={{ mt: 2, width: "100%" }}>
+    {t(`auth.link.${state}`)}
+  </Alert>
+);
@@ -0,0 +1,33 @@
+import React, { useSyncExternalStore } from "react";
+import { Box } from "@mui/material";
+import { visuallyHidden } from "@mui/utils";
+
+let current = { id: 0, message: "" };
+const listeners = new Set();
+
+// Reads a message out to screen reader users without moving focus
+export const announce = (message) => {
+  current = { id: current.id + 1, message };
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Rendered once near the app root; each announcement is a fresh node so a
+// repeated message is read again
+export const LiveRegion = () => {
+  const { id, message } = useSyncExternalStore(subscribe, () => current);
+  return (
+    <Box
+      role="status"
+      aria-live="polite"
+      aria-atomic="true"
+      sx={visuallyHidden}
+    >
+      <span key={id}>{message}</span>
+    </Box>
+  );
+};
@@ -20,21 +20,36 @@ import {
   PersonOutline,
   Email,
 } from "@mui/icons-material";
-import axios from "axios";
-
-export const LoginForm = ({ onLogin, switchToRegister }) => {
+import api from "./api";
+import { t, loadUserLocale } from "./i18n";
+import { LanguageSelect } from "./LanguageSelect";
+import { loadUserPalette } from "./severityPalette";
+import { loadUserThemeMode } from "./theme";
+import { loadUserModel } from "./modelInfo";
+import { getAccountLink } from "./auth";
+import { ForgotPasswordForm, ResetPasswordForm } from "./PasswordReset";
+import { ResendVerification, VerifyEmail } from "./EmailVerification";
+
+export const LoginForm = ({
+  onLogin,
+  switchToRegister,
+  switchToForgot,
+  notice,
+}) => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState("");
+  const [unverified, setUnverified] = useState(false);
   const [loading, setLoading] = useState(false);
 
   const handleLogin = async (e) => {
     e.preventDefault();
     setError("");
+    setUnverified(false);
 
     if (!email || !password) {
-      setError("Please fill in all fields");
+      setError(t("auth.fillAllFields"));
       return;
     }
 
@@ -45,34 +60,29 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
       formData.append("username", email); // Key must be 'username'
       formData.append("password", password);
 
-      const response = await axios.post(
-        "http://localhost:8000/login",
-        formData,
-        {
-          headers: {
-            "Content-Type": "multipart/form-data",
-          },
-        }
-      );
+      const response = await api.post("/login", formData, {
+        headers: {
+          "Content-Type": "multipart/form-data",
+        },
+      });
 
       if (response.data?.access_token) {
         localStorage.setItem("token", response.data.access_token);
         localStorage.setItem("user", JSON.stringify(response.data.user));
+        loadUserLocale(response.data.user);
+        loadUserPalette(response.data.user.username);
+        loadUserThemeMode(response.data.user);
+        loadUserModel(response.data.user.username);
         onLogin(response.data.user);
       }
     } catch (err) {
-      let errorMessage = "Login failed. Please check your credentials.";
-
-      if (err.response?.status === 422) {
-        errorMessage = "Invalid form submission. Please check your inputs.";
-      } else if (err.response?.data?.detail) {
-        errorMessage =
-          typeof err.response.data.detail === "string"
-            ? err.response.data.detail
-            : "Invalid credentials";
+      // Right password, but the emailed verification link was not followed
+      if (err.response?.status === 403) {
+        setUnverified(true);
+        setError(t("auth.unverified"));
+      } else {
+        setError(err.detail || t("auth.loginFailed"));
       }
-
-      setError(errorMessage);
     } finally {
       setLoading(false);
     }
@@ -89,14 +99,21 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
           <LockOutlined />
         </Avatar>
         <Typography component="h1" variant="h5" fontWeight="bold">
-          Sign In
+          {t("auth.signIn")}
         </Typography>
 
+        {notice && !error && (
+          <Alert severity="info" sx={{ mt: 2, width: "100%" }}>
+            {notice}
+          </Alert>
+        )}
+
         {error && (
           <Alert severity="error" sx={{ mt: 2, width: "100%" }}>
             {error}
           </Alert>
         )}
+        {unverified && <ResendVerification email={email} />}
 
         <Box
           component="form"
@@ -108,7 +125,7 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
             required
             fullWidth
             id="email"
-            label="Email Address"
+            label={t("auth.email")}
             name="email"
             autoComplete="email"
             autoFocus
@@ -127,7 +144,7 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
             required
             fullWidth
             name="password"
-            label="Password"
+            label={t("auth.password")}
             type={showPassword ? "text" : "password"}
             id="password"
             autoComplete="current-password"
@@ -142,7 +159,7 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
               endAdornment: (
                 <InputAdornment position="end">
                   <IconButton
-                    aria-label="toggle password visibility"
+                    aria-label={t("auth.togglePassword")}
                     onClick={() => setShowPassword(!showPassword)}
                     edge="end"
                   >
@@ -169,11 +186,23 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
             {loading ? (
               <CircularProgress size={24} color="inherit" />
             ) : (
-              "Sign In"
+              t("auth.signIn")
             )}
           </Button>
 
-          <Grid container justifyContent="flex-end">
+          <Grid container justifyContent="space-between" spacing={1}>
+            <Grid item>
+              <Link
+                href="#"
+                variant="body2"
+                onClick={(e) => {
+                  e.preventDefault();
+                  switchToForgot();
+                }}
+              >
+                {t("auth.forgotPassword")}
+              </Link>
+            </Grid>
             <Grid item>
               <Link
                 href="#"
@@ -183,7 +212,7 @@ export const LoginForm = ({ onLogin, switchToRegister }) => {
                   switchToRegister();
                 }}
               >
-                Don't have an account? Sign up
+                {t("auth.toRegister")}
               </Link>
             </Grid>
           </Grid>
@@ -203,6 +232,8 @@ export const RegisterForm = ({ switchToLogin }) => {
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
+  // Registered, but the verification email could not be sent
+  const [emailFailed, setEmailFailed] = useState(false);
   const [loading, setLoading] = useState(false);
 
   const handleChange = (e) => {
@@ -217,6 +248,7 @@ export const RegisterForm = ({ switchToLogin }) => {
     e.preventDefault();
     setError("");
     setSuccess("");
+    setEmailFailed(false);
 
     // Client-side validation remains the same
     if (
@@ -225,57 +257,42 @@ export const RegisterForm = ({ switchToLogin }) => {
       !formData.password ||
       !formData.confirmPassword
     ) {
-      setError("Please fill in all fields");
+      setError(t("auth.fillAllFields"));
       return;
     }
 
     if (formData.password !== formData.confirmPassword) {
-      setError("Passwords do not match");
+      setError(t("auth.passwordMismatch"));
       return;
     }
 
     if (formData.password.length < 8) {
-      setError("Password must be at least 8 characters long");
+      setError(t("auth.passwordTooShort"));
       return;
     }
 
     setLoading(true);
     try {
-      const response = await axios.post("http://localhost:8000/register", {
+      const response = await api.post("/register", {
         username: formData.email, // Changed if backend expects username
         email: formData.email,
         password: formData.password,
         full_name: formData.name, // Changed if backend expects full_name
       });
 
-      if ([200, 201].includes(response.status)) {
-        setSuccess("Registration successful! You can now log in.");
+      if (
+        response.data.verification_required &&
+        !response.data.verification_email_sent
+      ) {
+        setEmailFailed(true);
+      } else if (response.data.verification_required) {
+        setSuccess(t("auth.verificationSent", { email: formData.email }));
+      } else if ([200, 201].includes(response.status)) {
+        setSuccess(t("auth.registered"));
         setTimeout(() => switchToLogin(), 2000);
       }
     } catch (err) {
-      let errorMessage = "Registration failed. Please try again.";
-
-      if (err.response?.status === 422) {
-        // Handle 422 validation errors
-        if (Array.isArray(err.response.data?.detail)) {
-          errorMessage = err.response.data.detail
-            .map((error) => {
-              const field = error.loc[error.loc.length - 1];
-              // Map backend field names to user-friendly names
-              const fieldMap = {
-                username: "Email",
-                full_name: "Name",
-                password: "Password",
-              };
-              return `${fieldMap[field] || field}: ${error.msg}`;
-            })
-            .join(". ");
-        }
-      } else if (err.response?.data?.detail) {
-        errorMessage = err.response.data.detail;
-      }
-
-      setError(errorMessage);
+      setError(err.detail || t("auth.registerFailed"));
     } finally {
       setLoading(false);
     }
@@ -293,7 +310,7 @@ export const RegisterForm = ({ switchToLogin }) => {
           <PersonOutline />
         </Avatar>
         <Typography component="h1" variant="h5" fontWeight="bold">
-          Create Account
+          {t("auth.createAccount")}
         </Typography>
 
         {error && (
@@ -308,6 +325,15 @@ export const RegisterForm = ({ switchToLogin }) => {
           </Alert>
         )}
 
+        {emailFailed && (
+          <>
+            <Alert severity="warning" sx={{ mt: 2, width: "100%" }}>
+              {t("auth.verificationNotSent", { email: formData.email })}
+            </Alert>
+            <ResendVerification email={formData.email} />
+          </>
+        )}
+
         <Box
           component="form"
           onSubmit={handleRegister}
@@ -318,7 +344,7 @@ export const RegisterForm = ({ switchToLogin }) => {
             required
             fullWidth
             id="name"
-            label="Full Name"
+            label={t("auth.fullName")}
             name="name"
             autoComplete="name"
             autoFocus
@@ -337,7 +363,7 @@ export const RegisterForm = ({ switchToLogin }) => {
             required
             fullWidth
             id="email"
-            label="Email Address"
+            label={t("auth.email")}
             name="email"
             autoComplete="email"
             value={formData.email}
@@ -355,7 +381,7 @@ export const RegisterForm = ({ switchToLogin }) => {
             required
             fullWidth
             name="password"
-            label="Password"
+            label={t("auth.password")}
             type={showPassword ? "text" : "password"}
             id="password"
             autoComplete="new-password"
@@ -370,7 +396,7 @@ export const RegisterForm = ({ switchToLogin }) => {
               endAdornment: (
                 <InputAdornment position="end">
                   <IconButton
-                    aria-label="toggle password visibility"
+                    aria-label={t("auth.togglePassword")}
                     onClick={() => setShowPassword(!showPassword)}
                     edge="end"
                   >
@@ -385,7 +411,7 @@ export const RegisterForm = ({ switchToLogin }) => {
             required
             fullWidth
             name="confirmPassword"
-            label="Confirm Password"
+            label={t("auth.confirmPassword")}
             type={showPassword ? "text" : "password"}
             id="confirmPassword"
             value={formData.confirmPassword}
@@ -415,7 +441,7 @@ export const RegisterForm = ({ switchToLogin }) => {
             {loading ? (
               <CircularProgress size={24} color="inherit" />
             ) : (
-              "Sign Up"
+              t("auth.signUp")
             )}
           </Button>
 
@@ -429,7 +455,7 @@ export const RegisterForm = ({ switchToLogin }) => {
                   switchToLogin();
                 }}
               >
-                Already have an account? Sign in
+                {t("auth.toLogin")}
               </Link>
             </Grid>
           </Grid>
@@ -439,8 +465,12 @@ export const RegisterForm = ({ switchToLogin }) => {
   );
 };
 
-export const AuthScreen = ({ onLogin }) => {
-  const [mode, setMode] = useState("login"); // "login" or "register"
+export const AuthScreen = ({ onLogin, notice }) => {
+  // An emailed link opens its own page
+  const [accountLink] = useState(getAccountLink);
+  // "login", "register", "forgot", "reset" or "verify"
+  const [mode, setMode] = useState(accountLink?.type || "login");
+  const switchToLogin = () => setMode("login");
 
   return (
     <Box
@@ -450,10 +480,12 @@ export const AuthScreen = ({ onLogin }) => {
         flexDirection: "column",
         alignItems: "center",
         justifyContent: "center",
-        backgroundColor: "#f1f4f9",
+        bgcolor: "background.default",
         padding: 3,
+        position: "relative",
       }}
     >
+      <LanguageSelect sx={{ position: "absolute", top: 16, right: 16 }} />
       <Typography
         variant="h4"
         gutterBottom
@@ -464,16 +496,30 @@ export const AuthScreen = ({ onLogin }) => {
           textAlign: "center",
         }}
       >
-        Retinal DR Classifier
+        {t("auth.appTitle")}
       </Typography>
 
-      {mode === "login" ? (
+      {mode === "login" && (
         <LoginForm
           onLogin={onLogin}
+          notice={notice}
           switchToRegister={() => setMode("register")}
+          switchToForgot={() => setMode("forgot")}
+        />
+      )}
+      {mode === "register" && <RegisterForm switchToLogin={switchToLogin} />}
+      {mode === "forgot" && (
+        <ForgotPasswordForm switchToLogin={switchToLogin} />
+      )}
+      {mode === "reset" && (
+        <ResetPasswordForm
+          token={accountLink.token}
+          switchToLogin={switchToLogin}
+          switchToForgot={() => setMode("forgot")}
         />
-      ) : (
-        <RegisterForm switchToLogin={() => setMode("login")} />
+      )}
+      {mode === "verify" && (
+        <VerifyEmail token={accountLink.token} switchToLogin={switchToLogin} />
       )}
 
       <Typography
@@ -481,9 +527,7 @@ export const AuthScreen = ({ onLogin }) => {
         color="text.secondary"
         sx={{ mt: 4, textAlign: "center", maxWidth: 600 }}
       >
-        This application is designed for healthcare professionals to classify
-        diabetic retinopathy severity in retinal fundus images. For diagnostic
-        purposes only.
+        {t("auth.intro")}
       </Typography>
     </Box>
   );
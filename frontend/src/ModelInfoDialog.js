@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  IconButton,
+  Tooltip,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { Close, Memory } from "@mui/icons-material";
+import { drGradeForClass, GradeChip } from "./grading";
+import { useModelInfo } from "./modelInfo";
+import { t } from "./i18n";
+
+// Version line shown with every result
+export const ModelVersion = ({ version, sx }) => (
+  <Typography variant="caption" color="text.secondary" sx={sx}>
+    {t("model.version", { version: version || t("model.unknownVersion") })}
+  </Typography>
+);
+
+const Detail = ({ label, children }) => (
+  <Box sx={{ display: "flex", gap: 1, mb: 0.5 }}>
+    <Typography variant="body2" fontWeight="bold" sx={{ minWidth: 140 }}>
+      {label}
+    </Typography>
+    <Typography variant="body2" sx={{ wordBreak: "break-all" }}>
+      {children}
+    </Typography>
+  </Box>
+);
+
+// Header button with the loaded model's metadata and class legend
+export const ModelInfoButton = () => {
+  const info = useModelInfo();
+  const [open, setOpen] = useState(false);
+  if (!info) return null;
+
+  const classNames = info.classes.map(({ name }) => name);
+
+  return (
+    <>
+      <Tooltip title={t("model.title")}>
+        <IconButton aria-label={t("model.title")} onClick={() => setOpen(true)}>
+          <Memory />
+        </IconButton>
+      </Tooltip>
+      <Dialog
+        open={open}
+        onClose={() => setOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle sx={{ pr: 6 }}>
+          {info.name}
+          <IconButton
+            aria-label={t("common.close")}
+            onClick={() => setOpen(false)}
+            sx={{ position: "absolute", right: 8, top: 8 }}
+          >
+            <Close />
+          </IconButton>
+        </DialogTitle>
+        <DialogContent dividers>
+          <Detail label={t("model.versionLabel")}>{info.version}</Detail>
+          <Detail label={t("model.architecture")}>{info.architecture}</Detail>
+          <Detail label={t("model.weights")}>{info.weights}</Detail>
+          <Detail label={t("model.checksum")}>{info.checksum}</Detail>
+          <Detail label={t("model.inputSize")}>
+            {t("model.pixels", { size: info.input_size })}
+          </Detail>
+          {info.training_notes && (
+            <Detail label={t("model.trainingNotes")}>
+              {info.training_notes}
+            </Detail>
+          )}
+
+          <Table size="small" sx={{ mt: 2 }}>
+            <caption>{t("model.classes")}</caption>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t("model.output")}</TableCell>
+                <TableCell>{t("model.grade")}</TableCell>
+                <TableCell>{t("result.column.description")}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {info.classes.map((modelClass) => (
+                <TableRow key={modelClass.index}>
+                  <TableCell component="th" scope="row">
+                    {modelClass.name}
+                  </TableCell>
+                  <TableCell>
+                    <GradeChip
+                      drGrade={drGradeForClass(classNames, modelClass.index)}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>{modelClass.description}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
@@ -0,0 +1,44 @@
+import React from "react";
+import { Box, Typography, Tooltip } from "@mui/material";
+import { InfoOutlined } from "@mui/icons-material";
+import { t, formatBytes } from "./i18n";
+
+export const ModelInputPreview = ({ processed }) => (
+  <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+    <Box
+      component="img"
+      src={processed.dataUrl}
+      alt={t("modelInput.alt")}
+      sx={{
+        width: 96,
+        height: 96,
+        borderRadius: 2,
+        bgcolor: "#000",
+        flexShrink: 0,
+      }}
+    />
+    <Box>
+      <Typography
+        variant="subtitle2"
+        component="h3"
+        sx={{ display: "flex", alignItems: "center" }}
+      >
+        {t("modelInput.title")}
+        <Tooltip title={t("modelInput.hint")}>
+          <InfoOutlined
+            sx={{ ml: 0.5, fontSize: 16, color: "text.secondary" }}
+          />
+        </Tooltip>
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        {t("modelInput.size", { size: processed.size })}
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        {t("modelInput.upload", {
+          processed: formatBytes(processed.processedBytes),
+          original: formatBytes(processed.originalBytes),
+        })}
+      </Typography>
+    </Box>
+  </Box>
+);
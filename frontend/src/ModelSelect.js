@@ -0,0 +1,47 @@
+import React from "react";
+import { TextField, MenuItem } from "@mui/material";
+import {
+  ENSEMBLE,
+  canEnsemble,
+  getDefaultModel,
+  setSelectedModel,
+  useModels,
+  useSelectedModel,
+} from "./modelInfo";
+import { t } from "./i18n";
+
+// Model used for grading; hidden while the server offers only one
+export const ModelSelect = ({ username, sx }) => {
+  const models = useModels();
+  const selected = useSelectedModel();
+  if (models.length < 2) return null;
+
+  const defaultModel = getDefaultModel();
+
+  return (
+    <TextField
+      select
+      size="small"
+      label={t("model.picker")}
+      value={selected || defaultModel}
+      onChange={(e) =>
+        setSelectedModel(
+          e.target.value === defaultModel ? null : e.target.value,
+          username
+        )
+      }
+      helperText={selected === ENSEMBLE ? t("model.ensembleHint") : " "}
+      sx={{ minWidth: 300, ...sx }}
+    >
+      {models.map(({ id, name, version }) => (
+        <MenuItem key={id} value={id}>
+          {t("model.option", { name, version })}
+          {id === defaultModel && t("model.defaultSuffix")}
+        </MenuItem>
+      ))}
+      {canEnsemble() && (
+        <MenuItem value={ENSEMBLE}>{t("model.ensemble")}</MenuItem>
+      )}
+    </TextField>
+  );
+};
@@ -0,0 +1,164 @@
+import React from "react";
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+  LinearProgress,
+} from "@mui/material";
+import {
+  CloudQueue,
+  CloudDone,
+  CloudOff,
+  ErrorOutline,
+  Replay,
+  Delete,
+  Visibility,
+  Sync,
+} from "@mui/icons-material";
+import { determineDRGrade, GradeChip } from "./grading";
+import { removeUpload, retryUpload, clearSyncedUploads } from "./offlineQueue";
+import { t, formatDateTime } from "./i18n";
+
+const STATUS_CHIPS = {
+  pending: { color: "warning", icon: <CloudQueue /> },
+  synced: { color: "success", icon: <CloudDone /> },
+  failed: { color: "error", icon: <ErrorOutline /> },
+};
+
+// Header indicator for connectivity and queued uploads
+export const ConnectionStatus = ({ online, pendingCount }) => {
+  if (online && !pendingCount) return null;
+  return (
+    <Chip
+      size="small"
+      color={online ? "warning" : "default"}
+      icon={online ? <CloudQueue /> : <CloudOff />}
+      label={
+        online
+          ? t("offline.online", { count: pendingCount })
+          : pendingCount
+          ? t("offline.offlineQueued", { count: pendingCount })
+          : t("offline.offline")
+      }
+    />
+  );
+};
+
+export const OfflineQueuePanel = ({ owner, queue, onView }) => {
+  const { uploads, online, syncing, sync, pendingCount } = queue;
+  if (uploads.length === 0) return null;
+
+  return (
+    <Paper sx={{ mt: 4, p: 3, borderRadius: 3, boxShadow: 2 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          gap: 1,
+          flexWrap: "wrap",
+        }}
+      >
+        <Box sx={{ flex: 1 }}>
+          <Typography variant="h6" component="h2" fontWeight="medium">
+            {t("offline.title")}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t(online ? "offline.onlineHint" : "offline.offlineHint")}
+          </Typography>
+        </Box>
+        <Button
+          size="small"
+          startIcon={<Sync />}
+          onClick={sync}
+          disabled={!online || syncing || !pendingCount}
+        >
+          {t("offline.sync")}
+        </Button>
+        <Button
+          size="small"
+          onClick={() => clearSyncedUploads(owner)}
+          disabled={!uploads.some((upload) => upload.status === "synced")}
+        >
+          {t("offline.clearSynced")}
+        </Button>
+      </Box>
+      {syncing && <LinearProgress sx={{ mt: 2, height: 6, borderRadius: 5 }} />}
+
+      <List dense>
+        {uploads.map((upload) => {
+          const chip = STATUS_CHIPS[upload.status];
+          return (
+            <ListItem
+              key={upload.id}
+              divider
+              secondaryAction={
+                <Box>
+                  {upload.status === "synced" && (
+                    <Tooltip title={t("offline.view")}>
+                      <IconButton size="small" onClick={() => onView(upload)}>
+                        <Visibility fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  {upload.status === "failed" && (
+                    <Tooltip title={t("common.retry")}>
+                      <IconButton
+                        size="small"
+                        onClick={() => retryUpload(upload.id)}
+                      >
+                        <Replay fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  <Tooltip title={t("common.remove")}>
+                    <IconButton
+                      size="small"
+                      onClick={() => removeUpload(upload.id)}
+                    >
+                      <Delete fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              }
+            >
+              <ListItemText
+                primary={upload.filename}
+                secondary={
+                  upload.error ||
+                  t("offline.captured", {
+                    patient:
+                      upload.patient?.patientId || t("offline.noPatient"),
+                    date: formatDateTime(upload.createdAt),
+                  })
+                }
+                sx={{ pr: 12 }}
+              />
+              <Box sx={{ display: "flex", gap: 1, mr: 10 }}>
+                {upload.status === "synced" && (
+                  <GradeChip
+                    drGrade={determineDRGrade(upload.result)}
+                    size="small"
+                  />
+                )}
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  color={chip.color}
+                  icon={chip.icon}
+                  label={t(`offline.status.${upload.status}`)}
+                />
+              </Box>
+            </ListItem>
+          );
+        })}
+      </List>
+    </Paper>
+  );
+};
@@ -0,0 +1,25 @@
+import React from "react";
+import { IconButton, Tooltip } from "@mui/material";
+import { Palette } from "@mui/icons-material";
+import { setPalette, usePalette } from "./severityPalette";
+import { t } from "./i18n";
+
+// Switches grade colors to the color-blind-safe palette and back
+export const PaletteToggle = ({ username }) => {
+  const colorBlind = usePalette() === "colorBlind";
+
+  return (
+    <Tooltip title={t("palette.colorBlind")}>
+      <IconButton
+        aria-label={t("palette.colorBlind")}
+        aria-pressed={colorBlind}
+        color={colorBlind ? "primary" : "default"}
+        onClick={() =>
+          setPalette(colorBlind ? "standard" : "colorBlind", username)
+        }
+      >
+        <Palette />
+      </IconButton>
+    </Tooltip>
+  );
+};
@@ -0,0 +1,343 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  CircularProgress,
+  Grid,
+  IconButton,
+  InputAdornment,
+  Link,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import {
+  Email,
+  LockOutlined,
+  LockReset,
+  Visibility,
+  VisibilityOff,
+} from "@mui/icons-material";
+import api from "./api";
+import { clearAccountLink } from "./auth";
+import { LinkStateAlert } from "./LinkStateAlert";
+import { t } from "./i18n";
+
+const AuthCard = ({ title, children }) => (
+  <Paper
+    elevation={3}
+    sx={{ p: 4, maxWidth: 400, width: "100%", borderRadius: 3 }}
+  >
+    <Box
+      sx={{ display: "flex", flexDirection: "column", alignItems: "center" }}
+    >
+      <Avatar sx={{ m: 1, bgcolor: "primary.main" }}>
+        <LockReset />
+      </Avatar>
+      <Typography component="h1" variant="h5" fontWeight="bold">
+        {title}
+      </Typography>
+      {children}
+    </Box>
+  </Paper>
+);
+
+const BackToLogin = ({ onClick }) => (
+  <Grid container justifyContent="flex-end">
+    <Grid item>
+      <Link
+        href="#"
+        variant="body2"
+        onClick={(e) => {
+          e.preventDefault();
+          onClick();
+        }}
+      >
+        {t("auth.backToLogin")}
+      </Link>
+    </Grid>
+  </Grid>
+);
+
+// Asks for the account's email and sends it a reset link
+export const ForgotPasswordForm = ({ switchToLogin }) => {
+  const [email, setEmail] = useState("");
+  const [sentTo, setSentTo] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!email) {
+      setError(t("auth.fillAllFields"));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.post("/password-reset", { email });
+      setSentTo(email);
+    } catch (err) {
+      setError(err.detail || t("auth.resetRequestFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard title={t("auth.resetTitle")}>
+      {error && (
+        <Alert severity="error" sx={{ mt: 2, width: "100%" }}>
+          {error}
+        </Alert>
+      )}
+      {sentTo ? (
+        <Alert severity="success" sx={{ mt: 2, mb: 2, width: "100%" }}>
+          {t("auth.resetSent", { email: sentTo })}
+        </Alert>
+      ) : (
+        <Box
+          component="form"
+          onSubmit={handleSubmit}
+          sx={{ mt: 2, width: "100%" }}
+        >
+          <Typography variant="body2" color="text.secondary">
+            {t("auth.resetIntro")}
+          </Typography>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            id="email"
+            label={t("auth.email")}
+            name="email"
+            autoComplete="email"
+            autoFocus
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Email color="action" />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            sx={{ mt: 3, mb: 2, py: 1.5, borderRadius: 2 }}
+            disabled={loading}
+          >
+            {loading ? (
+              <CircularProgress size={24} color="inherit" />
+            ) : (
+              t("auth.sendResetLink")
+            )}
+          </Button>
+        </Box>
+      )}
+      <BackToLogin onClick={switchToLogin} />
+    </AuthCard>
+  );
+};
+
+// Landing page of the emailed reset link: new password, then confirmation
+export const ResetPasswordForm = ({ token, switchToLogin, switchToForgot }) => {
+  // "checking", "valid", "done" or why the link cannot be used
+  const [state, setState] = useState("checking");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/password-reset/${token}`)
+      .then((response) => !cancelled && setState(response.data.state))
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.detail || t("auth.resetFailed"));
+        setState("valid");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const leave = (next) => () => {
+    clearAccountLink();
+    next();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!password || !confirmPassword) {
+      setError(t("auth.fillAllFields"));
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError(t("auth.passwordMismatch"));
+      return;
+    }
+    if (password.length < 8) {
+      setError(t("auth.passwordTooShort"));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.post(`/password-reset/${token}`, { password });
+      setState("done");
+    } catch (err) {
+      // Expired or used since the page opened: show why
+      if ([404, 410].includes(err.response?.status)) {
+        const check = await api
+          .get(`/password-reset/${token}`)
+          .catch(() => null);
+        if (check) {
+          setState(check.data.state);
+          return;
+        }
+      }
+      setError(err.detail || t("auth.resetFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (state === "checking") {
+    return (
+      <AuthCard title={t("auth.choosePassword")}>
+        <Box sx={{ mt: 3, display: "flex", alignItems: "center", gap: 2 }}>
+          <CircularProgress size={24} />
+          <Typography color="text.secondary">
+            {t("auth.checkingLink")}
+          </Typography>
+        </Box>
+      </AuthCard>
+    );
+  }
+
+  if (state === "done") {
+    return (
+      <AuthCard title={t("auth.choosePassword")}>
+        <Alert severity="success" sx={{ mt: 2, width: "100%" }}>
+          {t("auth.passwordChanged")}
+        </Alert>
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={leave(switchToLogin)}
+          sx={{ mt: 3, py: 1.5, borderRadius: 2 }}
+        >
+          {t("auth.signIn")}
+        </Button>
+      </AuthCard>
+    );
+  }
+
+  if (state !== "valid") {
+    return (
+      <AuthCard title={t("auth.choosePassword")}>
+        <LinkStateAlert state={state} />
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={leave(switchToForgot)}
+          sx={{ mt: 3, mb: 2, py: 1.5, borderRadius: 2 }}
+        >
+          {t("auth.requestNewReset")}
+        </Button>
+        <BackToLogin onClick={leave(switchToLogin)} />
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard title={t("auth.choosePassword")}>
+      {error && (
+        <Alert severity="error" sx={{ mt: 2, width: "100%" }}>
+          {error}
+        </Alert>
+      )}
+      <Box
+        component="form"
+        onSubmit={handleSubmit}
+        sx={{ mt: 2, width: "100%" }}
+      >
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          name="password"
+          label={t("auth.newPassword")}
+          type={showPassword ? "text" : "password"}
+          id="password"
+          autoComplete="new-password"
+          autoFocus
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <LockOutlined color="action" />
+              </InputAdornment>
+            ),
+            endAdornment: (
+              <InputAdornment position="end">
+                <IconButton
+                  aria-label={t("auth.togglePassword")}
+                  onClick={() => setShowPassword(!showPassword)}
+                  edge="end"
+                >
+                  {showPassword ? <VisibilityOff /> : <Visibility />}
+                </IconButton>
+              </InputAdornment>
+            ),
+          }}
+        />
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          name="confirmPassword"
+          label={t("auth.confirmPassword")}
+          type={showPassword ? "text" : "password"}
+          id="confirmPassword"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <LockOutlined color="action" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          sx={{ mt: 3, mb: 2, py: 1.5, borderRadius: 2 }}
+          disabled={loading}
+        >
+          {loading ? (
+            <CircularProgress size={24} color="inherit" />
+          ) : (
+            t("auth.savePassword")
+          )}
+        </Button>
+        <BackToLogin onClick={leave(switchToLogin)} />
+      </Box>
+    </AuthCard>
+  );
+};
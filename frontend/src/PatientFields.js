@@ -0,0 +1,63 @@
+import React from "react";
+import { Box, TextField, MenuItem } from "@mui/material";
+import { t } from "./i18n";
+
+export const EMPTY_PATIENT = { patientId: "", eye: "", captureDate: "" };
+
+export const EYES = ["OD", "OS"];
+
+export const eyeLabel = (eye) => t(`eye.${eye}`);
+
+// Adds the patient metadata fields /predict stores with each screening
+export const appendPatientFields = (formData, patient) => {
+  if (patient.patientId) formData.append("patient_id", patient.patientId);
+  if (patient.eye) formData.append("eye", patient.eye);
+  if (patient.captureDate) formData.append("capture_date", patient.captureDate);
+};
+
+export const PatientFields = ({ value, onChange, hideEye = false }) => {
+  const handleChange = (e) => {
+    onChange({ ...value, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
+      <TextField
+        name="patientId"
+        label={t("patient.id")}
+        size="small"
+        value={value.patientId}
+        onChange={handleChange}
+        sx={{ flex: 2, minWidth: 160 }}
+      />
+      {!hideEye && (
+        <TextField
+          select
+          name="eye"
+          label={t("patient.eye")}
+          size="small"
+          value={value.eye}
+          onChange={handleChange}
+          sx={{ flex: 1, minWidth: 140 }}
+        >
+          <MenuItem value="">{t("patient.eyeNotSpecified")}</MenuItem>
+          {EYES.map((eye) => (
+            <MenuItem key={eye} value={eye}>
+              {eyeLabel(eye)}
+            </MenuItem>
+          ))}
+        </TextField>
+      )}
+      <TextField
+        name="captureDate"
+        label={t("patient.captureDate")}
+        type="date"
+        size="small"
+        value={value.captureDate}
+        onChange={handleChange}
+        InputLabelProps={{ shrink: true }}
+        sx={{ flex: 1, minWidth: 150 }}
+      />
+    </Box>
+  );
+};
@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Typography,
+  Paper,
+  TextField,
+  MenuItem,
+  Alert,
+  LinearProgress,
+  Checkbox,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { Timeline, TrendingUp } from "@mui/icons-material";
+import { useTheme } from "@mui/material/styles";
+import { Line } from "react-chartjs-2";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip as ChartTooltip,
+  Legend,
+} from "chart.js";
+import {
+  drGradeForClass,
+  formatConfidence,
+  getSeverityColor,
+  GradeChip,
+} from "./grading";
+import { getActiveScheme, schemeGrades } from "./gradingScheme";
+import { evaluateReferral } from "./referralPolicy";
+import { FundusViewer, DEFAULT_VIEW } from "./FundusViewer";
+import { EYES, eyeLabel } from "./PatientFields";
+import { useApiImage } from "./useApiImage";
+import api from "./api";
+import { t, formatDate, formatNumber, formatPercent } from "./i18n";
+import { chartColors } from "./theme";
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  ChartTooltip,
+  Legend
+);
+
+// Side-by-side comparison shows at most this many visits
+const MAX_COMPARED = 4;
+
+// Grader's final grade when reviewed, otherwise the AI grade
+const visitGrade = (screening) => {
+  const { result } = screening;
+  const index = result.review ? result.review.final_grade : result.class;
+  return drGradeForClass(result.class_names, index);
+};
+
+// Position in the active scheme, so model classes sharing a grade do not count
+// as progression
+const gradeRank = (drGrade) =>
+  getActiveScheme().grades.findIndex((grade) => grade.code === drGrade.code);
+
+const visitDate = (screening) =>
+  screening.capture_date
+    ? formatDate(screening.capture_date)
+    : formatDate(screening.created_at);
+
+// One row per visit with the grade change since the previous visit
+const buildTimeline = (screenings) =>
+  screenings.map((screening, idx) => {
+    const drGrade = visitGrade(screening);
+    const previous =
+      idx > 0 ? gradeRank(visitGrade(screenings[idx - 1])) : null;
+    const change = previous === null ? 0 : gradeRank(drGrade) - previous;
+    return {
+      screening,
+      drGrade,
+      date: visitDate(screening),
+      pReferable: evaluateReferral(screening.result).pReferable,
+      change,
+      progressed: change >= 1,
+    };
+  });
+
+const VisitColumn = ({ visit, view, onViewChange }) => {
+  const { src: imageSrc, failed: imageFailed } = useApiImage(
+    visit.screening.image_url
+  );
+  return (
+    <Box sx={{ flex: 1, minWidth: 220 }}>
+      <Typography variant="subtitle1" fontWeight="bold">
+        {visit.date}
+      </Typography>
+      <Box sx={{ display: "flex", gap: 1, alignItems: "center", my: 1 }}>
+        <GradeChip drGrade={visit.drGrade} size="small" />
+        {visit.progressed && (
+          <Chip
+            size="small"
+            color="error"
+            icon={<TrendingUp />}
+            label={`+${formatNumber(visit.change)}`}
+          />
+        )}
+      </Box>
+      {imageSrc ? (
+        <FundusViewer
+          src={imageSrc}
+          alt={t("progression.imageAlt", { date: visit.date })}
+          height={260}
+          view={view}
+          onViewChange={onViewChange}
+        />
+      ) : imageFailed ? (
+        <Alert severity="warning" sx={{ mt: 4 }}>
+          {t("common.imageUnavailable")}
+        </Alert>
+      ) : (
+        <LinearProgress sx={{ mt: 4 }} />
+      )}
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+        {t("progression.pReferableValue", {
+          value: formatConfidence(visit.pReferable),
+        })}
+      </Typography>
+    </Box>
+  );
+};
+
+export const Progression = ({ initialPatientId = "", initialEye = "OD" }) => {
+  const [patientId, setPatientId] = useState(initialPatientId);
+  const [eye, setEye] = useState(initialEye);
+  const [screenings, setScreenings] = useState(null);
+  const [compared, setCompared] = useState([]);
+  const theme = useTheme();
+  const colors = chartColors(theme);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTimeline = useCallback(async (id, selectedEye) => {
+    if (!id.trim()) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.get("/screenings/timeline", {
+        params: { patient_id: id.trim(), eye: selectedEye },
+      });
+      const { items } = response.data;
+      setScreenings(items);
+      // Start by comparing the first and most recent visits
+      setCompared(
+        items.length > 1
+          ? [items[0].id, items[items.length - 1].id]
+          : items.map((item) => item.id)
+      );
+      setView(DEFAULT_VIEW);
+    } catch (err) {
+      setError(err.detail || t("progression.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (initialPatientId) loadTimeline(initialPatientId, initialEye);
+  }, [initialPatientId, initialEye, loadTimeline]);
+
+  const toggleCompared = (id) =>
+    setCompared((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id].slice(-MAX_COMPARED)
+    );
+
+  // Built on each render so dates and grade names follow the active language
+  const timeline = screenings && buildTimeline(screenings);
+  const progressions = (timeline || []).filter((visit) => visit.progressed);
+  const comparedVisits = (timeline || []).filter((visit) =>
+    compared.includes(visit.screening.id)
+  );
+
+  const chartData = timeline && {
+    labels: timeline.map((visit) => visit.date),
+    datasets: [
+      {
+        label: t("progression.grade"),
+        data: timeline.map((visit) => gradeRank(visit.drGrade)),
+        yAxisID: "grade",
+        borderColor: theme.palette.primary.main,
+        stepped: "before",
+        pointRadius: timeline.map((visit) => (visit.progressed ? 7 : 4)),
+        pointBackgroundColor: timeline.map((visit) =>
+          visit.progressed
+            ? theme.palette.error.main
+            : getSeverityColor(visit.drGrade.grade)
+        ),
+      },
+      {
+        label: t("progression.pReferableDR"),
+        data: timeline.map((visit) => Math.round(visit.pReferable * 100)),
+        yAxisID: "probability",
+        borderColor: theme.palette.grey[500],
+        borderDash: [6, 4],
+        pointRadius: 3,
+      },
+    ],
+  };
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, mb: 3 }}>
+        <Box
+          component="form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadTimeline(patientId, eye);
+          }}
+          sx={{ display: "flex", gap: 2, flexWrap: "wrap" }}
+        >
+          <TextField
+            label={t("patient.id")}
+            size="small"
+            value={patientId}
+            onChange={(e) => setPatientId(e.target.value)}
+            sx={{ flex: 2, minWidth: 200 }}
+          />
+          <TextField
+            select
+            label={t("patient.eye")}
+            size="small"
+            value={eye}
+            onChange={(e) => setEye(e.target.value)}
+            sx={{ flex: 1, minWidth: 160 }}
+          >
+            {EYES.map((value) => (
+              <MenuItem key={value} value={value}>
+                {eyeLabel(value)}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            type="submit"
+            variant="contained"
+            startIcon={<Timeline />}
+            disabled={!patientId.trim() || loading}
+            sx={{ borderRadius: 2 }}
+          >
+            {t("progression.show")}
+          </Button>
+        </Box>
+        {loading && <LinearProgress sx={{ mt: 2 }} />}
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {timeline && timeline.length === 0 && (
+        <Alert severity="info" sx={{ borderRadius: 2 }}>
+          {t("progression.empty")}
+        </Alert>
+      )}
+
+      {timeline && timeline.length > 0 && (
+        <>
+          {progressions.map((visit) => (
+            <Alert
+              key={visit.screening.id}
+              severity="error"
+              icon={<TrendingUp />}
+              sx={{ mb: 2, borderRadius: 2 }}
+            >
+              {t("progression.alert", {
+                count: visit.change,
+                grade: visit.drGrade.label,
+                description: visit.drGrade.description,
+                date: visit.date,
+              })}
+            </Alert>
+          ))}
+
+          <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, mb: 3 }}>
+            <Typography variant="h6" fontWeight="medium" gutterBottom>
+              {t("progression.chartTitle")}
+            </Typography>
+            <Box sx={{ height: 280 }}>
+              <Line
+                data={chartData}
+                options={{
+                  maintainAspectRatio: false,
+                  interaction: { mode: "index", intersect: false },
+                  scales: {
+                    x: {
+                      ticks: { color: colors.text },
+                      grid: { color: colors.grid },
+                    },
+                    grade: {
+                      type: "linear",
+                      position: "left",
+                      min: 0,
+                      max: getActiveScheme().grades.length - 1,
+                      ticks: {
+                        stepSize: 1,
+                        callback: (value) => schemeGrades()[value]?.label,
+                        color: colors.text,
+                      },
+                      grid: { color: colors.grid },
+                      title: {
+                        display: true,
+                        text: t("progression.grade"),
+                        color: colors.text,
+                      },
+                    },
+                    probability: {
+                      type: "linear",
+                      position: "right",
+                      min: 0,
+                      max: 100,
+                      grid: { drawOnChartArea: false, color: colors.grid },
+                      ticks: {
+                        callback: (value) => formatPercent(value / 100, 0),
+                        color: colors.text,
+                      },
+                      title: {
+                        display: true,
+                        text: t("progression.pReferable"),
+                        color: colors.text,
+                      },
+                    },
+                  },
+                  plugins: { legend: { labels: { color: colors.text } } },
+                }}
+              />
+            </Box>
+          </Paper>
+
+          <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, mb: 3 }}>
+            <Typography variant="h6" fontWeight="medium" gutterBottom>
+              {t("progression.visits")}
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>{t("progression.column.date")}</TableCell>
+                  <TableCell>{t("progression.grade")}</TableCell>
+                  <TableCell>{t("progression.column.change")}</TableCell>
+                  <TableCell>{t("progression.pReferable")}</TableCell>
+                  <TableCell>{t("progression.column.reviewed")}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {timeline.map((visit) => (
+                  <TableRow
+                    key={visit.screening.id}
+                    hover
+                    selected={visit.progressed}
+                  >
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={compared.includes(visit.screening.id)}
+                        onChange={() => toggleCompared(visit.screening.id)}
+                        inputProps={{
+                          "aria-label": t("progression.compareVisit", {
+                            date: visit.date,
+                          }),
+                        }}
+                      />
+                    </TableCell>
+                    <TableCell>{visit.date}</TableCell>
+                    <TableCell>
+                      <GradeChip drGrade={visit.drGrade} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      {visit.change > 0 && `▲ +${formatNumber(visit.change)}`}
+                      {visit.change < 0 && `▼ ${formatNumber(visit.change)}`}
+                      {visit.change === 0 && "—"}
+                    </TableCell>
+                    <TableCell>{formatConfidence(visit.pReferable)}</TableCell>
+                    <TableCell>
+                      {visit.screening.result.review?.grader ||
+                        t("progression.aiOnly")}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+
+          {comparedVisits.length > 0 && (
+            <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2 }}>
+              <Typography variant="h6" fontWeight="medium" gutterBottom>
+                {t("progression.comparison")}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {t("progression.comparisonHint", { max: MAX_COMPARED })}
+              </Typography>
+              <Box sx={{ display: "flex", gap: 3, flexWrap: "wrap" }}>
+                {comparedVisits.map((visit) => (
+                  <VisitColumn
+                    key={visit.screening.id}
+                    visit={visit}
+                    view={view}
+                    onViewChange={setView}
+                  />
+                ))}
+              </Box>
+            </Paper>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
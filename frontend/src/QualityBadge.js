@@ -0,0 +1,94 @@
+import React from "react";
+import {
+  Box,
+  Chip,
+  Alert,
+  Typography,
+  Checkbox,
+  FormControlLabel,
+  CircularProgress,
+} from "@mui/material";
+import {
+  CheckCircleOutline,
+  ErrorOutline,
+  HelpOutline,
+} from "@mui/icons-material";
+import { t, formatPercent } from "./i18n";
+
+export const QualityBadge = ({
+  quality,
+  assessing,
+  override,
+  onOverrideChange,
+}) => {
+  if (assessing) {
+    return (
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+        <CircularProgress size={16} />
+        <Typography variant="body2" color="text.secondary">
+          {t("quality.checking")}
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (!quality) {
+    return (
+      <Chip
+        icon={<HelpOutline />}
+        label={t("quality.notAssessed")}
+        variant="outlined"
+        size="small"
+      />
+    );
+  }
+
+  if (quality.gradable) {
+    return (
+      <Chip
+        icon={<CheckCircleOutline />}
+        label={t("quality.good")}
+        color="success"
+        variant="outlined"
+        size="small"
+      />
+    );
+  }
+
+  const failed = quality.checks.filter((check) => !check.passed);
+  return (
+    <Box>
+      <Chip
+        icon={<ErrorOutline />}
+        label={t("quality.ungradable", {
+          score: formatPercent(quality.score / 100, 0),
+        })}
+        color="error"
+        size="small"
+      />
+      <Alert severity="warning" sx={{ mt: 1.5, borderRadius: 2 }}>
+        <Box component="ul" sx={{ m: 0, pl: 2 }}>
+          {failed.map((check) => (
+            <li key={check.key}>
+              <Typography variant="body2">
+                <strong>{t(`quality.check.${check.key}`)}:</strong>{" "}
+                {t(`quality.issue.${check.issue}`)}
+              </Typography>
+            </li>
+          ))}
+        </Box>
+        <FormControlLabel
+          control={
+            <Checkbox
+              size="small"
+              checked={override}
+              onChange={(e) => onOverrideChange(e.target.checked)}
+            />
+          }
+          label={t("quality.override")}
+          sx={{ mt: 1 }}
+        />
+      </Alert>
+    </Box>
+  );
+};
@@ -0,0 +1,45 @@
+import React from "react";
+import { Alert, AlertTitle, Box, Typography } from "@mui/material";
+import {
+  CheckCircleOutline,
+  ErrorOutline,
+  InfoOutlined,
+  HelpOutline,
+} from "@mui/icons-material";
+
+const reasonIcon = (passed) => {
+  if (passed === true) return <CheckCircleOutline color="success" />;
+  if (passed === false) return <ErrorOutline color="warning" />;
+  return <InfoOutlined color="action" />;
+};
+
+export const ReferralDecision = ({ decision, title, sx }) => (
+  <Alert
+    severity={decision.severity}
+    icon={decision.outcome === "indeterminate" ? <HelpOutline /> : undefined}
+    sx={{ borderRadius: 2, textAlign: "left", ...sx }}
+  >
+    <AlertTitle sx={{ fontWeight: "bold" }}>
+      {title ? `${title}: ` : ""}
+      {decision.label}
+    </AlertTitle>
+    <Typography variant="body2">{decision.recommendation}</Typography>
+    <Box component="ul" sx={{ listStyle: "none", m: 0, mt: 1, p: 0 }}>
+      {decision.reasons.map((reason) => (
+        <Box
+          component="li"
+          key={reason.text}
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            gap: 1,
+            "& svg": { fontSize: 16 },
+          }}
+        >
+          {reasonIcon(reason.passed)}
+          <Typography variant="caption">{reason.text}</Typography>
+        </Box>
+      ))}
+    </Box>
+  </Alert>
+);
@@ -0,0 +1,609 @@
+import React, { useRef, useState, useEffect } from "react";
+import {
+  Box,
+  Button,
+  Typography,
+  LinearProgress,
+  Card,
+  CardContent,
+  Chip,
+  Alert,
+  Divider,
+  Tooltip,
+  Collapse,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { useTheme } from "@mui/material/styles";
+import { visuallyHidden } from "@mui/utils";
+import {
+  InfoOutlined,
+  PictureAsPdf,
+  DataObject,
+  ArrowForward,
+  TableChart,
+  EventRepeat,
+  Insights,
+} from "@mui/icons-material";
+import { Doughnut } from "react-chartjs-2";
+import {
+  Chart as ChartJS,
+  ArcElement,
+  Tooltip as ChartTooltip,
+  Legend,
+} from "chart.js";
+import {
+  determineDRGrade,
+  drGradeForClass,
+  formatConfidence,
+  gradeLabel,
+  schemeGradeColor,
+  GradeIcon,
+  GradeChip,
+  uncertaintyLevel,
+} from "./grading";
+import { schemeDistribution, useGradingScheme } from "./gradingScheme";
+import { severityPattern } from "./severityPalette";
+import { chartColors } from "./theme";
+import { getGradeDetails, REFERENCES } from "./clinicalContent";
+import { downloadReport } from "./report";
+import { downloadFHIRBundle } from "./exports";
+import { evaluateReferral } from "./referralPolicy";
+import { ReferralDecision } from "./ReferralDecision";
+import { GraderReview } from "./GraderReview";
+import { ModelVersion } from "./ModelInfoDialog";
+import { EnsembleVotes } from "./EnsembleVotes";
+import { t, formatPercent } from "./i18n";
+
+// Probability with its ± spread when the prediction was test-time augmented
+const formatWithSpread = (probability, spread) =>
+  spread === null
+    ? formatConfidence(probability)
+    : t("result.withSpread", {
+        value: formatConfidence(probability),
+        spread: formatConfidence(spread),
+      });
+
+const UncertaintyChip = ({ uncertainty }) => {
+  const { level, color } = uncertaintyLevel(uncertainty.score);
+  return (
+    <Tooltip
+      title={t("result.uncertaintyHint", { passes: uncertainty.passes })}
+    >
+      <Chip
+        icon={<Insights />}
+        color={color}
+        variant="outlined"
+        size="small"
+        label={t("result.uncertainty", {
+          value: formatPercent(uncertainty.score, 0),
+          level: t(`result.uncertaintyLevel.${level}`),
+        })}
+        sx={{ mt: 1 }}
+      />
+    </Tooltip>
+  );
+};
+
+ChartJS.register(ArcElement, ChartTooltip, Legend);
+
+// Legend text color of the light theme; reports are printed on white
+const REPORT_CHART_TEXT = "rgba(0, 0, 0, 0.6)";
+
+const captureChart = (chart) => {
+  if (!chart) return undefined;
+  const labels = chart.options.plugins.legend.labels;
+  const color = labels.color;
+  labels.color = REPORT_CHART_TEXT;
+  chart.update("none");
+  const image = chart.toBase64Image();
+  labels.color = color;
+  chart.update("none");
+  return image;
+};
+
+const ResultCard = ({ children }) => (
+  <Card
+    sx={{
+      height: "100%",
+      boxShadow: 5,
+      borderRadius: 3,
+      bgcolor: "background.paper",
+      overflow: "hidden",
+    }}
+  >
+    <CardContent sx={{ p: 4 }}>{children}</CardContent>
+  </Card>
+);
+
+// Grade, probability distribution and clinical guidance for one prediction
+export const ResultPanel = ({ result, imageSrc, patient }) => {
+  const chartRef = useRef(null);
+  const colors = chartColors(useTheme());
+  const [exporting, setExporting] = useState(null); // "report" or "fhir"
+  const [exportError, setExportError] = useState(null);
+  const drGrade = determineDRGrade(result);
+  const gradeDetails = getGradeDetails(drGrade.grade);
+  const referral = evaluateReferral(result);
+  const [review, setReview] = useState(result.review || null);
+  const [showTable, setShowTable] = useState(false);
+  const scheme = useGradingScheme();
+  // Probabilities per grade of the active scheme
+  const distribution = schemeDistribution(result).map((grade) => ({
+    ...grade,
+    color: schemeGradeColor(grade),
+  }));
+  const topProbability = Math.max(
+    ...distribution.map(({ probability }) => probability)
+  );
+  const [lowestGrade, highestGrade] = [
+    distribution[0],
+    distribution[distribution.length - 1],
+  ].map(({ label, description }) =>
+    t("grade.label", { grade: label, description })
+  );
+
+  useEffect(() => setReview(result.review || null), [result]);
+
+  const runExport = async (kind, exportFn, fallbackMessage) => {
+    setExporting(kind);
+    setExportError(null);
+    try {
+      await exportFn();
+    } catch (err) {
+      setExportError(err.detail || err.message || fallbackMessage);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleDownloadReport = () =>
+    runExport(
+      "report",
+      () =>
+        downloadReport({
+          result,
+          imageSrc,
+          chartImage: captureChart(chartRef.current),
+          patient,
+          review,
+        }),
+      t("result.reportFailed")
+    );
+
+  const handleExportFHIR = () =>
+    runExport(
+      "fhir",
+      () => downloadFHIRBundle(result.screening_id),
+      t("result.fhirFailed")
+    );
+
+  const probabilityChartData = {
+    labels: distribution.map(({ label }) => label),
+    datasets: [
+      {
+        data: distribution.map(({ probability }) => probability),
+        backgroundColor: distribution.map(
+          ({ severity, color }) => severityPattern(severity, color) || color
+        ),
+        borderColor: colors.surface,
+        borderWidth: 1,
+      },
+    ],
+  };
+
+  return (
+    <ResultCard>
+      <Box
+        sx={{
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          mb: 3,
+        }}
+      >
+        <Typography
+          variant="h5"
+          component="h2"
+          sx={{ mb: 1, textAlign: "center" }}
+        >
+          {t("result.title")}
+        </Typography>
+
+        <GradeChip drGrade={drGrade} />
+
+        {review && !review.agrees_with_ai && (
+          <Box
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              gap: 1,
+              mt: 2,
+              flexWrap: "wrap",
+              justifyContent: "center",
+            }}
+          >
+            <Typography variant="body2" color="text.secondary">
+              {t("result.aiGrade")}
+            </Typography>
+            <GradeChip drGrade={drGrade} size="small" />
+            <ArrowForward fontSize="small" color="action" />
+            <Typography variant="body2" color="text.secondary">
+              {t("result.finalGrade")}
+            </Typography>
+            <GradeChip
+              drGrade={drGradeForClass(result.class_names, review.final_grade)}
+              size="small"
+            />
+          </Box>
+        )}
+        {review?.agrees_with_ai && (
+          <Typography variant="body2" sx={{ mt: 1, color: "success.main" }}>
+            {t("result.confirmedBy", { grader: review.grader })}
+          </Typography>
+        )}
+
+        <Typography
+          variant="subtitle1"
+          component="p"
+          sx={{
+            mt: 2,
+            color: "text.secondary",
+            textAlign: "center",
+          }}
+        >
+          {t("result.confidence", {
+            value: formatConfidence(result.confidence),
+          })}
+        </Typography>
+        {result.uncertainty && (
+          <UncertaintyChip uncertainty={result.uncertainty} />
+        )}
+        <ModelVersion version={result.model_version} />
+
+        <ReferralDecision decision={referral} sx={{ mt: 2, width: "100%" }} />
+        {referral?.outcome === "no_refer" && drGrade.recallMonths && (
+          <Typography
+            variant="body2"
+            color="text.secondary"
+            sx={{ mt: 1, display: "flex", alignItems: "center", gap: 0.5 }}
+          >
+            <EventRepeat fontSize="small" />
+            {t("result.recall", { count: drGrade.recallMonths })}
+          </Typography>
+        )}
+
+        <Box
+          sx={{
+            display: "flex",
+            gap: 1,
+            mt: 2,
+            flexWrap: "wrap",
+            justifyContent: "center",
+          }}
+        >
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<PictureAsPdf />}
+            onClick={handleDownloadReport}
+            disabled={!!exporting}
+            sx={{ borderRadius: 2 }}
+          >
+            {t(
+              exporting === "report"
+                ? "result.preparingReport"
+                : "result.downloadReport"
+            )}
+          </Button>
+          {result.screening_id && (
+            <Tooltip title={t("result.fhirTooltip")}>
+              <span>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  startIcon={<DataObject />}
+                  onClick={handleExportFHIR}
+                  disabled={!!exporting}
+                  sx={{ borderRadius: 2 }}
+                >
+                  {t(
+                    exporting === "fhir"
+                      ? "result.exportingFhir"
+                      : "result.exportFhir"
+                  )}
+                </Button>
+              </span>
+            </Tooltip>
+          )}
+        </Box>
+        {exportError && (
+          <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>
+            {exportError}
+          </Alert>
+        )}
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box sx={{ mb: 4 }}>
+        <Typography
+          variant="h6"
+          component="h3"
+          fontWeight="medium"
+          gutterBottom
+        >
+          {t("result.distribution")}
+        </Typography>
+        <Box sx={{ height: 240 }}>
+          <Doughnut
+            ref={chartRef}
+            aria-label={t("result.chartLabel", {
+              values: distribution
+                .map(
+                  ({ label, probability }) =>
+                    `${label} ${formatConfidence(probability)}`
+                )
+                .join(", "),
+            })}
+            data={probabilityChartData}
+            options={{
+              maintainAspectRatio: false,
+              plugins: {
+                legend: {
+                  position: "right",
+                  labels: {
+                    color: colors.text,
+                    padding: 20,
+                    usePointStyle: true,
+                    pointStyle: "circle",
+                    font: {
+                      size: 11,
+                    },
+                  },
+                },
+              },
+              cutout: "65%",
+            }}
+          />
+        </Box>
+        <Button
+          size="small"
+          startIcon={<TableChart />}
+          onClick={() => setShowTable((shown) => !shown)}
+          aria-expanded={showTable}
+          aria-controls="probability-table"
+          sx={{ mt: 1 }}
+        >
+          {t(showTable ? "result.hideTable" : "result.showTable")}
+        </Button>
+        <Collapse in={showTable} id="probability-table">
+          <Table size="small" sx={{ mt: 1 }}>
+            <caption style={visuallyHidden}>{t("result.distribution")}</caption>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t("result.column.class")}</TableCell>
+                <TableCell>{t("result.column.description")}</TableCell>
+                <TableCell align="right">
+                  {t("result.column.probability")}
+                </TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {distribution.map(
+                ({ code, label, description, probability, spread }) => (
+                  <TableRow
+                    key={code}
+                    selected={probability === topProbability}
+                  >
+                    <TableCell component="th" scope="row">
+                      {label}
+                      {probability === topProbability &&
+                        ` (${t("result.mostLikely")})`}
+                    </TableCell>
+                    <TableCell>{description}</TableCell>
+                    <TableCell align="right">
+                      {formatWithSpread(probability, spread)}
+                    </TableCell>
+                  </TableRow>
+                )
+              )}
+            </TableBody>
+          </Table>
+        </Collapse>
+      </Box>
+
+      <Typography
+        variant="h6"
+        component="h3"
+        fontWeight="medium"
+        gutterBottom
+        sx={{ display: "flex", alignItems: "center" }}
+      >
+        {t("result.gradeProbabilities")}
+        <Tooltip title={t("result.gradeProbabilitiesHint")}>
+          <InfoOutlined sx={{ ml: 1, fontSize: 18, color: "text.secondary" }} />
+        </Tooltip>
+      </Typography>
+
+      {distribution.map(
+        ({ code, label, severity, color, probability, spread }) => {
+          const isTop = probability === topProbability;
+
+          return (
+            <Box key={code} sx={{ mb: 2 }}>
+              <Box
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  mb: 0.5,
+                  alignItems: "center",
+                }}
+              >
+                <Box sx={{ display: "flex", alignItems: "center" }}>
+                  <GradeIcon
+                    severity={severity}
+                    sx={{ fontSize: 18, color, mr: 1 }}
+                  />
+                  <Typography fontWeight={isTop ? "bold" : "normal"}>
+                    {label}{" "}
+                    {isTop && (
+                      <>
+                        <span aria-hidden="true">★</span>
+                        <Box component="span" sx={visuallyHidden}>
+                          ({t("result.mostLikely")})
+                        </Box>
+                      </>
+                    )}
+                  </Typography>
+                </Box>
+                <Typography fontWeight={isTop ? "bold" : "medium"}>
+                  {formatWithSpread(probability, spread)}
+                </Typography>
+              </Box>
+              <Box sx={{ position: "relative" }}>
+                <LinearProgress
+                  variant="determinate"
+                  value={probability * 100}
+                  aria-label={label}
+                  aria-valuetext={formatWithSpread(probability, spread)}
+                  sx={{
+                    height: 10,
+                    borderRadius: 5,
+                    backgroundColor: "action.selected",
+                    "& .MuiLinearProgress-bar": {
+                      borderRadius: 5,
+                      backgroundColor: color,
+                    },
+                  }}
+                />
+                {spread !== null && (
+                  // Error band: one standard deviation either side of the mean
+                  <Box
+                    aria-hidden="true"
+                    sx={{
+                      position: "absolute",
+                      top: -3,
+                      bottom: -3,
+                      left: `${Math.max(probability - spread, 0) * 100}%`,
+                      right: `${Math.max(1 - probability - spread, 0) * 100}%`,
+                      border: 2,
+                      borderColor: "text.primary",
+                      borderRadius: 1,
+                      opacity: 0.5,
+                    }}
+                  />
+                )}
+              </Box>
+            </Box>
+          );
+        }
+      )}
+
+      <Divider sx={{ my: 3 }} />
+
+      {result.ensemble && (
+        <>
+          <EnsembleVotes result={result} />
+          <Divider sx={{ my: 3 }} />
+        </>
+      )}
+
+      {result.screening_id && (
+        <>
+          <GraderReview
+            key={result.screening_id}
+            result={result}
+            review={review}
+            onReviewed={setReview}
+          />
+          <Divider sx={{ my: 3 }} />
+        </>
+      )}
+
+      <Alert severity="info" sx={{ mt: 2, borderRadius: 2 }}>
+        <Typography variant="body2">
+          <strong>{t("result.scaleTitle")}</strong> {scheme.name}:{" "}
+          {t("result.scale", { lowest: lowestGrade, highest: highestGrade })}
+        </Typography>
+      </Alert>
+
+      {drGrade && (
+        <Box
+          sx={{
+            mt: 3,
+            p: 3,
+            bgcolor: "background.default",
+            borderRadius: 2,
+            border: "1px solid",
+            borderColor: "divider",
+          }}
+        >
+          <Typography
+            variant="h6"
+            component="h3"
+            gutterBottom
+            sx={{ display: "flex", alignItems: "center", fontWeight: "bold" }}
+          >
+            <GradeIcon
+              severity={drGrade.severity}
+              sx={{ color: drGrade.color, mr: 1 }}
+            />
+            {gradeLabel(drGrade)}
+          </Typography>
+
+          <Typography variant="body2" paragraph>
+            {gradeDetails.summary}
+          </Typography>
+
+          <Typography
+            variant="subtitle2"
+            component="h4"
+            gutterBottom
+            sx={{ mt: 2, fontWeight: "bold" }}
+          >
+            {t("result.clinicalSignificance")}
+          </Typography>
+          <Typography variant="body2" paragraph>
+            {gradeDetails.clinicalSignificance}
+          </Typography>
+
+          <Typography
+            variant="subtitle2"
+            component="h4"
+            gutterBottom
+            sx={{ fontWeight: "bold" }}
+          >
+            {t("result.references")}
+          </Typography>
+          {REFERENCES.map((reference) => (
+            <Typography key={reference} variant="body2">
+              • {reference}
+            </Typography>
+          ))}
+
+          <Box
+            sx={{
+              display: "flex",
+              justifyContent: "center",
+              mt: 2,
+            }}
+          >
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<InfoOutlined />}
+              target="_blank"
+              href="https://www.nei.nih.gov/learn-about-eye-health/eye-conditions-and-diseases/diabetic-retinopathy"
+            >
+              {t("result.learnMore")}
+            </Button>
+          </Box>
+        </Box>
+      )}
+    </ResultCard>
+  );
+};
@@ -0,0 +1,44 @@
+import React from "react";
+import { TextField, MenuItem, InputAdornment } from "@mui/material";
+import { Brightness6 } from "@mui/icons-material";
+import { THEME_MODES, setThemeMode, useThemeMode } from "./theme";
+import api from "./api";
+import { t } from "./i18n";
+
+// Light/dark/high-contrast picker; a signed-in user's choice is saved to their
+// account so it follows them to other devices
+export const ThemeModeSelect = ({ username, sx }) => {
+  const mode = useThemeMode();
+
+  const handleChange = (e) => {
+    setThemeMode(e.target.value, username);
+    // This device keeps the choice even if saving it fails
+    if (username) {
+      api.put("/me/theme-mode", { theme_mode: e.target.value }).catch(() => {});
+    }
+  };
+
+  return (
+    <TextField
+      select
+      size="small"
+      value={mode}
+      onChange={handleChange}
+      inputProps={{ "aria-label": t("theme.label") }}
+      InputProps={{
+        startAdornment: (
+          <InputAdornment position="start">
+            <Brightness6 fontSize="small" color="action" />
+          </InputAdornment>
+        ),
+      }}
+      sx={{ minWidth: 150, ...sx }}
+    >
+      {THEME_MODES.map((value) => (
+        <MenuItem key={value} value={value}>
+          {t(`theme.${value}`)}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
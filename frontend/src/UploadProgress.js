@@ -0,0 +1,50 @@
+import React from "react";
+import { Box, Button, LinearProgress, Typography } from "@mui/material";
+import { Close } from "@mui/icons-material";
+import { t, formatBytes } from "./i18n";
+
+// Byte-level progress while uploading, then an indeterminate bar while the
+// server analyzes; progress is null while the upload is still being prepared
+export const UploadProgress = ({ progress, analyzingLabel, onCancel }) => {
+  const uploading = !progress || progress.phase === "uploading";
+  const known = uploading && progress?.total;
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <LinearProgress
+        variant={known ? "determinate" : "indeterminate"}
+        value={known ? (progress.loaded / progress.total) * 100 : undefined}
+        aria-label={uploading ? t("upload.uploadingLabel") : analyzingLabel}
+        sx={{ height: 8, borderRadius: 5 }}
+      />
+      <Box
+        sx={{
+          mt: 1,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 2,
+        }}
+      >
+        <Typography variant="body2" sx={{ color: "text.secondary" }}>
+          {!uploading
+            ? analyzingLabel
+            : known
+            ? t("upload.uploading", {
+                loaded: formatBytes(progress.loaded),
+                total: formatBytes(progress.total),
+              })
+            : t("upload.uploadingLabel")}
+        </Typography>
+        <Button
+          size="small"
+          color="inherit"
+          startIcon={<Close />}
+          onClick={onCancel}
+        >
+          {t("common.cancel")}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
@@ -0,0 +1,61 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import axe from "axe-core";
+import App from "./App";
+import { AuthScreen } from "./LoginForm";
+import { ResultPanel } from "./ResultPanel";
+
+// Chart.js needs a real canvas; keep the props that reach the DOM
+jest.mock("react-chartjs-2", () => ({
+  Doughnut: ({ "aria-label": label }) =>
+    require("react").createElement("canvas", {
+      role: "img",
+      "aria-label": label,
+    }),
+}));
+
+// Color contrast needs real layout, which jsdom does not provide
+const audit = async (container) => {
+  const { violations } = await axe.run(container, {
+    rules: { "color-contrast": { enabled: false } },
+  });
+  return violations.map(
+    ({ id, nodes }) => `${id}: ${nodes.map((node) => node.html).join(", ")}`
+  );
+};
+
+const RESULT = {
+  class_names: ["Grade 0", "Grade 1", "Grade 2", "Grade 3", "Grade 4"],
+  probabilities: [0.05, 0.1, 0.7, 0.1, 0.05],
+  confidence: 0.7,
+};
+
+afterEach(() => localStorage.clear());
+
+describe("axe audit", () => {
+  test("login and registration forms", async () => {
+    const { container } = render(<AuthScreen onLogin={() => {}} />);
+    expect(await audit(container)).toEqual([]);
+
+    fireEvent.click(screen.getByRole("link", { name: /sign up/i }));
+    expect(await audit(container)).toEqual([]);
+  }, 30000);
+
+  test("classifier upload screen", async () => {
+    localStorage.setItem("token", "token");
+    localStorage.setItem(
+      "user",
+      JSON.stringify({ username: "grader@example.org", full_name: "Grader" })
+    );
+    const { container } = render(<App />);
+    expect(await audit(container)).toEqual([]);
+  }, 30000);
+
+  test("result panel with its data table", async () => {
+    const { container } = render(<ResultPanel result={RESULT} />);
+    fireEvent.click(screen.getByRole("button", { name: /show as table/i }));
+    expect(await audit(container)).toEqual([]);
+    expect(screen.getByRole("table")).toHaveTextContent(
+      "Grade 2 (most likely)"
+    );
+  }, 30000);
+});
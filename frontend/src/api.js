@@ -0,0 +1,96 @@
+import axios from "axios";
+import { getToken, clearSession } from "./auth";
+import { t } from "./i18n";
+
+// Runtime config (public/config.js) wins so one build can be deployed anywhere
+export const API_BASE_URL =
+  window.__APP_CONFIG__?.apiBaseUrl ||
+  process.env.REACT_APP_API_URL ||
+  "http://localhost:8000";
+
+const RETRY_METHODS = ["get", "head", "options", "put", "delete"];
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 500;
+
+// User-friendly names for backend field names in 422 validation errors
+const LABELLED_FIELDS = ["username", "email", "full_name", "password", "file"];
+
+const fieldLabel = (field) =>
+  LABELLED_FIELDS.includes(field) ? t(`field.${field}`) : field;
+
+// Turn FastAPI's `detail` (a string, or the 422 list of field errors) into one message
+export const formatErrorDetail = (detail) => {
+  if (typeof detail === "string") return detail;
+  if (Array.isArray(detail)) {
+    return detail
+      .map((error) => {
+        const field = error.loc?.[error.loc.length - 1];
+        return field && field !== "body"
+          ? `${fieldLabel(field)}: ${error.msg}`
+          : error.msg;
+      })
+      .join(". ");
+  }
+  return null;
+};
+
+let unauthorizedHandler = null;
+
+// Called when an authenticated request is rejected, so the app can return to the login screen
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+const api = axios.create({ baseURL: API_BASE_URL });
+
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+const shouldRetry = (error) => {
+  const { config, response } = error;
+  if (!config || axios.isCancel(error)) return false;
+  if (!RETRY_METHODS.includes(config.method)) return false;
+  if ((config.retryCount || 0) >= (config.maxRetries ?? MAX_RETRIES)) {
+    return false;
+  }
+  // Network failures, rate limiting and server errors are worth another try
+  return !response || response.status === 429 || response.status >= 500;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (shouldRetry(error)) {
+      const { config } = error;
+      config.retryCount = (config.retryCount || 0) + 1;
+      const delay =
+        (config.retryDelay ?? RETRY_DELAY) * 2 ** (config.retryCount - 1);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return api(config);
+    }
+
+    // A 401 on a request that carried a token means the session is no longer valid
+    if (
+      error.response?.status === 401 &&
+      error.config?.headers?.Authorization
+    ) {
+      clearSession();
+      if (unauthorizedHandler) unauthorizedHandler();
+    }
+
+    error.detail =
+      error.code === "ECONNABORTED"
+        ? t("request.timedOut", {
+            seconds: Math.round(error.config.timeout / 1000),
+          })
+        : formatErrorDetail(error.response?.data?.detail);
+    return Promise.reject(error);
+  }
+);
+
+export default api;
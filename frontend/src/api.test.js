@@ -0,0 +1,68 @@
+import api, { formatErrorDetail } from "./api";
+
+describe("formatErrorDetail", () => {
+  test("passes string details through", () => {
+    expect(formatErrorDetail("Incorrect email or password")).toBe(
+      "Incorrect email or password"
+    );
+  });
+
+  test("joins 422 field errors with friendly field names", () => {
+    const detail = [
+      { loc: ["body", "username"], msg: "Field required" },
+      { loc: ["body", "password"], msg: "String too short" },
+    ];
+    expect(formatErrorDetail(detail)).toBe(
+      "Email: Field required. Password: String too short"
+    );
+  });
+
+  test("returns null when there is no detail", () => {
+    expect(formatErrorDetail(undefined)).toBeNull();
+  });
+});
+
+describe("api retries", () => {
+  const failingAdapter = (status) =>
+    jest.fn((config) =>
+      Promise.reject(
+        Object.assign(new Error("Request failed"), {
+          config,
+          response: { status, data: { detail: "Service unavailable" } },
+        })
+      )
+    );
+
+  test("retries idempotent requests on server errors", async () => {
+    const adapter = failingAdapter(503);
+    await expect(
+      api.get("/", { adapter, retryDelay: 0, maxRetries: 2 })
+    ).rejects.toMatchObject({ detail: "Service unavailable" });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test("does not retry non-idempotent requests", async () => {
+    const adapter = failingAdapter(503);
+    await expect(
+      api.post("/predict", null, { adapter, retryDelay: 0 })
+    ).rejects.toBeDefined();
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+});
+
+test("explains timeouts instead of showing a generic failure", async () => {
+  const adapter = jest.fn((config) =>
+    Promise.reject(
+      Object.assign(new Error("timeout exceeded"), {
+        config,
+        code: "ECONNABORTED",
+      })
+    )
+  );
+  await expect(
+    api.post("/predict", null, { adapter, timeout: 30000 })
+  ).rejects.toMatchObject({
+    detail:
+      "The server did not respond within 30 seconds. Check your connection and try again.",
+  });
+});
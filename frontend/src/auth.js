@@ -0,0 +1,28 @@
+// Session helpers for the token and user stored by LoginForm
+
+export const getToken = () => localStorage.getItem("token");
+
+export const getStoredUser = () => {
+  if (!getToken()) return null;
+  try {
+    return JSON.parse(localStorage.getItem("user"));
+  } catch {
+    return null;
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("user");
+};
+
+// Token of an emailed account link: ?verify=<token> or ?reset=<token>
+export const getAccountLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  const type = ["verify", "reset"].find((name) => params.get(name));
+  return type ? { type, token: params.get(type) } : null;
+};
+
+// Drops the token from the address bar once the link has been handled
+export const clearAccountLink = () =>
+  window.history.replaceState(null, "", window.location.pathname);
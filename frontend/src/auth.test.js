@@ -0,0 +1,17 @@
+import { clearAccountLink, getAccountLink } from "./auth";
+
+afterEach(() => window.history.replaceState(null, "", "/"));
+
+test("reads the token of an emailed reset or verification link", () => {
+  window.history.pushState(null, "", "/?reset=abc123");
+  expect(getAccountLink()).toEqual({ type: "reset", token: "abc123" });
+
+  window.history.pushState(null, "", "/?verify=xyz");
+  expect(getAccountLink()).toEqual({ type: "verify", token: "xyz" });
+});
+
+test("forgets the link once it has been handled", () => {
+  window.history.pushState(null, "", "/?verify=xyz");
+  clearAccountLink();
+  expect(getAccountLink()).toBeNull();
+});
@@ -0,0 +1,24 @@
+import { t } from "./i18n";
+import { schemeGradeForClass } from "./gradingScheme";
+
+// Clinical text shown with a result, shared by the result card and the PDF report
+
+export const getGradeDetails = (grade) => {
+  const schemeGrade = schemeGradeForClass(grade);
+  return {
+    summary: schemeGrade?.summary || "",
+    clinicalSignificance: schemeGrade?.significance || "",
+  };
+};
+
+// Citations are kept in their original language
+export const REFERENCES = [
+  "American Academy of Ophthalmology. (2022). Diabetic Retinopathy Preferred Practice Pattern.",
+  "Wilkinson, C. P., et al. (2003). Proposed international clinical diabetic retinopathy and diabetic macular edema disease severity scales. Ophthalmology, 110(9), 1677-1682.",
+  "Wong, T. Y., et al. (2016). Diabetic retinopathy: global prevalence, major risk factors, screening practices and public health challenges. Nature Reviews Endocrinology, 12(11), 639-649.",
+];
+
+export const getDisclaimer = () => [
+  t("clinical.disclaimer.images"),
+  t("clinical.disclaimer.diagnostic"),
+];
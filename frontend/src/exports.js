@@ -0,0 +1,89 @@
+import api from "./api";
+import { getActiveScheme, schemeGradeForClass } from "./gradingScheme";
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Spreadsheet apps read cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCSV = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Free text (patient ids, filenames) must never run as a formula
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Every row's columns in first-seen order; results from models with other
+// class counts add their own probability columns
+export const toCSV = (rows) => {
+  if (rows.length === 0) return "";
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((col) => escapeCSV(row[col])).join(",")),
+  ].join("\r\n");
+};
+
+// One row per graded image, with the same columns as GET /screenings/export.csv
+export const resultToCSVRow = (
+  result,
+  { patient = {}, filename = "" } = {}
+) => {
+  const row = {
+    screening_id: result.screening_id ?? "",
+    patient_id: patient.patientId || "",
+    eye: patient.eye || "",
+    capture_date: patient.captureDate || "",
+    screened_at: result.created_at || "",
+    filename,
+    grade: result.class,
+    grade_name: result.class_name,
+    confidence: result.confidence.toFixed(4),
+    model_version: result.model_version || "",
+    grading_scheme: getActiveScheme().id,
+    scheme_grade: schemeGradeForClass(result.class)?.code ?? "",
+    final_grade: result.review?.final_grade ?? "",
+    final_scheme_grade: result.review
+      ? schemeGradeForClass(result.review.final_grade)?.code ?? ""
+      : "",
+    maculopathy: result.review?.maculopathy || "",
+    reviewed_by: result.review?.grader || "",
+  };
+  result.probabilities.forEach((probability, idx) => {
+    row[`probability_grade_${idx}`] = probability.toFixed(4);
+  });
+  return row;
+};
+
+export const downloadCSV = (rows, filename) => {
+  downloadBlob(new Blob([toCSV(rows)], { type: "text/csv" }), filename);
+};
+
+export const downloadFHIRBundle = async (screeningId) => {
+  const response = await api.get(`/screenings/${screeningId}/fhir`);
+  downloadBlob(
+    new Blob([JSON.stringify(response.data, null, 2)], {
+      type: "application/fhir+json",
+    }),
+    `dr-screening-${screeningId}.fhir.json`
+  );
+};
+
+export const downloadScreeningsCSV = async (params) => {
+  const response = await api.get("/screenings/export.csv", {
+    params,
+    responseType: "blob",
+  });
+  downloadBlob(response.data, "screenings.csv");
+};
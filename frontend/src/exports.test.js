@@ -0,0 +1,20 @@
+import { toCSV } from "./exports";
+
+test("includes columns that only later rows have", () => {
+  const csv = toCSV([
+    { grade: 0, probability_grade_0: "0.9000" },
+    { grade: 1, probability_grade_0: "0.1000", probability_grade_1: "0.9000" },
+  ]);
+  expect(csv.split("\r\n")).toEqual([
+    "grade,probability_grade_0,probability_grade_1",
+    "0,0.9000,",
+    "1,0.1000,0.9000",
+  ]);
+});
+
+test("keeps free text from being read as a formula", () => {
+  const csv = toCSV([
+    { patient_id: "=HYPERLINK(\"x\")", filename: "@eye.jpg", grade: -1 },
+  ]);
+  expect(csv.split("\r\n")[1]).toBe(`"'=HYPERLINK(""x"")",'@eye.jpg,-1`);
+});
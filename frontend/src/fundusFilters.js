@@ -0,0 +1,127 @@
+export const DEFAULT_FILTERS = {
+  redFree: false,
+  clahe: false,
+  invert: false,
+  brightness: 0, // -100 to 100, added after gamma
+  gamma: 1, // >1 brightens mid-tones
+};
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(
+    (key) => filters[key] !== DEFAULT_FILTERS[key]
+  );
+
+const CLAHE_TILES = 8;
+const CLAHE_CLIP_LIMIT = 2.5; // multiple of the mean histogram bin height
+
+const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+// Contrast-limited equalisation mapping for one tile's luminance values
+const tileMapping = (histogram, pixelCount) => {
+  const clipLimit = Math.max(1, (CLAHE_CLIP_LIMIT * pixelCount) / 256);
+  let excess = 0;
+  for (let i = 0; i < 256; i++) {
+    if (histogram[i] > clipLimit) {
+      excess += histogram[i] - clipLimit;
+      histogram[i] = clipLimit;
+    }
+  }
+  const mapping = new Float32Array(256);
+  let cumulative = 0;
+  for (let i = 0; i < 256; i++) {
+    cumulative += histogram[i] + excess / 256;
+    mapping[i] = (cumulative * 255) / pixelCount;
+  }
+  return mapping;
+};
+
+// CLAHE on luminance with bilinear blending between tile mappings; colour is
+// preserved by scaling each channel by the luminance gain
+const applyCLAHE = (data, width, height) => {
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] =
+      0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const tileWidth = width / CLAHE_TILES;
+  const tileHeight = height / CLAHE_TILES;
+  const mappings = [];
+  for (let ty = 0; ty < CLAHE_TILES; ty++) {
+    for (let tx = 0; tx < CLAHE_TILES; tx++) {
+      const histogram = new Float32Array(256);
+      const x0 = Math.floor(tx * tileWidth);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * tileWidth));
+      const y0 = Math.floor(ty * tileHeight);
+      const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * tileHeight));
+      for (let y = y0; y < Math.min(y1, height); y++) {
+        for (let x = x0; x < Math.min(x1, width); x++) {
+          histogram[luminance[y * width + x]] += 1;
+        }
+      }
+      const count = (Math.min(x1, width) - x0) * (Math.min(y1, height) - y0);
+      mappings.push(tileMapping(histogram, Math.max(count, 1)));
+    }
+  }
+
+  const tileIndex = (position, size) => {
+    const t = position / size - 0.5;
+    const low = Math.min(Math.max(Math.floor(t), 0), CLAHE_TILES - 1);
+    const high = Math.min(low + 1, CLAHE_TILES - 1);
+    return [low, high, Math.min(Math.max(t - low, 0), 1)];
+  };
+
+  for (let y = 0; y < height; y++) {
+    const [ty0, ty1, wy] = tileIndex(y, tileHeight);
+    for (let x = 0; x < width; x++) {
+      const [tx0, tx1, wx] = tileIndex(x, tileWidth);
+      const idx = y * width + x;
+      const value = luminance[idx];
+      const top =
+        mappings[ty0 * CLAHE_TILES + tx0][value] * (1 - wx) +
+        mappings[ty0 * CLAHE_TILES + tx1][value] * wx;
+      const bottom =
+        mappings[ty1 * CLAHE_TILES + tx0][value] * (1 - wx) +
+        mappings[ty1 * CLAHE_TILES + tx1][value] * wx;
+      const mapped = top * (1 - wy) + bottom * wy;
+      const gain = value > 0 ? mapped / value : 0;
+      data[idx * 4] = clamp(data[idx * 4] * gain);
+      data[idx * 4 + 1] = clamp(data[idx * 4 + 1] * gain);
+      data[idx * 4 + 2] = clamp(data[idx * 4 + 2] * gain);
+    }
+  }
+};
+
+// Applies the grader enhancement filters in place to an RGBA ImageData-like object
+export const applyFilters = (imageData, filters) => {
+  const { data, width, height } = imageData;
+
+  // Red-free: the green channel carries most vessel and haemorrhage contrast
+  if (filters.redFree) {
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = data[i + 1];
+      data[i + 2] = data[i + 1];
+    }
+  }
+
+  if (filters.clahe) {
+    applyCLAHE(data, width, height);
+  }
+
+  if (filters.gamma !== 1 || filters.brightness !== 0 || filters.invert) {
+    const lookup = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+      const adjusted = clamp(
+        255 * Math.pow(v / 255, 1 / filters.gamma) + filters.brightness
+      );
+      lookup[v] = filters.invert ? 255 - adjusted : adjusted;
+    }
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = lookup[data[i]];
+      data[i + 1] = lookup[data[i + 1]];
+      data[i + 2] = lookup[data[i + 2]];
+    }
+  }
+
+  return imageData;
+};
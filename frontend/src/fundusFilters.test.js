@@ -0,0 +1,36 @@
+import {
+  applyFilters,
+  DEFAULT_FILTERS,
+  hasActiveFilters,
+} from "./fundusFilters";
+
+const pixel = (r, g, b) => ({
+  data: new Uint8ClampedArray([r, g, b, 255]),
+  width: 1,
+  height: 1,
+});
+
+describe("applyFilters", () => {
+  test("red-free copies the green channel into all channels", () => {
+    const { data } = applyFilters(pixel(200, 90, 30), {
+      ...DEFAULT_FILTERS,
+      redFree: true,
+    });
+    expect(Array.from(data)).toEqual([90, 90, 90, 255]);
+  });
+
+  test("invert and brightness use the same lookup", () => {
+    const { data } = applyFilters(pixel(200, 90, 30), {
+      ...DEFAULT_FILTERS,
+      brightness: 10,
+      invert: true,
+    });
+    expect(Array.from(data)).toEqual([45, 155, 215, 255]);
+  });
+
+  test("leaves the image untouched with default filters", () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+    const { data } = applyFilters(pixel(200, 90, 30), DEFAULT_FILTERS);
+    expect(Array.from(data)).toEqual([200, 90, 30, 255]);
+  });
+});
@@ -0,0 +1,135 @@
+// Longest side of the square image sent to the backend (public/config.js can override)
+export const PREPROCESS_SIZE =
+  Number(window.__APP_CONFIG__?.preprocessSize) ||
+  Number(process.env.REACT_APP_PREPROCESS_SIZE) ||
+  512;
+
+const JPEG_QUALITY = 0.9;
+
+// Pixels brighter than this (0-255) are treated as part of the fundus disc
+const DISC_THRESHOLD = 20;
+
+// Bounding box of the fundus disc in an RGBA ImageData-like object. Rows and
+// columns need a few bright pixels to count, so stray noise in the black
+// surround does not widen the crop. Returns null when no disc is found.
+export const findFundusBounds = (
+  { data, width, height },
+  threshold = DISC_THRESHOLD
+) => {
+  const rowCounts = new Array(height).fill(0);
+  const colCounts = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (Math.max(data[i], data[i + 1], data[i + 2]) > threshold) {
+        rowCounts[y] += 1;
+        colCounts[x] += 1;
+      }
+    }
+  }
+
+  const minRow = Math.max(1, Math.round(width * 0.01));
+  const minCol = Math.max(1, Math.round(height * 0.01));
+  const top = rowCounts.findIndex((count) => count >= minRow);
+  const left = colCounts.findIndex((count) => count >= minCol);
+  if (top === -1 || left === -1) return null;
+  const bottom =
+    height - 1 - [...rowCounts].reverse().findIndex((c) => c >= minRow);
+  const right =
+    width - 1 - [...colCounts].reverse().findIndex((c) => c >= minCol);
+
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+// Square crop centred on the disc. Discs cut off at the top and bottom (common
+// on wide sensors) keep their full diameter, and the missing part is padded black.
+export const squareCrop = (bounds) => {
+  const side = Math.max(bounds.width, bounds.height);
+  return {
+    x: bounds.x + (bounds.width - side) / 2,
+    y: bounds.y + (bounds.height - side) / 2,
+    size: side,
+  };
+};
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read the image"));
+    };
+    img.src = url;
+  });
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode the image")),
+      type,
+      quality
+    )
+  );
+
+// Crops the fundus disc, pads it to a square, downscales and re-encodes as JPEG
+export const preprocessFundus = async (
+  file,
+  { size = PREPROCESS_SIZE } = {}
+) => {
+  const img = await loadImage(file);
+  const source = document.createElement("canvas");
+  source.width = img.naturalWidth;
+  source.height = img.naturalHeight;
+  const sourceContext = source.getContext("2d");
+  sourceContext.drawImage(img, 0, 0);
+
+  const bounds = findFundusBounds(
+    sourceContext.getImageData(0, 0, source.width, source.height)
+  ) || { x: 0, y: 0, width: source.width, height: source.height };
+  const crop = squareCrop(bounds);
+  const outputSize = Math.min(size, Math.round(crop.size));
+
+  const output = document.createElement("canvas");
+  output.width = outputSize;
+  output.height = outputSize;
+  const context = output.getContext("2d");
+  context.fillStyle = "#000";
+  context.fillRect(0, 0, outputSize, outputSize);
+  context.imageSmoothingQuality = "high";
+  context.drawImage(
+    source,
+    crop.x,
+    crop.y,
+    crop.size,
+    crop.size,
+    0,
+    0,
+    outputSize,
+    outputSize
+  );
+
+  const blob = await canvasToBlob(output, "image/jpeg", JPEG_QUALITY);
+  const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+  return {
+    file: new File([blob], name, { type: "image/jpeg" }),
+    dataUrl: output.toDataURL("image/jpeg", JPEG_QUALITY),
+    size: outputSize,
+    originalBytes: file.size,
+    processedBytes: blob.size,
+  };
+};
+
+// File to upload: the preprocessed image, or the original if the browser cannot process it
+export const prepareUpload = async (file) => {
+  try {
+    return (await preprocessFundus(file)).file;
+  } catch {
+    return file;
+  }
+};
@@ -0,0 +1,51 @@
+import { findFundusBounds, squareCrop } from "./fundusPreprocess";
+
+// Black canvas with a bright rectangle standing in for the fundus disc
+const makeImage = (width, height, disc) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = disc.y; y < disc.y + disc.height; y++) {
+    for (let x = disc.x; x < disc.x + disc.width; x++) {
+      data.set([180, 90, 40, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+describe("findFundusBounds", () => {
+  test("finds the disc inside a black border", () => {
+    const disc = { x: 20, y: 5, width: 60, height: 50 };
+    expect(findFundusBounds(makeImage(100, 60, disc))).toEqual(disc);
+  });
+
+  test("ignores isolated bright pixels in the surround", () => {
+    const image = makeImage(200, 200, {
+      x: 50,
+      y: 50,
+      width: 100,
+      height: 100,
+    });
+    image.data.set([255, 255, 255, 255], (2 * 200 + 2) * 4);
+    expect(findFundusBounds(image)).toEqual({
+      x: 50,
+      y: 50,
+      width: 100,
+      height: 100,
+    });
+  });
+
+  test("returns null for an all-black image", () => {
+    expect(
+      findFundusBounds(makeImage(10, 10, { x: 0, y: 0, width: 0, height: 0 }))
+    ).toBeNull();
+  });
+});
+
+describe("squareCrop", () => {
+  test("pads a clipped disc to its full diameter", () => {
+    expect(squareCrop({ x: 20, y: 5, width: 60, height: 50 })).toEqual({
+      x: 20,
+      y: 0,
+      size: 60,
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import React from "react";
+import { Chip } from "@mui/material";
+import { getContrastRatio } from "@mui/material/styles";
+import {
+  CheckCircle,
+  Info,
+  Warning,
+  Error as ErrorIcon,
+  Dangerous,
+} from "@mui/icons-material";
+import { t, formatPercent } from "./i18n";
+import { getPalette, getPaletteColors } from "./severityPalette";
+import { schemeGradeForClass } from "./gradingScheme";
+import { classGrade } from "./modelInfo";
+
+// Helper function to determine DR severity grade description
+export const getDRGradeDescription = (grade) =>
+  schemeGradeForClass(grade)?.description || "";
+
+// A scheme grade's own color, or the selected palette's color for its severity
+export const schemeGradeColor = (schemeGrade) =>
+  getPalette() === "standard" && schemeGrade.color
+    ? schemeGrade.color
+    : getPaletteColors()[schemeGrade.severity] || getPaletteColors()[0];
+
+// Helper function to get color based on DR severity, in the selected palette
+export const getSeverityColor = (grade) => {
+  const schemeGrade = schemeGradeForClass(grade);
+  return schemeGrade ? schemeGradeColor(schemeGrade) : getPaletteColors()[0];
+};
+
+// White or dark text, whichever stays readable on the grade's color
+export const getSeverityTextColor = (grade) =>
+  getContrastRatio(getSeverityColor(grade), "#fff") >= 4.5
+    ? "#fff"
+    : "rgba(0, 0, 0, 0.87)";
+
+// Icons distinguish severities without relying on color
+const GRADE_ICONS = [CheckCircle, Info, Warning, ErrorIcon, Dangerous];
+
+export const GradeIcon = ({ severity, ...props }) => {
+  const Icon = GRADE_ICONS[severity] || CheckCircle;
+  return <Icon {...props} />;
+};
+
+// DR grade for one model output; `grade` is the output's ordinal grade and the
+// rest describes it in the active grading scheme
+export const drGradeForClass = (classNames, index) => {
+  const gradeNumber = classGrade(classNames, index).toString();
+  const schemeGrade = schemeGradeForClass(gradeNumber);
+
+  return {
+    grade: gradeNumber,
+    code: schemeGrade?.code ?? gradeNumber,
+    label: schemeGrade?.label ?? gradeNumber,
+    description: schemeGrade?.description || "",
+    severity: schemeGrade?.severity ?? 0,
+    color: getSeverityColor(gradeNumber),
+    recallMonths: schemeGrade?.recall_months ?? null,
+  };
+};
+
+// Determine DR grade from highest probability
+export const determineDRGrade = (result) => {
+  if (!result) return null;
+
+  // Find index of highest probability
+  const maxIndex = result.probabilities.indexOf(
+    Math.max(...result.probabilities)
+  );
+  return drGradeForClass(result.class_names, maxIndex);
+};
+
+const REFERRAL_SEVERITY = {
+  none: "success",
+  routine: "warning",
+  urgent: "error",
+};
+
+// Referral recommendation for a patient's (worst-eye) DR grade, as the active
+// scheme words it
+export const getReferralRecommendation = (grade) => {
+  const schemeGrade = schemeGradeForClass(grade);
+  if (!schemeGrade) return null;
+  return {
+    refer: schemeGrade.referral !== "none",
+    severity: REFERRAL_SEVERITY[schemeGrade.referral] || "warning",
+    recommendation: schemeGrade.recommendation,
+  };
+};
+
+// Patient-level grade is the grade of the worse eye
+export const summarizeExam = (eyeResults) => {
+  const graded = Object.entries(eyeResults)
+    .filter(([, result]) => result)
+    .map(([eye, result]) => ({ eye, drGrade: determineDRGrade(result) }));
+  if (graded.length === 0) return null;
+
+  const worst = graded.reduce((a, b) =>
+    Number(b.drGrade.grade) > Number(a.drGrade.grade) ? b : a
+  );
+  return {
+    worseEye: worst.eye,
+    drGrade: worst.drGrade,
+    referral: getReferralRecommendation(worst.drGrade.grade),
+  };
+};
+
+export const formatConfidence = (confidence) => formatPercent(confidence);
+
+// Bands for the 0-1 uncertainty score of a test-time augmented prediction
+const UNCERTAINTY_LEVELS = [
+  { max: 0.3, level: "low", color: "success" },
+  { max: 0.6, level: "moderate", color: "warning" },
+  { max: Infinity, level: "high", color: "error" },
+];
+
+export const uncertaintyLevel = (score) =>
+  UNCERTAINTY_LEVELS.find(({ max }) => score < max);
+
+export const gradeLabel = (drGrade) =>
+  t("grade.label", { grade: drGrade.label, description: drGrade.description });
+
+export const GradeChip = ({ drGrade, size = "medium", sx }) => (
+  <Chip
+    icon={<GradeIcon severity={drGrade.severity} />}
+    label={gradeLabel(drGrade)}
+    size={size}
+    sx={{
+      ...(size === "medium" && { fontSize: "1.1rem", py: 3, px: 2, mt: 2 }),
+      backgroundColor: drGrade.color,
+      color: getSeverityTextColor(drGrade.grade),
+      "& .MuiChip-icon": { color: "inherit" },
+      fontWeight: "bold",
+      ...sx,
+    }}
+  />
+);
@@ -0,0 +1,145 @@
+import { useSyncExternalStore } from "react";
+import api from "./api";
+import { t, hasMessage } from "./i18n";
+import { getModelInfo, classGrade } from "./modelInfo";
+
+// Model outputs carry an ordinal grade (see modelInfo.js); a grading scheme
+// maps each ordinal grade to one of its own grades (class_map). Schemes come
+// from the backend (GET /grading-schemes); ICDR is built in for first load and
+// offline use.
+const ICDR = {
+  id: "icdr",
+  name: "ICDR",
+  grades: [
+    { code: "0", severity: 0, referral: "none", recall_months: 12 },
+    { code: "1", severity: 1, referral: "none", recall_months: 9 },
+    { code: "2", severity: 2, referral: "routine", recall_months: null },
+    { code: "3", severity: 3, referral: "urgent", recall_months: null },
+    { code: "4", severity: 4, referral: "urgent", recall_months: null },
+  ],
+  class_map: ["0", "1", "2", "3", "4"],
+};
+
+const CACHE_KEY = "gradingSchemes";
+
+const cachedState = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    if (cached?.schemes?.length) return cached;
+  } catch {
+    // Ignore a corrupt cache and start from the built-in scheme
+  }
+  return { active: ICDR.id, schemes: [ICDR] };
+};
+
+let state = cachedState();
+const listeners = new Set();
+
+const update = (next) => {
+  state = next;
+  localStorage.setItem(CACHE_KEY, JSON.stringify(state));
+  listeners.forEach((listener) => listener());
+};
+
+export const getGradingSchemes = () => state.schemes;
+
+export const getActiveScheme = () =>
+  state.schemes.find((scheme) => scheme.id === state.active) ||
+  state.schemes[0];
+
+// Fetches the schemes and the signed-in user's active one
+export const loadGradingSchemes = async () => {
+  const response = await api.get("/grading-schemes");
+  update({ active: response.data.active, schemes: response.data.schemes });
+};
+
+// Saves the user's scheme on the server; null returns to the deployment default
+export const chooseGradingScheme = async (schemeId) => {
+  const response = await api.put("/grading-schemes/active", {
+    scheme: schemeId,
+  });
+  await loadGradingSchemes();
+  return response.data;
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Re-renders the calling component when the active scheme changes
+export const useGradingScheme = () =>
+  useSyncExternalStore(subscribe, getActiveScheme);
+
+// Bundled translations win; other schemes show the server's (English) text
+const schemeText = (scheme, grade, field) => {
+  const key = `scheme.${scheme.id}.${grade.code}.${field}`;
+  return hasMessage(key) ? t(key) : grade[field] || "";
+};
+
+const localizeGrade = (scheme, grade) => ({
+  ...grade,
+  label: schemeText(scheme, grade, "label"),
+  description: schemeText(scheme, grade, "description"),
+  recommendation: schemeText(scheme, grade, "recommendation"),
+  summary: schemeText(scheme, grade, "summary"),
+  significance: schemeText(scheme, grade, "significance"),
+});
+
+export const schemeGrades = (scheme = getActiveScheme()) =>
+  scheme.grades.map((grade) => localizeGrade(scheme, grade));
+
+// Active scheme's grade for a model output's ordinal grade
+export const schemeGradeForClass = (classIndex) => {
+  const scheme = getActiveScheme();
+  const code = scheme.class_map[classIndex];
+  const grade = scheme.grades.find((g) => g.code === code);
+  return grade ? localizeGrade(scheme, grade) : null;
+};
+
+// Lowest model class whose scheme grade calls for a referral
+export const referableClass = () => {
+  const scheme = getActiveScheme();
+  const index = scheme.class_map.findIndex(
+    (code) => scheme.grades.find((g) => g.code === code)?.referral !== "none"
+  );
+  return index === -1 ? Infinity : index;
+};
+
+// Probabilities per scheme grade, in scheme order; outputs that share a grade
+// are summed. `classIndex` is the lowest model class reported as the grade.
+export const schemeDistribution = (result) => {
+  const totals = new Map(
+    schemeGrades().map((grade) => [
+      grade.code,
+      {
+        ...grade,
+        classIndex: null,
+        probability: 0,
+        spread: result.uncertainty ? 0 : null,
+      },
+    ])
+  );
+  result.probabilities.forEach((probability, idx) => {
+    const classIndex = classGrade(result.class_names, idx);
+    const entry = totals.get(getActiveScheme().class_map[classIndex]);
+    if (!entry) return;
+    entry.probability += probability;
+    // Summed spreads bound the spread of a grade that merges classes
+    if (result.uncertainty) entry.spread += result.uncertainty.std[idx];
+    if (entry.classIndex === null) entry.classIndex = classIndex;
+  });
+  return [...totals.values()].filter((entry) => entry.classIndex !== null);
+};
+
+// Scheme grades the loaded model can report, for legends
+export const modelSchemeGrades = () => {
+  const { class_map: classMap } = getActiveScheme();
+  const classes = getModelInfo()?.classes;
+  if (!classes) return schemeGrades();
+  const codes = new Set(classes.map(({ grade }) => classMap[grade]));
+  return schemeGrades().filter(({ code }) => codes.has(code));
+};
+
+// Grader-recorded maculopathy grades, when the scheme has them (NHS M0/M1)
+export const maculopathyGrades = () => getActiveScheme().maculopathy || [];
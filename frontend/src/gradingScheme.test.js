@@ -0,0 +1,102 @@
+import api from "./api";
+import {
+  loadGradingSchemes,
+  modelSchemeGrades,
+  schemeDistribution,
+  schemeGradeForClass,
+} from "./gradingScheme";
+import { loadModels } from "./modelInfo";
+import { evaluateReferral } from "./referralPolicy";
+
+const grade = (code, severity, referral) => ({
+  code,
+  label: code,
+  description: `${code} description`,
+  recommendation: `${code} recommendation`,
+  severity,
+  referral,
+});
+
+const NHS = {
+  id: "nhs",
+  name: "NHS",
+  grades: [
+    grade("R0", 0, "none"),
+    grade("R1", 1, "none"),
+    grade("R2", 3, "routine"),
+    grade("R3", 4, "urgent"),
+  ],
+  class_map: ["R0", "R1", "R1", "R2", "R3"],
+};
+
+const resultFor = (probabilities) => ({
+  probabilities,
+  class_names: ["No DR", "Mild", "Moderate", "Severe", "Proliferative"],
+});
+
+const MODEL = {
+  id: "screening",
+  name: "Screening model",
+  classes: [
+    { index: 0, name: "No DR", grade: 0 },
+    { index: 1, name: "Mild", grade: 1 },
+    { index: 2, name: "Moderate", grade: 2 },
+  ],
+};
+
+beforeEach(async () => {
+  jest.spyOn(api, "get").mockImplementation(async (url) => ({
+    data:
+      url === "/models"
+        ? { default: "screening", ensemble: [], models: [MODEL] }
+        : { active: "nhs", schemes: [NHS] },
+  }));
+  await loadGradingSchemes();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+test("maps model classes to the active scheme's grades", () => {
+  expect(schemeGradeForClass(2).code).toBe("R1");
+  expect(schemeGradeForClass(3).description).toBe("R2 description");
+});
+
+test("sums probabilities of classes that share a grade", () => {
+  const distribution = schemeDistribution(resultFor([0.1, 0.3, 0.4, 0.1, 0.1]));
+  expect(distribution.map(({ code }) => code)).toEqual([
+    "R0",
+    "R1",
+    "R2",
+    "R3",
+  ]);
+  expect(distribution[1].probability).toBeCloseTo(0.7);
+  expect(distribution[1].classIndex).toBe(1);
+});
+
+test("refers from the scheme's first referable grade", () => {
+  const decision = evaluateReferral(resultFor([0.05, 0.3, 0.5, 0.1, 0.05]));
+  expect(decision.outcome).toBe("no_refer");
+  expect(decision.recommendation).toBe("R1 recommendation");
+});
+
+test("legends list only the grades the loaded model can report", async () => {
+  await loadModels();
+  expect(modelSchemeGrades().map(({ code }) => code)).toEqual(["R0", "R1"]);
+});
+
+test("bounds a merged grade's spread by its classes' spreads", () => {
+  const result = {
+    ...resultFor([0.1, 0.3, 0.4, 0.1, 0.1]),
+    uncertainty: {
+      score: 0.4,
+      std: [0.01, 0.05, 0.02, 0.03, 0.01],
+      passes: 12,
+    },
+  };
+  const spreads = schemeDistribution(result).map(({ spread }) => spread);
+  expect(spreads[1]).toBeCloseTo(0.07);
+  expect(schemeDistribution(resultFor([1, 0, 0, 0, 0]))[0].spread).toBeNull();
+});
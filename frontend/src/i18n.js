@@ -0,0 +1,154 @@
+import en from "./locales/en";
+import hi from "./locales/hi";
+import te from "./locales/te";
+import es from "./locales/es";
+import { createPreferenceStore } from "./preferenceStore";
+
+// `intl` is the BCP 47 tag for number/date formatting; `dir` drives RTL
+// layout; `latin` marks bundles the PDF report's built-in fonts can draw
+export const LOCALES = {
+  en: {
+    label: "English",
+    intl: "en",
+    dir: "ltr",
+    latin: true,
+    messages: en,
+  },
+  hi: {
+    label: "हिन्दी",
+    intl: "hi-IN",
+    dir: "ltr",
+    latin: false,
+    messages: hi,
+  },
+  te: {
+    label: "తెలుగు",
+    intl: "te-IN",
+    dir: "ltr",
+    latin: false,
+    messages: te,
+  },
+  es: {
+    label: "Español",
+    intl: "es",
+    dir: "ltr",
+    latin: true,
+    messages: es,
+  },
+};
+
+const DEFAULT_LOCALE = "en";
+
+const browserLocale = () => {
+  const browser = (navigator.language || "").split("-")[0];
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+};
+
+const applyDocumentLocale = (locale) => {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+};
+
+// Last language used on this device, applied before anyone signs in
+const localeStore = createPreferenceStore({
+  key: "locale",
+  fallback: browserLocale(),
+  isValid: (locale) => Boolean(LOCALES[locale]),
+  onChange: applyDocumentLocale,
+});
+applyDocumentLocale(localeStore.get());
+
+// Set only while withLocale runs
+let overrideLocale = null;
+
+export const getLocale = () => overrideLocale ?? localeStore.get();
+
+const intlLocale = () => LOCALES[getLocale()].intl;
+
+export const getDirection = () => LOCALES[getLocale()].dir;
+
+// Switches language and remembers it for this device and, when signed in, the
+// user (LanguageSelect also saves it to their account)
+export const setLocale = localeStore.set;
+
+// Runs a synchronous callback with another language active, without notifying
+// the UI (e.g. for PDF output whose fonts only cover Latin script)
+export const withLocale = (locale, callback) => {
+  const previous = overrideLocale;
+  overrideLocale = LOCALES[locale] ? locale : previous;
+  try {
+    return callback();
+  } finally {
+    overrideLocale = previous;
+  }
+};
+
+// Applies a user's language after login: the one saved to their account,
+// else the last one they picked on this device
+export const loadUserLocale = ({ username, language }) =>
+  localeStore.loadForUser(username, language);
+
+const lookup = (key) => LOCALES[getLocale()].messages[key] ?? en[key];
+
+// Whether a bundle defines the key, for text that falls back to server data
+export const hasMessage = (key) => lookup(key) !== undefined;
+
+// Looks up a message in the active bundle, falling back to English and then the
+// key itself, and fills {placeholders} from params. A numeric `count` param
+// selects the plural form ("key.one", "key.other", ...) when the bundle has one.
+export const t = (key, params = {}) => {
+  const plural =
+    typeof params.count === "number" &&
+    lookup(`${key}.${new Intl.PluralRules(intlLocale()).select(params.count)}`);
+  const message = plural || lookup(`${key}.other`) || lookup(key) || key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+};
+
+export const formatNumber = (value, options) =>
+  new Intl.NumberFormat(intlLocale(), options).format(value);
+
+export const formatPercent = (value, digits = 2) =>
+  formatNumber(value, {
+    style: "percent",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+
+export const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? formatNumber(bytes / (1024 * 1024), {
+        style: "unit",
+        unit: "megabyte",
+        maximumFractionDigits: 1,
+      })
+    : formatNumber(Math.max(1, Math.round(bytes / 1024)), {
+        style: "unit",
+        unit: "kilobyte",
+      });
+
+// Plain YYYY-MM-DD values are read as local dates, not UTC midnight
+const toDate = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+export const formatDate = (value) =>
+  value
+    ? new Intl.DateTimeFormat(intlLocale(), { dateStyle: "medium" }).format(
+        toDate(value)
+      )
+    : "—";
+
+export const formatDateTime = (value) =>
+  new Intl.DateTimeFormat(intlLocale(), {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(toDate(value));
+
+// Re-renders the calling component when the language changes
+export const useLocale = () => {
+  const locale = localeStore.useValue();
+  return { locale, dir: LOCALES[locale].dir, t };
+};
@@ -0,0 +1,60 @@
+import {
+  t,
+  setLocale,
+  getLocale,
+  getDirection,
+  withLocale,
+  loadUserLocale,
+} from "./i18n";
+
+afterEach(() => {
+  setLocale("en");
+  localStorage.clear();
+});
+
+describe("t", () => {
+  test("fills placeholders", () => {
+    expect(
+      t("grade.label", { grade: "R2", description: "Pre-proliferative" })
+    ).toBe("R2: Pre-proliferative");
+  });
+
+  test("picks the plural form from count", () => {
+    expect(t("batch.failedWarning", { count: 1 })).toMatch(/^1 image could/);
+    expect(t("batch.failedWarning", { count: 4 })).toMatch(/^4 images could/);
+  });
+
+  test("uses the active bundle and falls back to the key", () => {
+    setLocale("es");
+    expect(t("scheme.icdr.0.description")).toBe("Sin RD detectada");
+    expect(t("no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("locale persistence", () => {
+  test("restores a user's saved language after login", () => {
+    setLocale("te", "grader@example.org");
+    setLocale("en");
+    loadUserLocale({ username: "grader@example.org" });
+    expect(getLocale()).toBe("te");
+    expect(document.documentElement.lang).toBe("te");
+  });
+
+  test("prefers the language saved to the account", () => {
+    setLocale("te", "grader@example.org");
+    loadUserLocale({ username: "grader@example.org", language: "es" });
+    expect(getLocale()).toBe("es");
+  });
+
+  test("sets the document language and direction", () => {
+    setLocale("hi");
+    expect(document.documentElement.lang).toBe("hi");
+    expect(document.documentElement.dir).toBe(getDirection());
+  });
+
+  test("withLocale switches only for the callback", () => {
+    setLocale("hi");
+    expect(withLocale("en", () => t("common.close"))).toBe("close");
+    expect(getLocale()).toBe("hi");
+  });
+});
@@ -0,0 +1,27 @@
+import { t } from "./i18n";
+
+export const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// react-dropzone `accept` config for fundus images
+export const ACCEPTED_IMAGE_TYPES = {
+  "image/jpeg": [".jpeg", ".jpg"],
+  "image/png": [".png"],
+};
+
+export const validateImageFile = (file) => {
+  if (file.size > MAX_FILE_SIZE) {
+    return t("upload.tooLarge");
+  }
+  if (!Object.keys(ACCEPTED_IMAGE_TYPES).includes(file.type)) {
+    return t("upload.unsupportedType");
+  }
+  return null;
+};
+
+export const readFileAsDataURL = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
@@ -0,0 +1,187 @@
+// Images are downscaled to this longest side before scoring so checks take a few ms
+const ANALYSIS_SIZE = 512;
+
+// Pixels brighter than this are treated as part of the fundus field
+const FIELD_LUMINANCE = 20;
+
+export const QUALITY_THRESHOLDS = {
+  minSharpness: 12, // variance of the Laplacian inside the field
+  minBrightness: 45, // mean field luminance (0-255)
+  maxBrightness: 200,
+  maxClipped: 0.05, // fraction of saturated field pixels
+  minContrast: 22, // standard deviation of field luminance
+  minFieldFill: 0.7, // field area relative to the ellipse inscribed in its bounding box
+  maxFieldFill: 1.15,
+  maxCornerBrightness: 30,
+};
+
+const toLuminance = ({ data, width, height }) => {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] =
+      0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luminance;
+};
+
+const cornerBrightness = (luminance, width, height) => {
+  const size = Math.max(1, Math.round(Math.min(width, height) * 0.06));
+  const corners = [
+    [0, 0],
+    [width - size, 0],
+    [0, height - size],
+    [width - size, height - size],
+  ];
+  let sum = 0;
+  corners.forEach(([x0, y0]) => {
+    for (let y = y0; y < y0 + size; y++) {
+      for (let x = x0; x < x0 + size; x++) {
+        sum += luminance[y * width + x];
+      }
+    }
+  });
+  return sum / (corners.length * size * size);
+};
+
+// Scores an RGBA ImageData-like object ({ data, width, height })
+export const assessImageData = (imageData, thresholds = QUALITY_THRESHOLDS) => {
+  const { width, height } = imageData;
+  const luminance = toLuminance(imageData);
+  const inField = (idx) => luminance[idx] > FIELD_LUMINANCE;
+
+  let count = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let clipped = 0;
+  let minX = width;
+  let maxX = -1;
+  let minY = height;
+  let maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = luminance[y * width + x];
+      if (value <= FIELD_LUMINANCE) continue;
+      count += 1;
+      sum += value;
+      sumSquares += value * value;
+      if (value >= 250) clipped += 1;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  const brightness = count ? sum / count : 0;
+  const contrast = count
+    ? Math.sqrt(Math.max(sumSquares / count - brightness * brightness, 0))
+    : 0;
+  const clippedFraction = count ? clipped / count : 0;
+
+  // Laplacian variance over interior field pixels whose neighbours are also in the field
+  let lapCount = 0;
+  let lapSum = 0;
+  let lapSquares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const idx = y * width + x;
+      if (
+        !inField(idx) ||
+        !inField(idx - 1) ||
+        !inField(idx + 1) ||
+        !inField(idx - width) ||
+        !inField(idx + width)
+      ) {
+        continue;
+      }
+      const lap =
+        luminance[idx - 1] +
+        luminance[idx + 1] +
+        luminance[idx - width] +
+        luminance[idx + width] -
+        4 * luminance[idx];
+      lapCount += 1;
+      lapSum += lap;
+      lapSquares += lap * lap;
+    }
+  }
+  const lapMean = lapCount ? lapSum / lapCount : 0;
+  const sharpness = lapCount ? lapSquares / lapCount - lapMean * lapMean : 0;
+
+  const boxArea = count ? (maxX - minX + 1) * (maxY - minY + 1) : 0;
+  const fieldFill = boxArea ? count / ((Math.PI / 4) * boxArea) : 0;
+  const corners = cornerBrightness(luminance, width, height);
+  const hasField =
+    count > 0.2 * width * height &&
+    corners <= thresholds.maxCornerBrightness &&
+    fieldFill >= thresholds.minFieldFill &&
+    fieldFill <= thresholds.maxFieldFill;
+
+  let illuminationIssue = null;
+  if (brightness < thresholds.minBrightness) {
+    illuminationIssue = "underexposed";
+  } else if (
+    brightness > thresholds.maxBrightness ||
+    clippedFraction > thresholds.maxClipped
+  ) {
+    illuminationIssue = "overexposed";
+  }
+
+  // `issue` names the problem for a failed check; the UI translates it
+  const checks = [
+    {
+      key: "field",
+      value: fieldFill,
+      passed: hasField,
+      issue: hasField ? null : "noField",
+    },
+    {
+      key: "illumination",
+      value: brightness,
+      passed: !illuminationIssue,
+      issue: illuminationIssue,
+    },
+    {
+      key: "contrast",
+      value: contrast,
+      passed: contrast >= thresholds.minContrast,
+      issue: contrast >= thresholds.minContrast ? null : "lowContrast",
+    },
+    {
+      key: "sharpness",
+      value: sharpness,
+      passed: sharpness >= thresholds.minSharpness,
+      issue: sharpness >= thresholds.minSharpness ? null : "blurry",
+    },
+  ];
+
+  const passed = checks.filter((check) => check.passed).length;
+  return {
+    gradable: passed === checks.length,
+    score: Math.round((passed / checks.length) * 100),
+    checks,
+  };
+};
+
+const loadImageData = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(
+        1,
+        ANALYSIS_SIZE / Math.max(img.naturalWidth, img.naturalHeight)
+      );
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const context = canvas.getContext("2d");
+      context.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+    };
+    img.onerror = () => reject(new Error("Could not read the image"));
+    img.src = src;
+  });
+
+// Runs the quality checks on a data URL or object URL
+export const assessImageQuality = async (src) =>
+  assessImageData(await loadImageData(src));
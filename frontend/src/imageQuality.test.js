@@ -0,0 +1,46 @@
+import { assessImageData } from "./imageQuality";
+
+const SIZE = 64;
+
+// Synthetic fundus: textured disc on a black surround
+const makeImage = ({ base = 120, texture = 80, disc = true } = {}) => {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  const centre = SIZE / 2;
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const inside =
+        !disc || (x - centre) ** 2 + (y - centre) ** 2 < (SIZE / 2 - 2) ** 2;
+      const value = inside ? base + ((x + y) % 2 ? texture : -texture) / 2 : 0;
+      data.set([value, value * 0.6, value * 0.3, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return { data, width: SIZE, height: SIZE };
+};
+
+const failedChecks = (assessment) =>
+  assessment.checks.filter((check) => !check.passed).map((check) => check.key);
+
+describe("assessImageData", () => {
+  test("passes a sharp, well-exposed circular field", () => {
+    const assessment = assessImageData(makeImage());
+    expect(failedChecks(assessment)).toEqual([]);
+    expect(assessment.gradable).toBe(true);
+    expect(assessment.score).toBe(100);
+  });
+
+  test("flags blur and low contrast on a flat image", () => {
+    const assessment = assessImageData(makeImage({ texture: 0 }));
+    expect(failedChecks(assessment)).toEqual(["contrast", "sharpness"]);
+    expect(assessment.gradable).toBe(false);
+  });
+
+  test("flags underexposure", () => {
+    const assessment = assessImageData(makeImage({ base: 40, texture: 10 }));
+    expect(failedChecks(assessment)).toContain("illumination");
+  });
+
+  test("flags images without a circular fundus field", () => {
+    const assessment = assessImageData(makeImage({ disc: false }));
+    expect(failedChecks(assessment)).toContain("field");
+  });
+});
@@ -0,0 +1,157 @@
+import { useSyncExternalStore } from "react";
+import api, { API_BASE_URL } from "./api";
+import { getToken } from "./auth";
+import { t } from "./i18n";
+
+// Background grading jobs (POST /jobs). The server keeps them, so after a
+// reload loadJobs() lists them again and unfinished ones are followed anew.
+const FINISHED = ["done", "failed"];
+// Wait before reconnecting when a job's event stream drops
+const RECONNECT_DELAY = 2000;
+
+let jobs = [];
+const listeners = new Set();
+// Event streams being followed, by job id
+const following = new Map();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const isFinished = (job) => FINISHED.includes(job?.status);
+
+const findJob = (id) => jobs.find((job) => job.id === id);
+
+const storeJob = (job) => {
+  jobs = findJob(job.id)
+    ? jobs.map((existing) => (existing.id === job.id ? job : existing))
+    : [job, ...jobs];
+  notify();
+};
+
+// The job carried by one server-sent event block, or null (e.g. keepalives)
+export const parseEvent = (block) => {
+  const data = block
+    .split("\n")
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).trimStart())
+    .join("\n");
+  return data ? JSON.parse(data) : null;
+};
+
+// EventSource cannot send the bearer token, so the stream is read with fetch
+const streamEvents = async (id, signal) => {
+  const response = await fetch(`${API_BASE_URL}/jobs/${id}/events`, {
+    headers: { Authorization: `Bearer ${getToken()}` },
+    signal,
+  });
+  if (!response.ok) throw new Error(response.statusText);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+    blocks.map(parseEvent).filter(Boolean).forEach(storeJob);
+  }
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Follows a job until it finishes, reconnecting when the stream drops
+const followJob = async (id, signal) => {
+  while (!signal.aborted) {
+    try {
+      await streamEvents(id, signal);
+    } catch {
+      // Dropped or refused; checked against the API below
+    }
+    if (signal.aborted || isFinished(findJob(id))) return;
+    await delay(RECONNECT_DELAY);
+    try {
+      storeJob((await api.get(`/jobs/${id}`)).data);
+    } catch (err) {
+      // Gone or no longer ours (e.g. signed out): stop following
+      if (err.response) return;
+    }
+    if (isFinished(findJob(id))) return;
+  }
+};
+
+export const watchJob = (id) => {
+  if (following.has(id)) return;
+  const controller = new AbortController();
+  following.set(id, controller);
+  followJob(id, controller.signal).finally(() => following.delete(id));
+};
+
+// Adds a just-submitted job and follows its status
+export const addJob = (job) => {
+  storeJob(job);
+  if (!isFinished(job)) watchJob(job.id);
+};
+
+export const loadJobs = async () => {
+  const response = await api.get("/jobs");
+  jobs = response.data;
+  notify();
+  jobs.filter((job) => !isFinished(job)).forEach((job) => watchJob(job.id));
+};
+
+// Stops following every job and forgets them, on logout
+export const clearJobs = () => {
+  following.forEach((controller) => controller.abort());
+  following.clear();
+  jobs = [];
+  notify();
+};
+
+// Resolves with the job once done; rejects with its error if it fails, or
+// with the same ECONNABORTED error a timed-out request gets once `timeout`
+// ms pass. Aborting or timing out only stops waiting: the job still runs
+// and stays in the tracker.
+export const waitForJob = (id, { signal, timeout } = {}) =>
+  new Promise((resolve, reject) => {
+    let timer;
+    const settle = () => {
+      const job = findJob(id);
+      if (!isFinished(job)) return;
+      stop();
+      if (job.status === "done") resolve(job);
+      else reject(Object.assign(new Error(job.error), { detail: job.error }));
+    };
+    const abort = () => {
+      stop();
+      reject(Object.assign(new Error("canceled"), { code: "ERR_CANCELED" }));
+    };
+    const expire = () => {
+      stop();
+      reject(
+        Object.assign(new Error(`timeout of ${timeout}ms exceeded`), {
+          code: "ECONNABORTED",
+          detail: t("request.timedOut", {
+            seconds: Math.round(timeout / 1000),
+          }),
+        })
+      );
+    };
+    const unsubscribe = subscribe(settle);
+    const stop = () => {
+      unsubscribe();
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    };
+    if (signal?.aborted) return abort();
+    signal?.addEventListener("abort", abort);
+    if (timeout) timer = setTimeout(expire, timeout);
+    settle();
+  });
+
+export const useJobs = () => useSyncExternalStore(subscribe, () => jobs);
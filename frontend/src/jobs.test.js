@@ -0,0 +1,57 @@
+import api from "./api";
+import { clearJobs, loadJobs, parseEvent, waitForJob } from "./jobs";
+
+const job = (status, extra) => ({
+  id: "abc",
+  status,
+  filename: "eye.jpg",
+  ...extra,
+});
+
+afterEach(() => {
+  clearJobs();
+  jest.restoreAllMocks();
+});
+
+test("reads the job from a server-sent event and skips keepalives", () => {
+  const block = `event: status\ndata: ${JSON.stringify(job("running"))}`;
+  expect(parseEvent(block)).toEqual(job("running"));
+  expect(parseEvent(": keepalive")).toBeNull();
+});
+
+test("resolves with finished jobs and rejects with their error", async () => {
+  jest.spyOn(api, "get").mockResolvedValue({
+    data: [
+      job("done", { result: { class: 0 } }),
+      { ...job("failed"), id: "def", error: "Bad image" },
+    ],
+  });
+  await loadJobs();
+  await expect(waitForJob("abc")).resolves.toMatchObject({
+    result: { class: 0 },
+  });
+  await expect(waitForJob("def")).rejects.toMatchObject({
+    detail: "Bad image",
+  });
+});
+
+test("stops waiting when cancelled", async () => {
+  const controller = new AbortController();
+  const waiting = waitForJob("abc", { signal: controller.signal });
+  controller.abort();
+  await expect(waiting).rejects.toMatchObject({ code: "ERR_CANCELED" });
+});
+
+test("gives up with the request timeout error when the job stalls", async () => {
+  jest.useFakeTimers();
+  try {
+    const waiting = waitForJob("abc", { timeout: 30000 });
+    jest.advanceTimersByTime(30000);
+    await expect(waiting).rejects.toMatchObject({
+      code: "ECONNABORTED",
+      detail: expect.stringContaining("30"),
+    });
+  } finally {
+    jest.useRealTimers();
+  }
+});
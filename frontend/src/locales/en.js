@@ -0,0 +1,464 @@
+// English messages. Every key used in the UI must exist here; the other bundles
+// fall back to these for anything they have not translated yet.
+const en = {
+  "app.title": "Diabetic Retinopathy Classifier",
+  "app.subtitle":
+    "Upload a retinal fundus image to detect DR severity grade (0-4)",
+  "app.signedInAs": "Signed in as",
+  "app.logout": "Logout",
+  "app.language": "Language",
+  "palette.colorBlind": "Color-blind safe colors",
+  "theme.label": "Theme",
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.highContrast": "High contrast",
+  "app.sessionExpired": "Your session has expired. Please sign in again.",
+  "app.tab.single": "Single Image",
+  "app.tab.exam": "Paired Eye Exam",
+  "app.tab.batch": "Batch Screening",
+  "app.tab.history": "History",
+  "app.tab.progression": "Progression",
+
+  "upload.title": "Upload Retinal Image",
+  "upload.drop": "Drop the image here",
+  "upload.dropMany": "Drop the images here",
+  "upload.browse": "Drag & drop or click to browse",
+  "upload.replace": "Choose a different image",
+  "upload.browseFiles": "Browse files",
+  "upload.supported": "Supported: JPEG, PNG (Max 5MB)",
+  "upload.preview": "Preview",
+  "upload.tooLarge": "File too large (max 5MB)",
+  "upload.unsupportedType": "Only JPEG/PNG images are supported",
+  "upload.readFailed": "Could not read the image file. Please choose it again.",
+  "upload.explain": "Generate attention heatmap",
+  "upload.uncertainty": "Estimate uncertainty (slower)",
+  "upload.analyze": "Analyze Image",
+  "upload.analyzing": "Analyzing retinal image...",
+  "upload.uploading": "Uploading {loaded} of {total}...",
+  "upload.uploadingLabel": "Uploading image...",
+  "upload.failed":
+    "Failed to classify image. Please upload a valid retinal scan.",
+  "upload.queued":
+    "{filename} was saved on this device and will be graded when the connection returns.",
+
+  "placeholder.title": "Analysis Results",
+  "placeholder.body":
+    "Upload a retinal fundus image to see the DR classification results",
+  "placeholder.grades": "Diabetic Retinopathy Grades:",
+
+  "auth.appTitle": "Retinal DR Classifier",
+  "auth.intro":
+    "This application is designed for healthcare professionals to classify diabetic retinopathy severity in retinal fundus images. For diagnostic purposes only.",
+  "auth.signIn": "Sign In",
+  "auth.signUp": "Sign Up",
+  "auth.createAccount": "Create Account",
+  "auth.email": "Email Address",
+  "auth.password": "Password",
+  "auth.confirmPassword": "Confirm Password",
+  "auth.fullName": "Full Name",
+  "auth.togglePassword": "toggle password visibility",
+  "auth.toRegister": "Don't have an account? Sign up",
+  "auth.toLogin": "Already have an account? Sign in",
+  "auth.fillAllFields": "Please fill in all fields",
+  "auth.passwordMismatch": "Passwords do not match",
+  "auth.passwordTooShort": "Password must be at least 8 characters long",
+  "auth.loginFailed": "Login failed. Please check your credentials.",
+  "auth.registerFailed": "Registration failed. Please try again.",
+  "auth.registered": "Registration successful! You can now log in.",
+  "auth.forgotPassword": "Forgot password?",
+  "auth.backToLogin": "Back to sign in",
+  "auth.resetTitle": "Reset Password",
+  "auth.resetIntro":
+    "Enter your account's email address and we will send you a link to choose a new password.",
+  "auth.sendResetLink": "Send Reset Link",
+  "auth.resetSent":
+    "If an account uses {email}, we have sent it a link to reset the password.",
+  "auth.resetRequestFailed": "Could not send the reset link. Please try again.",
+  "auth.choosePassword": "Choose a New Password",
+  "auth.newPassword": "New Password",
+  "auth.savePassword": "Save Password",
+  "auth.passwordChanged":
+    "Your password has been changed. You can now sign in with it.",
+  "auth.resetFailed": "Could not reset the password. Please try again.",
+  "auth.checkingLink": "Checking the link...",
+  "auth.requestNewReset": "Request a New Link",
+  "auth.link.invalid":
+    "This link is not valid. Check that you opened the whole link from the email.",
+  "auth.link.expired": "This link has expired. Request a new one below.",
+  "auth.link.used":
+    "This link has already been used. Each link works only once.",
+  "auth.verifyTitle": "Verify Email",
+  "auth.verifying": "Verifying your email address...",
+  "auth.verified": "Your email address is verified. You can now sign in.",
+  "auth.verifyFailed": "Could not verify the email address. Please try again.",
+  "auth.verificationSent":
+    "We sent a verification link to {email}. Follow it to activate your account, then sign in.",
+  "auth.verificationNotSent":
+    "Your account was created, but the verification email to {email} could not be sent. Send it again below.",
+  "auth.unverified":
+    "Verify your email address before signing in. Check your inbox for the link we sent.",
+  "auth.resendVerification": "Resend Verification Email",
+  "auth.verificationResent":
+    "If the account still needs verifying, a new link is on its way.",
+  "auth.resendFailed": "Could not send the email. Please try again.",
+
+  "field.username": "Email",
+  "field.email": "Email",
+  "field.full_name": "Name",
+  "field.password": "Password",
+  "field.file": "Image",
+  "request.timedOut":
+    "The server did not respond within {seconds} seconds. Check your connection and try again.",
+
+  "model.title": "Model information",
+  "model.version": "Model {version}",
+  "model.unknownVersion": "unknown version",
+  "model.versionLabel": "Version",
+  "model.architecture": "Architecture",
+  "model.weights": "Weights file",
+  "model.checksum": "Checksum",
+  "model.inputSize": "Input size",
+  "model.pixels": "{size} × {size} px",
+  "model.trainingNotes": "Training notes",
+  "model.classes": "Model outputs",
+  "model.output": "Output",
+  "model.grade": "Grade",
+  "model.picker": "Model",
+  "model.option": "{name} ({version})",
+  "model.defaultSuffix": " – default",
+  "model.ensemble": "Ensemble (average of all models)",
+  "model.ensembleHint":
+    "Averages the models' probabilities and shows each model's vote",
+
+  "ensemble.title": "Model votes",
+  "ensemble.agreement": "All models agree on the grade.",
+  "ensemble.disagreement":
+    "Models disagree: {agreement} voted for the combined grade. Review the image before acting on it.",
+  "ensemble.model": "Model",
+  "ensemble.vote": "Vote",
+  "ensemble.combined": "Combined (average)",
+  "ensemble.flag": "Models disagree",
+
+  "grade.label": "{grade}: {description}",
+  "scheme.label": "Grading scheme",
+  "scheme.saveFailed": "Could not change the grading scheme.",
+  "scheme.icdr.0.label": "Grade 0",
+  "scheme.icdr.1.label": "Grade 1",
+  "scheme.icdr.2.label": "Grade 2",
+  "scheme.icdr.3.label": "Grade 3",
+  "scheme.icdr.4.label": "Grade 4",
+  "scheme.icdr.0.description": "No DR detected",
+  "scheme.icdr.1.description": "Mild Non-proliferative DR",
+  "scheme.icdr.2.description": "Moderate Non-proliferative DR",
+  "scheme.icdr.3.description": "Severe Non-proliferative DR",
+  "scheme.icdr.4.description": "Proliferative DR",
+
+  "scheme.icdr.0.recommendation": "No referral needed. Re-screen in 12 months.",
+  "scheme.icdr.1.recommendation":
+    "No referral needed. Re-screen in 9-12 months.",
+  "scheme.icdr.2.recommendation":
+    "Routine referral to an ophthalmologist. Review within 3-6 months.",
+  "scheme.icdr.3.recommendation":
+    "Urgent referral to a retina specialist. Review within 4 weeks.",
+  "scheme.icdr.4.recommendation":
+    "Immediate referral to a retina specialist for treatment assessment.",
+
+  "scheme.icdr.0.summary":
+    "No visible signs of diabetic retinopathy detected. Regular annual screening is recommended to monitor for any changes.",
+  "scheme.icdr.0.significance":
+    "Low risk. Continue with regular monitoring. Maintain good blood sugar control and follow healthy lifestyle practices.",
+  "scheme.icdr.1.summary":
+    "Mild non-proliferative diabetic retinopathy (NPDR) shows minimal vascular changes. At this early stage, there are small areas of balloon-like swelling in the retina's blood vessels called microaneurysms.",
+  "scheme.icdr.1.significance":
+    "Low risk for vision loss. Control blood sugar, blood pressure, and cholesterol. Follow-up examination in 9-12 months is recommended.",
+  "scheme.icdr.2.summary":
+    "Moderate non-proliferative diabetic retinopathy shows progression with increased microaneurysms, dot and blot hemorrhages, and hard exudates. Some blood vessels that nourish the retina are blocked.",
+  "scheme.icdr.2.significance":
+    "Moderate risk. More careful control of diabetes is needed. Patients should be monitored more frequently, typically every 6-8 months.",
+  "scheme.icdr.3.summary":
+    "Severe non-proliferative diabetic retinopathy is characterized by many blocked blood vessels, depriving several areas of the retina of blood supply. These areas secrete growth factors that signal the retina to grow new blood vessels.",
+  "scheme.icdr.3.significance":
+    "High risk for progression to PDR. Close monitoring every 3-4 months is essential. Consultation with a retina specialist is recommended.",
+  "scheme.icdr.4.summary":
+    "Proliferative diabetic retinopathy (PDR) is advanced and very serious. New abnormal blood vessels grow in the retina and into the vitreous humor. These vessels can leak, causing severe vision loss and even blindness.",
+  "scheme.icdr.4.significance":
+    "Very high risk for severe vision loss. Immediate consultation with a retina specialist is required. Treatments may include laser photocoagulation, anti-VEGF injections, or vitrectomy.",
+  "clinical.disclaimer.images":
+    "This tool is designed specifically for retinal fundus images. Results may be inaccurate for other image types.",
+  "clinical.disclaimer.diagnostic":
+    "For diagnostic purposes only. Please consult with a healthcare professional for medical advice.",
+
+  "result.title": "Analysis Result",
+  "result.aiGrade": "AI grade",
+  "result.finalGrade": "Final grade",
+  "result.confirmedBy": "AI grade confirmed by {grader}",
+  "result.confidence": "Confidence: {value}",
+  "result.uncertainty": "Uncertainty: {value} ({level})",
+  "result.uncertaintyLevel.low": "low",
+  "result.uncertaintyLevel.moderate": "moderate",
+  "result.uncertaintyLevel.high": "high",
+  "result.uncertaintyHint":
+    "From {passes} passes over flipped and rotated copies with dropout enabled. The bands on the bars show one standard deviation either side.",
+  "result.withSpread": "{value} ± {spread}",
+  "result.downloadReport": "Download Report",
+  "result.preparingReport": "Preparing report...",
+  "result.reportFailed": "Failed to generate the report.",
+  "result.exportFhir": "Export FHIR",
+  "result.exportingFhir": "Exporting...",
+  "result.fhirTooltip":
+    "FHIR R4 DiagnosticReport, Observation and Media bundle",
+  "result.fhirFailed": "Failed to export the FHIR bundle.",
+  "result.distribution": "Probability Distribution",
+  "result.gradeProbabilities": "DR Grades Probability",
+  "result.gradeProbabilitiesHint":
+    "Higher percentage indicates greater likelihood of that DR grade",
+  "result.scaleTitle": "DR Grade Scale:",
+  "result.scale":
+    "{lowest} to {highest}. Higher grades indicate more severe diabetic retinopathy.",
+  "result.clinicalSignificance": "Clinical Significance:",
+  "result.references": "References:",
+  "result.learnMore": "Learn More About Diabetic Retinopathy",
+  "result.announcement": "Analysis complete: {grade}, confidence {confidence}.",
+  "result.chartLabel": "Probability distribution: {values}",
+  "result.showTable": "Show as table",
+  "result.hideTable": "Hide table",
+  "result.column.class": "Class",
+  "result.column.description": "Description",
+  "result.column.probability": "Probability",
+  "result.mostLikely": "most likely",
+  "result.recall.one": "Recall in {count} month",
+  "result.recall.other": "Recall in {count} months",
+
+  "referral.refer": "Refer",
+  "referral.noRefer": "Do not refer",
+  "referral.indeterminate": "Indeterminate – needs human grading",
+  "referral.indeterminateAdvice":
+    "The model is not certain enough to decide. Have a trained grader review the image before deciding on referral.",
+  "referral.reason.confidence":
+    "Top grade confidence {confidence} (minimum {minimum})",
+  "referral.reason.margin":
+    "{top} vs {second}: margin {margin} (minimum {minimum})",
+  "referral.reason.probability":
+    "P(referable DR, ≥{grade}) = {probability} (refer at {threshold})",
+
+  "patient.id": "Patient ID",
+  "patient.eye": "Eye",
+  "patient.captureDate": "Capture date",
+  "patient.eyeNotSpecified": "Not specified",
+  "eye.OD": "OD (Right eye)",
+  "eye.OS": "OS (Left eye)",
+
+  "quality.checking": "Checking image quality...",
+  "quality.notAssessed": "Image quality not assessed",
+  "quality.good": "Good image quality",
+  "quality.ungradable": "Possibly ungradable (quality {score})",
+  "quality.override": "I have reviewed this image and want to submit it anyway",
+  "quality.check.field": "Fundus field",
+  "quality.check.illumination": "Illumination",
+  "quality.check.contrast": "Contrast",
+  "quality.check.sharpness": "Sharpness",
+  "quality.issue.noField":
+    "No circular fundus field detected - this may not be a retinal photograph",
+  "quality.issue.underexposed": "Image is underexposed (too dark)",
+  "quality.issue.overexposed": "Image is overexposed or has glare",
+  "quality.issue.lowContrast":
+    "Low contrast - vessels and lesions may not be distinguishable",
+  "quality.issue.blurry": "Image is blurry or out of focus",
+
+  "modelInput.title": "What the model sees",
+  "modelInput.alt": "Cropped fundus sent for analysis",
+  "modelInput.hint":
+    "The fundus disc is cropped, padded to a square and downscaled in your browser before upload. The model itself works at 224×224.",
+  "modelInput.size": "{size}×{size} px",
+  "modelInput.upload": "Upload {processed} (was {original})",
+
+  "heatmap.title": "Model Attention",
+  "heatmap.hint":
+    "Grad-CAM relevance from the final EfficientNet feature map. Warm regions contributed most to the predicted grade; check they match lesions rather than artifacts, reflections or the image border.",
+  "heatmap.alt": "Fundus with attention heatmap",
+  "heatmap.toggle": "Heatmap",
+  "heatmap.opacity": "Opacity",
+  "heatmap.opacityLabel": "Heatmap opacity",
+  "heatmap.low": "Low",
+  "heatmap.high": "High",
+
+  "viewer.alt": "Fundus image",
+  "viewer.zoomOut": "Zoom out",
+  "viewer.zoomIn": "Zoom in (or scroll over the image)",
+  "viewer.reset": "Reset view (or double-click the image)",
+  "viewer.loupe": "Magnifier",
+  "viewer.filters": "Enhancement filters",
+  "viewer.fullscreen": "Fullscreen",
+  "viewer.exitFullscreen": "Exit fullscreen",
+  "viewer.redFree": "Red-free",
+  "viewer.clahe": "CLAHE",
+  "viewer.invert": "Invert",
+  "viewer.brightness": "Brightness",
+  "viewer.gamma": "Gamma",
+  "viewer.resetFilters": "Reset filters",
+
+  "exam.upload": "Upload {eye} image",
+  "exam.previewAlt": "{eye} preview",
+  "exam.oneEye":
+    "Only one eye has an image. The patient-level grade will be based on that eye alone.",
+  "exam.analyze": "Analyze Examination",
+  "exam.analyzing": "Analyzing retinal images...",
+  "exam.failed": "Failed to analyze the examination.",
+  "exam.summary": "Patient Summary",
+  "exam.worseEye": "Based on the worse eye: {eye}",
+  "exam.referral": "Referral ({eye})",
+  "exam.announcement": "Exam analysis complete: {grade}, based on {eye}.",
+
+  "batch.title": "Upload Retinal Images for Batch Grading",
+  "batch.browse": "Drag & drop any number of images or click to browse",
+  "batch.supported": "Supported: JPEG, PNG (Max 5MB each)",
+  "batch.gradeAll": "Grade All ({count})",
+  "batch.retryFailed": "Retry Failed ({count})",
+  "batch.clear": "Clear Queue",
+  "batch.stop": "Stop",
+  "batch.counts": "{graded} graded · {failed} failed · {total} total",
+  "batch.failedWarning.one":
+    "{count} image could not be graded. Check the error below and retry.",
+  "batch.failedWarning.other":
+    "{count} images could not be graded. Check the errors below and retry.",
+  "batch.column.name": "File",
+  "batch.column.status": "Status",
+  "batch.column.grade": "Grade",
+  "batch.column.confidence": "Confidence",
+  "batch.column.actions": "Actions",
+  "batch.status.pending": "Pending",
+  "batch.status.uploading": "Uploading",
+  "batch.status.analyzing": "Analyzing",
+  "batch.status.graded": "Graded",
+  "batch.status.failed": "Failed",
+  "batch.announcement":
+    "Batch grading finished: {graded} graded, {failed} failed.",
+
+  "history.unidentified": "Unidentified patient",
+  "history.gradedBy": "Captured {captured} · Graded {graded} by {grader}",
+  "history.compare": "Compare visits",
+  "history.search": "Search patient ID",
+  "history.grade": "Grade",
+  "history.allGrades": "All grades",
+  "history.bothEyes": "Both eyes",
+  "history.loadFailed": "Failed to load screening history.",
+  "history.exportFailed": "Failed to export screenings.",
+  "history.empty": "No screenings found",
+  "history.column.graded": "Graded",
+  "history.column.patient": "Patient ID",
+  "history.column.eye": "Eye",
+  "history.column.captured": "Captured",
+  "history.column.grade": "Grade",
+  "history.column.confidence": "Confidence",
+  "history.column.gradedBy": "Graded by",
+
+  "offline.online.one": "{count} pending upload",
+  "offline.online.other": "{count} pending uploads",
+  "offline.offline": "Offline",
+  "offline.offlineQueued": "Offline · {count} queued",
+  "offline.title": "Offline Queue",
+  "offline.onlineHint":
+    "Queued images are sent automatically while you are online.",
+  "offline.offlineHint":
+    "You are offline. Images are saved on this device and will be graded when the connection returns.",
+  "offline.sync": "Sync now",
+  "offline.clearSynced": "Clear synced",
+  "offline.view": "View result",
+  "offline.noPatient": "No patient ID",
+  "offline.captured": "{patient} · captured {date}",
+  "offline.rejected": "The server rejected this image.",
+  "offline.status.pending": "Pending",
+  "offline.status.synced": "Synced",
+  "offline.status.failed": "Failed",
+
+  "jobs.title": "Recent Analyses",
+  "jobs.hint":
+    "Images are graded in the background. Results stay here after a reload.",
+  "jobs.view": "View result",
+  "jobs.viewFailed": "Could not load this result.",
+  "jobs.noPatient": "No patient ID",
+  "jobs.submitted": "{patient} · submitted {date}",
+  "jobs.status.queued": "Queued",
+  "jobs.status.running": "Running",
+  "jobs.status.done": "Done",
+  "jobs.status.failed": "Failed",
+
+  "review.title": "Grader Review",
+  "review.confirmed": "Confirmed by {grader} on {date}",
+  "review.overridden": "Overridden by {grader} on {date}",
+  "review.revise": "Revise",
+  "review.auditTrail": "Audit trail",
+  "review.finalGrade": "Final grade",
+  "review.aiGrade": " (AI grade)",
+  "review.lesions": "Lesions present",
+  "review.findings": "Findings",
+  "review.maculopathy": "Maculopathy",
+  "review.maculopathyNotRecorded": "Not recorded",
+  "review.saving": "Saving...",
+  "review.overrideTo": "Override to {grade}",
+  "review.confirm": "Confirm AI grade",
+  "review.saveFailed": "Failed to save the review.",
+  "lesion.microaneurysms": "Microaneurysms",
+  "lesion.hemorrhages": "Hemorrhages",
+  "lesion.exudates": "Exudates",
+  "lesion.neovascularization": "Neovascularization",
+
+  "progression.show": "Show progression",
+  "progression.loadFailed": "Failed to load the patient's screenings.",
+  "progression.empty": "No screenings found for this patient and eye.",
+  "progression.alert.one":
+    "Progressed by {count} grade to {grade} ({description}) by {date}.",
+  "progression.alert.other":
+    "Progressed by {count} grades to {grade} ({description}) by {date}.",
+  "progression.chartTitle": "Grade and referable-DR probability over time",
+  "progression.grade": "Grade",
+  "progression.pReferableDR": "P(referable DR)",
+  "progression.pReferable": "P(referable)",
+  "progression.pReferableValue": "P(referable) {value}",
+  "progression.visits": "Visits",
+  "progression.column.date": "Date",
+  "progression.column.change": "Change",
+  "progression.column.reviewed": "Reviewed",
+  "progression.aiOnly": "AI only",
+  "progression.compareVisit": "Compare visit from {date}",
+  "progression.imageAlt": "Fundus image from {date}",
+  "progression.comparison": "Side-by-side comparison",
+  "progression.comparisonHint":
+    "Zoom and pan are synchronized across images. Select up to {max} visits above.",
+
+  "report.title": "Diabetic Retinopathy Screening Report",
+  "report.generated": "Report generated {date}",
+  "report.patientId": "Patient ID",
+  "report.eye": "Eye",
+  "report.captureDate": "Capture date",
+  "report.screened": "Screened",
+  "report.modelVersion": "Model version",
+  "report.scheme": "Grading scheme",
+  "report.screeningId": "Screening ID",
+  "report.finalGrade": "Final grade",
+  "report.confirmedBy": "{grade} (confirmed by {grader})",
+  "report.overriddenBy": "{grade} (overridden by {grader})",
+  "report.maculopathy": "Maculopathy",
+  "report.notRecorded": "Not recorded",
+  "report.unknown": "Unknown",
+  "report.confidence": "Confidence: {value}",
+  "report.uncertainty":
+    "Uncertainty: {value} ({level}, {passes} augmented passes)",
+  "report.distribution": "Probability distribution",
+  "report.referral": "Referral decision: {decision}",
+  "report.findings": "Grader Findings",
+  "report.lesions": "Lesions: {lesions}",
+  "report.description": "Description",
+  "report.significance": "Clinical Significance",
+  "report.page": "Page {page} of {count}",
+
+  "common.cancel": "Cancel",
+  "common.close": "close",
+  "common.retry": "Retry",
+  "common.imageUnavailable": "Image not available",
+  "common.remove": "Remove",
+  "common.exportCsv": "Export CSV",
+};
+
+export default en;
@@ -0,0 +1,473 @@
+// Spanish messages
+const es = {
+  "app.title": "Clasificador de Retinopatía Diabética",
+  "app.subtitle":
+    "Suba una imagen de fondo de ojo para detectar el grado de severidad de la RD (0-4)",
+  "app.signedInAs": "Sesión iniciada como",
+  "app.logout": "Cerrar sesión",
+  "app.language": "Idioma",
+  "palette.colorBlind": "Colores aptos para daltonismo",
+  "theme.label": "Tema",
+  "theme.system": "Sistema",
+  "theme.light": "Claro",
+  "theme.dark": "Oscuro",
+  "theme.highContrast": "Alto contraste",
+  "app.sessionExpired":
+    "Su sesión ha caducado. Por favor, inicie sesión de nuevo.",
+  "app.tab.single": "Imagen única",
+  "app.tab.exam": "Examen de ambos ojos",
+  "app.tab.batch": "Cribado por lotes",
+  "app.tab.history": "Historial",
+  "app.tab.progression": "Progresión",
+
+  "upload.title": "Subir imagen de retina",
+  "upload.drop": "Suelte la imagen aquí",
+  "upload.dropMany": "Suelte las imágenes aquí",
+  "upload.browse": "Arrastre y suelte o haga clic para buscar",
+  "upload.replace": "Elegir otra imagen",
+  "upload.browseFiles": "Buscar archivos",
+  "upload.supported": "Formatos: JPEG, PNG (máx. 5 MB)",
+  "upload.preview": "Vista previa",
+  "upload.tooLarge": "Archivo demasiado grande (máx. 5 MB)",
+  "upload.unsupportedType": "Solo se admiten imágenes JPEG/PNG",
+  "upload.readFailed":
+    "No se pudo leer el archivo de imagen. Vuelva a seleccionarlo.",
+  "upload.explain": "Generar mapa de atención",
+  "upload.uncertainty": "Estimar la incertidumbre (más lento)",
+  "upload.analyze": "Analizar imagen",
+  "upload.analyzing": "Analizando la imagen de retina...",
+  "upload.uploading": "Subiendo {loaded} de {total}...",
+  "upload.uploadingLabel": "Subiendo imagen...",
+  "upload.failed":
+    "No se pudo clasificar la imagen. Suba una imagen de retina válida.",
+  "upload.queued":
+    "{filename} se guardó en este dispositivo y se graduará cuando vuelva la conexión.",
+
+  "placeholder.title": "Resultados del análisis",
+  "placeholder.body":
+    "Suba una imagen de fondo de ojo para ver la clasificación de RD",
+  "placeholder.grades": "Grados de retinopatía diabética:",
+
+  "auth.appTitle": "Clasificador de RD",
+  "auth.intro":
+    "Esta aplicación está diseñada para que los profesionales sanitarios clasifiquen la severidad de la retinopatía diabética en imágenes de fondo de ojo. Solo para fines diagnósticos.",
+  "auth.signIn": "Iniciar sesión",
+  "auth.signUp": "Registrarse",
+  "auth.createAccount": "Crear cuenta",
+  "auth.email": "Correo electrónico",
+  "auth.password": "Contraseña",
+  "auth.confirmPassword": "Confirmar contraseña",
+  "auth.fullName": "Nombre completo",
+  "auth.togglePassword": "mostrar u ocultar la contraseña",
+  "auth.toRegister": "¿No tiene una cuenta? Regístrese",
+  "auth.toLogin": "¿Ya tiene una cuenta? Inicie sesión",
+  "auth.fillAllFields": "Complete todos los campos",
+  "auth.passwordMismatch": "Las contraseñas no coinciden",
+  "auth.passwordTooShort": "La contraseña debe tener al menos 8 caracteres",
+  "auth.loginFailed": "No se pudo iniciar sesión. Compruebe sus credenciales.",
+  "auth.registerFailed":
+    "No se pudo completar el registro. Inténtelo de nuevo.",
+  "auth.registered": "¡Registro completado! Ya puede iniciar sesión.",
+  "auth.forgotPassword": "¿Olvidó su contraseña?",
+  "auth.backToLogin": "Volver a iniciar sesión",
+  "auth.resetTitle": "Restablecer contraseña",
+  "auth.resetIntro":
+    "Introduzca el correo de su cuenta y le enviaremos un enlace para elegir una nueva contraseña.",
+  "auth.sendResetLink": "Enviar enlace",
+  "auth.resetSent":
+    "Si alguna cuenta usa {email}, le hemos enviado un enlace para restablecer la contraseña.",
+  "auth.resetRequestFailed": "No se pudo enviar el enlace. Inténtelo de nuevo.",
+  "auth.choosePassword": "Elija una nueva contraseña",
+  "auth.newPassword": "Nueva contraseña",
+  "auth.savePassword": "Guardar contraseña",
+  "auth.passwordChanged":
+    "Su contraseña se ha cambiado. Ya puede iniciar sesión con ella.",
+  "auth.resetFailed":
+    "No se pudo restablecer la contraseña. Inténtelo de nuevo.",
+  "auth.checkingLink": "Comprobando el enlace...",
+  "auth.requestNewReset": "Solicitar un nuevo enlace",
+  "auth.link.invalid":
+    "Este enlace no es válido. Compruebe que abrió el enlace completo del correo.",
+  "auth.link.expired":
+    "Este enlace ha caducado. Solicite uno nuevo a continuación.",
+  "auth.link.used":
+    "Este enlace ya se ha usado. Cada enlace funciona una sola vez.",
+  "auth.verifyTitle": "Verificar correo",
+  "auth.verifying": "Verificando su correo electrónico...",
+  "auth.verified": "Su correo está verificado. Ya puede iniciar sesión.",
+  "auth.verifyFailed": "No se pudo verificar el correo. Inténtelo de nuevo.",
+  "auth.verificationSent":
+    "Hemos enviado un enlace de verificación a {email}. Ábralo para activar su cuenta y luego inicie sesión.",
+  "auth.verificationNotSent":
+    "Su cuenta se ha creado, pero no se pudo enviar el correo de verificación a {email}. Vuelva a enviarlo a continuación.",
+  "auth.unverified":
+    "Verifique su correo antes de iniciar sesión. Busque en su bandeja de entrada el enlace que le enviamos.",
+  "auth.resendVerification": "Reenviar correo de verificación",
+  "auth.verificationResent":
+    "Si la cuenta aún necesita verificación, se ha enviado un nuevo enlace.",
+  "auth.resendFailed": "No se pudo enviar el correo. Inténtelo de nuevo.",
+
+  "field.username": "Correo electrónico",
+  "field.email": "Correo electrónico",
+  "field.full_name": "Nombre",
+  "field.password": "Contraseña",
+  "field.file": "Imagen",
+  "request.timedOut":
+    "El servidor no respondió en {seconds} segundos. Compruebe su conexión e inténtelo de nuevo.",
+
+  "model.title": "Información del modelo",
+  "model.version": "Modelo {version}",
+  "model.unknownVersion": "versión desconocida",
+  "model.versionLabel": "Versión",
+  "model.architecture": "Arquitectura",
+  "model.weights": "Archivo de pesos",
+  "model.checksum": "Suma de verificación",
+  "model.inputSize": "Tamaño de entrada",
+  "model.pixels": "{size} × {size} px",
+  "model.trainingNotes": "Notas de entrenamiento",
+  "model.classes": "Salidas del modelo",
+  "model.output": "Salida",
+  "model.grade": "Grado",
+  "model.picker": "Modelo",
+  "model.option": "{name} ({version})",
+  "model.defaultSuffix": " – predeterminado",
+  "model.ensemble": "Conjunto (promedio de todos los modelos)",
+  "model.ensembleHint":
+    "Promedia las probabilidades de los modelos y muestra el voto de cada uno",
+
+  "ensemble.title": "Votos de los modelos",
+  "ensemble.agreement": "Todos los modelos coinciden en el grado.",
+  "ensemble.disagreement":
+    "Los modelos no coinciden: {agreement} votó por el grado combinado. Revise la imagen antes de actuar.",
+  "ensemble.model": "Modelo",
+  "ensemble.vote": "Voto",
+  "ensemble.combined": "Combinado (promedio)",
+  "ensemble.flag": "Los modelos no coinciden",
+
+  "grade.label": "{grade}: {description}",
+  "scheme.label": "Esquema de gradación",
+  "scheme.saveFailed": "No se pudo cambiar el esquema de gradación.",
+  "scheme.icdr.0.label": "Grado 0",
+  "scheme.icdr.1.label": "Grado 1",
+  "scheme.icdr.2.label": "Grado 2",
+  "scheme.icdr.3.label": "Grado 3",
+  "scheme.icdr.4.label": "Grado 4",
+  "scheme.icdr.0.description": "Sin RD detectada",
+  "scheme.icdr.1.description": "RD no proliferativa leve",
+  "scheme.icdr.2.description": "RD no proliferativa moderada",
+  "scheme.icdr.3.description": "RD no proliferativa severa",
+  "scheme.icdr.4.description": "RD proliferativa",
+
+  "scheme.icdr.0.recommendation":
+    "No requiere derivación. Nuevo cribado en 12 meses.",
+  "scheme.icdr.1.recommendation":
+    "No requiere derivación. Nuevo cribado en 9-12 meses.",
+  "scheme.icdr.2.recommendation":
+    "Derivación ordinaria a oftalmología. Revisión en 3-6 meses.",
+  "scheme.icdr.3.recommendation":
+    "Derivación urgente a un especialista en retina. Revisión en 4 semanas.",
+  "scheme.icdr.4.recommendation":
+    "Derivación inmediata a un especialista en retina para valorar tratamiento.",
+
+  "scheme.icdr.0.summary":
+    "No se detectan signos visibles de retinopatía diabética. Se recomienda un cribado anual para vigilar posibles cambios.",
+  "scheme.icdr.0.significance":
+    "Riesgo bajo. Continúe con los controles habituales. Mantenga un buen control de la glucosa y hábitos de vida saludables.",
+  "scheme.icdr.1.summary":
+    "La retinopatía diabética no proliferativa (RDNP) leve presenta cambios vasculares mínimos. En esta fase inicial aparecen pequeñas dilataciones en forma de globo en los vasos de la retina, llamadas microaneurismas.",
+  "scheme.icdr.1.significance":
+    "Riesgo bajo de pérdida de visión. Controle la glucosa, la presión arterial y el colesterol. Se recomienda una revisión en 9-12 meses.",
+  "scheme.icdr.2.summary":
+    "La retinopatía diabética no proliferativa moderada muestra progresión, con más microaneurismas, hemorragias en punto y mancha y exudados duros. Algunos vasos que irrigan la retina están obstruidos.",
+  "scheme.icdr.2.significance":
+    "Riesgo moderado. Se necesita un control más estricto de la diabetes. Los pacientes deben revisarse con más frecuencia, normalmente cada 6-8 meses.",
+  "scheme.icdr.3.summary":
+    "La retinopatía diabética no proliferativa severa se caracteriza por numerosos vasos obstruidos que privan de riego a varias zonas de la retina. Estas zonas liberan factores de crecimiento que inducen la formación de nuevos vasos.",
+  "scheme.icdr.3.significance":
+    "Riesgo alto de progresión a RD proliferativa. Es esencial un seguimiento estrecho cada 3-4 meses. Se recomienda consultar con un especialista en retina.",
+  "scheme.icdr.4.summary":
+    "La retinopatía diabética proliferativa (RDP) es una fase avanzada y muy grave. Crecen vasos anómalos nuevos en la retina y hacia el humor vítreo. Estos vasos pueden sangrar y causar una pérdida grave de visión e incluso ceguera.",
+  "scheme.icdr.4.significance":
+    "Riesgo muy alto de pérdida grave de visión. Se requiere consulta inmediata con un especialista en retina. El tratamiento puede incluir fotocoagulación láser, inyecciones anti-VEGF o vitrectomía.",
+  "clinical.disclaimer.images":
+    "Esta herramienta está diseñada específicamente para imágenes de fondo de ojo. Los resultados pueden ser inexactos con otros tipos de imagen.",
+  "clinical.disclaimer.diagnostic":
+    "Solo para fines diagnósticos. Consulte a un profesional sanitario para obtener consejo médico.",
+
+  "result.title": "Resultado del análisis",
+  "result.aiGrade": "Grado de la IA",
+  "result.finalGrade": "Grado final",
+  "result.confirmedBy": "Grado de la IA confirmado por {grader}",
+  "result.confidence": "Confianza: {value}",
+  "result.uncertainty": "Incertidumbre: {value} ({level})",
+  "result.uncertaintyLevel.low": "baja",
+  "result.uncertaintyLevel.moderate": "moderada",
+  "result.uncertaintyLevel.high": "alta",
+  "result.uncertaintyHint":
+    "Según {passes} pasadas sobre copias volteadas y rotadas con dropout activado. Las bandas de las barras muestran una desviación estándar a cada lado.",
+  "result.withSpread": "{value} ± {spread}",
+  "result.downloadReport": "Descargar informe",
+  "result.preparingReport": "Preparando el informe...",
+  "result.reportFailed": "No se pudo generar el informe.",
+  "result.exportFhir": "Exportar FHIR",
+  "result.exportingFhir": "Exportando...",
+  "result.fhirTooltip":
+    "Paquete FHIR R4 con DiagnosticReport, Observation y Media",
+  "result.fhirFailed": "No se pudo exportar el paquete FHIR.",
+  "result.distribution": "Distribución de probabilidad",
+  "result.gradeProbabilities": "Probabilidad por grado de RD",
+  "result.gradeProbabilitiesHint":
+    "Un porcentaje mayor indica más probabilidad de ese grado de RD",
+  "result.scaleTitle": "Escala de grados de RD:",
+  "result.scale":
+    "de {lowest} a {highest}. Los grados más altos indican una retinopatía diabética más grave.",
+  "result.clinicalSignificance": "Relevancia clínica:",
+  "result.references": "Referencias:",
+  "result.learnMore": "Más información sobre la retinopatía diabética",
+  "result.announcement":
+    "Análisis completado: {grade}, confianza {confidence}.",
+  "result.chartLabel": "Distribución de probabilidad: {values}",
+  "result.showTable": "Ver como tabla",
+  "result.hideTable": "Ocultar tabla",
+  "result.column.class": "Clase",
+  "result.column.description": "Descripción",
+  "result.column.probability": "Probabilidad",
+  "result.mostLikely": "más probable",
+  "result.recall.one": "Nueva revisión en {count} mes",
+  "result.recall.other": "Nueva revisión en {count} meses",
+
+  "referral.refer": "Derivar",
+  "referral.noRefer": "No derivar",
+  "referral.indeterminate": "Indeterminado: requiere graduación humana",
+  "referral.indeterminateAdvice":
+    "El modelo no tiene suficiente certeza para decidir. Un graduador capacitado debe revisar la imagen antes de decidir la derivación.",
+  "referral.reason.confidence":
+    "Confianza del grado principal {confidence} (mínimo {minimum})",
+  "referral.reason.margin":
+    "{top} frente a {second}: margen {margin} (mínimo {minimum})",
+  "referral.reason.probability":
+    "P(RD derivable, ≥{grade}) = {probability} (derivar desde {threshold})",
+
+  "patient.id": "ID del paciente",
+  "patient.eye": "Ojo",
+  "patient.captureDate": "Fecha de captura",
+  "patient.eyeNotSpecified": "Sin especificar",
+  "eye.OD": "OD (ojo derecho)",
+  "eye.OS": "OI (ojo izquierdo)",
+
+  "quality.checking": "Comprobando la calidad de la imagen...",
+  "quality.notAssessed": "Calidad de imagen no evaluada",
+  "quality.good": "Buena calidad de imagen",
+  "quality.ungradable": "Posiblemente no graduable (calidad {score})",
+  "quality.override":
+    "He revisado esta imagen y quiero enviarla de todos modos",
+  "quality.check.field": "Campo del fondo de ojo",
+  "quality.check.illumination": "Iluminación",
+  "quality.check.contrast": "Contraste",
+  "quality.check.sharpness": "Nitidez",
+  "quality.issue.noField":
+    "No se detecta un campo circular de fondo de ojo: puede que no sea una retinografía",
+  "quality.issue.underexposed": "La imagen está subexpuesta (demasiado oscura)",
+  "quality.issue.overexposed": "La imagen está sobreexpuesta o tiene reflejos",
+  "quality.issue.lowContrast":
+    "Contraste bajo: puede que no se distingan los vasos ni las lesiones",
+  "quality.issue.blurry": "La imagen está borrosa o desenfocada",
+
+  "modelInput.title": "Lo que ve el modelo",
+  "modelInput.alt": "Fondo de ojo recortado enviado para el análisis",
+  "modelInput.hint":
+    "El disco del fondo de ojo se recorta, se rellena hasta un cuadrado y se reduce en su navegador antes de subirlo. El modelo trabaja a 224×224.",
+  "modelInput.size": "{size}×{size} px",
+  "modelInput.upload": "Envío de {processed} (antes {original})",
+
+  "heatmap.title": "Atención del modelo",
+  "heatmap.hint":
+    "Relevancia Grad-CAM del último mapa de características de EfficientNet. Las zonas cálidas son las que más contribuyeron al grado predicho; compruebe que coinciden con lesiones y no con artefactos, reflejos o el borde de la imagen.",
+  "heatmap.alt": "Fondo de ojo con mapa de atención",
+  "heatmap.toggle": "Mapa de calor",
+  "heatmap.opacity": "Opacidad",
+  "heatmap.opacityLabel": "Opacidad del mapa de calor",
+  "heatmap.low": "Baja",
+  "heatmap.high": "Alta",
+
+  "viewer.alt": "Imagen de fondo de ojo",
+  "viewer.zoomOut": "Alejar",
+  "viewer.zoomIn": "Acercar (o desplácese sobre la imagen)",
+  "viewer.reset": "Restablecer vista (o doble clic en la imagen)",
+  "viewer.loupe": "Lupa",
+  "viewer.filters": "Filtros de realce",
+  "viewer.fullscreen": "Pantalla completa",
+  "viewer.exitFullscreen": "Salir de pantalla completa",
+  "viewer.redFree": "Aneritra",
+  "viewer.clahe": "CLAHE",
+  "viewer.invert": "Invertir",
+  "viewer.brightness": "Brillo",
+  "viewer.gamma": "Gamma",
+  "viewer.resetFilters": "Restablecer filtros",
+
+  "exam.upload": "Subir imagen del {eye}",
+  "exam.previewAlt": "Vista previa del {eye}",
+  "exam.oneEye":
+    "Solo un ojo tiene imagen. El grado del paciente se basará únicamente en ese ojo.",
+  "exam.analyze": "Analizar examen",
+  "exam.analyzing": "Analizando las imágenes de retina...",
+  "exam.failed": "No se pudo analizar el examen.",
+  "exam.summary": "Resumen del paciente",
+  "exam.worseEye": "Según el ojo más afectado: {eye}",
+  "exam.referral": "Derivación ({eye})",
+  "exam.announcement": "Análisis del examen completado: {grade}, según {eye}.",
+
+  "batch.title": "Subir imágenes de retina para graduación por lotes",
+  "batch.browse":
+    "Arrastre y suelte cualquier número de imágenes o haga clic para buscar",
+  "batch.supported": "Formatos: JPEG, PNG (máx. 5 MB cada una)",
+  "batch.gradeAll": "Graduar todas ({count})",
+  "batch.retryFailed": "Reintentar fallidas ({count})",
+  "batch.clear": "Vaciar cola",
+  "batch.stop": "Detener",
+  "batch.counts": "{graded} graduadas · {failed} fallidas · {total} en total",
+  "batch.failedWarning.one":
+    "{count} imagen no se pudo graduar. Revise el error abajo y vuelva a intentarlo.",
+  "batch.failedWarning.other":
+    "{count} imágenes no se pudieron graduar. Revise los errores abajo y vuelva a intentarlo.",
+  "batch.column.name": "Archivo",
+  "batch.column.status": "Estado",
+  "batch.column.grade": "Grado",
+  "batch.column.confidence": "Confianza",
+  "batch.column.actions": "Acciones",
+  "batch.status.pending": "Pendiente",
+  "batch.status.uploading": "Subiendo",
+  "batch.status.analyzing": "Analizando",
+  "batch.status.graded": "Graduada",
+  "batch.status.failed": "Fallida",
+  "batch.announcement":
+    "Graduación por lotes terminada: {graded} graduadas, {failed} fallidas.",
+
+  "history.unidentified": "Paciente sin identificar",
+  "history.gradedBy": "Capturada {captured} · Graduada {graded} por {grader}",
+  "history.compare": "Comparar visitas",
+  "history.search": "Buscar ID del paciente",
+  "history.grade": "Grado",
+  "history.allGrades": "Todos los grados",
+  "history.bothEyes": "Ambos ojos",
+  "history.loadFailed": "No se pudo cargar el historial de cribados.",
+  "history.exportFailed": "No se pudieron exportar los cribados.",
+  "history.empty": "No se encontraron cribados",
+  "history.column.graded": "Graduado",
+  "history.column.patient": "ID del paciente",
+  "history.column.eye": "Ojo",
+  "history.column.captured": "Capturado",
+  "history.column.grade": "Grado",
+  "history.column.confidence": "Confianza",
+  "history.column.gradedBy": "Graduado por",
+
+  "offline.online.one": "{count} envío pendiente",
+  "offline.online.other": "{count} envíos pendientes",
+  "offline.offline": "Sin conexión",
+  "offline.offlineQueued": "Sin conexión · {count} en cola",
+  "offline.title": "Cola sin conexión",
+  "offline.onlineHint":
+    "Las imágenes en cola se envían automáticamente mientras hay conexión.",
+  "offline.offlineHint":
+    "No hay conexión. Las imágenes se guardan en este dispositivo y se graduarán cuando vuelva la conexión.",
+  "offline.sync": "Sincronizar ahora",
+  "offline.clearSynced": "Borrar sincronizadas",
+  "offline.view": "Ver resultado",
+  "offline.noPatient": "Sin ID de paciente",
+  "offline.captured": "{patient} · capturada {date}",
+  "offline.rejected": "El servidor rechazó esta imagen.",
+  "offline.status.pending": "Pendiente",
+  "offline.status.synced": "Sincronizada",
+  "offline.status.failed": "Fallida",
+
+  "jobs.title": "Análisis recientes",
+  "jobs.hint":
+    "Las imágenes se gradúan en segundo plano. Los resultados siguen aquí tras recargar.",
+  "jobs.view": "Ver resultado",
+  "jobs.viewFailed": "No se pudo cargar este resultado.",
+  "jobs.noPatient": "Sin ID de paciente",
+  "jobs.submitted": "{patient} · enviado {date}",
+  "jobs.status.queued": "En cola",
+  "jobs.status.running": "En curso",
+  "jobs.status.done": "Listo",
+  "jobs.status.failed": "Fallido",
+
+  "review.title": "Revisión del graduador",
+  "review.confirmed": "Confirmado por {grader} el {date}",
+  "review.overridden": "Modificado por {grader} el {date}",
+  "review.revise": "Revisar",
+  "review.auditTrail": "Registro de auditoría",
+  "review.finalGrade": "Grado final",
+  "review.aiGrade": " (grado de la IA)",
+  "review.lesions": "Lesiones presentes",
+  "review.findings": "Hallazgos",
+  "review.maculopathy": "Maculopatía",
+  "review.maculopathyNotRecorded": "Sin registrar",
+  "review.saving": "Guardando...",
+  "review.overrideTo": "Cambiar a {grade}",
+  "review.confirm": "Confirmar grado de la IA",
+  "review.saveFailed": "No se pudo guardar la revisión.",
+  "lesion.microaneurysms": "Microaneurismas",
+  "lesion.hemorrhages": "Hemorragias",
+  "lesion.exudates": "Exudados",
+  "lesion.neovascularization": "Neovascularización",
+
+  "progression.show": "Ver progresión",
+  "progression.loadFailed": "No se pudieron cargar los cribados del paciente.",
+  "progression.empty": "No hay cribados para este paciente y ojo.",
+  "progression.alert.one":
+    "Progresó {count} grado hasta {grade} ({description}) el {date}.",
+  "progression.alert.other":
+    "Progresó {count} grados hasta {grade} ({description}) el {date}.",
+  "progression.chartTitle":
+    "Grado y probabilidad de RD derivable a lo largo del tiempo",
+  "progression.grade": "Grado",
+  "progression.pReferableDR": "P(RD derivable)",
+  "progression.pReferable": "P(derivable)",
+  "progression.pReferableValue": "P(derivable) {value}",
+  "progression.visits": "Visitas",
+  "progression.column.date": "Fecha",
+  "progression.column.change": "Cambio",
+  "progression.column.reviewed": "Revisado",
+  "progression.aiOnly": "Solo IA",
+  "progression.compareVisit": "Comparar la visita del {date}",
+  "progression.imageAlt": "Imagen de fondo de ojo del {date}",
+  "progression.comparison": "Comparación lado a lado",
+  "progression.comparisonHint":
+    "El zoom y el desplazamiento están sincronizados entre imágenes. Seleccione hasta {max} visitas arriba.",
+
+  "report.title": "Informe de cribado de retinopatía diabética",
+  "report.generated": "Informe generado el {date}",
+  "report.patientId": "ID de paciente",
+  "report.eye": "Ojo",
+  "report.captureDate": "Fecha de captura",
+  "report.screened": "Cribado",
+  "report.modelVersion": "Versión del modelo",
+  "report.scheme": "Escala de gradación",
+  "report.screeningId": "ID de cribado",
+  "report.finalGrade": "Grado final",
+  "report.confirmedBy": "{grade} (confirmado por {grader})",
+  "report.overriddenBy": "{grade} (modificado por {grader})",
+  "report.maculopathy": "Maculopatía",
+  "report.notRecorded": "Sin registrar",
+  "report.unknown": "Desconocida",
+  "report.confidence": "Confianza: {value}",
+  "report.uncertainty":
+    "Incertidumbre: {value} ({level}, {passes} pasadas aumentadas)",
+  "report.distribution": "Distribución de probabilidad",
+  "report.referral": "Decisión de derivación: {decision}",
+  "report.findings": "Hallazgos del evaluador",
+  "report.lesions": "Lesiones: {lesions}",
+  "report.description": "Descripción",
+  "report.significance": "Importancia clínica",
+  "report.page": "Página {page} de {count}",
+
+  "common.cancel": "Cancelar",
+  "common.close": "cerrar",
+  "common.retry": "Reintentar",
+  "common.imageUnavailable": "Imagen no disponible",
+  "common.remove": "Quitar",
+  "common.exportCsv": "Exportar CSV",
+};
+
+export default es;
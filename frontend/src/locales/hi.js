@@ -0,0 +1,445 @@
+// Hindi messages
+const hi = {
+  "app.title": "डायबिटिक रेटिनोपैथी क्लासिफ़ायर",
+  "app.subtitle":
+    "DR गंभीरता ग्रेड (0-4) जानने के लिए रेटिनल फ़ंडस छवि अपलोड करें",
+  "app.signedInAs": "साइन इन:",
+  "app.logout": "लॉग आउट",
+  "app.language": "भाषा",
+  "palette.colorBlind": "रंग-दृष्टिहीनता के अनुकूल रंग",
+  "theme.label": "थीम",
+  "theme.system": "सिस्टम",
+  "theme.light": "हल्की",
+  "theme.dark": "गहरी",
+  "theme.highContrast": "उच्च कंट्रास्ट",
+  "app.sessionExpired":
+    "आपका सत्र समाप्त हो गया है। कृपया फिर से साइन इन करें।",
+  "app.tab.single": "एकल छवि",
+  "app.tab.exam": "दोनों आँखों की जाँच",
+  "app.tab.batch": "बैच स्क्रीनिंग",
+  "app.tab.history": "इतिहास",
+  "app.tab.progression": "प्रगति",
+
+  "upload.title": "रेटिनल छवि अपलोड करें",
+  "upload.drop": "छवि यहाँ छोड़ें",
+  "upload.dropMany": "छवियाँ यहाँ छोड़ें",
+  "upload.browse": "खींचकर छोड़ें या ब्राउज़ करने के लिए क्लिक करें",
+  "upload.replace": "दूसरी छवि चुनें",
+  "upload.browseFiles": "फ़ाइलें ब्राउज़ करें",
+  "upload.supported": "समर्थित: JPEG, PNG (अधिकतम 5MB)",
+  "upload.preview": "पूर्वावलोकन",
+  "upload.tooLarge": "फ़ाइल बहुत बड़ी है (अधिकतम 5MB)",
+  "upload.unsupportedType": "केवल JPEG/PNG छवियाँ समर्थित हैं",
+  "upload.readFailed":
+    "छवि फ़ाइल पढ़ी नहीं जा सकी। कृपया इसे फिर से चुनें।",
+  "upload.explain": "अटेंशन हीटमैप बनाएँ",
+  "upload.uncertainty": "अनिश्चितता का अनुमान लगाएँ (धीमा)",
+  "upload.analyze": "छवि का विश्लेषण करें",
+  "upload.analyzing": "रेटिनल छवि का विश्लेषण हो रहा है...",
+  "upload.uploading": "{total} में से {loaded} अपलोड हो रहा है...",
+  "upload.uploadingLabel": "छवि अपलोड हो रही है...",
+  "upload.failed":
+    "छवि का वर्गीकरण नहीं हो सका। कृपया मान्य रेटिनल स्कैन अपलोड करें।",
+  "upload.queued":
+    "{filename} इस डिवाइस पर सहेजी गई है और कनेक्शन लौटने पर ग्रेड की जाएगी।",
+
+  "placeholder.title": "विश्लेषण परिणाम",
+  "placeholder.body":
+    "DR वर्गीकरण परिणाम देखने के लिए रेटिनल फ़ंडस छवि अपलोड करें",
+  "placeholder.grades": "डायबिटिक रेटिनोपैथी ग्रेड:",
+
+  "auth.appTitle": "रेटिनल DR क्लासिफ़ायर",
+  "auth.intro":
+    "यह एप्लिकेशन स्वास्थ्य पेशेवरों के लिए रेटिनल फ़ंडस छवियों में डायबिटिक रेटिनोपैथी की गंभीरता का वर्गीकरण करने हेतु बनाया गया है। केवल नैदानिक उपयोग के लिए।",
+  "auth.signIn": "साइन इन",
+  "auth.signUp": "साइन अप",
+  "auth.createAccount": "खाता बनाएँ",
+  "auth.email": "ईमेल पता",
+  "auth.password": "पासवर्ड",
+  "auth.confirmPassword": "पासवर्ड की पुष्टि करें",
+  "auth.fullName": "पूरा नाम",
+  "auth.togglePassword": "पासवर्ड दिखाएँ या छिपाएँ",
+  "auth.toRegister": "खाता नहीं है? साइन अप करें",
+  "auth.toLogin": "पहले से खाता है? साइन इन करें",
+  "auth.fillAllFields": "कृपया सभी फ़ील्ड भरें",
+  "auth.passwordMismatch": "पासवर्ड मेल नहीं खाते",
+  "auth.passwordTooShort": "पासवर्ड कम से कम 8 अक्षरों का होना चाहिए",
+  "auth.loginFailed": "लॉगिन विफल रहा। कृपया अपनी जानकारी जाँचें।",
+  "auth.registerFailed": "पंजीकरण विफल रहा। कृपया फिर से प्रयास करें।",
+  "auth.registered": "पंजीकरण सफल! अब आप लॉग इन कर सकते हैं।",
+  "auth.forgotPassword": "पासवर्ड भूल गए?",
+  "auth.backToLogin": "साइन इन पर वापस जाएँ",
+  "auth.resetTitle": "पासवर्ड रीसेट करें",
+  "auth.resetIntro":
+    "अपने खाते का ईमेल पता दर्ज करें, हम नया पासवर्ड चुनने के लिए एक लिंक भेजेंगे।",
+  "auth.sendResetLink": "रीसेट लिंक भेजें",
+  "auth.resetSent":
+    "यदि कोई खाता {email} का उपयोग करता है, तो हमने उसे पासवर्ड रीसेट करने का लिंक भेज दिया है।",
+  "auth.resetRequestFailed":
+    "रीसेट लिंक नहीं भेजा जा सका। कृपया फिर से प्रयास करें।",
+  "auth.choosePassword": "नया पासवर्ड चुनें",
+  "auth.newPassword": "नया पासवर्ड",
+  "auth.savePassword": "पासवर्ड सहेजें",
+  "auth.passwordChanged":
+    "आपका पासवर्ड बदल दिया गया है। अब आप इससे साइन इन कर सकते हैं।",
+  "auth.resetFailed": "पासवर्ड रीसेट नहीं हो सका। कृपया फिर से प्रयास करें।",
+  "auth.checkingLink": "लिंक की जाँच हो रही है...",
+  "auth.requestNewReset": "नया लिंक माँगें",
+  "auth.link.invalid":
+    "यह लिंक मान्य नहीं है। जाँचें कि आपने ईमेल का पूरा लिंक खोला है।",
+  "auth.link.expired":
+    "इस लिंक की समय-सीमा समाप्त हो गई है। नीचे नया लिंक माँगें।",
+  "auth.link.used":
+    "इस लिंक का उपयोग पहले ही हो चुका है। हर लिंक केवल एक बार काम करता है।",
+  "auth.verifyTitle": "ईमेल सत्यापित करें",
+  "auth.verifying": "आपका ईमेल पता सत्यापित हो रहा है...",
+  "auth.verified":
+    "आपका ईमेल पता सत्यापित हो गया है। अब आप साइन इन कर सकते हैं।",
+  "auth.verifyFailed":
+    "ईमेल पता सत्यापित नहीं हो सका। कृपया फिर से प्रयास करें।",
+  "auth.verificationSent":
+    "हमने {email} पर सत्यापन लिंक भेजा है। अपना खाता सक्रिय करने के लिए उसे खोलें, फिर साइन इन करें।",
+  "auth.verificationNotSent":
+    "आपका खाता बन गया है, लेकिन {email} पर सत्यापन ईमेल नहीं भेजा जा सका। नीचे से इसे फिर से भेजें।",
+  "auth.unverified":
+    "साइन इन करने से पहले अपना ईमेल पता सत्यापित करें। हमारे भेजे लिंक के लिए अपना इनबॉक्स देखें।",
+  "auth.resendVerification": "सत्यापन ईमेल फिर से भेजें",
+  "auth.verificationResent":
+    "यदि खाते का सत्यापन अभी बाकी है, तो नया लिंक भेज दिया गया है।",
+  "auth.resendFailed": "ईमेल नहीं भेजा जा सका। कृपया फिर से प्रयास करें।",
+
+  "field.username": "ईमेल",
+  "field.email": "ईमेल",
+  "field.full_name": "नाम",
+  "field.password": "पासवर्ड",
+  "field.file": "छवि",
+  "request.timedOut":
+    "सर्वर ने {seconds} सेकंड में जवाब नहीं दिया। अपना कनेक्शन जाँचें और फिर से प्रयास करें।",
+
+  "model.title": "मॉडल जानकारी",
+  "model.version": "मॉडल {version}",
+  "model.unknownVersion": "अज्ञात संस्करण",
+  "model.versionLabel": "संस्करण",
+  "model.architecture": "आर्किटेक्चर",
+  "model.weights": "वेट्स फ़ाइल",
+  "model.checksum": "चेकसम",
+  "model.inputSize": "इनपुट आकार",
+  "model.pixels": "{size} × {size} px",
+  "model.trainingNotes": "प्रशिक्षण टिप्पणियाँ",
+  "model.classes": "मॉडल आउटपुट",
+  "model.output": "आउटपुट",
+  "model.grade": "ग्रेड",
+  "model.picker": "मॉडल",
+  "model.option": "{name} ({version})",
+  "model.defaultSuffix": " – डिफ़ॉल्ट",
+  "model.ensemble": "एन्सेम्बल (सभी मॉडलों का औसत)",
+  "model.ensembleHint":
+    "मॉडलों की संभावनाओं का औसत लेता है और हर मॉडल का वोट दिखाता है",
+
+  "ensemble.title": "मॉडल वोट",
+  "ensemble.agreement": "सभी मॉडल ग्रेड पर सहमत हैं।",
+  "ensemble.disagreement":
+    "मॉडल असहमत हैं: {agreement} ने संयुक्त ग्रेड को वोट दिया। कार्रवाई से पहले छवि की समीक्षा करें।",
+  "ensemble.model": "मॉडल",
+  "ensemble.vote": "वोट",
+  "ensemble.combined": "संयुक्त (औसत)",
+  "ensemble.flag": "मॉडल असहमत हैं",
+
+  "grade.label": "{grade}: {description}",
+  "scheme.label": "ग्रेडिंग प्रणाली",
+  "scheme.saveFailed": "ग्रेडिंग प्रणाली नहीं बदली जा सकी।",
+  "scheme.icdr.0.label": "ग्रेड 0",
+  "scheme.icdr.1.label": "ग्रेड 1",
+  "scheme.icdr.2.label": "ग्रेड 2",
+  "scheme.icdr.3.label": "ग्रेड 3",
+  "scheme.icdr.4.label": "ग्रेड 4",
+  "scheme.icdr.0.description": "कोई DR नहीं पाई गई",
+  "scheme.icdr.1.description": "हल्की नॉन-प्रोलिफ़ेरेटिव DR",
+  "scheme.icdr.2.description": "मध्यम नॉन-प्रोलिफ़ेरेटिव DR",
+  "scheme.icdr.3.description": "गंभीर नॉन-प्रोलिफ़ेरेटिव DR",
+  "scheme.icdr.4.description": "प्रोलिफ़ेरेटिव DR",
+
+  "scheme.icdr.0.recommendation":
+    "रेफ़रल की आवश्यकता नहीं। 12 महीने में फिर से स्क्रीनिंग करें।",
+  "scheme.icdr.1.recommendation":
+    "रेफ़रल की आवश्यकता नहीं। 9-12 महीने में फिर से स्क्रीनिंग करें।",
+  "scheme.icdr.2.recommendation":
+    "नेत्र रोग विशेषज्ञ को सामान्य रेफ़रल। 3-6 महीने में समीक्षा करें।",
+  "scheme.icdr.3.recommendation":
+    "रेटिना विशेषज्ञ को तत्काल रेफ़रल। 4 सप्ताह के भीतर समीक्षा करें।",
+  "scheme.icdr.4.recommendation":
+    "उपचार मूल्यांकन के लिए रेटिना विशेषज्ञ को तुरंत रेफ़र करें।",
+
+  "scheme.icdr.0.summary":
+    "डायबिटिक रेटिनोपैथी के कोई दृश्य लक्षण नहीं पाए गए। किसी भी बदलाव पर नज़र रखने के लिए नियमित वार्षिक स्क्रीनिंग की सलाह दी जाती है।",
+  "scheme.icdr.0.significance":
+    "कम जोखिम। नियमित निगरानी जारी रखें। रक्त शर्करा को अच्छी तरह नियंत्रित रखें और स्वस्थ जीवनशैली अपनाएँ।",
+  "scheme.icdr.1.summary":
+    "हल्की नॉन-प्रोलिफ़ेरेटिव डायबिटिक रेटिनोपैथी (NPDR) में रक्त वाहिकाओं में बहुत कम बदलाव होते हैं। इस शुरुआती चरण में रेटिना की रक्त वाहिकाओं में गुब्बारे जैसी छोटी सूजन होती है, जिसे माइक्रोएन्यूरिज़्म कहते हैं।",
+  "scheme.icdr.1.significance":
+    "दृष्टि हानि का कम जोखिम। रक्त शर्करा, रक्तचाप और कोलेस्ट्रॉल नियंत्रित रखें। 9-12 महीने में फ़ॉलो-अप जाँच की सलाह दी जाती है।",
+  "scheme.icdr.2.summary":
+    "मध्यम नॉन-प्रोलिफ़ेरेटिव डायबिटिक रेटिनोपैथी में रोग बढ़ता है: माइक्रोएन्यूरिज़्म, डॉट और ब्लॉट रक्तस्राव तथा हार्ड एक्सूडेट्स बढ़ जाते हैं। रेटिना को पोषण देने वाली कुछ रक्त वाहिकाएँ अवरुद्ध हो जाती हैं।",
+  "scheme.icdr.2.significance":
+    "मध्यम जोखिम। मधुमेह पर अधिक सावधानी से नियंत्रण आवश्यक है। मरीज़ों की निगरानी अधिक बार, आमतौर पर हर 6-8 महीने में, की जानी चाहिए।",
+  "scheme.icdr.3.summary":
+    "गंभीर नॉन-प्रोलिफ़ेरेटिव डायबिटिक रेटिनोपैथी में कई रक्त वाहिकाएँ अवरुद्ध हो जाती हैं, जिससे रेटिना के कई हिस्सों को रक्त नहीं मिलता। ये हिस्से ग्रोथ फ़ैक्टर छोड़ते हैं जो रेटिना में नई रक्त वाहिकाएँ बनने का संकेत देते हैं।",
+  "scheme.icdr.3.significance":
+    "PDR में बदलने का उच्च जोखिम। हर 3-4 महीने में कड़ी निगरानी आवश्यक है। रेटिना विशेषज्ञ से परामर्श की सलाह दी जाती है।",
+  "scheme.icdr.4.summary":
+    "प्रोलिफ़ेरेटिव डायबिटिक रेटिनोपैथी (PDR) उन्नत और बहुत गंभीर अवस्था है। रेटिना में और विट्रियस ह्यूमर में नई असामान्य रक्त वाहिकाएँ बनती हैं। इनसे रिसाव हो सकता है, जिससे गंभीर दृष्टि हानि और अंधापन तक हो सकता है।",
+  "scheme.icdr.4.significance":
+    "गंभीर दृष्टि हानि का बहुत अधिक जोखिम। रेटिना विशेषज्ञ से तुरंत परामर्श आवश्यक है। उपचार में लेज़र फ़ोटोकोएगुलेशन, एंटी-VEGF इंजेक्शन या विट्रेक्टॉमी शामिल हो सकते हैं।",
+  "clinical.disclaimer.images":
+    "यह टूल विशेष रूप से रेटिनल फ़ंडस छवियों के लिए बनाया गया है। अन्य प्रकार की छवियों पर परिणाम गलत हो सकते हैं।",
+  "clinical.disclaimer.diagnostic":
+    "केवल नैदानिक उपयोग के लिए। चिकित्सीय सलाह के लिए कृपया स्वास्थ्य पेशेवर से परामर्श करें।",
+
+  "result.title": "विश्लेषण परिणाम",
+  "result.aiGrade": "AI ग्रेड",
+  "result.finalGrade": "अंतिम ग्रेड",
+  "result.confirmedBy": "AI ग्रेड की पुष्टि {grader} ने की",
+  "result.confidence": "विश्वास स्तर: {value}",
+  "result.uncertainty": "अनिश्चितता: {value} ({level})",
+  "result.uncertaintyLevel.low": "कम",
+  "result.uncertaintyLevel.moderate": "मध्यम",
+  "result.uncertaintyLevel.high": "अधिक",
+  "result.uncertaintyHint":
+    "ड्रॉपआउट सक्षम करके पलटी और घुमाई गई प्रतियों पर {passes} पास से। बार पर बैंड दोनों ओर एक मानक विचलन दिखाते हैं।",
+  "result.withSpread": "{value} ± {spread}",
+  "result.downloadReport": "रिपोर्ट डाउनलोड करें",
+  "result.preparingReport": "रिपोर्ट तैयार हो रही है...",
+  "result.reportFailed": "रिपोर्ट नहीं बन सकी।",
+  "result.exportFhir": "FHIR निर्यात करें",
+  "result.exportingFhir": "निर्यात हो रहा है...",
+  "result.fhirTooltip": "FHIR R4 DiagnosticReport, Observation और Media बंडल",
+  "result.fhirFailed": "FHIR बंडल निर्यात नहीं हो सका।",
+  "result.distribution": "प्रायिकता वितरण",
+  "result.gradeProbabilities": "DR ग्रेड प्रायिकता",
+  "result.gradeProbabilitiesHint":
+    "अधिक प्रतिशत का अर्थ है उस DR ग्रेड की अधिक संभावना",
+  "result.scaleTitle": "DR ग्रेड पैमाना:",
+  "result.scale":
+    "{lowest} से {highest}। ऊँचा ग्रेड अधिक गंभीर डायबिटिक रेटिनोपैथी दर्शाता है।",
+  "result.clinicalSignificance": "नैदानिक महत्व:",
+  "result.references": "संदर्भ:",
+  "result.learnMore": "डायबिटिक रेटिनोपैथी के बारे में और जानें",
+  "result.announcement": "विश्लेषण पूरा: {grade}, विश्वास स्तर {confidence}।",
+  "result.chartLabel": "प्रायिकता वितरण: {values}",
+  "result.showTable": "तालिका के रूप में दिखाएँ",
+  "result.hideTable": "तालिका छिपाएँ",
+  "result.column.class": "वर्ग",
+  "result.column.description": "विवरण",
+  "result.column.probability": "प्रायिकता",
+  "result.mostLikely": "सबसे संभावित",
+  "result.recall.one": "{count} महीने में पुनः जाँच",
+  "result.recall.other": "{count} महीने में पुनः जाँच",
+
+  "referral.refer": "रेफ़र करें",
+  "referral.noRefer": "रेफ़र न करें",
+  "referral.indeterminate": "अनिश्चित – मानव ग्रेडिंग आवश्यक",
+  "referral.indeterminateAdvice":
+    "मॉडल निर्णय लेने के लिए पर्याप्त निश्चित नहीं है। रेफ़रल तय करने से पहले किसी प्रशिक्षित ग्रेडर से छवि की समीक्षा कराएँ।",
+  "referral.reason.confidence":
+    "शीर्ष ग्रेड विश्वास स्तर {confidence} (न्यूनतम {minimum})",
+  "referral.reason.margin":
+    "{top} बनाम {second}: अंतर {margin} (न्यूनतम {minimum})",
+  "referral.reason.probability":
+    "P(रेफ़र योग्य DR, ≥{grade}) = {probability} ({threshold} पर रेफ़र करें)",
+
+  "patient.id": "मरीज़ ID",
+  "patient.eye": "आँख",
+  "patient.captureDate": "छवि लेने की तिथि",
+  "patient.eyeNotSpecified": "निर्दिष्ट नहीं",
+  "eye.OD": "OD (दाईं आँख)",
+  "eye.OS": "OS (बाईं आँख)",
+
+  "quality.checking": "छवि गुणवत्ता जाँची जा रही है...",
+  "quality.notAssessed": "छवि गुणवत्ता का आकलन नहीं हुआ",
+  "quality.good": "अच्छी छवि गुणवत्ता",
+  "quality.ungradable": "संभवतः ग्रेड करने योग्य नहीं (गुणवत्ता {score})",
+  "quality.override":
+    "मैंने यह छवि देख ली है और फिर भी इसे भेजना चाहता/चाहती हूँ",
+  "quality.check.field": "फ़ंडस क्षेत्र",
+  "quality.check.illumination": "प्रकाश",
+  "quality.check.contrast": "कंट्रास्ट",
+  "quality.check.sharpness": "स्पष्टता",
+  "quality.issue.noField":
+    "कोई गोलाकार फ़ंडस क्षेत्र नहीं मिला - यह संभवतः रेटिनल फ़ोटो नहीं है",
+  "quality.issue.underexposed": "छवि में प्रकाश कम है (बहुत गहरी)",
+  "quality.issue.overexposed": "छवि में प्रकाश अधिक है या चमक है",
+  "quality.issue.lowContrast":
+    "कम कंट्रास्ट - वाहिकाएँ और घाव अलग से पहचाने नहीं जा सकते",
+  "quality.issue.blurry": "छवि धुंधली है या फ़ोकस में नहीं है",
+
+  "modelInput.title": "मॉडल क्या देखता है",
+  "modelInput.alt": "विश्लेषण के लिए भेजा गया क्रॉप किया गया फ़ंडस",
+  "modelInput.hint":
+    "अपलोड से पहले आपके ब्राउज़र में फ़ंडस डिस्क को क्रॉप कर, वर्गाकार बनाकर छोटा किया जाता है। मॉडल स्वयं 224×224 पर काम करता है।",
+  "modelInput.size": "{size}×{size} px",
+  "modelInput.upload": "अपलोड {processed} (पहले {original})",
+
+  "heatmap.title": "मॉडल का ध्यान",
+  "heatmap.hint":
+    "अंतिम EfficientNet फ़ीचर मैप से Grad-CAM प्रासंगिकता। गर्म क्षेत्रों ने अनुमानित ग्रेड में सबसे अधिक योगदान दिया; जाँचें कि वे घावों से मेल खाते हैं, न कि आर्टिफ़ैक्ट, प्रतिबिंब या छवि के किनारे से।",
+  "heatmap.alt": "अटेंशन हीटमैप के साथ फ़ंडस",
+  "heatmap.toggle": "हीटमैप",
+  "heatmap.opacity": "अपारदर्शिता",
+  "heatmap.opacityLabel": "हीटमैप की अपारदर्शिता",
+  "heatmap.low": "कम",
+  "heatmap.high": "अधिक",
+
+  "viewer.alt": "फ़ंडस छवि",
+  "viewer.zoomOut": "ज़ूम आउट",
+  "viewer.zoomIn": "ज़ूम इन (या छवि पर स्क्रॉल करें)",
+  "viewer.reset": "दृश्य रीसेट करें (या छवि पर डबल-क्लिक करें)",
+  "viewer.loupe": "आवर्धक",
+  "viewer.filters": "एन्हांसमेंट फ़िल्टर",
+  "viewer.fullscreen": "पूर्ण स्क्रीन",
+  "viewer.exitFullscreen": "पूर्ण स्क्रीन से बाहर निकलें",
+  "viewer.redFree": "रेड-फ़्री",
+  "viewer.clahe": "CLAHE",
+  "viewer.invert": "उलटें",
+  "viewer.brightness": "चमक",
+  "viewer.gamma": "गामा",
+  "viewer.resetFilters": "फ़िल्टर रीसेट करें",
+
+  "exam.upload": "{eye} की छवि अपलोड करें",
+  "exam.previewAlt": "{eye} पूर्वावलोकन",
+  "exam.oneEye":
+    "केवल एक आँख की छवि है। मरीज़ का ग्रेड केवल उसी आँख पर आधारित होगा।",
+  "exam.analyze": "जाँच का विश्लेषण करें",
+  "exam.analyzing": "रेटिनल छवियों का विश्लेषण हो रहा है...",
+  "exam.failed": "जाँच का विश्लेषण नहीं हो सका।",
+  "exam.summary": "मरीज़ सारांश",
+  "exam.worseEye": "अधिक प्रभावित आँख के आधार पर: {eye}",
+  "exam.referral": "रेफ़रल ({eye})",
+  "exam.announcement": "जाँच का विश्लेषण पूरा: {grade}, {eye} के आधार पर।",
+
+  "batch.title": "बैच ग्रेडिंग के लिए रेटिनल छवियाँ अपलोड करें",
+  "batch.browse":
+    "कितनी भी छवियाँ खींचकर छोड़ें या ब्राउज़ करने के लिए क्लिक करें",
+  "batch.supported": "समर्थित: JPEG, PNG (प्रत्येक अधिकतम 5MB)",
+  "batch.gradeAll": "सभी ग्रेड करें ({count})",
+  "batch.retryFailed": "विफल को फिर से आज़माएँ ({count})",
+  "batch.clear": "कतार खाली करें",
+  "batch.stop": "रोकें",
+  "batch.counts": "{graded} ग्रेड हुईं · {failed} विफल · कुल {total}",
+  "batch.failedWarning.one":
+    "{count} छवि ग्रेड नहीं हो सकी। नीचे त्रुटि देखें और फिर से प्रयास करें।",
+  "batch.failedWarning.other":
+    "{count} छवियाँ ग्रेड नहीं हो सकीं। नीचे त्रुटियाँ देखें और फिर से प्रयास करें।",
+  "batch.column.name": "फ़ाइल",
+  "batch.column.status": "स्थिति",
+  "batch.column.grade": "ग्रेड",
+  "batch.column.confidence": "विश्वास स्तर",
+  "batch.column.actions": "कार्रवाई",
+  "batch.status.pending": "लंबित",
+  "batch.status.uploading": "अपलोड हो रही है",
+  "batch.status.analyzing": "विश्लेषण हो रहा है",
+  "batch.status.graded": "ग्रेड हुई",
+  "batch.status.failed": "विफल",
+  "batch.announcement":
+    "बैच ग्रेडिंग पूरी: {graded} ग्रेड हुईं, {failed} विफल।",
+
+  "history.unidentified": "अज्ञात मरीज़",
+  "history.gradedBy":
+    "ली गई {captured} · ग्रेड की गई {graded} · ग्रेडर {grader}",
+  "history.compare": "विज़िट की तुलना करें",
+  "history.search": "मरीज़ ID खोजें",
+  "history.grade": "ग्रेड",
+  "history.allGrades": "सभी ग्रेड",
+  "history.bothEyes": "दोनों आँखें",
+  "history.loadFailed": "स्क्रीनिंग इतिहास लोड नहीं हो सका।",
+  "history.exportFailed": "स्क्रीनिंग निर्यात नहीं हो सकीं।",
+  "history.empty": "कोई स्क्रीनिंग नहीं मिली",
+  "history.column.graded": "ग्रेड की गई",
+  "history.column.patient": "मरीज़ ID",
+  "history.column.eye": "आँख",
+  "history.column.captured": "ली गई",
+  "history.column.grade": "ग्रेड",
+  "history.column.confidence": "विश्वास स्तर",
+  "history.column.gradedBy": "ग्रेडर",
+
+  "offline.online.one": "{count} अपलोड लंबित",
+  "offline.online.other": "{count} अपलोड लंबित",
+  "offline.offline": "ऑफ़लाइन",
+  "offline.offlineQueued": "ऑफ़लाइन · {count} कतार में",
+  "offline.title": "ऑफ़लाइन कतार",
+  "offline.onlineHint": "ऑनलाइन रहने पर कतार की छवियाँ अपने आप भेजी जाती हैं।",
+  "offline.offlineHint":
+    "आप ऑफ़लाइन हैं। छवियाँ इस डिवाइस पर सहेजी जाती हैं और कनेक्शन लौटने पर ग्रेड की जाएँगी।",
+  "offline.sync": "अभी सिंक करें",
+  "offline.clearSynced": "सिंक हुई हटाएँ",
+  "offline.view": "परिणाम देखें",
+  "offline.noPatient": "मरीज़ ID नहीं",
+  "offline.captured": "{patient} · ली गई {date}",
+  "offline.rejected": "सर्वर ने यह छवि अस्वीकार कर दी।",
+  "offline.status.pending": "लंबित",
+  "offline.status.synced": "सिंक हुई",
+  "offline.status.failed": "विफल",
+
+  "jobs.title": "हाल के विश्लेषण",
+  "jobs.hint":
+    "छवियों की ग्रेडिंग पृष्ठभूमि में होती है। रीलोड के बाद भी परिणाम यहाँ रहते हैं।",
+  "jobs.view": "परिणाम देखें",
+  "jobs.viewFailed": "यह परिणाम लोड नहीं हो सका।",
+  "jobs.noPatient": "कोई रोगी आईडी नहीं",
+  "jobs.submitted": "{patient} · {date} को भेजा गया",
+  "jobs.status.queued": "कतार में",
+  "jobs.status.running": "चल रहा है",
+  "jobs.status.done": "पूर्ण",
+  "jobs.status.failed": "विफल",
+
+  "review.title": "ग्रेडर समीक्षा",
+  "review.confirmed": "{grader} द्वारा {date} को पुष्टि की गई",
+  "review.overridden": "{grader} द्वारा {date} को बदला गया",
+  "review.revise": "संशोधित करें",
+  "review.auditTrail": "ऑडिट ट्रेल",
+  "review.finalGrade": "अंतिम ग्रेड",
+  "review.aiGrade": " (AI ग्रेड)",
+  "review.lesions": "मौजूद घाव",
+  "review.findings": "निष्कर्ष",
+  "review.maculopathy": "मैक्युलोपैथी",
+  "review.maculopathyNotRecorded": "दर्ज नहीं",
+  "review.saving": "सहेजा जा रहा है...",
+  "review.overrideTo": "{grade} में बदलें",
+  "review.confirm": "AI ग्रेड की पुष्टि करें",
+  "review.saveFailed": "समीक्षा सहेजी नहीं जा सकी।",
+  "lesion.microaneurysms": "माइक्रोएन्यूरिज़्म",
+  "lesion.hemorrhages": "रक्तस्राव",
+  "lesion.exudates": "एक्सूडेट्स",
+  "lesion.neovascularization": "नियोवैस्कुलराइज़ेशन",
+
+  "progression.show": "प्रगति दिखाएँ",
+  "progression.loadFailed": "मरीज़ की स्क्रीनिंग लोड नहीं हो सकीं।",
+  "progression.empty": "इस मरीज़ और आँख के लिए कोई स्क्रीनिंग नहीं मिली।",
+  "progression.alert.one":
+    "{date} तक {count} ग्रेड बढ़कर {grade} ({description}) हो गया।",
+  "progression.alert.other":
+    "{date} तक {count} ग्रेड बढ़कर {grade} ({description}) हो गया।",
+  "progression.chartTitle": "समय के साथ ग्रेड और रेफ़र योग्य DR की प्रायिकता",
+  "progression.grade": "ग्रेड",
+  "progression.pReferableDR": "P(रेफ़र योग्य DR)",
+  "progression.pReferable": "P(रेफ़र योग्य)",
+  "progression.pReferableValue": "P(रेफ़र योग्य) {value}",
+  "progression.visits": "विज़िट",
+  "progression.column.date": "तिथि",
+  "progression.column.change": "बदलाव",
+  "progression.column.reviewed": "समीक्षित",
+  "progression.aiOnly": "केवल AI",
+  "progression.compareVisit": "{date} की विज़िट की तुलना करें",
+  "progression.imageAlt": "{date} की फ़ंडस छवि",
+  "progression.comparison": "साथ-साथ तुलना",
+  "progression.comparisonHint":
+    "ज़ूम और पैन सभी छवियों में एक साथ चलते हैं। ऊपर से अधिकतम {max} विज़िट चुनें।",
+
+  "common.cancel": "रद्द करें",
+  "common.close": "बंद करें",
+  "common.retry": "फिर से प्रयास करें",
+  "common.imageUnavailable": "छवि उपलब्ध नहीं है",
+  "common.remove": "हटाएँ",
+  "common.exportCsv": "CSV निर्यात करें",
+};
+
+export default hi;
@@ -0,0 +1,446 @@
+// Telugu messages
+const te = {
+  "app.title": "డయాబెటిక్ రెటినోపతి క్లాసిఫైయర్",
+  "app.subtitle":
+    "DR తీవ్రత గ్రేడ్ (0-4) తెలుసుకోవడానికి రెటినల్ ఫండస్ చిత్రాన్ని అప్‌లోడ్ చేయండి",
+  "app.signedInAs": "సైన్ ఇన్ అయినవారు:",
+  "app.logout": "లాగ్ అవుట్",
+  "app.language": "భాష",
+  "palette.colorBlind": "వర్ణాంధత్వానికి అనుకూలమైన రంగులు",
+  "theme.label": "థీమ్",
+  "theme.system": "సిస్టమ్",
+  "theme.light": "లేత",
+  "theme.dark": "ముదురు",
+  "theme.highContrast": "అధిక కాంట్రాస్ట్",
+  "app.sessionExpired": "మీ సెషన్ ముగిసింది. దయచేసి మళ్లీ సైన్ ఇన్ చేయండి.",
+  "app.tab.single": "ఒక చిత్రం",
+  "app.tab.exam": "రెండు కళ్ల పరీక్ష",
+  "app.tab.batch": "బ్యాచ్ స్క్రీనింగ్",
+  "app.tab.history": "చరిత్ర",
+  "app.tab.progression": "పురోగతి",
+
+  "upload.title": "రెటినల్ చిత్రాన్ని అప్‌లోడ్ చేయండి",
+  "upload.drop": "చిత్రాన్ని ఇక్కడ వదలండి",
+  "upload.dropMany": "చిత్రాలను ఇక్కడ వదలండి",
+  "upload.browse": "లాగి వదలండి లేదా బ్రౌజ్ చేయడానికి క్లిక్ చేయండి",
+  "upload.replace": "వేరే చిత్రాన్ని ఎంచుకోండి",
+  "upload.browseFiles": "ఫైళ్లను బ్రౌజ్ చేయండి",
+  "upload.supported": "మద్దతు: JPEG, PNG (గరిష్టం 5MB)",
+  "upload.preview": "ప్రివ్యూ",
+  "upload.tooLarge": "ఫైల్ చాలా పెద్దది (గరిష్టం 5MB)",
+  "upload.unsupportedType": "JPEG/PNG చిత్రాలకు మాత్రమే మద్దతు ఉంది",
+  "upload.readFailed":
+    "చిత్ర ఫైల్‌ను చదవలేకపోయాము. దయచేసి దాన్ని మళ్లీ ఎంచుకోండి.",
+  "upload.explain": "అటెన్షన్ హీట్‌మ్యాప్ రూపొందించండి",
+  "upload.uncertainty": "అనిశ్చితిని అంచనా వేయండి (నెమ్మదిగా)",
+  "upload.analyze": "చిత్రాన్ని విశ్లేషించండి",
+  "upload.analyzing": "రెటినల్ చిత్రం విశ్లేషించబడుతోంది...",
+  "upload.uploading": "{total}లో {loaded} అప్‌లోడ్ అవుతోంది...",
+  "upload.uploadingLabel": "చిత్రం అప్‌లోడ్ అవుతోంది...",
+  "upload.failed":
+    "చిత్రాన్ని వర్గీకరించలేకపోయాము. దయచేసి సరైన రెటినల్ స్కాన్‌ను అప్‌లోడ్ చేయండి.",
+  "upload.queued":
+    "{filename} ఈ పరికరంలో సేవ్ చేయబడింది, కనెక్షన్ తిరిగి వచ్చినప్పుడు గ్రేడ్ చేయబడుతుంది.",
+
+  "placeholder.title": "విశ్లేషణ ఫలితాలు",
+  "placeholder.body":
+    "DR వర్గీకరణ ఫలితాలను చూడటానికి రెటినల్ ఫండస్ చిత్రాన్ని అప్‌లోడ్ చేయండి",
+  "placeholder.grades": "డయాబెటిక్ రెటినోపతి గ్రేడ్‌లు:",
+
+  "auth.appTitle": "రెటినల్ DR క్లాసిఫైయర్",
+  "auth.intro":
+    "ఈ అప్లికేషన్ ఆరోగ్య నిపుణులు రెటినల్ ఫండస్ చిత్రాలలో డయాబెటిక్ రెటినోపతి తీవ్రతను వర్గీకరించడానికి రూపొందించబడింది. రోగనిర్ధారణ అవసరాలకు మాత్రమే.",
+  "auth.signIn": "సైన్ ఇన్",
+  "auth.signUp": "సైన్ అప్",
+  "auth.createAccount": "ఖాతా సృష్టించండి",
+  "auth.email": "ఇమెయిల్ చిరునామా",
+  "auth.password": "పాస్‌వర్డ్",
+  "auth.confirmPassword": "పాస్‌వర్డ్‌ను నిర్ధారించండి",
+  "auth.fullName": "పూర్తి పేరు",
+  "auth.togglePassword": "పాస్‌వర్డ్ చూపించు లేదా దాచు",
+  "auth.toRegister": "ఖాతా లేదా? సైన్ అప్ చేయండి",
+  "auth.toLogin": "ఇప్పటికే ఖాతా ఉందా? సైన్ ఇన్ చేయండి",
+  "auth.fillAllFields": "దయచేసి అన్ని ఫీల్డ్‌లను నింపండి",
+  "auth.passwordMismatch": "పాస్‌వర్డ్‌లు సరిపోలడం లేదు",
+  "auth.passwordTooShort": "పాస్‌వర్డ్ కనీసం 8 అక్షరాలు ఉండాలి",
+  "auth.loginFailed": "లాగిన్ విఫలమైంది. దయచేసి మీ వివరాలను తనిఖీ చేయండి.",
+  "auth.registerFailed": "నమోదు విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.",
+  "auth.registered": "నమోదు విజయవంతమైంది! ఇప్పుడు మీరు లాగిన్ కావచ్చు.",
+  "auth.forgotPassword": "పాస్‌వర్డ్ మర్చిపోయారా?",
+  "auth.backToLogin": "సైన్ ఇన్‌కు తిరిగి వెళ్ళండి",
+  "auth.resetTitle": "పాస్‌వర్డ్ రీసెట్ చేయండి",
+  "auth.resetIntro":
+    "మీ ఖాతా ఇమెయిల్ చిరునామాను నమోదు చేయండి, కొత్త పాస్‌వర్డ్ ఎంచుకోవడానికి మేము లింక్ పంపుతాము.",
+  "auth.sendResetLink": "రీసెట్ లింక్ పంపండి",
+  "auth.resetSent":
+    "{email} ను ఏదైనా ఖాతా ఉపయోగిస్తే, పాస్‌వర్డ్ రీసెట్ చేయడానికి మేము లింక్ పంపాము.",
+  "auth.resetRequestFailed":
+    "రీసెట్ లింక్ పంపలేకపోయాం. దయచేసి మళ్లీ ప్రయత్నించండి.",
+  "auth.choosePassword": "కొత్త పాస్‌వర్డ్ ఎంచుకోండి",
+  "auth.newPassword": "కొత్త పాస్‌వర్డ్",
+  "auth.savePassword": "పాస్‌వర్డ్ సేవ్ చేయండి",
+  "auth.passwordChanged":
+    "మీ పాస్‌వర్డ్ మార్చబడింది. ఇప్పుడు దానితో సైన్ ఇన్ చేయవచ్చు.",
+  "auth.resetFailed":
+    "పాస్‌వర్డ్ రీసెట్ చేయలేకపోయాం. దయచేసి మళ్లీ ప్రయత్నించండి.",
+  "auth.checkingLink": "లింక్‌ను తనిఖీ చేస్తోంది...",
+  "auth.requestNewReset": "కొత్త లింక్ అభ్యర్థించండి",
+  "auth.link.invalid":
+    "ఈ లింక్ చెల్లదు. ఇమెయిల్‌లోని పూర్తి లింక్‌ను తెరిచారో లేదో తనిఖీ చేయండి.",
+  "auth.link.expired": "ఈ లింక్ గడువు ముగిసింది. దిగువన కొత్తది అభ్యర్థించండి.",
+  "auth.link.used":
+    "ఈ లింక్ ఇప్పటికే ఉపయోగించబడింది. ప్రతి లింక్ ఒక్కసారి మాత్రమే పనిచేస్తుంది.",
+  "auth.verifyTitle": "ఇమెయిల్ ధృవీకరించండి",
+  "auth.verifying": "మీ ఇమెయిల్ చిరునామా ధృవీకరించబడుతోంది...",
+  "auth.verified":
+    "మీ ఇమెయిల్ చిరునామా ధృవీకరించబడింది. ఇప్పుడు సైన్ ఇన్ చేయవచ్చు.",
+  "auth.verifyFailed":
+    "ఇమెయిల్ చిరునామాను ధృవీకరించలేకపోయాం. దయచేసి మళ్లీ ప్రయత్నించండి.",
+  "auth.verificationSent":
+    "మేము {email}కు ధృవీకరణ లింక్ పంపాము. మీ ఖాతాను సక్రియం చేయడానికి దాన్ని తెరిచి, ఆపై సైన్ ఇన్ చేయండి.",
+  "auth.verificationNotSent":
+    "మీ ఖాతా సృష్టించబడింది, కానీ {email}కు ధృవీకరణ ఇమెయిల్ పంపలేకపోయాము. దిగువ నుండి దాన్ని మళ్లీ పంపండి.",
+  "auth.unverified":
+    "సైన్ ఇన్ చేసే ముందు మీ ఇమెయిల్ చిరునామాను ధృవీకరించండి. మేము పంపిన లింక్ కోసం మీ ఇన్‌బాక్స్ చూడండి.",
+  "auth.resendVerification": "ధృవీకరణ ఇమెయిల్ మళ్లీ పంపండి",
+  "auth.verificationResent":
+    "ఖాతాకు ఇంకా ధృవీకరణ అవసరమైతే, కొత్త లింక్ పంపబడింది.",
+  "auth.resendFailed": "ఇమెయిల్ పంపలేకపోయాం. దయచేసి మళ్లీ ప్రయత్నించండి.",
+
+  "field.username": "ఇమెయిల్",
+  "field.email": "ఇమెయిల్",
+  "field.full_name": "పేరు",
+  "field.password": "పాస్‌వర్డ్",
+  "field.file": "చిత్రం",
+  "request.timedOut":
+    "సర్వర్ {seconds} సెకన్లలో స్పందించలేదు. మీ కనెక్షన్‌ను తనిఖీ చేసి మళ్లీ ప్రయత్నించండి.",
+
+  "model.title": "మోడల్ సమాచారం",
+  "model.version": "మోడల్ {version}",
+  "model.unknownVersion": "తెలియని వెర్షన్",
+  "model.versionLabel": "వెర్షన్",
+  "model.architecture": "ఆర్కిటెక్చర్",
+  "model.weights": "వెయిట్స్ ఫైల్",
+  "model.checksum": "చెక్‌సమ్",
+  "model.inputSize": "ఇన్‌పుట్ పరిమాణం",
+  "model.pixels": "{size} × {size} px",
+  "model.trainingNotes": "శిక్షణ గమనికలు",
+  "model.classes": "మోడల్ అవుట్‌పుట్‌లు",
+  "model.output": "అవుట్‌పుట్",
+  "model.grade": "గ్రేడ్",
+  "model.picker": "మోడల్",
+  "model.option": "{name} ({version})",
+  "model.defaultSuffix": " – డిఫాల్ట్",
+  "model.ensemble": "ఎన్‌సెంబుల్ (అన్ని మోడళ్ల సగటు)",
+  "model.ensembleHint":
+    "మోడళ్ల సంభావ్యతల సగటు తీసుకుని ప్రతి మోడల్ ఓటును చూపిస్తుంది",
+
+  "ensemble.title": "మోడల్ ఓట్లు",
+  "ensemble.agreement": "అన్ని మోడళ్లు గ్రేడ్‌పై ఏకీభవిస్తున్నాయి.",
+  "ensemble.disagreement":
+    "మోడళ్లు ఏకీభవించలేదు: {agreement} సంయుక్త గ్రేడ్‌కు ఓటు వేశాయి. చర్య తీసుకునే ముందు చిత్రాన్ని సమీక్షించండి.",
+  "ensemble.model": "మోడల్",
+  "ensemble.vote": "ఓటు",
+  "ensemble.combined": "సంయుక్త (సగటు)",
+  "ensemble.flag": "మోడళ్లు ఏకీభవించలేదు",
+
+  "grade.label": "{grade}: {description}",
+  "scheme.label": "గ్రేడింగ్ విధానం",
+  "scheme.saveFailed": "గ్రేడింగ్ విధానాన్ని మార్చలేకపోయాం.",
+  "scheme.icdr.0.label": "గ్రేడ్ 0",
+  "scheme.icdr.1.label": "గ్రేడ్ 1",
+  "scheme.icdr.2.label": "గ్రేడ్ 2",
+  "scheme.icdr.3.label": "గ్రేడ్ 3",
+  "scheme.icdr.4.label": "గ్రేడ్ 4",
+  "scheme.icdr.0.description": "DR కనిపించలేదు",
+  "scheme.icdr.1.description": "తేలికపాటి నాన్-ప్రొలిఫెరేటివ్ DR",
+  "scheme.icdr.2.description": "మధ్యస్థ నాన్-ప్రొలిఫెరేటివ్ DR",
+  "scheme.icdr.3.description": "తీవ్రమైన నాన్-ప్రొలిఫెరేటివ్ DR",
+  "scheme.icdr.4.description": "ప్రొలిఫెరేటివ్ DR",
+
+  "scheme.icdr.0.recommendation":
+    "రెఫరల్ అవసరం లేదు. 12 నెలల్లో మళ్లీ స్క్రీనింగ్ చేయండి.",
+  "scheme.icdr.1.recommendation":
+    "రెఫరల్ అవసరం లేదు. 9-12 నెలల్లో మళ్లీ స్క్రీనింగ్ చేయండి.",
+  "scheme.icdr.2.recommendation":
+    "నేత్ర వైద్య నిపుణుడికి సాధారణ రెఫరల్. 3-6 నెలల్లో సమీక్షించండి.",
+  "scheme.icdr.3.recommendation":
+    "రెటీనా నిపుణుడికి అత్యవసర రెఫరల్. 4 వారాల్లో సమీక్షించండి.",
+  "scheme.icdr.4.recommendation":
+    "చికిత్స అంచనా కోసం రెటీనా నిపుణుడికి వెంటనే రెఫర్ చేయండి.",
+
+  "scheme.icdr.0.summary":
+    "డయాబెటిక్ రెటినోపతి యొక్క కనిపించే సంకేతాలు ఏవీ కనుగొనబడలేదు. ఏవైనా మార్పులను గమనించడానికి ప్రతి సంవత్సరం క్రమం తప్పకుండా స్క్రీనింగ్ చేయించుకోవాలి.",
+  "scheme.icdr.0.significance":
+    "తక్కువ ప్రమాదం. క్రమమైన పర్యవేక్షణను కొనసాగించండి. రక్తంలో చక్కెరను బాగా నియంత్రించండి, ఆరోగ్యకరమైన జీవనశైలిని పాటించండి.",
+  "scheme.icdr.1.summary":
+    "తేలికపాటి నాన్-ప్రొలిఫెరేటివ్ డయాబెటిక్ రెటినోపతి (NPDR)లో రక్తనాళాల్లో చాలా తక్కువ మార్పులు ఉంటాయి. ఈ ప్రారంభ దశలో రెటీనా రక్తనాళాల్లో మైక్రోఅన్యూరిజమ్స్ అనే చిన్న బుడగ వంటి వాపులు ఏర్పడతాయి.",
+  "scheme.icdr.1.significance":
+    "దృష్టి కోల్పోయే ప్రమాదం తక్కువ. రక్తంలో చక్కెర, రక్తపోటు, కొలెస్ట్రాల్‌ను నియంత్రించండి. 9-12 నెలల్లో తదుపరి పరీక్ష సిఫార్సు చేయబడింది.",
+  "scheme.icdr.2.summary":
+    "మధ్యస్థ నాన్-ప్రొలిఫెరేటివ్ డయాబెటిక్ రెటినోపతిలో వ్యాధి పెరుగుతుంది: మైక్రోఅన్యూరిజమ్స్, డాట్ మరియు బ్లాట్ రక్తస్రావాలు, హార్డ్ ఎక్సుడేట్స్ పెరుగుతాయి. రెటీనాకు పోషణ అందించే కొన్ని రక్తనాళాలు మూసుకుపోతాయి.",
+  "scheme.icdr.2.significance":
+    "మధ్యస్థ ప్రమాదం. మధుమేహాన్ని మరింత జాగ్రత్తగా నియంత్రించాలి. రోగులను తరచుగా, సాధారణంగా ప్రతి 6-8 నెలలకు పర్యవేక్షించాలి.",
+  "scheme.icdr.3.summary":
+    "తీవ్రమైన నాన్-ప్రొలిఫెరేటివ్ డయాబెటిక్ రెటినోపతిలో అనేక రక్తనాళాలు మూసుకుపోయి, రెటీనాలోని పలు భాగాలకు రక్త సరఫరా ఆగిపోతుంది. ఈ భాగాలు కొత్త రక్తనాళాలు పెరగమని సంకేతమిచ్చే గ్రోత్ ఫ్యాక్టర్లను విడుదల చేస్తాయి.",
+  "scheme.icdr.3.significance":
+    "PDRగా మారే ప్రమాదం ఎక్కువ. ప్రతి 3-4 నెలలకు దగ్గరి పర్యవేక్షణ తప్పనిసరి. రెటీనా నిపుణుడిని సంప్రదించడం సిఫార్సు చేయబడింది.",
+  "scheme.icdr.4.summary":
+    "ప్రొలిఫెరేటివ్ డయాబెటిక్ రెటినోపతి (PDR) ముదిరిన, చాలా తీవ్రమైన దశ. రెటీనాలో మరియు విట్రియస్ హ్యూమర్‌లోకి కొత్త అసాధారణ రక్తనాళాలు పెరుగుతాయి. ఇవి లీక్ అయి తీవ్రమైన దృష్టి నష్టానికి, అంధత్వానికి కూడా దారితీయవచ్చు.",
+  "scheme.icdr.4.significance":
+    "తీవ్రమైన దృష్టి నష్టానికి చాలా ఎక్కువ ప్రమాదం. వెంటనే రెటీనా నిపుణుడిని సంప్రదించాలి. చికిత్సలో లేజర్ ఫోటోకోయాగ్యులేషన్, యాంటీ-VEGF ఇంజెక్షన్లు లేదా విట్రెక్టమీ ఉండవచ్చు.",
+  "clinical.disclaimer.images":
+    "ఈ సాధనం ప్రత్యేకంగా రెటినల్ ఫండస్ చిత్రాల కోసం రూపొందించబడింది. ఇతర రకాల చిత్రాలకు ఫలితాలు సరిగా ఉండకపోవచ్చు.",
+  "clinical.disclaimer.diagnostic":
+    "రోగనిర్ధారణ అవసరాలకు మాత్రమే. వైద్య సలహా కోసం దయచేసి ఆరోగ్య నిపుణుడిని సంప్రదించండి.",
+
+  "result.title": "విశ్లేషణ ఫలితం",
+  "result.aiGrade": "AI గ్రేడ్",
+  "result.finalGrade": "తుది గ్రేడ్",
+  "result.confirmedBy": "AI గ్రేడ్‌ను {grader} నిర్ధారించారు",
+  "result.confidence": "విశ్వాస స్థాయి: {value}",
+  "result.uncertainty": "అనిశ్చితి: {value} ({level})",
+  "result.uncertaintyLevel.low": "తక్కువ",
+  "result.uncertaintyLevel.moderate": "మధ్యస్థ",
+  "result.uncertaintyLevel.high": "ఎక్కువ",
+  "result.uncertaintyHint":
+    "డ్రాప్‌అవుట్ ప్రారంభించి తిప్పిన మరియు భ్రమణం చేసిన ప్రతులపై {passes} పాస్‌ల నుండి. బార్‌లపై బ్యాండ్‌లు రెండు వైపులా ఒక ప్రామాణిక విచలనాన్ని చూపిస్తాయి.",
+  "result.withSpread": "{value} ± {spread}",
+  "result.downloadReport": "నివేదికను డౌన్‌లోడ్ చేయండి",
+  "result.preparingReport": "నివేదిక సిద్ధమవుతోంది...",
+  "result.reportFailed": "నివేదికను రూపొందించలేకపోయాము.",
+  "result.exportFhir": "FHIR ఎగుమతి చేయండి",
+  "result.exportingFhir": "ఎగుమతి అవుతోంది...",
+  "result.fhirTooltip": "FHIR R4 DiagnosticReport, Observation, Media బండిల్",
+  "result.fhirFailed": "FHIR బండిల్‌ను ఎగుమతి చేయలేకపోయాము.",
+  "result.distribution": "సంభావ్యత పంపిణీ",
+  "result.gradeProbabilities": "DR గ్రేడ్‌ల సంభావ్యత",
+  "result.gradeProbabilitiesHint":
+    "ఎక్కువ శాతం అంటే ఆ DR గ్రేడ్‌కు ఎక్కువ అవకాశం",
+  "result.scaleTitle": "DR గ్రేడ్ స్కేల్:",
+  "result.scale":
+    "{lowest} నుండి {highest} వరకు. ఎక్కువ గ్రేడ్ అంటే మరింత తీవ్రమైన డయాబెటిక్ రెటినోపతి.",
+  "result.clinicalSignificance": "వైద్యపరమైన ప్రాముఖ్యత:",
+  "result.references": "మూలాలు:",
+  "result.learnMore": "డయాబెటిక్ రెటినోపతి గురించి మరింత తెలుసుకోండి",
+  "result.announcement":
+    "విశ్లేషణ పూర్తయింది: {grade}, విశ్వాస స్థాయి {confidence}.",
+  "result.chartLabel": "సంభావ్యత పంపిణీ: {values}",
+  "result.showTable": "పట్టికగా చూపించండి",
+  "result.hideTable": "పట్టికను దాచండి",
+  "result.column.class": "తరగతి",
+  "result.column.description": "వివరణ",
+  "result.column.probability": "సంభావ్యత",
+  "result.mostLikely": "అత్యంత సంభావ్యం",
+  "result.recall.one": "{count} నెలలో మళ్లీ పరీక్ష",
+  "result.recall.other": "{count} నెలల్లో మళ్లీ పరీక్ష",
+
+  "referral.refer": "రెఫర్ చేయండి",
+  "referral.noRefer": "రెఫర్ చేయవద్దు",
+  "referral.indeterminate": "అనిశ్చితం – మానవ గ్రేడింగ్ అవసరం",
+  "referral.indeterminateAdvice":
+    "నిర్ణయం తీసుకోవడానికి మోడల్‌కు తగినంత నిశ్చయత లేదు. రెఫరల్ నిర్ణయించే ముందు శిక్షణ పొందిన గ్రేడర్‌తో చిత్రాన్ని సమీక్షించండి.",
+  "referral.reason.confidence":
+    "అగ్ర గ్రేడ్ విశ్వాస స్థాయి {confidence} (కనీసం {minimum})",
+  "referral.reason.margin":
+    "{top} vs {second}: తేడా {margin} (కనీసం {minimum})",
+  "referral.reason.probability":
+    "P(రెఫర్ చేయదగిన DR, ≥{grade}) = {probability} ({threshold} వద్ద రెఫర్ చేయండి)",
+
+  "patient.id": "రోగి ID",
+  "patient.eye": "కన్ను",
+  "patient.captureDate": "చిత్రం తీసిన తేదీ",
+  "patient.eyeNotSpecified": "పేర్కొనలేదు",
+  "eye.OD": "OD (కుడి కన్ను)",
+  "eye.OS": "OS (ఎడమ కన్ను)",
+
+  "quality.checking": "చిత్ర నాణ్యత తనిఖీ అవుతోంది...",
+  "quality.notAssessed": "చిత్ర నాణ్యత అంచనా వేయలేదు",
+  "quality.good": "మంచి చిత్ర నాణ్యత",
+  "quality.ungradable": "గ్రేడ్ చేయలేకపోవచ్చు (నాణ్యత {score})",
+  "quality.override":
+    "నేను ఈ చిత్రాన్ని పరిశీలించాను, అయినా దీన్ని సమర్పించాలనుకుంటున్నాను",
+  "quality.check.field": "ఫండస్ క్షేత్రం",
+  "quality.check.illumination": "వెలుతురు",
+  "quality.check.contrast": "కాంట్రాస్ట్",
+  "quality.check.sharpness": "స్పష్టత",
+  "quality.issue.noField":
+    "వృత్తాకార ఫండస్ క్షేత్రం కనిపించలేదు - ఇది రెటినల్ ఫోటో కాకపోవచ్చు",
+  "quality.issue.underexposed": "చిత్రంలో వెలుతురు తక్కువ (చాలా చీకటిగా ఉంది)",
+  "quality.issue.overexposed": "చిత్రంలో వెలుతురు ఎక్కువ లేదా మెరుపు ఉంది",
+  "quality.issue.lowContrast":
+    "తక్కువ కాంట్రాస్ట్ - రక్తనాళాలు, గాయాలు స్పష్టంగా కనిపించకపోవచ్చు",
+  "quality.issue.blurry": "చిత్రం మసకగా ఉంది లేదా ఫోకస్‌లో లేదు",
+
+  "modelInput.title": "మోడల్ ఏమి చూస్తుంది",
+  "modelInput.alt": "విశ్లేషణకు పంపిన కత్తిరించిన ఫండస్",
+  "modelInput.hint":
+    "అప్‌లోడ్‌కు ముందు మీ బ్రౌజర్‌లోనే ఫండస్ డిస్క్‌ను కత్తిరించి, చతురస్రంగా చేసి, చిన్నదిగా మారుస్తాము. మోడల్ 224×224 వద్ద పనిచేస్తుంది.",
+  "modelInput.size": "{size}×{size} px",
+  "modelInput.upload": "అప్‌లోడ్ {processed} (ముందు {original})",
+
+  "heatmap.title": "మోడల్ దృష్టి",
+  "heatmap.hint":
+    "చివరి EfficientNet ఫీచర్ మ్యాప్ నుండి Grad-CAM ప్రాముఖ్యత. వెచ్చని ప్రాంతాలు అంచనా వేసిన గ్రేడ్‌కు ఎక్కువగా దోహదపడ్డాయి; అవి ఆర్టిఫ్యాక్ట్‌లు, ప్రతిబింబాలు లేదా చిత్ర అంచుతో కాకుండా గాయాలతో సరిపోలుతున్నాయో తనిఖీ చేయండి.",
+  "heatmap.alt": "అటెన్షన్ హీట్‌మ్యాప్‌తో ఫండస్",
+  "heatmap.toggle": "హీట్‌మ్యాప్",
+  "heatmap.opacity": "అపారదర్శకత",
+  "heatmap.opacityLabel": "హీట్‌మ్యాప్ అపారదర్శకత",
+  "heatmap.low": "తక్కువ",
+  "heatmap.high": "ఎక్కువ",
+
+  "viewer.alt": "ఫండస్ చిత్రం",
+  "viewer.zoomOut": "జూమ్ అవుట్",
+  "viewer.zoomIn": "జూమ్ ఇన్ (లేదా చిత్రంపై స్క్రోల్ చేయండి)",
+  "viewer.reset": "వీక్షణను రీసెట్ చేయండి (లేదా చిత్రంపై డబుల్-క్లిక్ చేయండి)",
+  "viewer.loupe": "భూతద్దం",
+  "viewer.filters": "మెరుగుదల ఫిల్టర్లు",
+  "viewer.fullscreen": "పూర్తి స్క్రీన్",
+  "viewer.exitFullscreen": "పూర్తి స్క్రీన్ నుండి నిష్క్రమించండి",
+  "viewer.redFree": "రెడ్-ఫ్రీ",
+  "viewer.clahe": "CLAHE",
+  "viewer.invert": "తిరగేయండి",
+  "viewer.brightness": "ప్రకాశం",
+  "viewer.gamma": "గామా",
+  "viewer.resetFilters": "ఫిల్టర్లను రీసెట్ చేయండి",
+
+  "exam.upload": "{eye} చిత్రాన్ని అప్‌లోడ్ చేయండి",
+  "exam.previewAlt": "{eye} ప్రివ్యూ",
+  "exam.oneEye":
+    "ఒక కంటికి మాత్రమే చిత్రం ఉంది. రోగి గ్రేడ్ ఆ కంటి ఆధారంగానే ఉంటుంది.",
+  "exam.analyze": "పరీక్షను విశ్లేషించండి",
+  "exam.analyzing": "రెటినల్ చిత్రాలు విశ్లేషించబడుతున్నాయి...",
+  "exam.failed": "పరీక్షను విశ్లేషించలేకపోయాము.",
+  "exam.summary": "రోగి సారాంశం",
+  "exam.worseEye": "ఎక్కువ ప్రభావిత కన్ను ఆధారంగా: {eye}",
+  "exam.referral": "రెఫరల్ ({eye})",
+  "exam.announcement": "పరీక్ష విశ్లేషణ పూర్తయింది: {grade}, {eye} ఆధారంగా.",
+
+  "batch.title": "బ్యాచ్ గ్రేడింగ్ కోసం రెటినల్ చిత్రాలను అప్‌లోడ్ చేయండి",
+  "batch.browse":
+    "ఎన్ని చిత్రాలైనా లాగి వదలండి లేదా బ్రౌజ్ చేయడానికి క్లిక్ చేయండి",
+  "batch.supported": "మద్దతు: JPEG, PNG (ఒక్కొక్కటి గరిష్టం 5MB)",
+  "batch.gradeAll": "అన్నీ గ్రేడ్ చేయండి ({count})",
+  "batch.retryFailed": "విఫలమైనవి మళ్లీ ప్రయత్నించండి ({count})",
+  "batch.clear": "క్యూ ఖాళీ చేయండి",
+  "batch.stop": "ఆపండి",
+  "batch.counts": "{graded} గ్రేడ్ అయ్యాయి · {failed} విఫలం · మొత్తం {total}",
+  "batch.failedWarning.one":
+    "{count} చిత్రాన్ని గ్రేడ్ చేయలేకపోయాము. దిగువ లోపాన్ని చూసి మళ్లీ ప్రయత్నించండి.",
+  "batch.failedWarning.other":
+    "{count} చిత్రాలను గ్రేడ్ చేయలేకపోయాము. దిగువ లోపాలను చూసి మళ్లీ ప్రయత్నించండి.",
+  "batch.column.name": "ఫైల్",
+  "batch.column.status": "స్థితి",
+  "batch.column.grade": "గ్రేడ్",
+  "batch.column.confidence": "విశ్వాస స్థాయి",
+  "batch.column.actions": "చర్యలు",
+  "batch.status.pending": "పెండింగ్",
+  "batch.status.uploading": "అప్‌లోడ్ అవుతోంది",
+  "batch.status.analyzing": "విశ్లేషిస్తోంది",
+  "batch.status.graded": "గ్రేడ్ అయింది",
+  "batch.status.failed": "విఫలం",
+  "batch.announcement":
+    "బ్యాచ్ గ్రేడింగ్ ముగిసింది: {graded} గ్రేడ్ అయ్యాయి, {failed} విఫలం.",
+
+  "history.unidentified": "గుర్తించని రోగి",
+  "history.gradedBy":
+    "తీసినది {captured} · గ్రేడ్ చేసినది {graded} · గ్రేడర్ {grader}",
+  "history.compare": "సందర్శనలను పోల్చండి",
+  "history.search": "రోగి ID వెతకండి",
+  "history.grade": "గ్రేడ్",
+  "history.allGrades": "అన్ని గ్రేడ్‌లు",
+  "history.bothEyes": "రెండు కళ్లు",
+  "history.loadFailed": "స్క్రీనింగ్ చరిత్రను లోడ్ చేయలేకపోయాము.",
+  "history.exportFailed": "స్క్రీనింగ్‌లను ఎగుమతి చేయలేకపోయాము.",
+  "history.empty": "స్క్రీనింగ్‌లు కనుగొనబడలేదు",
+  "history.column.graded": "గ్రేడ్ చేసినది",
+  "history.column.patient": "రోగి ID",
+  "history.column.eye": "కన్ను",
+  "history.column.captured": "తీసినది",
+  "history.column.grade": "గ్రేడ్",
+  "history.column.confidence": "విశ్వాస స్థాయి",
+  "history.column.gradedBy": "గ్రేడర్",
+
+  "offline.online.one": "{count} అప్‌లోడ్ పెండింగ్‌లో ఉంది",
+  "offline.online.other": "{count} అప్‌లోడ్‌లు పెండింగ్‌లో ఉన్నాయి",
+  "offline.offline": "ఆఫ్‌లైన్",
+  "offline.offlineQueued": "ఆఫ్‌లైన్ · {count} క్యూలో ఉన్నాయి",
+  "offline.title": "ఆఫ్‌లైన్ క్యూ",
+  "offline.onlineHint":
+    "మీరు ఆన్‌లైన్‌లో ఉన్నప్పుడు క్యూలోని చిత్రాలు ఆటోమేటిక్‌గా పంపబడతాయి.",
+  "offline.offlineHint":
+    "మీరు ఆఫ్‌లైన్‌లో ఉన్నారు. చిత్రాలు ఈ పరికరంలో సేవ్ అవుతాయి, కనెక్షన్ తిరిగి వచ్చినప్పుడు గ్రేడ్ చేయబడతాయి.",
+  "offline.sync": "ఇప్పుడే సింక్ చేయండి",
+  "offline.clearSynced": "సింక్ అయినవి తొలగించండి",
+  "offline.view": "ఫలితం చూడండి",
+  "offline.noPatient": "రోగి ID లేదు",
+  "offline.captured": "{patient} · తీసినది {date}",
+  "offline.rejected": "సర్వర్ ఈ చిత్రాన్ని తిరస్కరించింది.",
+  "offline.status.pending": "పెండింగ్",
+  "offline.status.synced": "సింక్ అయింది",
+  "offline.status.failed": "విఫలం",
+
+  "jobs.title": "ఇటీవలి విశ్లేషణలు",
+  "jobs.hint":
+    "చిత్రాలు నేపథ్యంలో గ్రేడ్ చేయబడతాయి. రీలోడ్ తర్వాత కూడా ఫలితాలు ఇక్కడే ఉంటాయి.",
+  "jobs.view": "ఫలితం చూడండి",
+  "jobs.viewFailed": "ఈ ఫలితాన్ని లోడ్ చేయలేకపోయాం.",
+  "jobs.noPatient": "రోగి ID లేదు",
+  "jobs.submitted": "{patient} · {date}న సమర్పించబడింది",
+  "jobs.status.queued": "క్యూలో ఉంది",
+  "jobs.status.running": "నడుస్తోంది",
+  "jobs.status.done": "పూర్తయింది",
+  "jobs.status.failed": "విఫలమైంది",
+
+  "review.title": "గ్రేడర్ సమీక్ష",
+  "review.confirmed": "{grader} {date}న నిర్ధారించారు",
+  "review.overridden": "{grader} {date}న మార్చారు",
+  "review.revise": "సవరించండి",
+  "review.auditTrail": "ఆడిట్ ట్రయల్",
+  "review.finalGrade": "తుది గ్రేడ్",
+  "review.aiGrade": " (AI గ్రేడ్)",
+  "review.lesions": "ఉన్న గాయాలు",
+  "review.findings": "పరిశీలనలు",
+  "review.maculopathy": "మాక్యులోపతి",
+  "review.maculopathyNotRecorded": "నమోదు చేయలేదు",
+  "review.saving": "సేవ్ అవుతోంది...",
+  "review.overrideTo": "{grade}కి మార్చండి",
+  "review.confirm": "AI గ్రేడ్‌ను నిర్ధారించండి",
+  "review.saveFailed": "సమీక్షను సేవ్ చేయలేకపోయాము.",
+  "lesion.microaneurysms": "మైక్రోఅన్యూరిజమ్స్",
+  "lesion.hemorrhages": "రక్తస్రావాలు",
+  "lesion.exudates": "ఎక్సుడేట్స్",
+  "lesion.neovascularization": "నియోవాస్కులరైజేషన్",
+
+  "progression.show": "పురోగతిని చూపించండి",
+  "progression.loadFailed": "రోగి స్క్రీనింగ్‌లను లోడ్ చేయలేకపోయాము.",
+  "progression.empty": "ఈ రోగి మరియు కంటికి స్క్రీనింగ్‌లు కనుగొనబడలేదు.",
+  "progression.alert.one":
+    "{date} నాటికి {count} గ్రేడ్ పెరిగి {grade} ({description})కి చేరింది.",
+  "progression.alert.other":
+    "{date} నాటికి {count} గ్రేడ్‌లు పెరిగి {grade} ({description})కి చేరింది.",
+  "progression.chartTitle": "కాలక్రమేణా గ్రేడ్ మరియు రెఫర్ చేయదగిన DR సంభావ్యత",
+  "progression.grade": "గ్రేడ్",
+  "progression.pReferableDR": "P(రెఫర్ చేయదగిన DR)",
+  "progression.pReferable": "P(రెఫర్ చేయదగినది)",
+  "progression.pReferableValue": "P(రెఫర్ చేయదగినది) {value}",
+  "progression.visits": "సందర్శనలు",
+  "progression.column.date": "తేదీ",
+  "progression.column.change": "మార్పు",
+  "progression.column.reviewed": "సమీక్షించినవారు",
+  "progression.aiOnly": "AI మాత్రమే",
+  "progression.compareVisit": "{date} సందర్శనను పోల్చండి",
+  "progression.imageAlt": "{date} నాటి ఫండస్ చిత్రం",
+  "progression.comparison": "పక్కపక్కన పోలిక",
+  "progression.comparisonHint":
+    "జూమ్ మరియు పాన్ అన్ని చిత్రాలలో ఒకేసారి జరుగుతాయి. పైన గరిష్టంగా {max} సందర్శనలను ఎంచుకోండి.",
+
+  "common.cancel": "రద్దు చేయండి",
+  "common.close": "మూసివేయండి",
+  "common.retry": "మళ్లీ ప్రయత్నించండి",
+  "common.imageUnavailable": "చిత్రం అందుబాటులో లేదు",
+  "common.remove": "తొలగించండి",
+  "common.exportCsv": "CSV ఎగుమతి చేయండి",
+};
+
+export default te;
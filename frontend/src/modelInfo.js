@@ -0,0 +1,98 @@
+import { useSyncExternalStore } from "react";
+import api from "./api";
+import { createPreferenceStore } from "./preferenceStore";
+
+// Models served by the backend (GET /models), each with its name, version,
+// checksum, input size, classes with their ordinal grades and training notes.
+// Cached so legends render before the request returns and while offline.
+const CACHE_KEY = "models";
+// Pseudo model that averages every model whose classes match the default's
+export const ENSEMBLE = "ensemble";
+
+const cachedRegistry = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let registry = cachedRegistry();
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+// Model picked for grading, per device and per user; "" is the server default
+const selectionStore = createPreferenceStore({
+  key: "model",
+  fallback: "",
+  isValid: (modelId) => typeof modelId === "string",
+  onChange: notify,
+});
+
+const NO_MODELS = [];
+
+export const getModels = () => registry?.models || NO_MODELS;
+
+export const getDefaultModel = () => registry?.default ?? null;
+
+export const canEnsemble = () => (registry?.ensemble || []).length > 1;
+
+// The picked model when the server still offers it, otherwise null (default)
+export const getSelectedModel = () => {
+  const selected = selectionStore.get();
+  if (selected === ENSEMBLE) return canEnsemble() ? ENSEMBLE : null;
+  return getModels().some(({ id }) => id === selected) ? selected : null;
+};
+
+// Metadata of the picked model; the default model's for the ensemble
+export const getModelInfo = () => {
+  const models = getModels();
+  return (
+    models.find(({ id }) => id === getSelectedModel()) ||
+    models.find(({ id }) => id === registry?.default) ||
+    null
+  );
+};
+
+export const loadModels = async () => {
+  const response = await api.get("/models");
+  registry = response.data;
+  localStorage.setItem(CACHE_KEY, JSON.stringify(registry));
+  notify();
+};
+
+// Switches model and remembers it for this device and, when signed in, the user
+export const setSelectedModel = (modelId, username) =>
+  selectionStore.set(modelId || "", username);
+
+// Applies a user's saved model after login
+export const loadUserModel = (username) =>
+  selectionStore.loadForUser(username);
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Re-renders the calling component when the models or the pick change
+export const useModelInfo = () => useSyncExternalStore(subscribe, getModelInfo);
+
+export const useModels = () => useSyncExternalStore(subscribe, getModels);
+
+export const useSelectedModel = () =>
+  useSyncExternalStore(subscribe, getSelectedModel);
+
+// Sends the picked model with a /predict or /exams request
+export const appendModelChoice = (formData, modelId = getSelectedModel()) => {
+  if (modelId) formData.append("model_id", modelId);
+};
+
+// Ordinal grade (0 = no DR) of a result's output, looked up by class name so
+// results from a model with other outputs still map; falls back to the position
+export const classGrade = (classNames, idx) => {
+  const modelClass = getModelInfo()?.classes.find(
+    ({ name }) => name === classNames[idx]
+  );
+  return modelClass ? modelClass.grade : idx;
+};
@@ -0,0 +1,54 @@
+import api from "./api";
+import {
+  appendModelChoice,
+  ENSEMBLE,
+  getModelInfo,
+  getSelectedModel,
+  loadModels,
+  loadUserModel,
+  setSelectedModel,
+} from "./modelInfo";
+
+const model = (id, version) => ({ id, name: id, version, classes: [] });
+
+const mockRegistry = (registry) =>
+  jest.spyOn(api, "get").mockResolvedValue({ data: registry });
+
+const sentModel = () => {
+  const formData = new FormData();
+  appendModelChoice(formData);
+  return formData.get("model_id");
+};
+
+afterEach(() => {
+  setSelectedModel(null);
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+test("sends the picked model and remembers it per user", async () => {
+  mockRegistry({
+    default: "a",
+    ensemble: ["a", "b"],
+    models: [model("a", "1.0"), model("b", "2.0")],
+  });
+  await loadModels();
+  expect(sentModel()).toBeNull();
+
+  setSelectedModel("b", "alice");
+  expect(sentModel()).toBe("b");
+  expect(getModelInfo().version).toBe("2.0");
+
+  setSelectedModel(null);
+  loadUserModel("alice");
+  expect(getSelectedModel()).toBe("b");
+});
+
+test("falls back to the default when the pick is no longer served", async () => {
+  mockRegistry({ default: "a", ensemble: [], models: [model("a", "1.0")] });
+  setSelectedModel(ENSEMBLE);
+  await loadModels();
+  expect(getSelectedModel()).toBeNull();
+  expect(sentModel()).toBeNull();
+  expect(getModelInfo().id).toBe("a");
+});
@@ -0,0 +1,171 @@
+import api from "./api";
+import { appendPatientFields } from "./PatientFields";
+import { appendModelChoice } from "./modelInfo";
+import { t } from "./i18n";
+
+// Uploads captured while the backend is unreachable, kept in IndexedDB so they
+// survive reloads and are sent to /predict once the connection returns
+
+const DB_NAME = "dr-classifier";
+const DB_VERSION = 1;
+const STORE = "uploads";
+
+export const isOfflineQueueSupported = () =>
+  typeof window !== "undefined" && !!window.indexedDB;
+
+// True when the request never reached the backend (as opposed to a 4xx/5xx
+// reply). A timed-out request may have been graded, so it is not queued again.
+export const isNetworkError = (err) =>
+  !err.response && !["ERR_CANCELED", "ECONNABORTED"].includes(err.code);
+
+const listeners = new Set();
+
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach((listener) => listener());
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("owner", "owner");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = callback(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const enqueueUpload = async ({
+  owner,
+  file,
+  patient,
+  explain,
+  uncertainty,
+  modelId,
+}) => {
+  const id = await withStore("readwrite", (store) =>
+    store.add({
+      owner,
+      // Stored as a Blob plus name: Safari cannot put File objects in IndexedDB
+      blob: new Blob([file], { type: file.type }),
+      filename: file.name,
+      patient,
+      explain,
+      uncertainty,
+      modelId,
+      status: "pending",
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      syncedAt: null,
+    })
+  );
+  notify();
+  return id;
+};
+
+export const listUploads = async (owner) => {
+  const uploads = await withStore("readonly", (store) =>
+    store.index("owner").getAll(owner)
+  );
+  return uploads.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+const updateUpload = async (id, changes) => {
+  await withStore("readwrite", (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => store.put({ ...request.result, ...changes });
+    return request;
+  });
+  notify();
+};
+
+export const removeUpload = async (id) => {
+  await withStore("readwrite", (store) => store.delete(id));
+  notify();
+};
+
+export const clearSyncedUploads = async (owner) => {
+  const uploads = await listUploads(owner);
+  await withStore("readwrite", (store) =>
+    uploads
+      .filter((upload) => upload.status === "synced")
+      .forEach((upload) => store.delete(upload.id))
+  );
+  notify();
+};
+
+const sendPending = async (owner) => {
+  const pending = (await listUploads(owner))
+    .filter((upload) => upload.status === "pending")
+    .reverse();
+
+  for (const upload of pending) {
+    const formData = new FormData();
+    formData.append("file", upload.blob, upload.filename);
+    appendPatientFields(formData, upload.patient);
+    formData.append("explain", upload.explain);
+    formData.append("uncertainty", Boolean(upload.uncertainty));
+    appendModelChoice(formData, upload.modelId);
+    try {
+      const response = await api.post("/predict", formData);
+      await updateUpload(upload.id, {
+        status: "synced",
+        result: response.data,
+        error: null,
+        syncedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      // Unreachable, signed out or server trouble: leave it pending for later
+      if (
+        isNetworkError(err) ||
+        [401, 502, 503, 504].includes(err.response?.status)
+      ) {
+        return;
+      }
+      await updateUpload(upload.id, {
+        status: "failed",
+        error: err.detail || t("offline.rejected"),
+      });
+    }
+  }
+};
+
+let syncInFlight = null;
+
+// Sends pending uploads oldest first. Stops at the first network error, since
+// the rest would fail the same way; rejected images are marked failed instead.
+export const syncPendingUploads = (owner) => {
+  // A second trigger (e.g. "online" firing during a sync) joins the running one
+  if (!syncInFlight) {
+    syncInFlight = sendPending(owner).finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+};
+
+export const retryUpload = (id) =>
+  updateUpload(id, { status: "pending", error: null });
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import api from "./api";
+
+// Runtime config (public/config.js) wins, as for the API base URL
+const TIMEOUT_SECONDS =
+  Number(window.__APP_CONFIG__?.predictionTimeoutSeconds) ||
+  Number(process.env.REACT_APP_PREDICTION_TIMEOUT_SECONDS) ||
+  120;
+
+// Longest a /predict or /exams request may take, upload included
+export const PREDICTION_TIMEOUT_MS = TIMEOUT_SECONDS * 1000;
+
+export const isCancelled = (err) => err.code === "ERR_CANCELED";
+
+// Progress of a request: "uploading" while the image bytes are sent (total is
+// null until the browser knows it), "analyzing" once the server has them all
+export const uploadPhase = ({ loaded, total }) =>
+  total && loaded >= total
+    ? { phase: "analyzing", loaded, total }
+    : { phase: "uploading", loaded, total: total || null };
+
+export const postPrediction = (url, formData, { signal, onProgress } = {}) => {
+  onProgress?.(uploadPhase({ loaded: 0, total: null }));
+  return api.post(url, formData, {
+    signal,
+    timeout: PREDICTION_TIMEOUT_MS,
+    onUploadProgress: (event) => onProgress?.(uploadPhase(event)),
+  });
+};
+
+// One cancellable prediction request at a time, with its progress. Leaving
+// the page aborts a request still in flight.
+export const usePredictionRequest = () => {
+  const [progress, setProgress] = useState(null);
+  const controller = useRef(null);
+
+  const cancel = useCallback(() => controller.current?.abort(), []);
+
+  useEffect(() => cancel, [cancel]);
+
+  // Runs request({ signal, onProgress }), which may span several calls
+  const run = useCallback(async (request) => {
+    controller.current = new AbortController();
+    try {
+      return await request({
+        signal: controller.current.signal,
+        onProgress: setProgress,
+      });
+    } finally {
+      controller.current = null;
+      setProgress(null);
+    }
+  }, []);
+
+  const send = useCallback(
+    (url, formData) => run((options) => postPrediction(url, formData, options)),
+    [run]
+  );
+
+  return { progress, run, send, cancel };
+};
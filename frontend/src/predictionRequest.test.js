@@ -0,0 +1,11 @@
+import { uploadPhase } from "./predictionRequest";
+
+test("reports uploading until every byte is sent, then analyzing", () => {
+  expect(uploadPhase({ loaded: 0, total: undefined })).toEqual({
+    phase: "uploading",
+    loaded: 0,
+    total: null,
+  });
+  expect(uploadPhase({ loaded: 512, total: 2048 }).phase).toBe("uploading");
+  expect(uploadPhase({ loaded: 2048, total: 2048 }).phase).toBe("analyzing");
+});
@@ -0,0 +1,54 @@
+import { useSyncExternalStore } from "react";
+
+// A setting remembered for this device (`key`) and, when signed in, for the
+// user (`key:<username>`), so their choice is restored on their next login.
+// `isValid` drops stale values read back from storage; `onChange` runs after
+// each switch, before components re-render.
+export const createPreferenceStore = ({
+  key,
+  fallback,
+  isValid,
+  onChange,
+}) => {
+  const userKey = (username) => `${key}:${username}`;
+  const read = (storageKey) => {
+    const saved = localStorage.getItem(storageKey);
+    return isValid(saved) ? saved : null;
+  };
+
+  let current = read(key) ?? fallback;
+  const listeners = new Set();
+
+  const get = () => current;
+
+  const set = (value, username) => {
+    if (!isValid(value)) return;
+    localStorage.setItem(key, value);
+    if (username) localStorage.setItem(userKey(username), value);
+    if (value === current) return;
+    current = value;
+    onChange?.(value);
+    listeners.forEach((listener) => listener());
+  };
+
+  // After login: the value saved to the user's account when there is one,
+  // else the last one they picked on this device
+  const loadForUser = (username, accountValue) => {
+    const saved = isValid(accountValue)
+      ? accountValue
+      : username
+      ? read(userKey(username))
+      : null;
+    if (saved !== null) set(saved, username);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Re-renders the calling component when the value changes
+  const useValue = () => useSyncExternalStore(subscribe, get);
+
+  return { get, set, loadForUser, useValue };
+};
@@ -0,0 +1,123 @@
+import { getReferralRecommendation } from "./grading";
+import {
+  referableClass,
+  schemeDistribution,
+  schemeGradeForClass,
+} from "./gradingScheme";
+import { classGrade } from "./modelInfo";
+import { t, formatPercent } from "./i18n";
+
+// Thresholds can be overridden per deployment in public/config.js (referralPolicy)
+export const DEFAULT_REFERRAL_POLICY = {
+  referableGrade: null, // model classes at or above this are referable DR; null follows the grading scheme
+  referableProbability: 0.5, // refer when P(referable) reaches this
+  minConfidence: 0.6, // below this the top grade is too uncertain to act on
+  minMargin: 0.15, // required gap between the two most likely grades
+};
+
+export const REFERRAL_POLICY = {
+  ...DEFAULT_REFERRAL_POLICY,
+  ...window.__APP_CONFIG__?.referralPolicy,
+};
+
+const percent = (value) => formatPercent(value, 0);
+
+export const evaluateReferral = (result, policy = REFERRAL_POLICY) => {
+  if (!result) return null;
+
+  const referableGrade = policy.referableGrade ?? referableClass();
+  // Ranked by scheme grade, so outputs the scheme reports as one grade (e.g.
+  // NHS R1) are not counted as competing with each other
+  const ranked = schemeDistribution(result).sort(
+    (a, b) => b.probability - a.probability
+  );
+  const [top, second = { ...top, probability: 0 }] = ranked;
+  const margin = top.probability - second.probability;
+  const pReferable = result.probabilities
+    .filter(
+      (probability, idx) =>
+        classGrade(result.class_names, idx) >= referableGrade
+    )
+    .reduce((sum, probability) => sum + probability, 0);
+
+  const confident = top.probability >= policy.minConfidence;
+  const separated = margin >= policy.minMargin;
+  const referable = pReferable >= policy.referableProbability;
+
+  const reasons = [
+    {
+      passed: confident,
+      text: t("referral.reason.confidence", {
+        confidence: percent(top.probability),
+        minimum: percent(policy.minConfidence),
+      }),
+    },
+    {
+      passed: separated,
+      text: t("referral.reason.margin", {
+        top: top.label,
+        second: second.label,
+        margin: percent(margin),
+        minimum: percent(policy.minMargin),
+      }),
+    },
+    {
+      passed: null,
+      text: t("referral.reason.probability", {
+        grade: schemeGradeForClass(referableGrade)?.label ?? referableGrade,
+        probability: percent(pReferable),
+        threshold: percent(policy.referableProbability),
+      }),
+    },
+  ];
+
+  const decision = {
+    pReferable,
+    confidence: top.probability,
+    margin,
+    reasons,
+    policy,
+  };
+
+  if (!confident || !separated) {
+    return {
+      ...decision,
+      outcome: "indeterminate",
+      label: t("referral.indeterminate"),
+      severity: "info",
+      recommendation: t("referral.indeterminateAdvice"),
+    };
+  }
+
+  // Referral follows the cumulative probability, so a grade 1 argmax with most
+  // of the mass on grades 2-4 is still referred
+  const referralGrade = referable
+    ? Math.max(top.classIndex, referableGrade)
+    : Math.min(top.classIndex, referableGrade - 1);
+  const recommendation = getReferralRecommendation(referralGrade);
+  return {
+    ...decision,
+    outcome: referable ? "refer" : "no_refer",
+    label: t(referable ? "referral.refer" : "referral.noRefer"),
+    severity: recommendation?.severity || (referable ? "warning" : "success"),
+    recommendation: recommendation?.recommendation || "",
+  };
+};
+
+const OUTCOME_PRIORITY = { refer: 2, indeterminate: 1, no_refer: 0 };
+
+// Patient-level decision: any referable eye refers, otherwise any uncertain eye
+// needs human grading
+export const combineReferralDecisions = (decisions) =>
+  decisions
+    .filter(Boolean)
+    .reduce(
+      (worst, decision) =>
+        !worst ||
+        OUTCOME_PRIORITY[decision.outcome] > OUTCOME_PRIORITY[worst.outcome] ||
+        (decision.outcome === worst.outcome &&
+          decision.pReferable > worst.pReferable)
+          ? decision
+          : worst,
+      null
+    );
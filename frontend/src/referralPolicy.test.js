@@ -0,0 +1,60 @@
+import { evaluateReferral, combineReferralDecisions } from "./referralPolicy";
+
+const CLASS_NAMES = ["Grade 0", "Grade 1", "Grade 2", "Grade 3", "Grade 4"];
+const resultFor = (probabilities) => ({
+  probabilities,
+  class_names: CLASS_NAMES,
+  confidence: Math.max(...probabilities),
+});
+
+describe("evaluateReferral", () => {
+  test("does not refer a confident grade 0", () => {
+    const decision = evaluateReferral(resultFor([0.9, 0.06, 0.02, 0.01, 0.01]));
+    expect(decision.outcome).toBe("no_refer");
+    expect(decision.pReferable).toBeCloseTo(0.04);
+  });
+
+  test("refers a confident referable grade", () => {
+    const decision = evaluateReferral(resultFor([0.05, 0.1, 0.75, 0.05, 0.05]));
+    expect(decision.outcome).toBe("refer");
+    expect(decision.severity).toBe("warning");
+  });
+
+  test("is indeterminate when the top two grades are close", () => {
+    const decision = evaluateReferral(resultFor([0.02, 0.35, 0.38, 0.2, 0.05]));
+    expect(decision.outcome).toBe("indeterminate");
+    expect(decision.reasons[1].passed).toBe(false);
+  });
+
+  test("is indeterminate below the minimum confidence", () => {
+    const decision = evaluateReferral(resultFor([0.5, 0.3, 0.1, 0.05, 0.05]), {
+      referableGrade: 2,
+      referableProbability: 0.5,
+      minConfidence: 0.6,
+      minMargin: 0.1,
+    });
+    expect(decision.outcome).toBe("indeterminate");
+    expect(decision.reasons[0].passed).toBe(false);
+  });
+
+  test("follows the cumulative probability over the argmax", () => {
+    const decision = evaluateReferral(resultFor([0.0, 0.45, 0.25, 0.2, 0.1]), {
+      referableGrade: 2,
+      referableProbability: 0.5,
+      minConfidence: 0.4,
+      minMargin: 0.15,
+    });
+    expect(decision.outcome).toBe("refer");
+  });
+});
+
+describe("combineReferralDecisions", () => {
+  test("a referable eye outranks an indeterminate one", () => {
+    const decisions = [
+      { outcome: "indeterminate", pReferable: 0.4 },
+      { outcome: "refer", pReferable: 0.8 },
+      null,
+    ];
+    expect(combineReferralDecisions(decisions).outcome).toBe("refer");
+  });
+});
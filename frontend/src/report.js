@@ -0,0 +1,326 @@
+import {
+  determineDRGrade,
+  drGradeForClass,
+  formatConfidence,
+  gradeLabel,
+  schemeGradeColor,
+  uncertaintyLevel,
+} from "./grading";
+import { getActiveScheme, schemeDistribution } from "./gradingScheme";
+import { getGradeDetails, getDisclaimer } from "./clinicalContent";
+import { eyeLabel } from "./PatientFields";
+import { evaluateReferral } from "./referralPolicy";
+import { lesionLabel } from "./GraderReview";
+import {
+  LOCALES,
+  getLocale,
+  withLocale,
+  t,
+  formatDate,
+  formatDateTime,
+  formatPercent,
+} from "./i18n";
+
+const MARGIN = 15;
+// jsPDF's built-in fonts only cover Latin script, so other languages get an
+// English report
+const FALLBACK_LOCALE = "en";
+const FOOTER_HEIGHT = 25;
+
+const hexToRgb = (hex) =>
+  [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+
+// Draws an image (data URL or object URL) onto a canvas so jsPDF can embed it
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext("2d").drawImage(img, 0, 0);
+      resolve({
+        dataUrl: canvas.toDataURL("image/jpeg", 0.92),
+        width: img.naturalWidth,
+        height: img.naturalHeight,
+      });
+    };
+    img.onerror = () => reject(new Error("Could not load the fundus image"));
+    img.src = src;
+  });
+
+const fitWithin = (width, height, maxWidth, maxHeight) => {
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+  return { width: width * scale, height: height * scale };
+};
+
+const reportFilename = (result, patient) => {
+  const id = patient.patientId || result.screening_id || "result";
+  const date = new Date().toISOString().slice(0, 10);
+  return `dr-report-${String(id).replace(/[^\w-]+/g, "_")}-${date}.pdf`;
+};
+
+// Lays out the report synchronously, so it can run inside withLocale
+const renderReport = (doc, { result, image, chart, patient, review }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  const drGrade = determineDRGrade(result);
+  const gradeDetails = getGradeDetails(drGrade.grade);
+  const referral = evaluateReferral(result);
+  let y = 20;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = 20;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(12);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.setTextColor(33, 33, 33);
+    doc.text(text, MARGIN, y);
+    y += 6;
+  };
+
+  const paragraph = (text) => {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.setTextColor(66, 66, 66);
+    doc.splitTextToSize(text, contentWidth).forEach((line) => {
+      ensureSpace(5);
+      doc.text(line, MARGIN, y);
+      y += 5;
+    });
+    y += 3;
+  };
+
+  // Title
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.setTextColor(25, 118, 210);
+  doc.text(t("report.title"), MARGIN, y);
+  y += 7;
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.setTextColor(117, 117, 117);
+  doc.text(
+    t("report.generated", { date: formatDateTime(new Date()) }),
+    MARGIN,
+    y
+  );
+  y += 4;
+  doc.setDrawColor(224, 224, 224);
+  doc.line(MARGIN, y, pageWidth - MARGIN, y);
+  y += 8;
+
+  // Screening details
+  const notRecorded = t("report.notRecorded");
+  const details = [
+    [t("report.patientId"), patient.patientId || notRecorded],
+    [t("report.eye"), patient.eye ? eyeLabel(patient.eye) : notRecorded],
+    [
+      t("report.captureDate"),
+      patient.captureDate ? formatDate(patient.captureDate) : notRecorded,
+    ],
+    [t("report.screened"), formatDateTime(result.created_at || Date.now())],
+    [t("report.modelVersion"), result.model_version || t("report.unknown")],
+    [t("report.scheme"), getActiveScheme().name],
+  ];
+  if (result.screening_id) {
+    details.push([t("report.screeningId"), String(result.screening_id)]);
+  }
+  if (review) {
+    details.push([
+      t("report.finalGrade"),
+      t(review.agrees_with_ai ? "report.confirmedBy" : "report.overriddenBy", {
+        grade: drGradeForClass(result.class_names, review.final_grade).label,
+        grader: review.grader,
+      }),
+    ]);
+    if (review.maculopathy) {
+      details.push([t("report.maculopathy"), review.maculopathy]);
+    }
+  }
+  doc.setFontSize(10);
+  // Values line up after the longest label, which varies by language
+  doc.setFont("helvetica", "bold");
+  const valueX =
+    MARGIN +
+    Math.max(...details.map(([label]) => doc.getTextWidth(`${label}:`))) +
+    4;
+  details.forEach(([label, value]) => {
+    doc.setFont("helvetica", "bold");
+    doc.setTextColor(33, 33, 33);
+    doc.text(`${label}:`, MARGIN, y);
+    doc.setFont("helvetica", "normal");
+    doc.text(value, valueX, y);
+    y += 5.5;
+  });
+  y += 4;
+
+  // Fundus image on the left, grade and probabilities on the right
+  const sectionTop = y;
+  let imageBottom = y;
+  if (image) {
+    const size = fitWithin(image.width, image.height, 80, 80);
+    doc.addImage(image.dataUrl, "JPEG", MARGIN, y, size.width, size.height);
+    imageBottom = y + size.height;
+  }
+
+  const columnX = image ? MARGIN + 88 : MARGIN;
+  const columnWidth = pageWidth - MARGIN - columnX;
+  let columnY = sectionTop + 4;
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(14);
+  doc.setTextColor(...hexToRgb(drGrade.color));
+  doc.splitTextToSize(gradeLabel(drGrade), columnWidth).forEach((line) => {
+    doc.text(line, columnX, columnY);
+    columnY += 6;
+  });
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  doc.setTextColor(66, 66, 66);
+  doc.text(
+    t("report.confidence", { value: formatConfidence(result.confidence) }),
+    columnX,
+    columnY
+  );
+  if (result.uncertainty) {
+    columnY += 5;
+    const { level } = uncertaintyLevel(result.uncertainty.score);
+    doc.text(
+      t("report.uncertainty", {
+        value: formatPercent(result.uncertainty.score, 0),
+        level: t(`result.uncertaintyLevel.${level}`),
+        passes: result.uncertainty.passes,
+      }),
+      columnX,
+      columnY
+    );
+  }
+  columnY += 8;
+
+  doc.setFont("helvetica", "bold");
+  doc.text(t("report.distribution"), columnX, columnY);
+  columnY += 5;
+  doc.setFont("helvetica", "normal");
+  schemeDistribution(result).forEach((grade) => {
+    const prob = grade.probability;
+    const color = hexToRgb(schemeGradeColor(grade));
+    doc.setFillColor(...color);
+    doc.rect(columnX, columnY - 2.5, 3, 3, "F");
+    doc.setTextColor(66, 66, 66);
+    doc.text(grade.label, columnX + 5, columnY);
+    const spread =
+      grade.spread === null ? "" : ` ± ${formatConfidence(grade.spread)}`;
+    doc.text(
+      `${formatConfidence(prob)}${spread}`,
+      pageWidth - MARGIN,
+      columnY,
+      {
+        align: "right",
+      }
+    );
+    // Bar underneath each grade, as in the result card
+    doc.setFillColor(238, 238, 238);
+    doc.rect(columnX, columnY + 1.5, columnWidth, 1.5, "F");
+    doc.setFillColor(...color);
+    doc.rect(columnX, columnY + 1.5, columnWidth * prob, 1.5, "F");
+    columnY += 8;
+  });
+
+  y = Math.max(imageBottom, columnY) + 6;
+
+  if (chart) {
+    const size = fitWithin(chart.width, chart.height, contentWidth, 60);
+    ensureSpace(size.height + 4);
+    doc.addImage(
+      chart.src,
+      "PNG",
+      MARGIN + (contentWidth - size.width) / 2,
+      y,
+      size.width,
+      size.height
+    );
+    y += size.height + 6;
+  }
+
+  heading(t("report.referral", { decision: referral.label }));
+  // The built-in PDF fonts have no "≥" glyph
+  paragraph(
+    [referral.recommendation, ...referral.reasons.map((r) => r.text)]
+      .join("\n")
+      .replace(/≥/g, ">=")
+  );
+
+  if (review?.findings || review?.lesions.length) {
+    heading(t("report.findings"));
+    if (review.lesions.length) {
+      paragraph(
+        t("report.lesions", {
+          lesions: review.lesions.map(lesionLabel).join(", "),
+        })
+      );
+    }
+    if (review.findings) paragraph(review.findings);
+  }
+
+  heading(t("report.description"));
+  paragraph(gradeDetails.summary);
+  heading(t("report.significance"));
+  paragraph(gradeDetails.clinicalSignificance);
+
+  // Disclaimer footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(224, 224, 224);
+    doc.line(
+      MARGIN,
+      pageHeight - FOOTER_HEIGHT + 5,
+      pageWidth - MARGIN,
+      pageHeight - FOOTER_HEIGHT + 5
+    );
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor(117, 117, 117);
+    let footerY = pageHeight - FOOTER_HEIGHT + 10;
+    getDisclaimer().forEach((line) => {
+      doc.splitTextToSize(line, contentWidth).forEach((part) => {
+        doc.text(part, MARGIN, footerY);
+        footerY += 3.5;
+      });
+    });
+    doc.text(
+      t("report.page", { page, count: pageCount }),
+      pageWidth - MARGIN,
+      footerY,
+      { align: "right" }
+    );
+  }
+};
+
+// Builds the screening report entirely in the browser (jsPDF is bundled, so it works offline)
+export const downloadReport = async ({
+  result,
+  imageSrc,
+  chartImage,
+  patient = {},
+  review = null,
+}) => {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const image = imageSrc ? await loadImage(imageSrc) : null;
+  const chart = chartImage
+    ? { ...(await loadImage(chartImage)), src: chartImage }
+    : null;
+  const locale = LOCALES[getLocale()].latin ? getLocale() : FALLBACK_LOCALE;
+  withLocale(locale, () =>
+    renderReport(doc, { result, image, chart, patient, review })
+  );
+  doc.save(reportFilename(result, patient));
+};
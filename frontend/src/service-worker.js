@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-globals */
+
+// Caches the app shell so the classifier opens without a connection. API calls
+// are never cached here; offline uploads are queued in IndexedDB by the app.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+// Build output (JS, CSS, index.html), injected by the CRA build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so reloading offline still opens the app
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Same-origin files outside the build (config.js, manifest, icons)
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    /\.(js|json|png|ico)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: "public-files",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Lets the page activate a new version without waiting for all tabs to close
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
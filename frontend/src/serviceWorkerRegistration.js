@@ -0,0 +1,39 @@
+// Registers the app-shell service worker (src/service-worker.js) in production
+// builds. Development builds skip it so hot reloading is not served from cache.
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    window.location.hostname === "[::1]" ||
+    window.location.hostname.match(
+      /^127(?:\.(?:25[0-5]|2[0-4]\d|[01]?\d\d?)){3}$/
+    )
+);
+
+export const register = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+  // Service workers cannot control pages outside PUBLIC_URL's origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    navigator.serviceWorker.register(swUrl).catch((error) => {
+      // Insecure origins other than localhost cannot register service workers
+      if (!isLocalhost)
+        console.error("Service worker registration failed:", error);
+    });
+  });
+};
+
+export const unregister = () => {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch(() => {});
+  }
+};
@@ -0,0 +1,91 @@
+import { createPreferenceStore } from "./preferenceStore";
+
+// Grade 0-4 colors. The color-blind-safe set is the Okabe-Ito palette, ordered
+// so lightness still climbs with severity for any type of color vision
+export const PALETTES = {
+  standard: ["#4CAF50", "#8BC34A", "#FFC107", "#FF9800", "#F44336"],
+  colorBlind: ["#0072B2", "#56B4E9", "#F0E442", "#E69F00", "#D55E00"],
+};
+
+const paletteStore = createPreferenceStore({
+  key: "palette",
+  fallback: "standard",
+  isValid: (palette) => Boolean(PALETTES[palette]),
+});
+
+export const getPalette = paletteStore.get;
+
+export const getPaletteColors = () => PALETTES[getPalette()];
+
+// Switches palette and remembers it for this device and, when signed in, the user
+export const setPalette = paletteStore.set;
+
+// Applies a user's saved palette after login
+export const loadUserPalette = (username) => paletteStore.loadForUser(username);
+
+// Re-renders the calling component when the palette changes
+export const usePalette = paletteStore.useValue;
+
+const PATTERN_SIZE = 10;
+
+// Overlay drawn on each grade's fill so chart segments differ by more than hue:
+// solid, dots, diagonal lines, horizontal lines, cross-hatch
+const PATTERN_PAINTERS = [
+  () => {},
+  (ctx) => ctx.fillRect(4, 4, 2, 2),
+  (ctx) => {
+    ctx.moveTo(0, PATTERN_SIZE);
+    ctx.lineTo(PATTERN_SIZE, 0);
+  },
+  (ctx) => {
+    ctx.moveTo(0, PATTERN_SIZE / 2);
+    ctx.lineTo(PATTERN_SIZE, PATTERN_SIZE / 2);
+  },
+  (ctx) => {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(PATTERN_SIZE, PATTERN_SIZE);
+    ctx.moveTo(0, PATTERN_SIZE);
+    ctx.lineTo(PATTERN_SIZE, 0);
+  },
+];
+
+// Patterns drawn so far, by grade and color; charts re-render often
+const patterns = new Map();
+// Cleared once a canvas offers no 2D context (e.g. jsdom), so it is asked once
+let canvasAvailable = true;
+
+const drawPattern = (paint, color) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = PATTERN_SIZE;
+  canvas.height = PATTERN_SIZE;
+  const ctx =
+    typeof canvas.getContext === "function" ? canvas.getContext("2d") : null;
+  if (!ctx) return null;
+
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+  ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.7)";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  paint(ctx);
+  ctx.stroke();
+  return ctx.createPattern(canvas, "repeat");
+};
+
+// Canvas fill for a grade's chart segment, or null where canvas is
+// unavailable (callers fall back to the flat color)
+export const severityPattern = (grade, color) => {
+  const paint = PATTERN_PAINTERS[grade];
+  if (!paint || !canvasAvailable) return null;
+  const key = `${grade}:${color}`;
+  if (!patterns.has(key)) {
+    const pattern = drawPattern(paint, color);
+    if (!pattern) {
+      canvasAvailable = false;
+      return null;
+    }
+    patterns.set(key, pattern);
+  }
+  return patterns.get(key);
+};
@@ -0,0 +1,81 @@
+import { createTheme } from "@mui/material/styles";
+import { createPreferenceStore } from "./preferenceStore";
+
+// "system" follows the OS light/dark and increased-contrast settings
+export const THEME_MODES = ["system", "light", "dark", "highContrast"];
+
+const modeStore = createPreferenceStore({
+  key: "themeMode",
+  fallback: "system",
+  isValid: (mode) => THEME_MODES.includes(mode),
+});
+
+export const getThemeMode = modeStore.get;
+
+// Switches theme and remembers it for this device and, when signed in, the user
+export const setThemeMode = modeStore.set;
+
+// Applies a user's saved theme after login
+export const loadUserThemeMode = ({ username, theme_mode: themeMode }) =>
+  modeStore.loadForUser(username, themeMode);
+
+export const useThemeMode = modeStore.useValue;
+
+// The concrete variant for a mode, given the OS preferences
+export const resolveVariant = (mode, { prefersDark, prefersContrast }) => {
+  if (mode !== "system") return mode;
+  if (prefersContrast) return "highContrast";
+  return prefersDark ? "dark" : "light";
+};
+
+const PALETTES = {
+  light: {
+    mode: "light",
+    background: { default: "#f1f4f9", paper: "#fff" },
+  },
+  // Dim, low-glare surfaces for reading fundus images in darkened rooms
+  dark: {
+    mode: "dark",
+    primary: { main: "#90caf9" },
+    background: { default: "#0f1216", paper: "#1a1e24" },
+  },
+  highContrast: {
+    mode: "dark",
+    primary: { main: "#ffff00" },
+    secondary: { main: "#00ffff" },
+    background: { default: "#000", paper: "#000" },
+    text: { primary: "#fff", secondary: "#fff" },
+    divider: "#fff",
+    contrastThreshold: 7,
+  },
+};
+
+export const createAppTheme = (variant, { direction, locale }) =>
+  createTheme(
+    {
+      direction,
+      palette: PALETTES[variant],
+      ...(variant === "highContrast" && {
+        components: {
+          MuiPaper: {
+            styleOverrides: { root: { border: "1px solid #fff" } },
+          },
+          MuiButtonBase: {
+            styleOverrides: {
+              root: {
+                "&.Mui-focusVisible": { outline: "3px solid #ffff00" },
+              },
+            },
+          },
+        },
+      }),
+    },
+    locale
+  );
+
+// Chart.js has no access to the MUI theme, so charts take their colors from here
+export const chartColors = (theme) => ({
+  text: theme.palette.text.secondary,
+  grid: theme.palette.divider,
+  surface: theme.palette.background.paper,
+});
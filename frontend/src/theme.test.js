@@ -0,0 +1,51 @@
+import {
+  resolveVariant,
+  createAppTheme,
+  setThemeMode,
+  getThemeMode,
+  loadUserThemeMode,
+} from "./theme";
+
+afterEach(() => {
+  setThemeMode("system");
+  localStorage.clear();
+});
+
+describe("resolveVariant", () => {
+  test("follows the system preference in system mode", () => {
+    expect(resolveVariant("system", { prefersDark: true })).toBe("dark");
+    expect(resolveVariant("system", { prefersDark: false })).toBe("light");
+    expect(
+      resolveVariant("system", { prefersDark: false, prefersContrast: true })
+    ).toBe("highContrast");
+  });
+
+  test("an explicit choice overrides the system", () => {
+    expect(resolveVariant("light", { prefersDark: true })).toBe("light");
+  });
+});
+
+test("variants produce light and dark palettes", () => {
+  const options = { direction: "ltr", locale: {} };
+  expect(createAppTheme("light", options).palette.mode).toBe("light");
+  expect(createAppTheme("dark", options).palette.mode).toBe("dark");
+  expect(
+    createAppTheme("highContrast", options).palette.background.default
+  ).toBe("#000");
+});
+
+test("restores a user's saved theme after login", () => {
+  setThemeMode("dark", "grader@example.org");
+  setThemeMode("light");
+  loadUserThemeMode({ username: "grader@example.org" });
+  expect(getThemeMode()).toBe("dark");
+});
+
+test("prefers the theme saved to the account", () => {
+  setThemeMode("dark", "grader@example.org");
+  loadUserThemeMode({
+    username: "grader@example.org",
+    theme_mode: "highContrast",
+  });
+  expect(getThemeMode()).toBe("highContrast");
+});
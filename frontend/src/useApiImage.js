@@ -0,0 +1,35 @@
+import { useState, useEffect } from "react";
+import api from "./api";
+
+// Loads an image from an authenticated endpoint; `src` is an object URL for
+// <img> once loaded, and `failed` is set when the server could not supply it
+export const useApiImage = (path) => {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setSrc(null);
+    setFailed(false);
+    if (!path) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+    api
+      .get(path, { responseType: "blob" })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [path]);
+
+  return { src, failed };
+};
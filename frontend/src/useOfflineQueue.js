@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  isOfflineQueueSupported,
+  listUploads,
+  subscribeToQueue,
+  syncPendingUploads,
+} from "./offlineQueue";
+
+// Retry interval while uploads are pending, in case no "online" event fires
+// (the browser can be online while the backend is still unreachable)
+const SYNC_INTERVAL = 30000;
+
+// The signed-in user's offline uploads, synced automatically when the connection returns
+export const useOfflineQueue = (owner) => {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [uploads, setUploads] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const supported = isOfflineQueueSupported();
+
+  const refresh = useCallback(() => {
+    if (!supported || !owner) return;
+    listUploads(owner)
+      .then(setUploads)
+      .catch(() => setUploads([]));
+  }, [supported, owner]);
+
+  const sync = useCallback(async () => {
+    if (!supported || !owner) return;
+    setSyncing(true);
+    try {
+      await syncPendingUploads(owner);
+    } finally {
+      setSyncing(false);
+    }
+  }, [supported, owner]);
+
+  useEffect(() => {
+    refresh();
+    return subscribeToQueue(refresh);
+  }, [refresh]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [sync]);
+
+  const pendingCount = uploads.filter(
+    (upload) => upload.status === "pending"
+  ).length;
+
+  useEffect(() => {
+    if (!pendingCount || !online) return undefined;
+    sync();
+    const interval = setInterval(sync, SYNC_INTERVAL);
+    return () => clearInterval(interval);
+  }, [pendingCount, online, sync]);
+
+  return { supported, online, uploads, pendingCount, syncing, sync };
+};